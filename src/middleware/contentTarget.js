@@ -0,0 +1,53 @@
+// middleware/contentTarget.js
+const { findPublishedDay } = require('../utils/publishedContent');
+const { evaluateDayAccess } = require('../utils/accessPolicy');
+
+/**
+ * Middleware validating the module, day or exercise a request body points at
+ * (moduleId, optional dayNumber, optional exerciseId which requires dayNumber).
+ * Runs after checkModuleAccess, whose published module and access decision it
+ * reuses; exposes { moduleId, dayNumber, exerciseId } as req.contentTarget and
+ * the published day, if any, as req.publishedDay.
+ */
+const checkContentTarget = async (req, res, next) => {
+  try {
+    const { exerciseId } = req.body;
+    const dayNumber = req.body.dayNumber === undefined || req.body.dayNumber === null
+      ? null
+      : parseInt(req.body.dayNumber);
+
+    if (dayNumber !== null) {
+      if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+        return res.status(400).json({ success: false, message: 'Invalid day number' });
+      }
+      if (!evaluateDayAccess(req.moduleAccess, dayNumber).allowed) {
+        return res.status(403).json({ success: false, message: 'Day not accessible to this user' });
+      }
+      const day = await findPublishedDay(req.publishedModule._id, dayNumber);
+      if (!day) {
+        return res.status(404).json({ success: false, message: 'Module day not found' });
+      }
+      if (exerciseId && !day.exercises.some(e => e._id.toString() === String(exerciseId) && !e.isArchived)) {
+        return res.status(404).json({ success: false, message: 'Exercise not found' });
+      }
+      req.publishedDay = day;
+    } else if (exerciseId) {
+      return res.status(400).json({ success: false, message: 'dayNumber is required with exerciseId' });
+    }
+
+    req.contentTarget = {
+      moduleId: req.publishedModule._id,
+      dayNumber,
+      exerciseId: exerciseId || null
+    };
+    next();
+  } catch (error) {
+    console.error('Content target error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking content target'
+    });
+  }
+};
+
+module.exports = { checkContentTarget };
@@ -0,0 +1,48 @@
+// middleware/dayRelease.js
+const { findPublishedModuleById, findPublishedDay } = require('../utils/publishedContent');
+const { getModuleReleaseResolver } = require('../utils/releaseSchedule');
+
+/**
+ * Middleware to enforce the module's drip release schedule on a day route.
+ * Runs after checkModuleAccess (whose published module it reuses); exposes
+ * the release as req.dayRelease and the published day as req.publishedDay.
+ * Unknown days are left for the route to answer with a 404.
+ */
+const checkDayRelease = async (req, res, next) => {
+  try {
+    const { moduleId } = req.params;
+    const dayNumber = parseInt(req.params.dayNumber);
+
+    const module = req.publishedModule || await findPublishedModuleById(moduleId);
+    const day = module && Number.isInteger(dayNumber) ? await findPublishedDay(module._id, dayNumber) : null;
+    if (!day) {
+      return next();
+    }
+
+    const resolveRelease = await getModuleReleaseResolver(req.user, module);
+    const release = resolveRelease(day);
+
+    if (!release.available) {
+      return res.status(403).json({
+        success: false,
+        message: release.availableAt
+          ? `Day ${dayNumber} is available from ${release.availableAt.toISOString()}`
+          : `Day ${dayNumber} unlocks once you have started the module`,
+        reason: release.reason,
+        availableAt: release.availableAt
+      });
+    }
+
+    req.dayRelease = release;
+    req.publishedDay = day;
+    next();
+  } catch (error) {
+    console.error('Day release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking day release'
+    });
+  }
+};
+
+module.exports = { checkDayRelease };
@@ -11,7 +11,6 @@
 
 const { checkRole } = require('./checkRoleAccess');
 const { checkModuleAccess } = require('./moduleAccess');
-const { betaContentRestriction } = require('./betaContentRestriction');
 const verifyToken = require('./verifyToken');
 
 // Convenience middleware combinations
@@ -25,6 +24,5 @@ module.exports = {
   checkAdmin,
   checkBetaAccess,
   checkModuleAccess,
-  checkModuleAuthorization,
-  betaContentRestriction
+  checkModuleAuthorization
 };
@@ -1,6 +1,12 @@
 // middleware/moduleAccess.js
+const { findPublishedModuleById, findPublishedModuleBySlug } = require('../utils/publishedContent');
+const { evaluateModuleAccess, evaluateDayAccess, describeDecision } = require('../utils/accessPolicy');
+
 /**
- * Middleware to verify user can access a specific module
+ * Middleware to verify user can access a specific module. The decision comes
+ * from the access policy engine and is exposed as req.moduleAccess, with the
+ * published module as req.publishedModule. When the route has a dayNumber
+ * parameter, the day is checked against the decision's day limit too.
  * @param {Boolean} requiresCompletion - Whether the module requires completion of prerequisites
  * @returns {Function} Express middleware function
  */
@@ -8,101 +14,59 @@ const checkModuleAccess = (requiresCompletion = true) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({ 
-          success: false, 
-          message: 'Authentication required' 
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
         });
       }
-      
-      const moduleId = req.params.moduleId || req.params.id || req.body.moduleId;
-      
-      if (!moduleId) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Module ID is required' 
+
+      const moduleId = req.params.moduleId || req.params.id || (req.body && req.body.moduleId);
+      const { moduleSlug } = req.params;
+
+      if (!moduleId && !moduleSlug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Module ID is required'
         });
       }
-      
-      // Allow admin users to access any module
-      if (req.user.role === 'admin') {
-        return next();
-      }
-      
-      // Load module data
-      const Module = require('../models/Module');
-      const module = await Module.findById(moduleId);
-      
+
+      const module = moduleId
+        ? await findPublishedModuleById(moduleId)
+        : await findPublishedModuleBySlug(moduleSlug);
+
       if (!module) {
         return res.status(404).json({
           success: false,
           message: 'Module not found'
         });
       }
-      
-      // Check module access based on rules
-      
-      // 1. GitHub module (free for all users)
-      if (module.slug === 'github') {
-        return next();
-      }
-      
-      // 2. Paid module check
-      if (module.isPaid && !req.user.payment?.hasPaidAccess) {
-        return res.status(403).json({
-          success: false,
-          message: 'This module requires payment',
-          requiresPayment: true
-        });
-      }
-      
-      // 3. Beta-only modules (Shell module for beta testers)
-      if (module.slug === 'shell' && req.user.role === 'beta') {
-        // Beta users can access shell module (with limitations handled in the route)
-        // Make sure they've passed the GitHub test with 60%+
-        if (requiresCompletion) {
-          // Get GitHub module
-          const githubModule = await Module.findOne({ slug: 'github' });
-          
-          if (!githubModule) {
-            return res.status(500).json({
-              success: false,
-              message: 'Error checking prerequisites'
-            });
-          }
-          
-          // Check if user has passed GitHub test
-          const githubTestPassed = req.user.progress?.testScores?.some(score => 
-            score.moduleId.toString() === githubModule._id.toString() && 
-            score.score >= 60
-          );
-          
-          if (!githubTestPassed) {
-            return res.status(403).json({
-              success: false,
-              message: 'You must complete the GitHub module test with a score of at least 60% first'
-            });
-          }
-        }
-        
-        return next();
+
+      const decision = await evaluateModuleAccess(req.user, module, { checkPrerequisites: requiresCompletion });
+
+      const deny = (message) => res.status(403).json({
+        success: false,
+        message,
+        status: decision.status,
+        reasons: decision.reasons,
+        requiresPayment: decision.status === 'requires-payment',
+        missingEntitlements: decision.missingEntitlements,
+        prerequisites: decision.prerequisites,
+        maxDay: decision.maxDay
+      });
+
+      if (!decision.allowed) {
+        return deny(describeDecision(decision, module));
       }
-      
-      // 4. Prerequisite check for regular progression
-      if (module.prerequisiteModule && requiresCompletion) {
-        const prerequisitePassed = req.user.progress?.testScores?.some(score => 
-          score.moduleId.toString() === module.prerequisiteModule.toString() && 
-          score.score >= module.prerequisiteScore
-        );
-        
-        if (!prerequisitePassed) {
-          return res.status(403).json({
-            success: false,
-            message: `You must complete the prerequisite module test with a score of at least ${module.prerequisiteScore}% first`
-          });
+
+      if (req.params.dayNumber !== undefined) {
+        const dayAccess = evaluateDayAccess(decision, parseInt(req.params.dayNumber));
+        if (!dayAccess.allowed) {
+          return deny(describeDecision(decision, module));
         }
       }
-      
-      // If we've passed all checks, grant access
+
+      req.moduleAccess = decision;
+      req.publishedModule = module;
       next();
     } catch (error) {
       console.error('Module access error:', error);
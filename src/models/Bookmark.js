@@ -0,0 +1,64 @@
+// models/Bookmark.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Bookmark:
+ *       type: object
+ *       description: Learner's bookmark on a module, day or exercise
+ *       properties:
+ *         _id:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         dayNumber:
+ *           type: number
+ *           nullable: true
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         label:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const bookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  dayNumber: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Label cannot exceed 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One bookmark per learner and target
+bookmarkSchema.index({ userId: 1, moduleId: 1, dayNumber: 1, exerciseId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,105 @@
+// models/Certificate.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Certificate:
+ *       type: object
+ *       description: Proof that a learner passed a module test. Module name, recipient and score are frozen at issue time.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         verificationId:
+ *           type: string
+ *           description: Public identifier printed on the certificate, used to verify it
+ *           example: "3f9c2a71be04d5e8a1c6"
+ *         userId:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         moduleName:
+ *           type: string
+ *         moduleSlug:
+ *           type: string
+ *         recipientName:
+ *           type: string
+ *         score:
+ *           type: number
+ *           description: Score of the passing submission (percentage)
+ *         passingScore:
+ *           type: number
+ *         submissionId:
+ *           type: string
+ *         contentVersion:
+ *           type: number
+ *           description: Published test version that was passed
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ */
+const certificateSchema = new mongoose.Schema({
+  verificationId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(10).toString('hex')
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  moduleName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  moduleSlug: {
+    type: String,
+    trim: true
+  },
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  passingScore: {
+    type: Number,
+    required: true
+  },
+  moduleTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModuleTest'
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestSubmission'
+  },
+  contentVersion: {
+    type: Number,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One certificate per learner and module: the first passing submission
+certificateSchema.index({ userId: 1, moduleId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
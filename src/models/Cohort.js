@@ -0,0 +1,102 @@
+// models/Cohort.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cohort:
+ *       type: object
+ *       description: Group of learners who go through a module together, on fixed release dates
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Days without a release date unlock relative to this date
+ *         releaseDates:
+ *           type: array
+ *           description: Fixed release date per day
+ *           items:
+ *             type: object
+ *             properties:
+ *               dayNumber:
+ *                 type: number
+ *               availableAt:
+ *                 type: string
+ *                 format: date-time
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Learner IDs
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const cohortSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  releaseDates: [{
+    _id: false,
+    dayNumber: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    availableAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+cohortSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+cohortSchema.index({ moduleId: 1, name: 1 }, { unique: true });
+cohortSchema.index({ members: 1 });
+
+module.exports = mongoose.model('Cohort', cohortSchema);
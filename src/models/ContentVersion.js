@@ -0,0 +1,101 @@
+// models/ContentVersion.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContentVersion:
+ *       type: object
+ *       description: Immutable snapshot of a module, day or test taken when it was published
+ *       properties:
+ *         _id:
+ *           type: string
+ *         contentType:
+ *           type: string
+ *           enum: [module, day, test]
+ *         contentId:
+ *           type: string
+ *           description: ID of the versioned Module, ModuleDay or ModuleTest
+ *         moduleId:
+ *           type: string
+ *           description: ID of the module the content belongs to
+ *         version:
+ *           type: number
+ *           description: Version number, starting at 1 for each content item
+ *         snapshot:
+ *           type: object
+ *           description: Learner-facing content as it was published
+ *         note:
+ *           type: string
+ *           description: Optional publish note
+ *         rolledBackFrom:
+ *           type: number
+ *           description: Version this one restores, when created by a rollback
+ *         publishedBy:
+ *           type: string
+ *           description: ID of the admin who published this version
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ */
+const contentVersionSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['module', 'day', 'test'],
+    required: true
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  rolledBackFrom: {
+    type: Number,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per version of a content item
+contentVersionSchema.index({ contentType: 1, contentId: 1, version: -1 }, { unique: true });
+contentVersionSchema.index({ moduleId: 1, publishedAt: -1 });
+
+// Versions are immutable once written
+contentVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Content versions are immutable'));
+  }
+  next();
+});
+
+contentVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Content versions are immutable'));
+});
+
+module.exports = mongoose.model('ContentVersion', contentVersionSchema);
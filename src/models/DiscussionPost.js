@@ -0,0 +1,117 @@
+// models/DiscussionPost.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiscussionAuthor:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         username:
+ *           type: string
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ *         isAdmin:
+ *           type: boolean
+ *     DiscussionPost:
+ *       type: object
+ *       description: Reply in a discussion thread, to the thread itself or to another reply
+ *       properties:
+ *         _id:
+ *           type: string
+ *         threadId:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *         author:
+ *           $ref: '#/components/schemas/DiscussionAuthor'
+ *         body:
+ *           type: string
+ *           nullable: true
+ *           description: Markdown; null when deleted, hidden, or a spoiler the viewer has not unlocked
+ *         isSpoiler:
+ *           type: boolean
+ *         spoilerHidden:
+ *           type: boolean
+ *         isHidden:
+ *           type: boolean
+ *         isDeleted:
+ *           type: boolean
+ *         isAccepted:
+ *           type: boolean
+ *         upvoteCount:
+ *           type: number
+ *         upvoted:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DiscussionPost'
+ */
+const discussionPostSchema = new mongoose.Schema({
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionThread',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionPost',
+    default: null
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [20000, 'Body cannot exceed 20000 characters']
+  },
+  isSpoiler: {
+    type: Boolean,
+    default: false
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Deleted replies keep their place so the replies to them stay readable
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedAt: { type: Date, default: null },
+    reason: { type: String, trim: true, default: null }
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+discussionPostSchema.index({ threadId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DiscussionPost', discussionPostSchema);
@@ -0,0 +1,138 @@
+// models/DiscussionThread.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiscussionThread:
+ *       type: object
+ *       description: Question or discussion about a module day, or one of its exercises
+ *       properties:
+ *         _id:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         dayNumber:
+ *           type: number
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         author:
+ *           $ref: '#/components/schemas/DiscussionAuthor'
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *           nullable: true
+ *           description: Markdown; null when hidden, or a spoiler the viewer has not unlocked
+ *         isSpoiler:
+ *           type: boolean
+ *           description: Contains (part of) a solution
+ *         spoilerHidden:
+ *           type: boolean
+ *         isLocked:
+ *           type: boolean
+ *           description: No new replies
+ *         isHidden:
+ *           type: boolean
+ *           description: Hidden by a moderator (only admins see the content)
+ *         acceptedPostId:
+ *           type: string
+ *           nullable: true
+ *         upvoteCount:
+ *           type: number
+ *         upvoted:
+ *           type: boolean
+ *           description: Whether the current user upvoted it
+ *         replyCount:
+ *           type: number
+ *           description: Replies neither deleted nor hidden by a moderator
+ *         lastActivityAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const discussionThreadSchema = new mongoose.Schema({
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  dayNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [20000, 'Body cannot exceed 20000 characters']
+  },
+  isSpoiler: {
+    type: Boolean,
+    default: false
+  },
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    hiddenAt: { type: Date, default: null },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    lockedAt: { type: Date, default: null },
+    reason: { type: String, trim: true, default: null }
+  },
+  acceptedPostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionPost',
+    default: null
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+discussionThreadSchema.index({ moduleId: 1, dayNumber: 1, exerciseId: 1, lastActivityAt: -1 });
+
+module.exports = mongoose.model('DiscussionThread', discussionThreadSchema);
@@ -0,0 +1,108 @@
+// models/LearningSession.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LearningSession:
+ *       type: object
+ *       description: A stretch of study on a module, day or exercise, kept alive by heartbeats
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         dayNumber:
+ *           type: number
+ *           nullable: true
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         clientId:
+ *           type: string
+ *           description: Identifier of the browser tab, so a reloaded tab replaces its previous session
+ *         status:
+ *           type: string
+ *           enum: [active, ended]
+ *         endReason:
+ *           type: string
+ *           enum: [ended, superseded, timed-out]
+ *           description: timed-out when no heartbeat came within the idle timeout (endedAt is then the last heartbeat)
+ *         activeSeconds:
+ *           type: number
+ *           description: Time credited to the learner by this session
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         lastHeartbeatAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ */
+const learningSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  dayNumber: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  clientId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  endReason: {
+    type: String,
+    enum: [null, 'ended', 'superseded', 'timed-out'],
+    default: null
+  },
+  activeSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  heartbeats: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+learningSessionSchema.index({ userId: 1, status: 1 });
+learningSessionSchema.index({ userId: 1, clientId: 1, status: 1 });
+
+module.exports = mongoose.model('LearningSession', learningSessionSchema);
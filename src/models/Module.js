@@ -1,5 +1,7 @@
 // models/Module.js
 const mongoose = require('mongoose');
+const { isContentEdit } = require('../utils/contentVersioning');
+const { translationFields } = require('./translationSchema');
 
 /**
  * @swagger
@@ -20,23 +22,91 @@ const mongoose = require('mongoose');
  *         description:
  *           type: string
  *           description: Module description
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
  *         order:
  *           type: number
  *           description: Display order of module
  *         isPaid:
  *           type: boolean
  *           description: Whether this is a premium module requiring payment
+ *         accessLevel:
+ *           type: string
+ *           enum: [free, standard, restricted]
+ *           description: free - open to every signed-in user; standard - entitlements and prerequisites apply; restricted - only roles listed in roleAccess
+ *         requiredEntitlements:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Entitlements a learner needs (isPaid implies paid-access)
+ *         roleAccess:
+ *           type: array
+ *           description: Per-role access rules
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, beta, admin]
+ *               maxDay:
+ *                 type: number
+ *                 description: Last day this role can open (null for no limit)
+ *               waiveEntitlements:
+ *                 type: boolean
+ *                 description: Whether this role is exempt from requiredEntitlements
+ *         prerequisites:
+ *           type: array
+ *           description: Modules whose test must be passed first, each with its own minimum score
+ *           items:
+ *             type: object
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               minScore:
+ *                 type: number
  *         prerequisiteModule:
  *           type: string
- *           description: ID of module that must be completed first
+ *           deprecated: true
+ *           description: Single prerequisite module (use prerequisites)
  *         prerequisiteScore:
  *           type: number
- *           description: Minimum score required on prerequisite module's test
+ *           deprecated: true
+ *           description: Minimum score for prerequisiteModule
  *         notions:
  *           type: array
  *           items:
  *             type: string
  *           description: List of concepts covered in this module
+ *         releaseSchedule:
+ *           type: object
+ *           description: When days become available to a learner
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [immediate, relative, cohort]
+ *               description: immediate - every day as soon as the module unlocks; relative - days unlock after the learner starts the module; cohort - fixed dates of the learner's cohort (relative for learners outside any cohort)
+ *             intervalDays:
+ *               type: number
+ *               description: Days between two consecutive days unlocking (day N unlocks (N - 1) x intervalDays after the start)
+ *         isArchived:
+ *           type: boolean
+ *           description: Archived content is hidden from learners but kept for existing progress
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [draft, published]
+ *           description: draft while the working copy has unpublished changes
+ *         version:
+ *           type: number
+ *           description: Latest published version number
+ *         publishedVersion:
+ *           type: number
+ *           description: Version currently served to learners (null if never published)
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -63,6 +133,7 @@ const moduleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  ...translationFields('module'),
   order: {
     type: Number,
     required: true
@@ -71,6 +142,47 @@ const moduleSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  accessLevel: {
+    type: String,
+    enum: ['free', 'standard', 'restricted'],
+    default: 'standard'
+  },
+  requiredEntitlements: [{
+    type: String,
+    trim: true
+  }],
+  roleAccess: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ['user', 'beta', 'admin'],
+      required: true
+    },
+    maxDay: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    waiveEntitlements: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  prerequisites: [{
+    _id: false,
+    moduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: true
+    },
+    minScore: {
+      type: Number,
+      default: 60,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Single prerequisite from before prerequisites existed; still honoured
   prerequisiteModule: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Module',
@@ -86,6 +198,43 @@ const moduleSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  releaseSchedule: {
+    mode: {
+      type: String,
+      enum: ['immediate', 'relative', 'cohort'],
+      default: 'immediate'
+    },
+    intervalDays: {
+      type: Number,
+      default: 1,
+      min: 0
+    }
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  publishedVersion: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -102,7 +251,16 @@ moduleSchema.pre('save', function(next) {
   next();
 });
 
+// Any content edit puts the document back in draft until it is published again
+moduleSchema.pre('save', function(next) {
+  if (isContentEdit(this)) {
+    this.status = 'draft';
+  }
+  next();
+});
+
 // Create compound index on order field for sorting
 moduleSchema.index({ order: 1 });
+moduleSchema.index({ 'prerequisites.moduleId': 1 });
 
 module.exports = mongoose.model('Module', moduleSchema);
@@ -1,5 +1,8 @@
 // models/ModuleDay.js
 const mongoose = require('mongoose');
+const { isContentEdit } = require('../utils/contentVersioning');
+const { autogradingFields } = require('./testCaseSchema');
+const { translationFields } = require('./translationSchema');
 
 /**
  * @swagger
@@ -19,9 +22,52 @@ const mongoose = require('mongoose');
  *         content:
  *           type: string
  *           description: Exercise content/instructions
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
  *         order:
  *           type: number
  *           description: Display order of exercise
+ *         language:
+ *           type: string
+ *           enum: [bash, c]
+ *           description: Language submissions are run as (required when there are test cases)
+ *         testCases:
+ *           type: array
+ *           description: Autograder test cases
+ *           items:
+ *             $ref: '#/components/schemas/TestCase'
+ *         hints:
+ *           type: array
+ *           description: Hints revealed to learners one at a time, in this order (learners only receive the ones they revealed)
+ *           items:
+ *             $ref: '#/components/schemas/ExerciseHint'
+ *         hintPenalty:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           description: Share of the exercise's notion mastery credit lost per hint revealed before completing it (0 to disable)
+ *         hintCount:
+ *           type: number
+ *           description: Number of hints of the exercise (learner views only)
+ *         hintsRevealed:
+ *           type: number
+ *           description: Number of hints the learner revealed (learner views only)
+ *         isArchived:
+ *           type: boolean
+ *           description: Archived content is hidden from learners but kept for existing progress
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *     ExerciseHint:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: Hint text (Markdown)
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
  *     ModuleDay:
  *       type: object
  *       properties:
@@ -39,6 +85,8 @@ const mongoose = require('mongoose');
  *         description:
  *           type: string
  *           description: Day description
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
  *         exercises:
  *           type: array
  *           items:
@@ -49,6 +97,28 @@ const mongoose = require('mongoose');
  *           items:
  *             type: string
  *           description: Concepts covered in this day
+ *         releaseOffsetDays:
+ *           type: number
+ *           description: Days after the start (of the learner or the cohort) when this day unlocks, overriding the module's intervalDays
+ *         isArchived:
+ *           type: boolean
+ *           description: Archived content is hidden from learners but kept for existing progress
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [draft, published]
+ *           description: draft while the working copy has unpublished changes
+ *         version:
+ *           type: number
+ *           description: Latest published version number
+ *         publishedVersion:
+ *           type: number
+ *           description: Version currently served to learners (null if never published)
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -56,6 +126,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  */
+const hintSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ...translationFields('hint')
+});
+
 const exerciseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -69,9 +148,26 @@ const exerciseSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  ...translationFields('exercise'),
   order: {
     type: Number,
     required: true
+  },
+  ...autogradingFields,
+  hints: [hintSchema],
+  hintPenalty: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
   }
 });
 
@@ -94,11 +190,42 @@ const moduleDaySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  ...translationFields('day'),
   exercises: [exerciseSchema],
   notions: [{
     type: String,
     trim: true
   }],
+  releaseOffsetDays: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  publishedVersion: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -115,6 +242,14 @@ moduleDaySchema.pre('save', function(next) {
   next();
 });
 
+// Any content edit puts the document back in draft until it is published again
+moduleDaySchema.pre('save', function(next) {
+  if (isContentEdit(this)) {
+    this.status = 'draft';
+  }
+  next();
+});
+
 // Ensure unique combination of moduleId and dayNumber
 moduleDaySchema.index({ moduleId: 1, dayNumber: 1 }, { unique: true });
 
@@ -1,10 +1,26 @@
 // models/ModuleTest.js
 const mongoose = require('mongoose');
+const { isContentEdit } = require('../utils/contentVersioning');
+const { autogradingFields } = require('./testCaseSchema');
+const { translationFields } = require('./translationSchema');
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     AcceptedAnswer:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *           description: Expected answer, or a regular expression the whole answer must match when matchType is regex
+ *         matchType:
+ *           type: string
+ *           enum: [normalized, exact, regex]
+ *           description: normalized ignores accents and extra whitespace, exact only surrounding whitespace
+ *         caseSensitive:
+ *           type: boolean
+ *           description: Match case (every match type ignores case by default)
  *     TestQuestion:
  *       type: object
  *       properties:
@@ -15,6 +31,7 @@ const mongoose = require('mongoose');
  *           description: The question text
  *         options:
  *           type: array
+ *           description: Answer options. For ordering questions they are stored in the correct order.
  *           items:
  *             type: object
  *             properties:
@@ -22,12 +39,78 @@ const mongoose = require('mongoose');
  *                 type: string
  *               isCorrect:
  *                 type: boolean
+ *               explanation:
+ *                 type: string
+ *                 description: Shown in test review once answers are revealed
+ *               translations:
+ *                 $ref: '#/components/schemas/Translations'
  *         type:
  *           type: string
- *           enum: [multiple-choice, true-false, coding]
+ *           enum: [multiple-choice, true-false, multi-select, short-answer, fill-in-the-blank, ordering, coding]
+ *         acceptedAnswers:
+ *           type: array
+ *           description: Short-answer questions - answers accepted as correct
+ *           items:
+ *             $ref: '#/components/schemas/AcceptedAnswer'
+ *         blanks:
+ *           type: array
+ *           description: Fill-in-the-blank questions - accepted answers for each blank, in order
+ *           items:
+ *             type: object
+ *             properties:
+ *               acceptedAnswers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AcceptedAnswer'
+ *         partialCredit:
+ *           type: boolean
+ *           description: Multi-select, fill-in-the-blank, ordering and autograded coding questions - award a share of the points for partially correct answers
+ *         language:
+ *           type: string
+ *           enum: [bash, c]
+ *           description: Coding questions - language submissions are run as (required when there are test cases)
+ *         testCases:
+ *           type: array
+ *           description: Coding questions - autograder test cases
+ *           items:
+ *             $ref: '#/components/schemas/TestCase'
  *         points:
  *           type: number
  *           description: Points awarded for correct answer
+ *         explanation:
+ *           type: string
+ *           description: Shown in test review once answers are revealed
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
+ *         tags:
+ *           type: array
+ *           description: Tags or notions used to place the question in pools
+ *           items:
+ *             type: string
+ *         notions:
+ *           type: array
+ *           description: Notions a correct answer counts toward for mastery
+ *           items:
+ *             type: string
+ *         isArchived:
+ *           type: boolean
+ *           description: Archived content is hidden from learners but kept for existing progress
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *     QuestionPool:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           description: Questions with at least one of these tags belong to the pool
+ *           items:
+ *             type: string
+ *         drawCount:
+ *           type: number
+ *           description: Number of questions drawn from the pool for each attempt
  *     ModuleTest:
  *       type: object
  *       properties:
@@ -42,6 +125,8 @@ const mongoose = require('mongoose');
  *         description:
  *           type: string
  *           description: Test description
+ *         translations:
+ *           $ref: '#/components/schemas/Translations'
  *         timeLimit:
  *           type: number
  *           description: Time limit in minutes
@@ -52,6 +137,60 @@ const mongoose = require('mongoose');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/TestQuestion'
+ *         pools:
+ *           type: array
+ *           description: Question pools drawn from for each attempt (every active question is served when empty)
+ *           items:
+ *             $ref: '#/components/schemas/QuestionPool'
+ *         shuffleQuestions:
+ *           type: boolean
+ *           description: Serve questions in a random order for each attempt
+ *         shuffleOptions:
+ *           type: boolean
+ *           description: Serve answer options in a random order for each attempt
+ *         retakePolicy:
+ *           type: object
+ *           description: Limits on retakes and which score counts toward module prerequisites
+ *           properties:
+ *             maxAttempts:
+ *               type: number
+ *               description: Maximum attempts per learner (null for unlimited); admins can grant extra attempts
+ *             cooldownMinutes:
+ *               type: number
+ *               description: Minimum time between the end of an attempt and the start of the next one
+ *             scoreToKeep:
+ *               type: string
+ *               enum: [best, latest]
+ *               description: Score that counts toward prerequisiteScore
+ *         reviewPolicy:
+ *           type: object
+ *           description: When learners may see correct answers and explanations for a finalized attempt
+ *           properties:
+ *             revealAnswers:
+ *               type: string
+ *               enum: [always, after-passing, after-attempts, never]
+ *             minAttempts:
+ *               type: number
+ *               description: Finalized attempts required when revealAnswers is after-attempts
+ *         isArchived:
+ *           type: boolean
+ *           description: Archived content is hidden from learners but kept for existing progress
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [draft, published]
+ *           description: draft while the working copy has unpublished changes
+ *         version:
+ *           type: number
+ *           description: Latest published version number
+ *         publishedVersion:
+ *           type: number
+ *           description: Version currently served to learners (null if never published)
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -59,6 +198,22 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  */
+const acceptedAnswerSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true
+  },
+  matchType: {
+    type: String,
+    enum: ['normalized', 'exact', 'regex'],
+    default: 'normalized'
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   question: {
     type: String,
@@ -71,17 +226,72 @@ const questionSchema = new mongoose.Schema({
     },
     isCorrect: {
       type: Boolean,
-      required: true
-    }
+      default: false
+    },
+    explanation: {
+      type: String,
+      default: null
+    },
+    ...translationFields('option')
   }],
   type: {
     type: String,
-    enum: ['multiple-choice', 'true-false', 'coding'],
+    enum: ['multiple-choice', 'true-false', 'multi-select', 'short-answer', 'fill-in-the-blank', 'ordering', 'coding'],
     default: 'multiple-choice'
   },
+  acceptedAnswers: [acceptedAnswerSchema],
+  blanks: [{
+    acceptedAnswers: [acceptedAnswerSchema]
+  }],
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  ...autogradingFields,
   points: {
     type: Number,
     default: 1
+  },
+  explanation: {
+    type: String,
+    default: null
+  },
+  ...translationFields('question'),
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  notions: [{
+    type: String,
+    trim: true
+  }],
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const poolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tags: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'A pool needs at least one tag'
+    }
+  },
+  drawCount: {
+    type: Number,
+    required: true,
+    min: 1
   }
 });
 
@@ -100,6 +310,7 @@ const moduleTestSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  ...translationFields('test'),
   timeLimit: {
     type: Number, // in minutes
     default: 30
@@ -111,6 +322,69 @@ const moduleTestSchema = new mongoose.Schema({
     max: 100
   },
   questions: [questionSchema],
+  pools: [poolSchema],
+  shuffleQuestions: {
+    type: Boolean,
+    default: true
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true
+  },
+  retakePolicy: {
+    maxAttempts: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    scoreToKeep: {
+      type: String,
+      enum: ['best', 'latest'],
+      default: 'best'
+    }
+  },
+  reviewPolicy: {
+    revealAnswers: {
+      type: String,
+      enum: ['always', 'after-passing', 'after-attempts', 'never'],
+      default: 'after-passing'
+    },
+    minAttempts: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  publishedVersion: {
+    type: Number,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -127,4 +401,12 @@ moduleTestSchema.pre('save', function(next) {
   next();
 });
 
+// Any content edit puts the document back in draft until it is published again
+moduleTestSchema.pre('save', function(next) {
+  if (isContentEdit(this)) {
+    this.status = 'draft';
+  }
+  next();
+});
+
 module.exports = mongoose.model('ModuleTest', moduleTestSchema);
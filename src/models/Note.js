@@ -0,0 +1,73 @@
+// models/Note.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Note:
+ *       type: object
+ *       description: Private markdown note of a learner, attached to a module, day or exercise
+ *       properties:
+ *         _id:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         dayNumber:
+ *           type: number
+ *           nullable: true
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: Markdown
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const noteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  dayNumber: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: ''
+  },
+  content: {
+    type: String,
+    required: [true, 'Note content is required'],
+    maxlength: [20000, 'Note cannot exceed 20000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+noteSchema.index({ userId: 1, moduleId: 1, dayNumber: 1 });
+// Full-text search is always scoped to one learner
+noteSchema.index({ userId: 1, title: 'text', content: 'text' }, { weights: { title: 3, content: 1 } });
+
+module.exports = mongoose.model('Note', noteSchema);
@@ -0,0 +1,142 @@
+// models/TestAttempt.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestAttempt:
+ *       type: object
+ *       description: Server-side session for one attempt at a module test
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *         moduleTestId:
+ *           type: string
+ *         contentVersion:
+ *           type: number
+ *           description: Published test version served for this attempt
+ *         attemptNumber:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [in-progress, submitted, expired]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         deadline:
+ *           type: string
+ *           format: date-time
+ *           description: Submission deadline (null for untimed tests)
+ *         seed:
+ *           type: number
+ *           description: Seed of the random draw, which reproduces questionOrder for this content version
+ *         questionOrder:
+ *           type: array
+ *           description: Questions drawn and options in the order they were served
+ *           items:
+ *             type: object
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               optionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         answers:
+ *           type: array
+ *           description: Answers saved so far, graded automatically if the attempt expires
+ *           items:
+ *             type: object
+ *         submissionId:
+ *           type: string
+ *           description: Resulting TestSubmission once the attempt is finalized
+ *         finalizedAt:
+ *           type: string
+ *           format: date-time
+ */
+const servedQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  optionIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+}, { _id: false });
+
+const testAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  moduleTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModuleTest',
+    required: true
+  },
+  contentVersion: {
+    type: Number,
+    default: null
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted', 'expired'],
+    default: 'in-progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  seed: {
+    type: Number,
+    required: true
+  },
+  questionOrder: [servedQuestionSchema],
+  answers: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestSubmission',
+    default: null
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+testAttemptSchema.index({ userId: 1, moduleTestId: 1, status: 1 });
+// A learner has at most one running attempt per test, even when starting twice at once
+testAttemptSchema.index(
+  { userId: 1, moduleTestId: 1 },
+  { unique: true, partialFilterExpression: { status: 'in-progress' } }
+);
+
+// Whether the deadline (plus grace period) has passed
+testAttemptSchema.methods.isExpired = function(graceMs = 0, now = new Date()) {
+  return !!this.deadline && now.getTime() > this.deadline.getTime() + graceMs;
+};
+
+module.exports = mongoose.model('TestAttempt', testAttemptSchema);
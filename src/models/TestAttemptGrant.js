@@ -0,0 +1,63 @@
+// models/TestAttemptGrant.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestAttemptGrant:
+ *       type: object
+ *       description: Extra attempts granted by an admin to a learner on a test, on top of the test's maxAttempts
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         moduleTestId:
+ *           type: string
+ *         extraAttempts:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         grantedBy:
+ *           type: string
+ *           description: Admin who granted the attempts
+ *         grantedAt:
+ *           type: string
+ *           format: date-time
+ */
+const testAttemptGrantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModuleTest',
+    required: true
+  },
+  extraAttempts: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+testAttemptGrantSchema.index({ userId: 1, moduleTestId: 1 });
+
+module.exports = mongoose.model('TestAttemptGrant', testAttemptGrantSchema);
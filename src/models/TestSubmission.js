@@ -0,0 +1,202 @@
+// models/TestSubmission.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestAnswerResult:
+ *       type: object
+ *       properties:
+ *         questionId:
+ *           type: string
+ *           description: ID of the answered question
+ *         selectedOptionId:
+ *           type: string
+ *           description: ID of the option selected by the learner
+ *         selectedOptionIds:
+ *           type: array
+ *           description: Options selected for multi-select questions
+ *           items:
+ *             type: string
+ *         textAnswer:
+ *           type: string
+ *           description: Text submitted for short-answer questions
+ *         blankAnswers:
+ *           type: array
+ *           description: Text submitted for each blank of fill-in-the-blank questions
+ *           items:
+ *             type: string
+ *         orderedOptionIds:
+ *           type: array
+ *           description: Option order submitted for ordering questions
+ *           items:
+ *             type: string
+ *         codingAnswer:
+ *           type: string
+ *           description: Code submitted for coding questions
+ *         isCorrect:
+ *           type: boolean
+ *           description: Whether the answer was graded as correct
+ *         pointsEarned:
+ *           type: number
+ *         pointsPossible:
+ *           type: number
+ *         feedback:
+ *           type: object
+ *           description: Per-question feedback from the grader for the question type
+ *     TestSubmission:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: ID of the learner who submitted the test
+ *         moduleId:
+ *           type: string
+ *           description: ID of the module the test belongs to
+ *         moduleTestId:
+ *           type: string
+ *           description: ID of the submitted test
+ *         attemptNumber:
+ *           type: number
+ *           description: Attempt number for this learner and test (starts at 1)
+ *         contentVersion:
+ *           type: number
+ *           description: Published test version the attempt was graded against
+ *         attemptId:
+ *           type: string
+ *           description: TestAttempt session this submission finalized
+ *         autoSubmitted:
+ *           type: boolean
+ *           description: Whether the attempt was graded automatically after its deadline
+ *         answers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TestAnswerResult'
+ *         earnedPoints:
+ *           type: number
+ *         totalPoints:
+ *           type: number
+ *         score:
+ *           type: number
+ *           description: Score as a percentage
+ *         passed:
+ *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+const answerResultSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  selectedOptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  selectedOptionIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined
+  },
+  textAnswer: {
+    type: String,
+    default: null
+  },
+  blankAnswers: {
+    type: [String],
+    default: undefined
+  },
+  orderedOptionIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined
+  },
+  codingAnswer: {
+    type: String,
+    default: null
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pointsPossible: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  feedback: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const testSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  moduleTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModuleTest',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  contentVersion: {
+    type: Number,
+    default: null
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestAttempt',
+    default: null
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  answers: [answerResultSchema],
+  earnedPoints: {
+    type: Number,
+    default: 0
+  },
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  passed: {
+    type: Boolean,
+    required: true
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Attempt history lookups for a learner on a given test
+testSubmissionSchema.index({ userId: 1, moduleTestId: 1, completedAt: -1 });
+
+module.exports = mongoose.model('TestSubmission', testSubmissionSchema);
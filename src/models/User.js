@@ -1,6 +1,7 @@
 // models/User.js - Complete User model with Application ID and Swagger documentation
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_LOCALES } = require('../utils/localization');
 
 /**
  * @swagger
@@ -37,6 +38,18 @@ const bcrypt = require('bcryptjs');
  *           $ref: '#/components/schemas/UserPayment'
  *         security:
  *           $ref: '#/components/schemas/UserSecurity'
+ *         preferences:
+ *           type: object
+ *           properties:
+ *             timezone:
+ *               type: string
+ *               description: IANA time zone used for daily streaks
+ *               example: "Europe/Paris"
+ *             locale:
+ *               type: string
+ *               nullable: true
+ *               enum: [fr, en]
+ *               description: Language curriculum content is served in (null to follow Accept-Language)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -104,14 +117,77 @@ const bcrypt = require('bcryptjs');
  *           description: Test scores for completed modules
  *         totalHoursSpent:
  *           type: number
- *           description: Total hours spent learning (auto-calculated)
+ *           description: Total hours spent learning, from totalTimeSpentSeconds (auto-calculated)
  *           example: 12
+ *         totalTimeSpentSeconds:
+ *           type: number
+ *           description: Active learning time recorded by learning sessions
+ *         timeEntries:
+ *           type: array
+ *           description: Active time per module, day or exercise
+ *           items:
+ *             type: object
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               dayNumber:
+ *                 type: number
+ *                 nullable: true
+ *               exerciseId:
+ *                 type: string
+ *                 nullable: true
+ *               seconds:
+ *                 type: number
  *         notionsMastered:
  *           type: array
  *           items:
  *             type: string
  *           description: List of programming concepts mastered
  *           example: ["git", "variables", "functions"]
+ *         notionMastery:
+ *           type: array
+ *           description: Mastery level per notion, derived from completed days and test answers
+ *           items:
+ *             type: object
+ *             properties:
+ *               notion:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *                 enum: [none, introduced, practicing, mastered]
+ *               score:
+ *                 type: number
+ *               masteredAt:
+ *                 type: string
+ *                 format: date-time
+ *         streak:
+ *           type: object
+ *           description: Consecutive days with progress activity, in the user's time zone
+ *           properties:
+ *             current:
+ *               type: number
+ *             longest:
+ *               type: number
+ *             lastActiveDate:
+ *               type: string
+ *               description: Local date (YYYY-MM-DD) of the last activity
+ *               example: "2025-05-30"
+ *         achievements:
+ *           type: array
+ *           description: Badges earned
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: "first-day"
+ *               moduleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Module the badge was earned in (per-module badges)
+ *               earnedAt:
+ *                 type: string
+ *                 format: date-time
  *     
  *     ModuleProgress:
  *       type: object
@@ -142,6 +218,15 @@ const bcrypt = require('bcryptjs');
  *           type: number
  *           description: Last day accessed in the module
  *           example: 3
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the learner started a day or completed an exercise or day of the module
+ *           example: "2025-05-03T09:15:00Z"
+ *         contentVersion:
+ *           type: number
+ *           description: Published module version the learner last worked against
+ *           example: 2
  *         days:
  *           type: array
  *           items:
@@ -173,6 +258,10 @@ const bcrypt = require('bcryptjs');
  *           format: date-time
  *           description: When the day was completed
  *           example: "2025-05-01T16:30:00Z"
+ *         contentVersion:
+ *           type: number
+ *           description: Published day version the learner last worked against
+ *           example: 1
  *         exercises:
  *           type: array
  *           items:
@@ -195,6 +284,12 @@ const bcrypt = require('bcryptjs');
  *           format: date-time
  *           description: When the exercise was completed
  *           example: "2025-05-01T14:15:00Z"
+ *         hintsRevealedAt:
+ *           type: array
+ *           description: When each hint of the exercise was revealed, in hint order (its length is the number of hints used)
+ *           items:
+ *             type: string
+ *             format: date-time
  *     
  *     TestScore:
  *       type: object
@@ -212,13 +307,22 @@ const bcrypt = require('bcryptjs');
  *         passedAt:
  *           type: string
  *           format: date-time
- *           description: When the test was passed
+ *           description: When the test was first passed (null while not passed)
  *           example: "2025-05-01T18:00:00Z"
  *         attempts:
  *           type: number
  *           minimum: 1
  *           description: Number of test attempts
  *           example: 2
+ *         lastScore:
+ *           type: number
+ *           description: Score of the most recent attempt
+ *           example: 70
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the most recent attempt was submitted
+ *           example: "2025-05-01T18:00:00Z"
  *     
  *     UserBetaAccess:
  *       type: object
@@ -629,6 +733,14 @@ const userSchema = new mongoose.Schema({
         default: 1,
         min: [1, 'Day number must be at least 1']
       },
+      lastAccessedAt: {
+        type: Date,
+        default: null
+      },
+      contentVersion: {
+        type: Number,
+        default: null
+      },
       days: [{
         dayNumber: {
           type: Number,
@@ -645,6 +757,10 @@ const userSchema = new mongoose.Schema({
           default: false
         },
         completedAt: Date,
+        contentVersion: {
+          type: Number,
+          default: null
+        },
         exercises: [{
           exerciseId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -654,7 +770,8 @@ const userSchema = new mongoose.Schema({
             type: Boolean,
             default: false
           },
-          completedAt: Date
+          completedAt: Date,
+          hintsRevealedAt: [Date]
         }]
       }]
     }],
@@ -674,10 +791,10 @@ const userSchema = new mongoose.Schema({
       },
       passedAt: {
         type: Date,
-        required: true,
+        default: null,
         validate: {
           validator: function(v) {
-            return v <= new Date();
+            return !v || v <= new Date();
           },
           message: 'Pass date cannot be in the future'
         }
@@ -686,9 +803,51 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 1,
         min: [1, 'Attempts must be at least 1']
-      }
+      },
+      lastScore: {
+        type: Number,
+        min: [0, 'Score cannot be negative'],
+        max: [100, 'Score cannot exceed 100']
+      },
+      lastAttemptAt: Date
     }],
     
+    // Time on task, recorded by learning-session heartbeats. Each entry is
+    // the time spent on the most specific scope (exercise, else day, else
+    // module); day and module totals are sums of the matching entries.
+    timeEntries: [{
+      _id: false,
+      moduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module',
+        required: true
+      },
+      dayNumber: {
+        type: Number,
+        default: null
+      },
+      exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      seconds: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      updatedAt: Date
+    }],
+    totalTimeSpentSeconds: {
+      type: Number,
+      default: 0,
+      min: [0, 'Time cannot be negative']
+    },
+    // Time before this has been credited; keeps parallel tabs from counting twice
+    lastCreditedAt: {
+      type: Date,
+      default: null
+    },
+    
     // Calculated fields
     totalHoursSpent: {
       type: Number,
@@ -700,9 +859,101 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true,
       lowercase: true
+    }],
+    
+    // Mastery level per notion, derived from completed days and test answers
+    notionMastery: [{
+      _id: false,
+      notion: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+      },
+      level: {
+        type: String,
+        enum: ['none', 'introduced', 'practicing', 'mastered'],
+        default: 'none'
+      },
+      score: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+      },
+      masteredAt: {
+        type: Date,
+        default: null
+      },
+      updatedAt: Date
+    }],
+    
+    // Consecutive days with progress activity, in the user's time zone
+    streak: {
+      current: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      longest: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Local calendar date (YYYY-MM-DD) of the last activity
+      lastActiveDate: {
+        type: String,
+        default: null
+      }
+    },
+    
+    // Badges earned; per-module badges carry the module ID
+    achievements: [{
+      _id: false,
+      key: {
+        type: String,
+        required: true
+      },
+      moduleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module',
+        default: null
+      },
+      earnedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   
+  // ===========================================
+  // PREFERENCES
+  // ===========================================
+  preferences: {
+    // IANA time zone, used to decide where a learning day starts and ends
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: function(v) {
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: v });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Invalid time zone'
+      }
+    },
+    // Language curriculum content is served in; null follows the browser's Accept-Language
+    locale: {
+      type: String,
+      enum: [null, ...SUPPORTED_LOCALES],
+      default: null
+    }
+  },
+  
   // ===========================================
   // BETA ACCESS MANAGEMENT
   // ===========================================
@@ -953,54 +1204,34 @@ userSchema.virtual('completionRate').get(function() {
 // INSTANCE METHODS
 // ===========================================
 
-// Check if user has access to a specific module
-userSchema.methods.hasAccessToModule = function(moduleId, moduleAccessLevel) {
-  // Admin has access to everything
-  if (this.role === 'admin') {
-    return true;
-  }
-  
-  // Check if the module is a free module
-  if (moduleAccessLevel === 'free') {
-    return true;
-  }
-  
-  // Check if module requires beta access
-  if (moduleAccessLevel === 'beta') {
-    return this.role === 'beta' || this.role === 'admin';
-  }
-  
-  // Check if module requires payment
-  if (moduleAccessLevel === 'premium') {
-    return this.payment.hasPaidAccess;
-  }
-  
-  // Check if prerequisite modules are completed with passing scores
-  if (this.progress && this.progress.testScores) {
-    const testScore = this.progress.testScores.find(ts => 
-      ts.moduleId.toString() === moduleId.toString());
-    
-    return testScore && testScore.score >= 60;
+// Check if user has access to a specific module (delegates to the access policy engine)
+userSchema.methods.hasAccessToModule = async function(moduleId) {
+  // Required lazily: the engine loads models that depend on this one
+  const { findPublishedModuleById } = require('../utils/publishedContent');
+  const { evaluateModuleAccess } = require('../utils/accessPolicy');
+
+  const module = await findPublishedModuleById(moduleId);
+  if (!module) {
+    return false;
   }
-  
-  return false;
+
+  const decision = await evaluateModuleAccess(this, module);
+  return decision.allowed;
 };
 
-// Calculate total hours spent learning
+// Calculate total hours spent learning from the recorded active time
 userSchema.methods.calculateTotalHoursSpent = function() {
-  // Each completed day counts as 1 hour (simplified model)
-  let totalDays = 0;
-  
-  this.progress.modules.forEach(module => {
-    module.days.forEach(day => {
-      if (day.completed) {
-        totalDays++;
-      }
-    });
-  });
-  
-  this.progress.totalHoursSpent = totalDays;
-  return totalDays;
+  this.progress.totalHoursSpent = Math.round((this.progress.totalTimeSpentSeconds || 0) / 360) / 10;
+  return this.progress.totalHoursSpent;
+};
+
+// Active time (seconds) on a module, optionally narrowed to a day and an exercise
+userSchema.methods.getTimeSpent = function(moduleId, dayNumber = null, exerciseId = null) {
+  return (this.progress.timeEntries || [])
+    .filter(entry => entry.moduleId.toString() === moduleId.toString() &&
+      (dayNumber === null || entry.dayNumber === dayNumber) &&
+      (exerciseId === null || (entry.exerciseId && entry.exerciseId.toString() === exerciseId.toString())))
+    .reduce((total, entry) => total + entry.seconds, 0);
 };
 
 // Get beta application status
@@ -1017,7 +1248,7 @@ userSchema.methods.getBetaApplicationStatus = function() {
 };
 
 // Add progress for a module
-userSchema.methods.addModuleProgress = function(moduleId) {
+userSchema.methods.addModuleProgress = function(moduleId, contentVersion = null) {
   const existingProgress = this.progress.modules.find(
     m => m.moduleId.toString() === moduleId.toString()
   );
@@ -1029,15 +1260,19 @@ userSchema.methods.addModuleProgress = function(moduleId) {
       startedAt: new Date(),
       completed: false,
       lastAccessedDay: 1,
+      lastAccessedAt: new Date(),
+      contentVersion,
       days: []
     });
+  } else if (contentVersion !== null) {
+    existingProgress.contentVersion = contentVersion;
   }
   
   return this.save();
 };
 
 // Complete a day in a module
-userSchema.methods.completeDayInModule = function(moduleId, dayNumber) {
+userSchema.methods.completeDayInModule = function(moduleId, dayNumber, contentVersion = null) {
   const moduleProgress = this.progress.modules.find(
     m => m.moduleId.toString() === moduleId.toString()
   );
@@ -1055,37 +1290,222 @@ userSchema.methods.completeDayInModule = function(moduleId, dayNumber) {
       startedAt: new Date(),
       completed: true,
       completedAt: new Date(),
+      contentVersion,
       exercises: []
     };
     moduleProgress.days.push(dayProgress);
   } else {
     dayProgress.completed = true;
     dayProgress.completedAt = new Date();
+    if (contentVersion !== null) {
+      dayProgress.contentVersion = contentVersion;
+    }
   }
   
   moduleProgress.lastAccessedDay = Math.max(moduleProgress.lastAccessedDay, dayNumber);
+  moduleProgress.lastAccessedAt = new Date();
   
   return this.save();
 };
 
-// Add test score
-userSchema.methods.addTestScore = function(moduleId, score, attempts = 1) {
+// Get progress entry for a module (undefined if not started)
+userSchema.methods.getModuleProgress = function(moduleId) {
+  return this.progress.modules.find(
+    m => m.moduleId && m.moduleId.toString() === moduleId.toString()
+  );
+};
+
+// Start a day in a module, starting the module itself if needed
+userSchema.methods.startDayInModule = function(moduleId, dayNumber, dayVersion = null, moduleVersion = null) {
+  let moduleProgress = this.getModuleProgress(moduleId);
+
+  if (!moduleProgress) {
+    this.progress.modules.push({
+      moduleId,
+      started: true,
+      startedAt: new Date(),
+      completed: false,
+      lastAccessedDay: dayNumber,
+      lastAccessedAt: new Date(),
+      contentVersion: moduleVersion,
+      days: []
+    });
+    moduleProgress = this.progress.modules[this.progress.modules.length - 1];
+  } else if (moduleVersion !== null) {
+    moduleProgress.contentVersion = moduleVersion;
+  }
+
+  let dayProgress = moduleProgress.days.find(d => d.dayNumber === dayNumber);
+
+  if (!dayProgress) {
+    moduleProgress.days.push({
+      dayNumber,
+      started: true,
+      startedAt: new Date(),
+      completed: false,
+      contentVersion: dayVersion,
+      exercises: []
+    });
+  } else {
+    if (!dayProgress.started) {
+      dayProgress.started = true;
+      dayProgress.startedAt = new Date();
+    }
+    if (dayVersion !== null) {
+      dayProgress.contentVersion = dayVersion;
+    }
+  }
+
+  moduleProgress.lastAccessedDay = dayNumber;
+  moduleProgress.lastAccessedAt = new Date();
+
+  return this.save();
+};
+
+// Complete an exercise; the day is completed once all of its exercises are done
+userSchema.methods.completeExerciseInDay = function(moduleId, dayNumber, exerciseId, dayExerciseIds = [], contentVersion = null) {
+  const moduleProgress = this.getModuleProgress(moduleId);
+
+  if (!moduleProgress) {
+    throw new Error('Module progress not found');
+  }
+
+  const dayProgress = moduleProgress.days.find(d => d.dayNumber === dayNumber);
+
+  if (!dayProgress) {
+    throw new Error('Day progress not found');
+  }
+
+  const exerciseProgress = dayProgress.exercises.find(
+    e => e.exerciseId.toString() === exerciseId.toString()
+  );
+
+  if (!exerciseProgress) {
+    dayProgress.exercises.push({
+      exerciseId,
+      completed: true,
+      completedAt: new Date()
+    });
+  } else if (!exerciseProgress.completed) {
+    exerciseProgress.completed = true;
+    exerciseProgress.completedAt = new Date();
+  }
+
+  const allExercisesDone = dayExerciseIds.every(id => dayProgress.exercises.some(
+    e => e.completed && e.exerciseId.toString() === id.toString()
+  ));
+
+  if (allExercisesDone && !dayProgress.completed) {
+    dayProgress.completed = true;
+    dayProgress.completedAt = new Date();
+  }
+
+  if (contentVersion !== null) {
+    dayProgress.contentVersion = contentVersion;
+  }
+
+  moduleProgress.lastAccessedDay = dayNumber;
+  moduleProgress.lastAccessedAt = new Date();
+
+  return this.save();
+};
+
+// Record that the next hint of an exercise was revealed (up to the hints it has)
+userSchema.methods.revealExerciseHint = function(moduleId, dayNumber, exerciseId, hintCount) {
+  const moduleProgress = this.getModuleProgress(moduleId);
+  const dayProgress = moduleProgress && moduleProgress.days.find(d => d.dayNumber === dayNumber);
+
+  if (!dayProgress) {
+    throw new Error('Day progress not found');
+  }
+
+  let exerciseProgress = dayProgress.exercises.find(
+    e => e.exerciseId.toString() === exerciseId.toString()
+  );
+
+  if (!exerciseProgress) {
+    dayProgress.exercises.push({ exerciseId, completed: false, hintsRevealedAt: [] });
+    exerciseProgress = dayProgress.exercises[dayProgress.exercises.length - 1];
+  }
+
+  if (exerciseProgress.hintsRevealedAt.length < hintCount) {
+    exerciseProgress.hintsRevealedAt.push(new Date());
+  }
+
+  moduleProgress.lastAccessedDay = dayNumber;
+  moduleProgress.lastAccessedAt = new Date();
+
+  return this.save();
+};
+
+// Derive module completion from the day numbers the module actually has
+userSchema.methods.refreshModuleCompletion = function(moduleId, dayNumbers) {
+  const moduleProgress = this.getModuleProgress(moduleId);
+
+  if (!moduleProgress) {
+    return Promise.resolve(this);
+  }
+
+  const allDaysDone = dayNumbers.length > 0 && dayNumbers.every(dayNumber =>
+    moduleProgress.days.some(d => d.dayNumber === dayNumber && d.completed)
+  );
+
+  if (allDaysDone && !moduleProgress.completed) {
+    moduleProgress.completed = true;
+    moduleProgress.completedAt = new Date();
+  } else if (!allDaysDone && moduleProgress.completed) {
+    // Days were added to the module after it was completed
+    moduleProgress.completed = false;
+    moduleProgress.completedAt = undefined;
+  }
+
+  return this.save();
+};
+
+// Store computed notion mastery; notionsMastered lists the mastered notions
+userSchema.methods.setNotionMastery = function(entries) {
+  const now = new Date();
+  const previous = new Map(this.progress.notionMastery.map(m => [m.notion, m]));
+
+  this.progress.notionMastery = entries.map(({ notion, level, score }) => {
+    const before = previous.get(notion);
+    const wasMastered = before && before.level === 'mastered';
+    return {
+      notion,
+      level,
+      score,
+      masteredAt: level === 'mastered' ? (wasMastered ? before.masteredAt : now) : null,
+      updatedAt: now
+    };
+  });
+  this.progress.notionsMastered = entries.filter(m => m.level === 'mastered').map(m => m.notion);
+
+  return this.save();
+};
+
+// Add test score (keeps the best score and records when the test was first passed)
+userSchema.methods.addTestScore = function(moduleId, score, attempts = 1, passingScore = 60) {
   const existingScore = this.progress.testScores.find(
     ts => ts.moduleId.toString() === moduleId.toString()
   );
+  const passed = score >= passingScore;
   
   if (existingScore) {
     existingScore.score = Math.max(existingScore.score, score);
     existingScore.attempts += attempts;
-    if (score >= 60) {
+    existingScore.lastScore = score;
+    existingScore.lastAttemptAt = new Date();
+    if (passed && !existingScore.passedAt) {
       existingScore.passedAt = new Date();
     }
   } else {
     this.progress.testScores.push({
       moduleId,
       score,
-      passedAt: score >= 60 ? new Date() : null,
-      attempts
+      passedAt: passed ? new Date() : null,
+      attempts,
+      lastScore: score,
+      lastAttemptAt: new Date()
     });
   }
   
@@ -1262,8 +1682,8 @@ userSchema.pre('save', async function(next) {
     this.betaAccess.application.applicationId = new mongoose.Types.ObjectId().toString();
   }
   
-  // Calculate total hours spent if modules are modified
-  if (this.isModified('progress.modules')) {
+  // Keep total hours in line with the recorded time
+  if (this.isModified('progress.totalTimeSpentSeconds')) {
     this.calculateTotalHoursSpent();
   }
   
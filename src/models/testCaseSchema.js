@@ -0,0 +1,73 @@
+// models/testCaseSchema.js
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestCase:
+ *       type: object
+ *       description: Autograder test case shared by exercises and coding questions
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         stdin:
+ *           type: string
+ *           description: Data written to the program's standard input
+ *         args:
+ *           type: array
+ *           description: Command-line arguments
+ *           items:
+ *             type: string
+ *         expectedOutput:
+ *           type: string
+ *           description: Expected standard output (trailing whitespace is ignored)
+ *         expectedExitCode:
+ *           type: number
+ *           description: Expected exit code (null to ignore it)
+ *         isHidden:
+ *           type: boolean
+ *           description: Hidden test cases are never sent to learners and only report pass/fail
+ */
+const testCaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  stdin: {
+    type: String,
+    default: ''
+  },
+  args: [{
+    type: String
+  }],
+  expectedOutput: {
+    type: String,
+    default: ''
+  },
+  expectedExitCode: {
+    type: Number,
+    default: 0
+  },
+  isHidden: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Autograding fields added to exercises and coding questions
+const autogradingFields = {
+  language: {
+    type: String,
+    enum: [null, 'bash', 'c'],
+    default: null,
+    required: function() {
+      return this.testCases && this.testCases.length > 0;
+    }
+  },
+  testCases: [testCaseSchema]
+};
+
+module.exports = { testCaseSchema, autogradingFields };
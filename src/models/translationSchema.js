@@ -0,0 +1,31 @@
+// models/translationSchema.js
+const { SUPPORTED_LOCALES, LOCALIZED_FIELDS } = require('../utils/localization');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Translations:
+ *       type: object
+ *       description: Per-locale variants of the learner-facing text fields (admin views only; learners receive the text in their locale, falling back to the original field)
+ *       properties:
+ *         fr:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { title: "Les variables" }
+ *         en:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ */
+
+// Translations of the learner-facing fields of a kind of content (see utils/localization.js)
+const translationFields = (kind) => ({
+  translations: Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+    locale,
+    Object.fromEntries(LOCALIZED_FIELDS[kind].map(field => [field, { type: String, trim: true }]))
+  ]))
+});
+
+module.exports = { translationFields };
@@ -0,0 +1,2502 @@
+// routes/adminContent.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Module = require('../models/Module');
+const ModuleDay = require('../models/ModuleDay');
+const ModuleTest = require('../models/ModuleTest');
+const ContentVersion = require('../models/ContentVersion');
+const TestAttemptGrant = require('../models/TestAttemptGrant');
+const Cohort = require('../models/Cohort');
+const User = require('../models/User');
+const verifyToken = require('../middleware/verifyToken');
+const { checkRole } = require('../middleware/checkRoleAccess');
+const {
+  findPrerequisiteCycle,
+  hasModuleProgress,
+  hasDayProgress,
+  hasExerciseProgress,
+  hasTestSubmissions
+} = require('../utils/contentIntegrity');
+const {
+  takeSnapshot,
+  publishContent,
+  rollbackContent,
+  diffSnapshots
+} = require('../utils/contentVersioning');
+const { validatePools } = require('../utils/questionPools');
+const { validateQuestion } = require('../utils/graders');
+const { getAttemptAllowance } = require('../utils/testPolicy');
+const { findPublishedTest } = require('../utils/publishedContent');
+const { getPrerequisites } = require('../utils/curriculumGraph');
+const { exportCurriculum, importCurriculum } = require('../utils/curriculumBundle');
+const { createZip, readZip } = require('../utils/zipArchive');
+const { BASE_LOCALE, computeTranslationCompleteness } = require('../utils/localization');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Content
+ *   description: Curriculum management for modules, days, exercises and tests (admin only). Edits change the draft working copy; learners only see published versions.
+ */
+
+const MODULE_FIELDS = ['name', 'slug', 'description', 'order', 'isPaid', 'accessLevel', 'requiredEntitlements', 'roleAccess', 'prerequisites', 'prerequisiteModule', 'prerequisiteScore', 'notions', 'releaseSchedule', 'translations'];
+const DAY_FIELDS = ['dayNumber', 'title', 'description', 'notions', 'releaseOffsetDays', 'translations'];
+const EXERCISE_FIELDS = ['title', 'description', 'content', 'order', 'language', 'testCases', 'hints', 'hintPenalty', 'translations'];
+const TEST_FIELDS = ['title', 'description', 'timeLimit', 'passingScore', 'pools', 'shuffleQuestions', 'shuffleOptions', 'reviewPolicy', 'retakePolicy', 'translations'];
+const QUESTION_FIELDS = ['question', 'options', 'type', 'points', 'explanation', 'tags', 'notions', 'acceptedAnswers', 'blanks', 'partialCredit', 'language', 'testCases', 'translations'];
+
+// Copy only the whitelisted fields present in the request body
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source && source[field] !== undefined) {
+    result[field] = source[field];
+  }
+  return result;
+}, {});
+
+// Apply archive/restore flags sent alongside an update
+const applyArchiveFlag = (doc, body) => {
+  if (body && body.isArchived === false && doc.isArchived) {
+    doc.isArchived = false;
+    doc.archivedAt = null;
+  }
+};
+
+const archive = (doc) => {
+  doc.isArchived = true;
+  doc.archivedAt = new Date();
+};
+
+// Map validation and duplicate-key errors to client errors
+const handleContentError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {}).join(', ') || 'value';
+    return res.status(409).json({ success: false, message: `A document with this ${field} already exists` });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Validate the prerequisites sent for a module and fold the legacy single
+// prerequisite into the list, so updated modules keep one source of truth.
+// Every prerequisite must exist, be listed once and not create a cycle.
+const normalizePrerequisites = async (module, data) => {
+  if (data.prerequisites === undefined && data.prerequisiteModule === undefined) {
+    return null;
+  }
+  if (data.prerequisites !== undefined && !Array.isArray(data.prerequisites)) {
+    return 'prerequisites must be an array';
+  }
+
+  const current = module || {};
+  const prerequisites = getPrerequisites({
+    prerequisites: data.prerequisites !== undefined ? data.prerequisites : current.prerequisites,
+    prerequisiteModule: data.prerequisiteModule !== undefined ? data.prerequisiteModule : current.prerequisiteModule,
+    prerequisiteScore: data.prerequisiteScore !== undefined ? data.prerequisiteScore : current.prerequisiteScore
+  });
+  const ids = prerequisites.map(p => p.moduleId);
+
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return 'Invalid prerequisite module ID';
+  }
+  if (new Set(ids.map(String)).size !== ids.length) {
+    return 'A module can only be listed once as a prerequisite';
+  }
+  if (module && ids.some(id => id.toString() === module._id.toString())) {
+    return 'A module cannot be its own prerequisite';
+  }
+  if (await Module.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    return 'Prerequisite module not found';
+  }
+  const cycle = module ? await findPrerequisiteCycle(module._id, ids) : null;
+  if (cycle) {
+    return `Prerequisite would create a cycle: ${cycle.join(' -> ')}`;
+  }
+
+  data.prerequisites = prerequisites;
+  data.prerequisiteModule = null;
+  delete data.prerequisiteScore;
+  return null;
+};
+
+// ===========================================
+// MODULES
+// ===========================================
+
+/**
+ * @swagger
+ * /api/admin/content/modules:
+ *   get:
+ *     summary: List all modules, including archived ones
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Modules ordered by display order
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const modules = await Module.find().sort({ order: 1 });
+    res.status(200).json({ success: true, modules });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching modules');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules:
+ *   post:
+ *     summary: Create a module
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, slug, description, order]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: number
+ *               isPaid:
+ *                 type: boolean
+ *               prerequisites:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [moduleId]
+ *                   properties:
+ *                     moduleId:
+ *                       type: string
+ *                     minScore:
+ *                       type: number
+ *                       default: 60
+ *               prerequisiteModule:
+ *                 type: string
+ *                 deprecated: true
+ *                 description: Single prerequisite, folded into prerequisites on save
+ *               prerequisiteScore:
+ *                 type: number
+ *                 deprecated: true
+ *               notions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               accessLevel:
+ *                 type: string
+ *                 enum: [free, standard, restricted]
+ *               requiredEntitlements:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               roleAccess:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               releaseSchedule:
+ *                 type: object
+ *                 properties:
+ *                   mode:
+ *                     type: string
+ *                     enum: [immediate, relative, cohort]
+ *                   intervalDays:
+ *                     type: number
+ *               translations:
+ *                 $ref: '#/components/schemas/Translations'
+ *     responses:
+ *       201:
+ *         description: Module created
+ *       400:
+ *         description: Invalid module data, or a prerequisite that is missing, duplicated or creates a cycle
+ *       409:
+ *         description: Name or slug already in use
+ *       500:
+ *         description: Server error
+ */
+router.post('/modules', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const data = pick(req.body, MODULE_FIELDS);
+
+    const prerequisiteError = await normalizePrerequisites(null, data);
+    if (prerequisiteError) {
+      return res.status(400).json({ success: false, message: prerequisiteError });
+    }
+
+    const module = await Module.create(data);
+    res.status(201).json({ success: true, module });
+  } catch (error) {
+    handleContentError(res, error, 'Error creating module');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}:
+ *   get:
+ *     summary: Get a module with its days and test
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Module, days (including archived) and test with answers
+ *       404:
+ *         description: Module not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const [days, test] = await Promise.all([
+      ModuleDay.find({ moduleId: module._id }).sort({ dayNumber: 1 }),
+      ModuleTest.findOne({ moduleId: module._id })
+    ]);
+
+    res.status(200).json({ success: true, module, days, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching module');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}:
+ *   put:
+ *     summary: Update a module
+ *     description: Send `isArchived false` to restore an archived module.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Module'
+ *     responses:
+ *       200:
+ *         description: Module updated
+ *       400:
+ *         description: Invalid module data, or a prerequisite that is missing, duplicated or creates a cycle
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: Name or slug already in use
+ *       500:
+ *         description: Server error
+ */
+router.put('/modules/:moduleId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const data = pick(req.body, MODULE_FIELDS);
+
+    const prerequisiteError = await normalizePrerequisites(module, data);
+    if (prerequisiteError) {
+      return res.status(400).json({ success: false, message: prerequisiteError });
+    }
+
+    module.set(data);
+    applyArchiveFlag(module, req.body);
+    await module.save();
+
+    res.status(200).json({ success: true, module });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating module');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}:
+ *   delete:
+ *     summary: Delete or archive a module
+ *     description: Deleting also removes the module's days and test. Modules with learner progress, or that other modules depend on, can only be archived.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the module instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Module deleted or archived
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: Module has learner progress or dependent modules
+ *       500:
+ *         description: Server error
+ */
+router.delete('/modules/:moduleId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    if (req.query.archive === 'true') {
+      archive(module);
+      await module.save();
+      return res.status(200).json({ success: true, message: 'Module archived', module });
+    }
+
+    if (await hasModuleProgress(module._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Learners have progress on this module; archive it instead'
+      });
+    }
+
+    const dependents = await Module.find({
+      $or: [{ prerequisiteModule: module._id }, { 'prerequisites.moduleId': module._id }]
+    }).select('slug');
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Other modules require this module as a prerequisite',
+        dependents: dependents.map(m => m.slug)
+      });
+    }
+
+    await Promise.all([
+      ModuleDay.deleteMany({ moduleId: module._id }),
+      ModuleTest.deleteOne({ moduleId: module._id }),
+      module.deleteOne()
+    ]);
+
+    res.status(200).json({ success: true, message: 'Module deleted' });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting module');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}/translations:
+ *   get:
+ *     summary: Translation completeness of a module
+ *     description: >
+ *       Counts the learner-facing texts of the module's working copy (module, days, exercises,
+ *       hints, test, questions and options) that have a variant in each locale other than the
+ *       original one, and lists the missing ones. Archived content and blank fields are left out.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Completeness per locale
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 moduleId:
+ *                   type: string
+ *                 baseLocale:
+ *                   type: string
+ *                   description: Language of the original fields
+ *                 locales:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       locale:
+ *                         type: string
+ *                       total:
+ *                         type: number
+ *                       translated:
+ *                         type: number
+ *                       missing:
+ *                         type: number
+ *                       completeness:
+ *                         type: number
+ *                         description: Percentage of translated texts
+ *                       missingFields:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             contentType:
+ *                               type: string
+ *                               enum: [module, day, exercise, hint, test, question, option]
+ *                             dayNumber:
+ *                               type: number
+ *                             exerciseId:
+ *                               type: string
+ *                             hintIndex:
+ *                               type: number
+ *                             questionId:
+ *                               type: string
+ *                             optionId:
+ *                               type: string
+ *                             field:
+ *                               type: string
+ *       404:
+ *         description: Module not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/translations', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId).lean();
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const [days, test] = await Promise.all([
+      ModuleDay.find({ moduleId: module._id }).sort({ dayNumber: 1 }).lean(),
+      ModuleTest.findOne({ moduleId: module._id }).lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      moduleId: module._id,
+      baseLocale: BASE_LOCALE,
+      locales: computeTranslationCompleteness(module, days, test)
+    });
+  } catch (error) {
+    handleContentError(res, error, 'Error computing translation completeness');
+  }
+});
+
+// ===========================================
+// DAYS
+// ===========================================
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}/days:
+ *   get:
+ *     summary: List the days of a module, including archived ones
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Days ordered by day number
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/days', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const days = await ModuleDay.find({ moduleId: req.params.moduleId }).sort({ dayNumber: 1 });
+    res.status(200).json({ success: true, days });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching module days');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}/days:
+ *   post:
+ *     summary: Add a day to a module
+ *     description: The day number defaults to the next free number. Exercises may be sent inline.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModuleDay'
+ *     responses:
+ *       201:
+ *         description: Day created
+ *       400:
+ *         description: Invalid day data
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: Day number already used in this module
+ *       500:
+ *         description: Server error
+ */
+router.post('/modules/:moduleId/days', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const data = pick(req.body, DAY_FIELDS);
+
+    if (data.dayNumber === undefined) {
+      const lastDay = await ModuleDay.findOne({ moduleId: module._id }).sort({ dayNumber: -1 });
+      data.dayNumber = lastDay ? lastDay.dayNumber + 1 : 1;
+    } else if (await ModuleDay.exists({ moduleId: module._id, dayNumber: data.dayNumber })) {
+      return res.status(409).json({
+        success: false,
+        message: `Day ${data.dayNumber} already exists in this module`
+      });
+    }
+
+    const exercises = Array.isArray(req.body.exercises) ? req.body.exercises : [];
+    data.exercises = exercises.map((exercise, index) => ({
+      ...pick(exercise, EXERCISE_FIELDS),
+      order: exercise.order !== undefined ? exercise.order : index + 1
+    }));
+
+    const day = await ModuleDay.create({ ...data, moduleId: module._id });
+    res.status(201).json({ success: true, day });
+  } catch (error) {
+    handleContentError(res, error, 'Error creating module day');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}:
+ *   put:
+ *     summary: Update a module day
+ *     description: The day number cannot change once learners have progress on the day. Send `isArchived false` to restore an archived day.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dayNumber:
+ *                 type: number
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               notions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Day updated
+ *       400:
+ *         description: Invalid day data
+ *       404:
+ *         description: Day not found
+ *       409:
+ *         description: Day number already used or day has learner progress
+ *       500:
+ *         description: Server error
+ */
+router.put('/days/:dayId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    if (!day) {
+      return res.status(404).json({ success: false, message: 'Module day not found' });
+    }
+
+    const data = pick(req.body, DAY_FIELDS);
+
+    if (data.dayNumber !== undefined && data.dayNumber !== day.dayNumber) {
+      // Progress is keyed by day number, so renumbering would orphan it
+      if (await hasDayProgress(day.moduleId, day.dayNumber)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Learners have progress on this day; its number cannot change'
+        });
+      }
+      if (await ModuleDay.exists({ moduleId: day.moduleId, dayNumber: data.dayNumber })) {
+        return res.status(409).json({
+          success: false,
+          message: `Day ${data.dayNumber} already exists in this module`
+        });
+      }
+    }
+
+    day.set(data);
+    applyArchiveFlag(day, req.body);
+    await day.save();
+
+    res.status(200).json({ success: true, day });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating module day');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}:
+ *   delete:
+ *     summary: Delete or archive a module day
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the day instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Day deleted or archived
+ *       404:
+ *         description: Day not found
+ *       409:
+ *         description: Day has learner progress
+ *       500:
+ *         description: Server error
+ */
+router.delete('/days/:dayId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    if (!day) {
+      return res.status(404).json({ success: false, message: 'Module day not found' });
+    }
+
+    if (req.query.archive === 'true') {
+      archive(day);
+      await day.save();
+      return res.status(200).json({ success: true, message: 'Module day archived', day });
+    }
+
+    if (await hasDayProgress(day.moduleId, day.dayNumber)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Learners have progress on this day; archive it instead'
+      });
+    }
+
+    await day.deleteOne();
+    res.status(200).json({ success: true, message: 'Module day deleted' });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting module day');
+  }
+});
+
+// ===========================================
+// EXERCISES
+// ===========================================
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}/exercises:
+ *   post:
+ *     summary: Add an exercise to a day
+ *     description: The order defaults to after the last exercise.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Exercise'
+ *     responses:
+ *       201:
+ *         description: Exercise created; returns the updated day
+ *       400:
+ *         description: Invalid exercise data
+ *       404:
+ *         description: Day not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/days/:dayId/exercises', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    if (!day) {
+      return res.status(404).json({ success: false, message: 'Module day not found' });
+    }
+
+    const data = pick(req.body, EXERCISE_FIELDS);
+    if (data.order === undefined) {
+      data.order = day.exercises.reduce((max, e) => Math.max(max, e.order), 0) + 1;
+    }
+
+    day.exercises.push(data);
+    day.exercises.sort((a, b) => a.order - b.order);
+    await day.save();
+
+    res.status(201).json({ success: true, day });
+  } catch (error) {
+    handleContentError(res, error, 'Error creating exercise');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}/exercises/order:
+ *   put:
+ *     summary: Reorder the exercises of a day
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [exerciseIds]
+ *             properties:
+ *               exerciseIds:
+ *                 type: array
+ *                 description: Every exercise ID of the day, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Exercises reordered; returns the updated day
+ *       400:
+ *         description: The IDs do not match the day's exercises
+ *       404:
+ *         description: Day not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/days/:dayId/exercises/order', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    if (!day) {
+      return res.status(404).json({ success: false, message: 'Module day not found' });
+    }
+
+    const { exerciseIds } = req.body;
+    const currentIds = day.exercises.map(e => e._id.toString());
+
+    if (!Array.isArray(exerciseIds) ||
+        exerciseIds.length !== currentIds.length ||
+        new Set(exerciseIds).size !== exerciseIds.length ||
+        !exerciseIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'exerciseIds must list every exercise of the day exactly once'
+      });
+    }
+
+    exerciseIds.forEach((id, index) => {
+      day.exercises.id(id).order = index + 1;
+    });
+    day.exercises.sort((a, b) => a.order - b.order);
+    await day.save();
+
+    res.status(200).json({ success: true, day });
+  } catch (error) {
+    handleContentError(res, error, 'Error reordering exercises');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}/exercises/{exerciseId}:
+ *   put:
+ *     summary: Update an exercise
+ *     description: Send `isArchived false` to restore an archived exercise.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exerciseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Exercise'
+ *     responses:
+ *       200:
+ *         description: Exercise updated; returns the updated day
+ *       400:
+ *         description: Invalid exercise data
+ *       404:
+ *         description: Day or exercise not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/days/:dayId/exercises/:exerciseId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    const exercise = day && day.exercises.id(req.params.exerciseId);
+    if (!exercise) {
+      return res.status(404).json({ success: false, message: 'Exercise not found' });
+    }
+
+    exercise.set(pick(req.body, EXERCISE_FIELDS));
+    applyArchiveFlag(exercise, req.body);
+    day.exercises.sort((a, b) => a.order - b.order);
+    await day.save();
+
+    res.status(200).json({ success: true, day });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating exercise');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/days/{dayId}/exercises/{exerciseId}:
+ *   delete:
+ *     summary: Delete or archive an exercise
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exerciseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the exercise instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Exercise deleted or archived; returns the updated day
+ *       404:
+ *         description: Day or exercise not found
+ *       409:
+ *         description: Exercise has learner progress
+ *       500:
+ *         description: Server error
+ */
+router.delete('/days/:dayId/exercises/:exerciseId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const day = await ModuleDay.findById(req.params.dayId);
+    const exercise = day && day.exercises.id(req.params.exerciseId);
+    if (!exercise) {
+      return res.status(404).json({ success: false, message: 'Exercise not found' });
+    }
+
+    if (req.query.archive === 'true') {
+      archive(exercise);
+      await day.save();
+      return res.status(200).json({ success: true, message: 'Exercise archived', day });
+    }
+
+    if (await hasExerciseProgress(exercise._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Learners have progress on this exercise; archive it instead'
+      });
+    }
+
+    exercise.deleteOne();
+    await day.save();
+    res.status(200).json({ success: true, message: 'Exercise deleted', day });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting exercise');
+  }
+});
+
+// ===========================================
+// TESTS & QUESTIONS
+// ===========================================
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}/test:
+ *   get:
+ *     summary: Get a module's test including correct answers
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Module test
+ *       404:
+ *         description: Test not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/test', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findOne({ moduleId: req.params.moduleId });
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found for this module' });
+    }
+    res.status(200).json({ success: true, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching module test');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/modules/{moduleId}/test:
+ *   post:
+ *     summary: Create the test of a module
+ *     description: Questions may be sent inline.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModuleTest'
+ *     responses:
+ *       201:
+ *         description: Test created
+ *       400:
+ *         description: Invalid test or question data
+ *       404:
+ *         description: Module not found
+ *       409:
+ *         description: The module already has a test
+ *       500:
+ *         description: Server error
+ */
+router.post('/modules/:moduleId/test', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const module = await Module.findById(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    if (await ModuleTest.exists({ moduleId: module._id })) {
+      return res.status(409).json({ success: false, message: 'This module already has a test' });
+    }
+
+    const questions = (Array.isArray(req.body.questions) ? req.body.questions : [])
+      .map(question => pick(question, QUESTION_FIELDS));
+
+    for (const question of questions) {
+      const questionError = validateQuestion(question);
+      if (questionError) {
+        return res.status(400).json({ success: false, message: questionError });
+      }
+    }
+
+    const test = await ModuleTest.create({
+      ...pick(req.body, TEST_FIELDS),
+      moduleId: module._id,
+      questions
+    });
+    res.status(201).json({ success: true, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error creating module test');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}:
+ *   put:
+ *     summary: Update a test's settings
+ *     description: Questions are managed through the question endpoints. Send `isArchived false` to restore an archived test.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               timeLimit:
+ *                 type: number
+ *               passingScore:
+ *                 type: number
+ *               translations:
+ *                 $ref: '#/components/schemas/Translations'
+ *               pools:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/QuestionPool'
+ *               shuffleQuestions:
+ *                 type: boolean
+ *               shuffleOptions:
+ *                 type: boolean
+ *               retakePolicy:
+ *                 type: object
+ *                 properties:
+ *                   maxAttempts:
+ *                     type: number
+ *                   cooldownMinutes:
+ *                     type: number
+ *                   scoreToKeep:
+ *                     type: string
+ *                     enum: [best, latest]
+ *               reviewPolicy:
+ *                 type: object
+ *                 properties:
+ *                   revealAnswers:
+ *                     type: string
+ *                     enum: [always, after-passing, after-attempts, never]
+ *                   minAttempts:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Test updated
+ *       400:
+ *         description: Invalid test data
+ *       404:
+ *         description: Test not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/tests/:testId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+
+    test.set(pick(req.body, TEST_FIELDS));
+    applyArchiveFlag(test, req.body);
+    await test.save();
+
+    res.status(200).json({ success: true, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating module test');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}:
+ *   delete:
+ *     summary: Delete or archive a test
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the test instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Test deleted or archived
+ *       404:
+ *         description: Test not found
+ *       409:
+ *         description: Learners have submitted this test
+ *       500:
+ *         description: Server error
+ */
+router.delete('/tests/:testId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+
+    if (req.query.archive === 'true') {
+      archive(test);
+      await test.save();
+      return res.status(200).json({ success: true, message: 'Test archived', test });
+    }
+
+    if (await hasTestSubmissions(test._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Learners have submitted this test; archive it instead'
+      });
+    }
+
+    await test.deleteOne();
+    res.status(200).json({ success: true, message: 'Test deleted' });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting module test');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}/questions:
+ *   post:
+ *     summary: Add a question to a test
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestQuestion'
+ *     responses:
+ *       201:
+ *         description: Question added; returns the updated test
+ *       400:
+ *         description: Invalid question or options
+ *       404:
+ *         description: Test not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/tests/:testId/questions', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+
+    const question = pick(req.body, QUESTION_FIELDS);
+    const questionError = validateQuestion(question);
+    if (questionError) {
+      return res.status(400).json({ success: false, message: questionError });
+    }
+
+    test.questions.push(question);
+    await test.save();
+
+    res.status(201).json({ success: true, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error adding question');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}/questions/{questionId}:
+ *   put:
+ *     summary: Update a question and its options
+ *     description: Sending `options` replaces the whole option list. Send `isArchived false` to restore an archived question.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestQuestion'
+ *     responses:
+ *       200:
+ *         description: Question updated; returns the updated test
+ *       400:
+ *         description: Invalid question or options
+ *       404:
+ *         description: Test or question not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/tests/:testId/questions/:questionId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    const question = test && test.questions.id(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    question.set(pick(req.body, QUESTION_FIELDS));
+    const questionError = validateQuestion(question);
+    if (questionError) {
+      return res.status(400).json({ success: false, message: questionError });
+    }
+    applyArchiveFlag(question, req.body);
+    await test.save();
+
+    res.status(200).json({ success: true, test });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating question');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}/questions/{questionId}:
+ *   delete:
+ *     summary: Delete or archive a question
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the question instead of deleting it
+ *     responses:
+ *       200:
+ *         description: Question deleted or archived; returns the updated test
+ *       404:
+ *         description: Test or question not found
+ *       409:
+ *         description: Learners have answered this question
+ *       500:
+ *         description: Server error
+ */
+router.delete('/tests/:testId/questions/:questionId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    const question = test && test.questions.id(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    if (req.query.archive === 'true') {
+      archive(question);
+      await test.save();
+      return res.status(200).json({ success: true, message: 'Question archived', test });
+    }
+
+    if (await hasTestSubmissions(test._id, question._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Learners have answered this question; archive it instead'
+      });
+    }
+
+    question.deleteOne();
+    await test.save();
+    res.status(200).json({ success: true, message: 'Question deleted', test });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting question');
+  }
+});
+
+// ===========================================
+// TEST ATTEMPT GRANTS
+// ===========================================
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}/attempt-grants:
+ *   get:
+ *     summary: List extra attempts granted on a test
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         description: Only grants for this learner
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grants, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 grants:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TestAttemptGrant'
+ *       404:
+ *         description: Test not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/tests/:testId/attempt-grants', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const test = await ModuleTest.findById(req.params.testId);
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+
+    const filter = { moduleTestId: test._id };
+    if (req.query.userId) {
+      filter.userId = req.query.userId;
+    }
+
+    const grants = await TestAttemptGrant.find(filter).sort({ grantedAt: -1 });
+    res.status(200).json({ success: true, grants });
+  } catch (error) {
+    handleContentError(res, error, 'Error listing attempt grants');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/tests/{testId}/attempt-grants:
+ *   post:
+ *     summary: Grant a learner extra attempts on a test
+ *     description: Extra attempts are added to the test's maxAttempts for this learner. They have no effect on tests without an attempt limit.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - extraAttempts
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               extraAttempts:
+ *                 type: number
+ *                 minimum: 1
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Attempts granted, with the learner's updated allowance
+ *       400:
+ *         description: Invalid grant data
+ *       404:
+ *         description: Test or user not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/tests/:testId/attempt-grants', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const { userId, extraAttempts, reason } = req.body;
+
+    if (!Number.isInteger(extraAttempts) || extraAttempts < 1) {
+      return res.status(400).json({ success: false, message: 'extraAttempts must be a positive integer' });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const [test, user] = await Promise.all([
+      ModuleTest.findById(req.params.testId),
+      User.findById(userId)
+    ]);
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const grant = await TestAttemptGrant.create({
+      userId: user._id,
+      moduleTestId: test._id,
+      extraAttempts,
+      reason,
+      grantedBy: req.user._id
+    });
+
+    // The published policy is what learners are held to
+    const publishedTest = await findPublishedTest(test.moduleId);
+    const allowance = await getAttemptAllowance(user, publishedTest || test);
+
+    res.status(201).json({ success: true, grant, allowance });
+  } catch (error) {
+    handleContentError(res, error, 'Error granting test attempts');
+  }
+});
+
+// ===========================================
+// COHORTS
+// ===========================================
+
+const COHORT_FIELDS = ['name', 'startDate', 'releaseDates'];
+
+// Learners that exist, and are not already in another cohort of the module
+const validateCohortMembers = async (moduleId, userIds, cohortId = null) => {
+  if (!Array.isArray(userIds) || userIds.some(id => !mongoose.isValidObjectId(id))) {
+    return { status: 400, message: 'userIds must be an array of user IDs' };
+  }
+  if (await User.countDocuments({ _id: { $in: userIds } }) !== new Set(userIds.map(String)).size) {
+    return { status: 404, message: 'User not found' };
+  }
+  const conflicting = await Cohort.findOne({
+    moduleId,
+    _id: { $ne: cohortId },
+    members: { $in: userIds }
+  }).select('name');
+  if (conflicting) {
+    return { status: 409, message: `Some learners already belong to cohort "${conflicting.name}" of this module` };
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts:
+ *   get:
+ *     summary: List cohorts
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: string
+ *         description: Only cohorts of this module
+ *     responses:
+ *       200:
+ *         description: Cohorts, latest start date first
+ *       500:
+ *         description: Server error
+ */
+router.get('/cohorts', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const query = req.query.moduleId ? { moduleId: req.query.moduleId } : {};
+    const cohorts = await Cohort.find(query).sort({ startDate: -1 });
+    res.status(200).json({ success: true, cohorts });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching cohorts');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts:
+ *   post:
+ *     summary: Create a cohort
+ *     description: Learners in a cohort of a cohort-paced module get its days on the cohort's release dates.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, moduleId, startDate]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               moduleId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               releaseDates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayNumber:
+ *                       type: number
+ *                     availableAt:
+ *                       type: string
+ *                       format: date-time
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Cohort created
+ *       400:
+ *         description: Invalid cohort data
+ *       404:
+ *         description: Module or user not found
+ *       409:
+ *         description: Name already used for this module, or learners already in another cohort of the module
+ *       500:
+ *         description: Server error
+ */
+router.post('/cohorts', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const data = pick(req.body, COHORT_FIELDS);
+    const { moduleId, members = [] } = req.body;
+
+    if (!mongoose.isValidObjectId(moduleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid module ID' });
+    }
+    if (!(await Module.exists({ _id: moduleId }))) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const memberError = await validateCohortMembers(moduleId, members);
+    if (memberError) {
+      return res.status(memberError.status).json({ success: false, message: memberError.message });
+    }
+
+    const cohort = await Cohort.create({ ...data, moduleId, members, createdBy: req.user._id });
+    res.status(201).json({ success: true, cohort });
+  } catch (error) {
+    handleContentError(res, error, 'Error creating cohort');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts/{cohortId}:
+ *   put:
+ *     summary: Update a cohort's name, start date or release dates
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Cohort'
+ *     responses:
+ *       200:
+ *         description: Cohort updated
+ *       400:
+ *         description: Invalid cohort data
+ *       404:
+ *         description: Cohort not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/cohorts/:cohortId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.cohortId);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    cohort.set(pick(req.body, COHORT_FIELDS));
+    await cohort.save();
+
+    res.status(200).json({ success: true, cohort });
+  } catch (error) {
+    handleContentError(res, error, 'Error updating cohort');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts/{cohortId}:
+ *   delete:
+ *     summary: Delete a cohort
+ *     description: Its learners fall back to the module's relative schedule.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cohort deleted
+ *       404:
+ *         description: Cohort not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/cohorts/:cohortId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findByIdAndDelete(req.params.cohortId);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+    res.status(200).json({ success: true, message: 'Cohort deleted' });
+  } catch (error) {
+    handleContentError(res, error, 'Error deleting cohort');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts/{cohortId}/members:
+ *   post:
+ *     summary: Add learners to a cohort
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Learners added
+ *       400:
+ *         description: Invalid user IDs
+ *       404:
+ *         description: Cohort or user not found
+ *       409:
+ *         description: Learners already in another cohort of the module
+ *       500:
+ *         description: Server error
+ */
+router.post('/cohorts/:cohortId/members', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.cohortId);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    const { userIds } = req.body;
+    const memberError = await validateCohortMembers(cohort.moduleId, userIds, cohort._id);
+    if (memberError) {
+      return res.status(memberError.status).json({ success: false, message: memberError.message });
+    }
+
+    cohort.members.addToSet(...userIds);
+    await cohort.save();
+
+    res.status(200).json({ success: true, cohort });
+  } catch (error) {
+    handleContentError(res, error, 'Error adding cohort members');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/cohorts/{cohortId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a learner from a cohort
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Learner removed
+ *       404:
+ *         description: Cohort not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/cohorts/:cohortId/members/:userId', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.cohortId);
+    if (!cohort) {
+      return res.status(404).json({ success: false, message: 'Cohort not found' });
+    }
+
+    cohort.members.pull(req.params.userId);
+    await cohort.save();
+
+    res.status(200).json({ success: true, cohort });
+  } catch (error) {
+    handleContentError(res, error, 'Error removing cohort member');
+  }
+});
+
+// ===========================================
+// VERSIONING
+// ===========================================
+
+const VERSIONED_COLLECTIONS = {
+  modules: { model: Module, contentType: 'module' },
+  days: { model: ModuleDay, contentType: 'day' },
+  tests: { model: ModuleTest, contentType: 'test' }
+};
+
+// Resolve the versioned collection and working-copy document from the route params
+const loadVersionedContent = async (req, res) => {
+  const { model, contentType } = VERSIONED_COLLECTIONS[req.params.collection];
+  const doc = await model.findById(req.params.contentId);
+  if (!doc) {
+    res.status(404).json({ success: false, message: 'Content not found' });
+    return null;
+  }
+  return { doc, contentType };
+};
+
+/**
+ * @swagger
+ * /api/admin/content/{collection}/{contentId}/publish:
+ *   post:
+ *     summary: Publish the working copy of a module, day or test
+ *     description: Creates a new immutable version and serves it to learners. With `cascade`, publishing a module also publishes its days and test that have unpublished changes.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [modules, days, tests]
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               cascade:
+ *                 type: boolean
+ *                 description: Modules only - also publish draft days and test
+ *     responses:
+ *       201:
+ *         description: Version published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 version:
+ *                   $ref: '#/components/schemas/ContentVersion'
+ *                 cascaded:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContentVersion'
+ *       400:
+ *         description: The working copy is invalid, or a question pool has fewer matching questions than it draws
+ *       404:
+ *         description: Content not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:collection(modules|days|tests)/:contentId/publish', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const content = await loadVersionedContent(req, res);
+    if (!content) return;
+
+    let days = [], tests = [];
+    if (content.contentType === 'module' && req.body.cascade) {
+      const draftFilter = { moduleId: content.doc._id, status: 'draft', isArchived: { $ne: true } };
+      [days, tests] = await Promise.all([
+        ModuleDay.find(draftFilter),
+        ModuleTest.find(draftFilter)
+      ]);
+    }
+
+    // Every question pool must be able to fill its draw before learners see it
+    const testsToPublish = content.contentType === 'test' ? [content.doc] : tests;
+    for (const test of testsToPublish) {
+      const poolError = validatePools(test);
+      if (poolError) {
+        return res.status(400).json({ success: false, message: poolError });
+      }
+    }
+
+    const options = { publishedBy: req.user._id, note: req.body.note };
+    const version = await publishContent(content.doc, content.contentType, options);
+
+    const cascaded = [];
+    for (const day of days) {
+      cascaded.push(await publishContent(day, 'day', options));
+    }
+    for (const test of tests) {
+      cascaded.push(await publishContent(test, 'test', options));
+    }
+
+    res.status(201).json({ success: true, version, cascaded });
+  } catch (error) {
+    handleContentError(res, error, 'Error publishing content');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{collection}/{contentId}/versions:
+ *   get:
+ *     summary: List the version history of a module, day or test
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [modules, days, tests]
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions, newest first, without snapshots
+ *       404:
+ *         description: Content not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:collection(modules|days|tests)/:contentId/versions', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const content = await loadVersionedContent(req, res);
+    if (!content) return;
+
+    const versions = await ContentVersion.find({
+      contentType: content.contentType,
+      contentId: content.doc._id
+    })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .populate('publishedBy', 'username');
+
+    res.status(200).json({
+      success: true,
+      status: content.doc.status,
+      publishedVersion: content.doc.publishedVersion,
+      versions
+    });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching versions');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{collection}/{contentId}/versions/{version}:
+ *   get:
+ *     summary: Get a single version with its snapshot
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [modules, days, tests]
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 version:
+ *                   $ref: '#/components/schemas/ContentVersion'
+ *       404:
+ *         description: Content or version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:collection(modules|days|tests)/:contentId/versions/:version', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const content = await loadVersionedContent(req, res);
+    if (!content) return;
+
+    const version = await ContentVersion.findOne({
+      contentType: content.contentType,
+      contentId: content.doc._id,
+      version: parseInt(req.params.version)
+    }).populate('publishedBy', 'username');
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({ success: true, version });
+  } catch (error) {
+    handleContentError(res, error, 'Error fetching version');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{collection}/{contentId}/diff:
+ *   get:
+ *     summary: Diff two versions of a module, day or test
+ *     description: Either side may be a version number or `draft` for the current working copy.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [modules, days, tests]
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Base version (defaults to the published version)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Compared version (defaults to draft)
+ *     responses:
+ *       200:
+ *         description: Field-level changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                       change:
+ *                         type: string
+ *                         enum: [added, removed, changed]
+ *                       from: {}
+ *                       to: {}
+ *       400:
+ *         description: Invalid version reference
+ *       404:
+ *         description: Content or version not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:collection(modules|days|tests)/:contentId/diff', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const content = await loadVersionedContent(req, res);
+    if (!content) return;
+
+    const from = req.query.from || (content.doc.publishedVersion ? String(content.doc.publishedVersion) : null);
+    const to = req.query.to || 'draft';
+
+    const resolveSnapshot = async (ref) => {
+      if (ref === null) {
+        return {};
+      }
+      if (ref === 'draft') {
+        return takeSnapshot(content.doc);
+      }
+      const version = await ContentVersion.findOne({
+        contentType: content.contentType,
+        contentId: content.doc._id,
+        version: parseInt(ref)
+      }).lean();
+      return version ? version.snapshot : undefined;
+    };
+
+    if ([from, to].some(ref => ref !== null && ref !== 'draft' && !/^\d+$/.test(ref))) {
+      return res.status(400).json({ success: false, message: 'Versions must be numbers or "draft"' });
+    }
+
+    const [fromSnapshot, toSnapshot] = await Promise.all([resolveSnapshot(from), resolveSnapshot(to)]);
+    if (fromSnapshot === undefined || toSnapshot === undefined) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      changes: diffSnapshots(fromSnapshot, toSnapshot)
+    });
+  } catch (error) {
+    handleContentError(res, error, 'Error computing diff');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/{collection}/{contentId}/rollback:
+ *   post:
+ *     summary: Roll a module, day or test back to a previous version
+ *     description: Restores the working copy from the chosen version and publishes it as a new version, so history stays linear.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [modules, days, tests]
+ *       - in: path
+ *         name: contentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rollback published as a new version
+ *       400:
+ *         description: Missing version, or the restored copy is invalid
+ *       404:
+ *         description: Content or version not found
+ *       409:
+ *         description: The restored copy conflicts with existing content
+ *       500:
+ *         description: Server error
+ */
+router.post('/:collection(modules|days|tests)/:contentId/rollback', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const content = await loadVersionedContent(req, res);
+    if (!content) return;
+
+    const targetVersion = parseInt(req.body.version);
+    if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+      return res.status(400).json({ success: false, message: 'A version number is required' });
+    }
+
+    const version = await rollbackContent(content.doc, content.contentType, targetVersion, {
+      publishedBy: req.user._id,
+      note: req.body.note
+    });
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(201).json({ success: true, version });
+  } catch (error) {
+    handleContentError(res, error, 'Error rolling back content');
+  }
+});
+
+// ===========================================
+// CURRICULUM BUNDLES
+// ===========================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CurriculumImportReport:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         dryRun:
+ *           type: boolean
+ *         applied:
+ *           type: boolean
+ *           description: Whether the changes were written (false on dry runs and invalid bundles)
+ *         published:
+ *           type: boolean
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         summary:
+ *           type: object
+ *           properties:
+ *             create:
+ *               type: number
+ *             update:
+ *               type: number
+ *             restore:
+ *               type: number
+ *             archive:
+ *               type: number
+ *             unchanged:
+ *               type: number
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               contentType:
+ *                 type: string
+ *                 enum: [module, day, test]
+ *               module:
+ *                 type: string
+ *                 description: Module slug
+ *               dayNumber:
+ *                 type: number
+ *                 nullable: true
+ *               action:
+ *                 type: string
+ *                 enum: [create, update, restore, archive, unchanged]
+ *               changes:
+ *                 type: array
+ *                 description: Field-level diff of updates
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     path:
+ *                       type: string
+ *                     change:
+ *                       type: string
+ *                       enum: [added, removed, changed]
+ *                     from: {}
+ *                     to: {}
+ */
+
+/**
+ * @swagger
+ * /api/admin/content/bundle:
+ *   get:
+ *     summary: Export the curriculum as a bundle
+ *     description: Exports the working copies of the modules with their days, exercises and test, without archived content. See `src/utils/curriculumBundle.js` for the bundle layout.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: modules
+ *         schema:
+ *           type: string
+ *         description: Comma-separated module slugs (all modules when omitted)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [zip, json]
+ *           default: zip
+ *         description: A zip archive, or the bundle files as a JSON object (path -> content)
+ *     responses:
+ *       200:
+ *         description: Bundle
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 modules:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 files:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *       400:
+ *         description: Invalid format
+ *       404:
+ *         description: Module not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/bundle', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    const format = req.query.format || 'zip';
+    if (!['zip', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be zip or json' });
+    }
+
+    const slugs = req.query.modules ? String(req.query.modules).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const { files, modules, missing } = await exportCurriculum({ slugs });
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, message: `Modules not found: ${missing.join(', ')}` });
+    }
+
+    if (format === 'json') {
+      return res.status(200).json({ success: true, modules, files: Object.fromEntries(files) });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="curriculum-${date}.zip"`);
+    res.status(200).send(createZip(files));
+  } catch (error) {
+    handleContentError(res, error, 'Error exporting curriculum');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/content/bundle/import:
+ *   post:
+ *     summary: Import a curriculum bundle
+ *     description: |
+ *       Idempotent: modules are matched by slug, days by day number, tests by module, and exercises,
+ *       questions and options by ID (or title). Days, exercises and questions missing from a bundled
+ *       module are archived. Nothing is written on a dry run or when the bundle has errors; the
+ *       report lists the changes either way. Imported changes are drafts unless `publish` is set.
+ *     tags: [Admin Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only report the changes
+ *       - in: query
+ *         name: publish
+ *         schema:
+ *           type: boolean
+ *         description: Publish the created, updated and restored content
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/zip:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: object
+ *                 description: Bundle files (path -> content)
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Import report (dry run, or changes applied)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CurriculumImportReport'
+ *       400:
+ *         description: Unreadable or invalid bundle (including zip archives with over 5000 entries or 100 MB of extracted files); the report lists the errors
+ *       500:
+ *         description: Server error
+ */
+router.post('/bundle/import', verifyToken, checkRole('admin'), express.raw({ type: 'application/zip', limit: '20mb' }), async (req, res) => {
+  try {
+    let files;
+    if (Buffer.isBuffer(req.body)) {
+      try {
+        files = readZip(req.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: `Invalid zip archive: ${error.message}` });
+      }
+    } else if (req.body && req.body.files && typeof req.body.files === 'object') {
+      files = new Map(Object.entries(req.body.files));
+    } else {
+      return res.status(400).json({ success: false, message: 'Send a zip archive or a files object' });
+    }
+
+    const report = await importCurriculum(files, {
+      dryRun: req.query.dryRun === 'true',
+      publish: req.query.publish === 'true',
+      publishedBy: req.user._id
+    });
+
+    res.status(report.errors.length > 0 ? 400 : 200).json({ success: report.errors.length === 0, ...report });
+  } catch (error) {
+    handleContentError(res, error, 'Error importing curriculum');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,13 @@
 // routes/analytics.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Analytics = require('../models/Analytics');
+const Module = require('../models/Module');
+const ModuleDay = require('../models/ModuleDay');
 const verifyToken = require('../middleware/verifyToken');
 const { checkRole } = require('../middleware/checkRoleAccess');
+const { computeHintUsage } = require('../utils/exerciseHints');
 
 /**
  * @swagger
@@ -179,4 +183,105 @@ router.get('/frontend-data', verifyToken, checkRole('admin'), async (req, res) =
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/analytics/modules/{moduleId}/hints:
+ *   get:
+ *     summary: Get hint usage of every exercise of a module (admin only)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hint usage per exercise, across the learners who worked on it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 exercises:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dayNumber:
+ *                         type: number
+ *                       exerciseId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       isArchived:
+ *                         type: boolean
+ *                       hintCount:
+ *                         type: number
+ *                       hintPenalty:
+ *                         type: number
+ *                       learners:
+ *                         type: number
+ *                         description: Learners with progress on the exercise
+ *                       learnersUsingHints:
+ *                         type: number
+ *                       hintsRevealed:
+ *                         type: number
+ *                       averageHintsRevealed:
+ *                         type: number
+ *                       completed:
+ *                         type: number
+ *                       completedWithHints:
+ *                         type: number
+ *                       revealsByHint:
+ *                         type: array
+ *                         description: Learners who revealed each hint
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             index:
+ *                               type: number
+ *                             learners:
+ *                               type: number
+ *       400:
+ *         description: Invalid module ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Module not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/hints', verifyToken, checkRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.moduleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid module ID' });
+    }
+
+    const module = await Module.findById(req.params.moduleId).select('_id').lean();
+    if (!module) {
+      return res.status(404).json({ success: false, message: 'Module not found' });
+    }
+
+    const days = await ModuleDay.find({ moduleId: module._id })
+      .select('dayNumber exercises._id exercises.title exercises.hints exercises.hintPenalty exercises.isArchived')
+      .sort({ dayNumber: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      exercises: await computeHintUsage(module, days)
+    });
+  } catch (error) {
+    console.error('Error getting hint usage:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving hint usage' });
+  }
+});
+
 module.exports = router;
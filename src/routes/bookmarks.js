@@ -0,0 +1,285 @@
+// routes/bookmarks.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const verifyToken = require('../middleware/verifyToken');
+const { checkModuleAccess } = require('../middleware/moduleAccess');
+const { checkContentTarget } = require('../middleware/contentTarget');
+const { findPublishedModules, findPublishedDaysByModule } = require('../utils/publishedContent');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookmarks
+ *   description: Bookmarks of the current learner on modules, days and exercises
+ */
+
+// Learner's own bookmark, or an error response
+const findOwnBookmark = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.bookmarkId)) {
+    res.status(400).json({ success: false, message: 'Invalid bookmark ID' });
+    return null;
+  }
+
+  const bookmark = await Bookmark.findOne({ _id: req.params.bookmarkId, userId: req.user._id });
+  if (!bookmark) {
+    res.status(404).json({ success: false, message: 'Bookmark not found' });
+    return null;
+  }
+  return bookmark;
+};
+
+const toResponse = (bookmark) => {
+  const { userId, ...fields } = bookmark.toObject ? bookmark.toObject() : bookmark;
+  return fields;
+};
+
+/**
+ * @swagger
+ * /api/bookmarks:
+ *   get:
+ *     summary: List the current user's bookmarks
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bookmarks, most recent first, with the titles of what they point at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 bookmarks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Bookmark'
+ *                       - type: object
+ *                         properties:
+ *                           moduleName:
+ *                             type: string
+ *                           moduleSlug:
+ *                             type: string
+ *                           dayTitle:
+ *                             type: string
+ *                             nullable: true
+ *                           exerciseTitle:
+ *                             type: string
+ *                             nullable: true
+ *       400:
+ *         description: Invalid module ID
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.moduleId) {
+      if (!mongoose.isValidObjectId(req.query.moduleId)) {
+        return res.status(400).json({ success: false, message: 'Invalid module ID' });
+      }
+      query.moduleId = req.query.moduleId;
+    }
+
+    const bookmarks = await Bookmark.find(query).sort({ createdAt: -1 }).lean();
+
+    // Titles of the bookmarked content, from its published version
+    const moduleIds = [...new Set(bookmarks.map(b => b.moduleId.toString()))];
+    const [modules, daysByModule] = await Promise.all([
+      moduleIds.length > 0 ? findPublishedModules() : [],
+      findPublishedDaysByModule(moduleIds)
+    ]);
+    const modulesById = new Map(modules.map(m => [m._id.toString(), m]));
+
+    res.status(200).json({
+      success: true,
+      bookmarks: bookmarks.map(bookmark => {
+        const module = modulesById.get(bookmark.moduleId.toString());
+        const day = bookmark.dayNumber
+          ? (daysByModule.get(bookmark.moduleId.toString()) || []).find(d => d.dayNumber === bookmark.dayNumber)
+          : null;
+        const exercise = day && bookmark.exerciseId
+          ? day.exercises.find(e => e._id.toString() === bookmark.exerciseId.toString())
+          : null;
+        return {
+          ...toResponse(bookmark),
+          moduleName: module ? module.name : null,
+          moduleSlug: module ? module.slug : null,
+          dayTitle: day ? day.title : null,
+          exerciseTitle: exercise ? exercise.title : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error listing bookmarks:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving bookmarks' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/bookmarks:
+ *   post:
+ *     summary: Bookmark a module, day or exercise
+ *     description: Bookmarking the same target again updates the label of the existing bookmark.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [moduleId]
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               dayNumber:
+ *                 type: integer
+ *               exerciseId:
+ *                 type: string
+ *                 description: Requires dayNumber
+ *               label:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Existing bookmark updated
+ *       201:
+ *         description: Bookmark created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 bookmark:
+ *                   $ref: '#/components/schemas/Bookmark'
+ *       400:
+ *         description: Invalid bookmark, day or exercise
+ *       403:
+ *         description: Module or day not accessible to this user
+ *       404:
+ *         description: Module, day or exercise not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', verifyToken, checkModuleAccess(), checkContentTarget, async (req, res) => {
+  try {
+    const filter = { userId: req.user._id, ...req.contentTarget };
+    let bookmark = await Bookmark.findOne(filter);
+    const created = !bookmark;
+
+    if (created) {
+      bookmark = new Bookmark(filter);
+    }
+    if (req.body.label !== undefined || created) {
+      bookmark.label = req.body.label || '';
+    }
+    await bookmark.save();
+
+    res.status(created ? 201 : 200).json({ success: true, bookmark: toResponse(bookmark) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating bookmark:', error);
+    res.status(500).json({ success: false, message: 'Error creating bookmark' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/bookmarks/{bookmarkId}:
+ *   put:
+ *     summary: Update a bookmark's label
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookmarkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bookmark updated
+ *       400:
+ *         description: Invalid label
+ *       404:
+ *         description: Bookmark not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a bookmark
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookmarkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *       404:
+ *         description: Bookmark not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:bookmarkId', verifyToken, async (req, res) => {
+  try {
+    const bookmark = await findOwnBookmark(req, res);
+    if (!bookmark) return;
+
+    bookmark.label = req.body.label || '';
+    await bookmark.save();
+
+    res.status(200).json({ success: true, bookmark: toResponse(bookmark) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating bookmark:', error);
+    res.status(500).json({ success: false, message: 'Error updating bookmark' });
+  }
+});
+
+router.delete('/:bookmarkId', verifyToken, async (req, res) => {
+  try {
+    const bookmark = await findOwnBookmark(req, res);
+    if (!bookmark) return;
+
+    await bookmark.deleteOne();
+    res.status(200).json({ success: true, message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    res.status(500).json({ success: false, message: 'Error removing bookmark' });
+  }
+});
+
+module.exports = router;
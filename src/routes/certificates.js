@@ -0,0 +1,196 @@
+// routes/certificates.js
+const express = require('express');
+const router = express.Router();
+const Certificate = require('../models/Certificate');
+const verifyToken = require('../middleware/verifyToken');
+const {
+  toPublicCertificate,
+  renderCertificateSvg,
+  renderCertificatePdf
+} = require('../utils/certificates');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Certificates
+ *   description: Completion certificates, issued when a learner passes a module test
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicCertificate:
+ *       type: object
+ *       description: What anyone holding the verification ID may see
+ *       properties:
+ *         verificationId:
+ *           type: string
+ *         recipientName:
+ *           type: string
+ *         moduleName:
+ *           type: string
+ *         moduleSlug:
+ *           type: string
+ *         score:
+ *           type: number
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         issuer:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/certificates:
+ *   get:
+ *     summary: List the current user's certificates
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 certificates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Certificate'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ userId: req.user._id }).sort({ issuedAt: -1 }).lean();
+    res.status(200).json({ success: true, certificates });
+  } catch (error) {
+    console.error('Error listing certificates:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving certificates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/verify:
+ *   get:
+ *     summary: Verify a certificate
+ *     description: Public endpoint. Confirms that a certificate was issued, with only what is printed on it.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification ID printed on the certificate
+ *     responses:
+ *       200:
+ *         description: Certificate is authentic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 valid:
+ *                   type: boolean
+ *                 certificate:
+ *                   $ref: '#/components/schemas/PublicCertificate'
+ *       404:
+ *         description: No certificate with this verification ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationId: String(req.params.id) }).lean();
+    if (!certificate) {
+      return res.status(404).json({ success: false, valid: false, message: 'Certificate not found' });
+    }
+
+    res.status(200).json({ success: true, valid: true, certificate: toPublicCertificate(certificate) });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ success: false, message: 'Error verifying certificate' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/certificates/{id}/download:
+ *   get:
+ *     summary: Download a certificate
+ *     description: Rendered on the server as an A4 landscape document. Only the recipient and admins may download it.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification ID of the certificate
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, svg]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Certificate file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Certificate not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/download', verifyToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'svg'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be pdf or svg' });
+    }
+
+    const certificate = await Certificate.findOne({ verificationId: String(req.params.id) }).lean();
+    // Other learners' certificates are reported as missing rather than forbidden
+    if (!certificate || (req.user.role !== 'admin' && certificate.userId.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+
+    const filename = `certificate-${certificate.moduleSlug || 'module'}-${certificate.verificationId}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'svg') {
+      return res.status(200).type('image/svg+xml').send(renderCertificateSvg(certificate));
+    }
+    res.status(200).type('application/pdf').send(renderCertificatePdf(certificate));
+  } catch (error) {
+    console.error('Error downloading certificate:', error);
+    res.status(500).json({ success: false, message: 'Error generating certificate' });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const Module = require('../models/Module');
 const verifyToken = require('../middleware/verifyToken');
+const {
+  findPublishedModules,
+  findPublishedModuleById,
+  findPublishedDays,
+  findPublishedTest
+} = require('../utils/publishedContent');
+const { getRetakePolicy, getCountedScore, getAttemptAllowance } = require('../utils/testPolicy');
+const { evaluateModuleAccess, evaluateModulesAccess, evaluateDayAccess } = require('../utils/accessPolicy');
+const { getModuleReleaseResolver, findUpcomingReleases } = require('../utils/releaseSchedule');
+const {
+  summarizeModuleProgress,
+  loadCurriculumProgress,
+  recommendNextSteps
+} = require('../utils/moduleProgress');
+const { MASTERY_LEVELS, computeNotionMastery } = require('../utils/notionMastery');
+const { getStreak, listAchievements } = require('../utils/achievements');
 
 /**
  * @swagger
@@ -12,6 +27,38 @@ const verifyToken = require('../middleware/verifyToken');
  *   description: User dashboard endpoints
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NextStep:
+ *       type: object
+ *       description: Next thing to do in a module, with the identifiers to route to it
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [locked, wait-release, start-day, exercise, complete-day, take-test, done]
+ *         reason:
+ *           type: string
+ *           description: Reason code (DAY_NOT_STARTED, EXERCISE_PENDING, DAY_READY_TO_COMPLETE, TEST_PENDING, MODULE_COMPLETED, or the access status / day lock reason)
+ *         moduleId:
+ *           type: string
+ *         dayNumber:
+ *           type: number
+ *           nullable: true
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         testId:
+ *           type: string
+ *           nullable: true
+ *         availableAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the day unlocks (wait-release)
+ */
+
 /**
  * @swagger
  * /api/dashboard:
@@ -47,6 +94,9 @@ const verifyToken = require('../middleware/verifyToken');
  *                   properties:
  *                     totalHoursSpent:
  *                       type: number
+ *                       description: Active learning time recorded by learning sessions, in hours
+ *                     totalTimeSpentSeconds:
+ *                       type: number
  *                     exercisesCompleted:
  *                       type: number
  *                     totalExercises:
@@ -74,7 +124,15 @@ const verifyToken = require('../middleware/verifyToken');
  *                         type: string
  *                       accessStatus:
  *                         type: string
- *                         enum: [unlocked, locked, requires-prerequisite, requires-payment, partial-beta]
+ *                         enum: [unlocked, partial, locked, requires-prerequisite, requires-payment, requires-entitlement]
+ *                       accessReasons:
+ *                         type: array
+ *                         description: Reason codes from the access policy engine
+ *                         items:
+ *                           type: string
+ *                       maxDay:
+ *                         type: number
+ *                         description: Last day the user can open (null when unlimited)
  *                       progress:
  *                         type: object
  *                         properties:
@@ -84,10 +142,55 @@ const verifyToken = require('../middleware/verifyToken');
  *                             type: boolean
  *                           percentage:
  *                             type: number
+ *                             description: Share of the module's published days completed
+ *                           daysCompleted:
+ *                             type: number
+ *                           totalDays:
+ *                             type: number
+ *                           exercisesCompleted:
+ *                             type: number
+ *                           totalExercises:
+ *                             type: number
+ *                           timeSpentSeconds:
+ *                             type: number
+ *                       nextStep:
+ *                         $ref: '#/components/schemas/NextStep'
  *                       testScore:
  *                         type: number
+ *                         description: Best or latest score, per the test's retake policy
  *                       testPassed:
  *                         type: boolean
+ *                       testAttempts:
+ *                         type: number
+ *                       testMaxAttempts:
+ *                         type: number
+ *                         description: Maximum attempts allowed by the test (null for unlimited)
+ *                 upcomingUnlocks:
+ *                   type: array
+ *                   description: Days of started (or cohort) modules that are not released yet, soonest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       moduleId:
+ *                         type: string
+ *                       moduleName:
+ *                         type: string
+ *                       moduleSlug:
+ *                         type: string
+ *                       dayNumber:
+ *                         type: number
+ *                       title:
+ *                         type: string
+ *                       availableAt:
+ *                         type: string
+ *                         format: date-time
+ *                 streak:
+ *                   $ref: '#/components/schemas/Streak'
+ *                 achievements:
+ *                   type: array
+ *                   description: Badges earned, most recent first
+ *                   items:
+ *                     $ref: '#/components/schemas/Achievement'
  *       401:
  *         description: Unauthorized
  *       500:
@@ -105,110 +208,21 @@ router.get('/', verifyToken, async (req, res) => {
       });
     }
     
-    // Get all modules
-    const modules = await Module.find().sort('order');
+    // Published modules with the learner's progress in their real days
+    const { modules, testByModuleId, accessByModuleId, summaries } = await loadCurriculumProgress(user);
+    const testOf = (moduleId) => testByModuleId.get(moduleId.toString()) || null;
     
     // Process modules for user progress
-    const processedModules = await Promise.all(modules.map(async module => {
-      // Find user's progress for this module
-      const userModuleProgress = user.progress.modules.find(
-        m => m.moduleId && m.moduleId.toString() === module._id.toString()
-      );
+    const processedModules = modules.map(module => {
+      const moduleTest = testOf(module._id);
+      const access = accessByModuleId.get(module._id.toString());
+      const summary = summaries.get(module._id.toString());
       
-      // Find user's test score for this module
+      // Find user's test score for this module (best or latest, per the test's retake policy)
       const userTestScore = user.progress.testScores.find(
         t => t.moduleId && t.moduleId.toString() === module._id.toString()
       );
       
-      // Determine module access status
-      let accessStatus = 'locked';
-      let progressPercentage = 0;
-      let moduleStarted = false;
-      let moduleCompleted = false;
-      
-      // Process user progress
-      if (userModuleProgress) {
-        moduleStarted = userModuleProgress.started;
-        moduleCompleted = userModuleProgress.completed;
-        
-        // Calculate progress percentage if module has been started
-        if (moduleStarted) {
-          // Assume each module's day has equal weight
-          const totalDays = module.days ? module.days.length : 0;
-          const completedDays = userModuleProgress.days.filter(d => d.completed).length;
-          
-          if (totalDays > 0) {
-            progressPercentage = Math.round((completedDays / totalDays) * 100);
-          }
-        }
-      }
-      
-      // GitHub module is accessible to all
-      if (module.slug === 'github') {
-        accessStatus = 'unlocked';
-      } 
-      // Admin can access everything
-      else if (user.role === 'admin') {
-        accessStatus = 'unlocked';
-      }
-      // Beta users can access Shell module (but with limitations)
-      else if (user.role === 'beta' && module.slug === 'shell') {
-        const githubModule = modules.find(m => m.slug === 'github');
-        const githubTestPassed = user.progress.testScores.some(
-          score => 
-            githubModule && 
-            score.moduleId && 
-            score.moduleId.toString() === githubModule._id.toString() &&
-            score.score >= 60
-        );
-        
-        if (githubTestPassed) {
-          accessStatus = 'partial-beta';
-        } else {
-          accessStatus = 'requires-prerequisite';
-        }
-      }
-      // Handle paid modules
-      else if (module.isPaid) {
-        // Check if user has paid access
-        if (user.payment && user.payment.hasPaidAccess) {
-          // If module has prerequisite, check if it's completed with passing score
-          if (module.prerequisiteModule) {
-            const prerequisiteModulePassed = user.progress.testScores.some(
-              score => 
-                score.moduleId && 
-                score.moduleId.toString() === module.prerequisiteModule.toString() &&
-                score.score >= (module.prerequisiteScore || 60)
-            );
-            
-            if (prerequisiteModulePassed) {
-              accessStatus = 'unlocked';
-            } else {
-              accessStatus = 'requires-prerequisite';
-            }
-          } else {
-            accessStatus = 'unlocked';
-          }
-        } else {
-          accessStatus = 'requires-payment';
-        }
-      }
-      // Regular modules with prerequisites
-      else if (module.prerequisiteModule) {
-        const prerequisiteModulePassed = user.progress.testScores.some(
-          score => 
-            score.moduleId && 
-            score.moduleId.toString() === module.prerequisiteModule.toString() &&
-            score.score >= (module.prerequisiteScore || 60)
-        );
-        
-        if (prerequisiteModulePassed) {
-          accessStatus = 'unlocked';
-        } else {
-          accessStatus = 'requires-prerequisite';
-        }
-      }
-      
       return {
         id: module._id,
         name: module.name,
@@ -216,50 +230,44 @@ router.get('/', verifyToken, async (req, res) => {
         description: module.description,
         order: module.order,
         isPaid: module.isPaid,
-        accessStatus,
+        accessStatus: access.status,
+        accessReasons: access.reasons,
+        maxDay: access.maxDay,
         progress: {
-          started: moduleStarted,
-          completed: moduleCompleted,
-          percentage: progressPercentage
+          started: summary.started,
+          completed: summary.completed,
+          percentage: summary.percentage,
+          daysCompleted: summary.daysCompleted,
+          totalDays: summary.totalDays,
+          exercisesCompleted: summary.exercisesCompleted,
+          totalExercises: summary.totalExercises,
+          timeSpentSeconds: user.getTimeSpent(module._id)
         },
-        testScore: userTestScore ? userTestScore.score : null,
-        testPassed: userTestScore ? userTestScore.score >= 60 : false,
-        testAttempts: userTestScore ? userTestScore.attempts : 0
+        nextStep: summary.nextStep,
+        testScore: getCountedScore(userTestScore, moduleTest),
+        testPassed: userTestScore ? getCountedScore(userTestScore, moduleTest) >= (moduleTest ? moduleTest.passingScore : 60) : false,
+        testAttempts: userTestScore ? userTestScore.attempts : 0,
+        testMaxAttempts: moduleTest ? getRetakePolicy(moduleTest).maxAttempts : null
       };
-    }));
+    });
     
-    // Calculate overall stats
+    // Overall stats, over the days and exercises of the whole published curriculum
+    const sum = (key) => processedModules.reduce((total, m) => total + m.progress[key], 0);
+    const exercisesCompleted = sum('exercisesCompleted');
+    const totalExercises = sum('totalExercises');
     const stats = {
-      totalHoursSpent: user.progress.totalHoursSpent || 0,
-      notionsMastered: user.progress.notionsMastered ? user.progress.notionsMastered.length : 0
+      totalHoursSpent: user.calculateTotalHoursSpent(),
+      totalTimeSpentSeconds: user.progress.totalTimeSpentSeconds || 0,
+      notionsMastered: user.progress.notionsMastered ? user.progress.notionsMastered.length : 0,
+      exercisesCompleted,
+      totalExercises,
+      completionPercentage: totalExercises > 0 ? Math.round((exercisesCompleted / totalExercises) * 100) : 0,
+      daysCompleted: sum('daysCompleted'),
+      totalDays: sum('totalDays')
     };
     
-    // Count completed and total exercises across all modules
-    let exercisesCompleted = 0;
-    let totalExercises = 0;
-    let daysCompleted = 0;
-    let totalDays = 0;
-    
-    user.progress.modules.forEach(module => {
-      if (module.days) {
-        module.days.forEach(day => {
-          if (day.exercises) {
-            exercisesCompleted += day.exercises.filter(e => e.completed).length;
-            totalExercises += day.exercises.length;
-          }
-          if (day.completed) {
-            daysCompleted++;
-          }
-          totalDays++;
-        });
-      }
-    });
-    
-    stats.exercisesCompleted = exercisesCompleted;
-    stats.totalExercises = totalExercises;
-    stats.completionPercentage = totalExercises > 0 ? Math.round((exercisesCompleted / totalExercises) * 100) : 0;
-    stats.daysCompleted = daysCompleted;
-    stats.totalDays = totalDays;
+    // Drip-released days that unlock later
+    const upcomingUnlocks = await findUpcomingReleases(user, modules, accessByModuleId);
     
     // Format response
     res.status(200).json({
@@ -273,7 +281,10 @@ router.get('/', verifyToken, async (req, res) => {
         githubProfile: user.githubProfile
       },
       stats,
-      modules: processedModules
+      modules: processedModules,
+      upcomingUnlocks,
+      streak: getStreak(user),
+      achievements: listAchievements(user).earned
     });
   } catch (error) {
     console.error('Error getting dashboard data:', error);
@@ -284,6 +295,329 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecommendedStep:
+ *       allOf:
+ *         - $ref: '#/components/schemas/NextStep'
+ *         - type: object
+ *           properties:
+ *             origin:
+ *               type: string
+ *               enum: [RESUME_LAST_DAY, CONTINUE_MODULE, NEXT_MODULE, UNLOCK_MODULE, WAIT_RELEASE, CURRICULUM_COMPLETED]
+ *               description: Why this step is recommended
+ *             moduleSlug:
+ *               type: string
+ *             moduleName:
+ *               type: string
+ *             dayTitle:
+ *               type: string
+ *               nullable: true
+ *             exerciseTitle:
+ *               type: string
+ *               nullable: true
+ *             testAttempt:
+ *               type: object
+ *               description: Whether the test can be attempted now (take-test only)
+ *               properties:
+ *                 allowed:
+ *                   type: boolean
+ *                 reason:
+ *                   type: string
+ *                   enum: [OK, MAX_ATTEMPTS_REACHED, COOLDOWN]
+ *                 attemptsRemaining:
+ *                   type: number
+ *                   nullable: true
+ *                 nextAttemptAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *             unlock:
+ *               type: object
+ *               description: What unlocks the module (UNLOCK_MODULE only)
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 missingEntitlements:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 prerequisites:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       moduleId:
+ *                         type: string
+ *                       moduleSlug:
+ *                         type: string
+ *                       moduleName:
+ *                         type: string
+ *                       minScore:
+ *                         type: number
+ *                       met:
+ *                         type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/dashboard/next:
+ *   get:
+ *     summary: Get the learner's next step ("continue learning")
+ *     description: |
+ *       The exact next action, best first: the next incomplete exercise of the last-accessed day,
+ *       the next step of the modules in progress (their test once every day is done), the first
+ *       accessible module not started yet, then the first locked module with what unlocks it.
+ *       Days that are not released yet come last.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Next step and further recommendations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 next:
+ *                   $ref: '#/components/schemas/RecommendedStep'
+ *                 recommendations:
+ *                   type: array
+ *                   description: Other steps, in the same order of preference
+ *                   items:
+ *                     $ref: '#/components/schemas/RecommendedStep'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/next', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const curriculum = await loadCurriculumProgress(user);
+    const modulesById = new Map(curriculum.modules.map(m => [m._id.toString(), m]));
+    
+    const steps = recommendNextSteps(user, curriculum).slice(0, 4);
+    
+    // Attempt limits and cooldowns of recommended tests, and what unlocks locked modules
+    await Promise.all(steps.map(async step => {
+      if (step.action === 'take-test') {
+        const allowance = await getAttemptAllowance(user, curriculum.testByModuleId.get(step.moduleId.toString()));
+        step.testAttempt = {
+          allowed: allowance.allowed,
+          reason: allowance.reason,
+          attemptsRemaining: allowance.attemptsRemaining,
+          nextAttemptAt: allowance.nextAttemptAt
+        };
+      } else if (step.origin === 'UNLOCK_MODULE') {
+        const access = curriculum.accessByModuleId.get(step.moduleId.toString());
+        step.unlock = {
+          status: access.status,
+          missingEntitlements: access.missingEntitlements,
+          prerequisites: access.prerequisites.map(p => {
+            const prerequisite = modulesById.get(p.moduleId.toString());
+            return {
+              ...p,
+              moduleSlug: prerequisite ? prerequisite.slug : null,
+              moduleName: prerequisite ? prerequisite.name : null
+            };
+          })
+        };
+      }
+    }));
+    
+    const [next = {
+      origin: 'CURRICULUM_COMPLETED',
+      action: 'done',
+      reason: 'CURRICULUM_COMPLETED',
+      moduleId: null,
+      moduleSlug: null,
+      moduleName: null,
+      dayNumber: null,
+      dayTitle: null,
+      exerciseId: null,
+      exerciseTitle: null,
+      testId: null,
+      availableAt: null
+    }, ...recommendations] = steps;
+    
+    res.status(200).json({
+      success: true,
+      next,
+      recommendations
+    });
+  } catch (error) {
+    console.error('Error getting next step:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving next step'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dashboard/notions:
+ *   get:
+ *     summary: Get notion mastery
+ *     description: Mastery level per notion of the curriculum, derived from completed days and test answers tagged with the notion. Computed on read; the stored mastery is updated when progress is recorded. Unmastered notions list the content that teaches them.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notion mastery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                     mastered:
+ *                       type: number
+ *                     byLevel:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: number
+ *                 notions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       notion:
+ *                         type: string
+ *                       level:
+ *                         type: string
+ *                         enum: [none, introduced, practicing, mastered]
+ *                       score:
+ *                         type: number
+ *                         description: 0-100
+ *                       masteredAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the notion was first recorded as mastered
+ *                       days:
+ *                         type: object
+ *                         properties:
+ *                           completed:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                           credit:
+ *                             type: number
+ *                             description: Sum of the credit (0-1) of the completed days, after hint penalties
+ *                       questions:
+ *                         type: object
+ *                         properties:
+ *                           answered:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                           credit:
+ *                             type: number
+ *                             description: Sum of the credit (0-1) of the latest answers
+ *                       content:
+ *                         type: array
+ *                         description: Days (or modules) teaching the notion; only for unmastered notions
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             moduleId:
+ *                               type: string
+ *                             moduleSlug:
+ *                               type: string
+ *                             moduleName:
+ *                               type: string
+ *                             dayNumber:
+ *                               type: number
+ *                               nullable: true
+ *                             title:
+ *                               type: string
+ *                             completed:
+ *                               type: boolean
+ *                             locked:
+ *                               type: boolean
+ *                               description: Whether the learner cannot open this content yet
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/notions', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Read-only: mastery is stored by the progress and test submission routes
+    const mastery = await computeNotionMastery(user);
+    
+    // Flag teaching content the learner cannot open yet
+    const modules = await findPublishedModules();
+    const accessByModuleId = await evaluateModulesAccess(user, modules);
+    const isLocked = ({ moduleId, dayNumber }) => {
+      const access = accessByModuleId.get(moduleId.toString());
+      if (!access) {
+        return true;
+      }
+      return dayNumber ? !evaluateDayAccess(access, dayNumber).allowed : !access.allowed;
+    };
+    
+    const stored = new Map(user.progress.notionMastery.map(m => [m.notion, m]));
+    const notions = mastery.map(({ content, ...entry }) => ({
+      ...entry,
+      masteredAt: entry.level === 'mastered' && stored.has(entry.notion) ? stored.get(entry.notion).masteredAt : null,
+      content: entry.level === 'mastered' ? [] : content.map(item => ({ ...item, locked: isLocked(item) }))
+    }));
+    
+    const byLevel = MASTERY_LEVELS.reduce((counts, { level }) => {
+      counts[level] = notions.filter(n => n.level === level).length;
+      return counts;
+    }, {});
+    
+    res.status(200).json({
+      success: true,
+      summary: {
+        total: notions.length,
+        mastered: byLevel.mastered,
+        byLevel
+      },
+      notions
+    });
+  } catch (error) {
+    console.error('Error getting notion mastery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving notion mastery'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/dashboard/modules/{moduleId}/progress:
@@ -302,6 +636,89 @@ router.get('/', verifyToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Module progress data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 moduleProgress:
+ *                   type: object
+ *                   properties:
+ *                     moduleId:
+ *                       type: string
+ *                     moduleName:
+ *                       type: string
+ *                     accessStatus:
+ *                       type: string
+ *                     started:
+ *                       type: boolean
+ *                     completed:
+ *                       type: boolean
+ *                     lastAccessedDay:
+ *                       type: number
+ *                       nullable: true
+ *                     timeSpentSeconds:
+ *                       type: number
+ *                     progress:
+ *                       type: number
+ *                       description: Share of the module's published days completed
+ *                     daysCompleted:
+ *                       type: number
+ *                     totalDays:
+ *                       type: number
+ *                     exercisesCompleted:
+ *                       type: number
+ *                     totalExercises:
+ *                       type: number
+ *                     nextStep:
+ *                       $ref: '#/components/schemas/NextStep'
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           dayNumber:
+ *                             type: number
+ *                           title:
+ *                             type: string
+ *                           started:
+ *                             type: boolean
+ *                           completed:
+ *                             type: boolean
+ *                           locked:
+ *                             type: boolean
+ *                           lockReason:
+ *                             type: string
+ *                             nullable: true
+ *                             description: DAY_LIMIT, NOT_RELEASED or MODULE_NOT_STARTED
+ *                           availableAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                           exercisesCompleted:
+ *                             type: number
+ *                           exercisesTotal:
+ *                             type: number
+ *                           timeSpentSeconds:
+ *                             type: number
+ *                           exercises:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 exerciseId:
+ *                                   type: string
+ *                                 title:
+ *                                   type: string
+ *                                 completed:
+ *                                   type: boolean
+ *                                 completedAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 timeSpentSeconds:
+ *                                   type: number
  *       401:
  *         description: Unauthorized
  *       404:
@@ -315,7 +732,7 @@ router.get('/modules/:moduleId/progress', verifyToken, async (req, res) => {
     const userId = req.user._id;
     
     const user = await User.findById(userId);
-    const module = await Module.findById(moduleId);
+    const module = await findPublishedModuleById(moduleId);
     
     if (!module) {
       return res.status(404).json({
@@ -324,56 +741,42 @@ router.get('/modules/:moduleId/progress', verifyToken, async (req, res) => {
       });
     }
     
-    // Get user progress for this module
-    const moduleProgress = user.progress.modules.find(
-      m => m.moduleId && m.moduleId.toString() === moduleId
-    );
+    const [moduleDays, moduleTest, access, release] = await Promise.all([
+      findPublishedDays(module._id),
+      findPublishedTest(module._id),
+      evaluateModuleAccess(user, module),
+      getModuleReleaseResolver(user, module)
+    ]);
+    const summary = summarizeModuleProgress(user, module, moduleDays, { access, release, test: moduleTest });
+    const moduleProgress = user.getModuleProgress(module._id) || {};
     
-    if (!moduleProgress) {
-      return res.status(200).json({
-        success: true,
-        moduleProgress: {
-          moduleId,
-          moduleName: module.name,
-          started: false,
-          completed: false,
-          progress: 0,
-          days: []
-        }
-      });
-    }
-    
-    // Process day progress
-    const days = await Promise.all((module.days || []).map(async (day, index) => {
-      const dayNumber = index + 1;
-      const userDayProgress = moduleProgress.days.find(d => d.dayNumber === dayNumber);
-      
-      return {
-        dayNumber,
-        title: day.title || `Day ${dayNumber}`,
-        started: userDayProgress ? userDayProgress.started : false,
-        completed: userDayProgress ? userDayProgress.completed : false,
-        exercises: userDayProgress ? userDayProgress.exercises.map(e => ({
-          exerciseId: e.exerciseId,
-          completed: e.completed,
-          completedAt: e.completedAt
-        })) : []
-      };
+    const days = summary.days.map(day => ({
+      ...day,
+      timeSpentSeconds: user.getTimeSpent(module._id, day.dayNumber),
+      exercises: day.exercises.map(e => ({
+        ...e,
+        timeSpentSeconds: user.getTimeSpent(module._id, day.dayNumber, e.exerciseId)
+      }))
     }));
     
     res.status(200).json({
       success: true,
       moduleProgress: {
-        moduleId,
+        moduleId: module._id,
         moduleName: module.name,
-        started: moduleProgress.started,
-        startedAt: moduleProgress.startedAt,
-        completed: moduleProgress.completed,
-        completedAt: moduleProgress.completedAt,
-        lastAccessedDay: moduleProgress.lastAccessedDay,
-        progress: module.days && module.days.length > 0 
-          ? Math.round((moduleProgress.days.filter(d => d.completed).length / module.days.length) * 100)
-          : 0,
+        accessStatus: access.status,
+        started: summary.started,
+        startedAt: moduleProgress.startedAt || null,
+        completed: summary.completed,
+        completedAt: moduleProgress.completedAt || null,
+        lastAccessedDay: moduleProgress.lastAccessedDay || null,
+        timeSpentSeconds: user.getTimeSpent(module._id),
+        progress: summary.percentage,
+        daysCompleted: summary.daysCompleted,
+        totalDays: summary.totalDays,
+        exercisesCompleted: summary.exercisesCompleted,
+        totalExercises: summary.totalExercises,
+        nextStep: summary.nextStep,
         days
       }
     });
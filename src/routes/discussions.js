@@ -0,0 +1,1019 @@
+// routes/discussions.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const DiscussionThread = require('../models/DiscussionThread');
+const DiscussionPost = require('../models/DiscussionPost');
+const verifyToken = require('../middleware/verifyToken');
+const { checkRole } = require('../middleware/checkRoleAccess');
+const { checkModuleAccess } = require('../middleware/moduleAccess');
+const { checkDayRelease } = require('../middleware/dayRelease');
+const {
+  AUTHOR_FIELDS,
+  isAdmin,
+  isAuthor,
+  hasCompletedTarget,
+  serializeThread,
+  buildPostTree,
+  setUpvote
+} = require('../utils/discussions');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Discussions
+ *   description: |
+ *     Threaded discussions about a module day or one of its exercises. Reading and
+ *     posting follow the access rules of the day itself (module access, day limit,
+ *     release schedule). Admins moderate: hide, lock and delete.
+ */
+
+// Discussions of a day are open to whoever can open the day
+const requirePublishedDay = (req, res, next) => {
+  if (!req.publishedDay) {
+    return res.status(404).json({ success: false, message: 'Module day not found' });
+  }
+  next();
+};
+const dayAccess = [verifyToken, checkModuleAccess(), checkDayRelease, requirePublishedDay];
+
+const THREAD_SORTS = {
+  activity: { lastActivityAt: -1 },
+  votes: { upvoteCount: -1, lastActivityAt: -1 },
+  newest: { createdAt: -1 }
+};
+
+const activeExercise = (day, exerciseId) => day.exercises.find(
+  e => e._id.toString() === String(exerciseId) && !e.isArchived
+);
+
+const wantsSpoilers = (req) => req.query.revealSpoilers === 'true';
+
+// Thread of the day in the route, or an error response; hidden threads only exist for admins
+const findThread = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.threadId)) {
+    res.status(400).json({ success: false, message: 'Invalid thread ID' });
+    return null;
+  }
+
+  const thread = await DiscussionThread.findOne({
+    _id: req.params.threadId,
+    moduleId: req.publishedModule._id,
+    dayNumber: req.publishedDay.dayNumber
+  });
+  if (!thread || (thread.isHidden && !isAdmin(req.user))) {
+    res.status(404).json({ success: false, message: 'Thread not found' });
+    return null;
+  }
+  return thread;
+};
+
+// Reply of a thread, or an error response
+const findPost = async (req, res, thread) => {
+  if (!mongoose.isValidObjectId(req.params.postId)) {
+    res.status(400).json({ success: false, message: 'Invalid post ID' });
+    return null;
+  }
+
+  const post = await DiscussionPost.findOne({ _id: req.params.postId, threadId: thread._id });
+  if (!post || post.isDeleted || (post.isHidden && !isAdmin(req.user))) {
+    res.status(404).json({ success: false, message: 'Post not found' });
+    return null;
+  }
+  return post;
+};
+
+const sendValidationError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Thread with its author populated, as the current user sees it
+const threadResponse = async (thread, req) => {
+  await thread.populate('authorId', AUTHOR_FIELDS);
+  return serializeThread(thread.toObject(), req.user, {
+    showSpoilers: wantsSpoilers(req) || hasCompletedTarget(req.user, thread)
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     DiscussionModuleId:
+ *       in: path
+ *       name: moduleId
+ *       required: true
+ *       schema:
+ *         type: string
+ *     DiscussionDayNumber:
+ *       in: path
+ *       name: dayNumber
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     DiscussionThreadId:
+ *       in: path
+ *       name: threadId
+ *       required: true
+ *       schema:
+ *         type: string
+ *     DiscussionPostId:
+ *       in: path
+ *       name: postId
+ *       required: true
+ *       schema:
+ *         type: string
+ *     RevealSpoilers:
+ *       in: query
+ *       name: revealSpoilers
+ *       schema:
+ *         type: boolean
+ *       description: Show spoilers even though the exercise (or day) is not completed yet
+ */
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads:
+ *   get:
+ *     summary: List the discussion threads of a day
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - in: query
+ *         name: exerciseId
+ *         schema:
+ *           type: string
+ *         description: Only the threads about this exercise ("none" for threads about the day itself)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [activity, votes, newest]
+ *           default: activity
+ *       - in: query
+ *         name: unanswered
+ *         schema:
+ *           type: boolean
+ *         description: Only threads without an accepted answer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Threads (without their bodies)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 threads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiscussionThread'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Day not accessible to this user
+ *       404:
+ *         description: Module or day not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/days/:dayNumber/threads', dayAccess, async (req, res) => {
+  try {
+    const query = { moduleId: req.publishedModule._id, dayNumber: req.publishedDay.dayNumber };
+    const { exerciseId } = req.query;
+    if (exerciseId === 'none') {
+      query.exerciseId = null;
+    } else if (exerciseId) {
+      if (!mongoose.isValidObjectId(exerciseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid exercise ID' });
+      }
+      query.exerciseId = exerciseId;
+    }
+    if (req.query.unanswered === 'true') {
+      query.acceptedPostId = null;
+    }
+    if (!isAdmin(req.user)) {
+      query.isHidden = false;
+    }
+
+    const sort = THREAD_SORTS[req.query.sort] || THREAD_SORTS.activity;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [threads, total] = await Promise.all([
+      DiscussionThread.find(query)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('authorId', AUTHOR_FIELDS)
+        .lean(),
+      DiscussionThread.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      threads: threads.map(thread => serializeThread(thread, req.user, { withBody: false })),
+      pagination: { page, limit, total }
+    });
+  } catch (error) {
+    console.error('Error listing threads:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving threads' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads:
+ *   post:
+ *     summary: Start a discussion thread about a day or one of its exercises
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, body]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *                 description: Markdown
+ *               exerciseId:
+ *                 type: string
+ *               isSpoiler:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Thread created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 thread:
+ *                   $ref: '#/components/schemas/DiscussionThread'
+ *       400:
+ *         description: Invalid thread
+ *       403:
+ *         description: Day not accessible to this user
+ *       404:
+ *         description: Module, day or exercise not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/modules/:moduleId/days/:dayNumber/threads', dayAccess, async (req, res) => {
+  try {
+    const { title, body, exerciseId, isSpoiler } = req.body;
+    if (exerciseId && !activeExercise(req.publishedDay, exerciseId)) {
+      return res.status(404).json({ success: false, message: 'Exercise not found' });
+    }
+
+    const thread = await DiscussionThread.create({
+      moduleId: req.publishedModule._id,
+      dayNumber: req.publishedDay.dayNumber,
+      exerciseId: exerciseId || null,
+      authorId: req.user._id,
+      title,
+      body,
+      isSpoiler: isSpoiler === true
+    });
+
+    res.status(201).json({ success: true, thread: await threadResponse(thread, req) });
+  } catch (error) {
+    sendValidationError(error, res, 'Error creating thread');
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}:
+ *   get:
+ *     summary: Get a thread with its replies
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/RevealSpoilers'
+ *     responses:
+ *       200:
+ *         description: Thread and reply tree (accepted answer first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 thread:
+ *                   $ref: '#/components/schemas/DiscussionThread'
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiscussionPost'
+ *       403:
+ *         description: Day not accessible to this user
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Edit a thread (author or admin)
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               isSpoiler:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Thread updated
+ *       400:
+ *         description: Invalid thread
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a thread and its replies (admin, or author while it has no replies)
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     responses:
+ *       200:
+ *         description: Thread deleted
+ *       403:
+ *         description: Not allowed to delete this thread
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/modules/:moduleId/days/:dayNumber/threads/:threadId', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    const showSpoilers = wantsSpoilers(req) || hasCompletedTarget(req.user, thread);
+    const posts = await DiscussionPost.find({ threadId: thread._id })
+      .populate('authorId', AUTHOR_FIELDS)
+      .lean();
+    await thread.populate('authorId', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      thread: serializeThread(thread.toObject(), req.user, { showSpoilers }),
+      posts: buildPostTree(posts, thread, req.user, { showSpoilers })
+    });
+  } catch (error) {
+    console.error('Error getting thread:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving thread' });
+  }
+});
+
+router.put('/modules/:moduleId/days/:dayNumber/threads/:threadId', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    if (!isAuthor(req.user, thread) && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit this thread' });
+    }
+
+    const { title, body, isSpoiler } = req.body;
+    if (title !== undefined) thread.title = title;
+    if (body !== undefined) thread.body = body;
+    if (isSpoiler !== undefined) thread.isSpoiler = isSpoiler === true;
+    await thread.save();
+
+    res.status(200).json({ success: true, thread: await threadResponse(thread, req) });
+  } catch (error) {
+    sendValidationError(error, res, 'Error updating thread');
+  }
+});
+
+router.delete('/modules/:moduleId/days/:dayNumber/threads/:threadId', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    // Any reply counts, including hidden ones: deleting the thread would remove them too
+    const hasReplies = await DiscussionPost.exists({ threadId: thread._id, isDeleted: false });
+    if (!isAdmin(req.user) && !(isAuthor(req.user, thread) && !hasReplies)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Threads with replies can only be deleted by a moderator'
+      });
+    }
+
+    await DiscussionPost.deleteMany({ threadId: thread._id });
+    await thread.deleteOne();
+
+    res.status(200).json({ success: true, message: 'Thread deleted' });
+  } catch (error) {
+    console.error('Error deleting thread:', error);
+    res.status(500).json({ success: false, message: 'Error deleting thread' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/upvote:
+ *   post:
+ *     summary: Upvote a thread
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     responses:
+ *       200:
+ *         description: Vote recorded (voting twice has no effect)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 upvoted:
+ *                   type: boolean
+ *                 upvoteCount:
+ *                   type: number
+ *       400:
+ *         description: Authors cannot upvote their own thread
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove an upvote from a thread
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     responses:
+ *       200:
+ *         description: Vote removed
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ */
+const threadVote = (upvote) => async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    if (upvote && isAuthor(req.user, thread)) {
+      return res.status(400).json({ success: false, message: 'You cannot upvote your own thread' });
+    }
+
+    const updated = await setUpvote(DiscussionThread, { _id: thread._id }, req.user._id, upvote) || thread;
+    res.status(200).json({ success: true, upvoted: upvote, upvoteCount: updated.upvoteCount });
+  } catch (error) {
+    console.error('Error voting on thread:', error);
+    res.status(500).json({ success: false, message: 'Error recording vote' });
+  }
+};
+router.post('/modules/:moduleId/days/:dayNumber/threads/:threadId/upvote', dayAccess, threadVote(true));
+router.delete('/modules/:moduleId/days/:dayNumber/threads/:threadId/upvote', dayAccess, threadVote(false));
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/posts:
+ *   post:
+ *     summary: Reply to a thread, or to a reply
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 description: Markdown
+ *               parentId:
+ *                 type: string
+ *                 description: Reply being answered (omit to answer the thread)
+ *               isSpoiler:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Reply created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 post:
+ *                   $ref: '#/components/schemas/DiscussionPost'
+ *       400:
+ *         description: Invalid reply
+ *       403:
+ *         description: Thread is locked
+ *       404:
+ *         description: Thread or parent reply not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    if (thread.isLocked && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'This thread is locked' });
+    }
+
+    const { body, parentId, isSpoiler } = req.body;
+    if (parentId) {
+      const parentExists = mongoose.isValidObjectId(parentId) &&
+        await DiscussionPost.exists({ _id: parentId, threadId: thread._id, isDeleted: false, isHidden: false });
+      if (!parentExists) {
+        return res.status(404).json({ success: false, message: 'Parent post not found' });
+      }
+    }
+
+    const post = await DiscussionPost.create({
+      threadId: thread._id,
+      parentId: parentId || null,
+      authorId: req.user._id,
+      body,
+      isSpoiler: isSpoiler === true
+    });
+    await DiscussionThread.updateOne(
+      { _id: thread._id },
+      { $inc: { replyCount: 1 }, $set: { lastActivityAt: post.createdAt } },
+      { timestamps: false }
+    );
+
+    await post.populate('authorId', AUTHOR_FIELDS);
+    const [serialized] = buildPostTree([post.toObject()], thread, req.user, { showSpoilers: true });
+    res.status(201).json({ success: true, post: serialized });
+  } catch (error) {
+    sendValidationError(error, res, 'Error creating reply');
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/posts/{postId}:
+ *   put:
+ *     summary: Edit a reply (author)
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/DiscussionPostId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               isSpoiler:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Reply updated
+ *       400:
+ *         description: Invalid reply
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Reply not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a reply (author or admin)
+ *     description: The reply keeps its place in the thread, without author or body, so the replies to it stay readable.
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/DiscussionPostId'
+ *     responses:
+ *       200:
+ *         description: Reply deleted
+ *       403:
+ *         description: Not allowed to delete this reply
+ *       404:
+ *         description: Reply not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts/:postId', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    const post = await findPost(req, res, thread);
+    if (!post) return;
+    if (!isAuthor(req.user, post)) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit this reply' });
+    }
+
+    const { body, isSpoiler } = req.body;
+    if (body !== undefined) post.body = body;
+    if (isSpoiler !== undefined) post.isSpoiler = isSpoiler === true;
+    await post.save();
+
+    await post.populate('authorId', AUTHOR_FIELDS);
+    const [serialized] = buildPostTree([post.toObject()], thread, req.user, { showSpoilers: true });
+    res.status(200).json({ success: true, post: serialized });
+  } catch (error) {
+    sendValidationError(error, res, 'Error updating reply');
+  }
+});
+
+router.delete('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts/:postId', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    const post = await findPost(req, res, thread);
+    if (!post) return;
+    if (!isAuthor(req.user, post) && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the author or a moderator can delete this reply' });
+    }
+
+    const deleted = await DiscussionPost.findOneAndUpdate(
+      { _id: post._id, isDeleted: false },
+      { $set: { isDeleted: true, 'moderation.deletedBy': req.user._id, 'moderation.deletedAt': new Date() } }
+    );
+    // Hidden replies were already taken out of the count
+    if (deleted && !deleted.isHidden) {
+      await DiscussionThread.updateOne({ _id: thread._id }, { $inc: { replyCount: -1 } }, { timestamps: false });
+    }
+
+    if (thread.acceptedPostId && thread.acceptedPostId.toString() === post._id.toString()) {
+      thread.acceptedPostId = null;
+      await thread.save();
+    }
+
+    res.status(200).json({ success: true, message: 'Reply deleted' });
+  } catch (error) {
+    console.error('Error deleting reply:', error);
+    res.status(500).json({ success: false, message: 'Error deleting reply' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/posts/{postId}/upvote:
+ *   post:
+ *     summary: Upvote a reply
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/DiscussionPostId'
+ *     responses:
+ *       200:
+ *         description: Vote recorded (voting twice has no effect)
+ *       400:
+ *         description: Authors cannot upvote their own reply
+ *       404:
+ *         description: Reply not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove an upvote from a reply
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/DiscussionPostId'
+ *     responses:
+ *       200:
+ *         description: Vote removed
+ *       404:
+ *         description: Reply not found
+ *       500:
+ *         description: Server error
+ */
+const postVote = (upvote) => async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    const post = await findPost(req, res, thread);
+    if (!post) return;
+    if (upvote && isAuthor(req.user, post)) {
+      return res.status(400).json({ success: false, message: 'You cannot upvote your own reply' });
+    }
+
+    const updated = await setUpvote(DiscussionPost, { _id: post._id }, req.user._id, upvote) || post;
+    res.status(200).json({ success: true, upvoted: upvote, upvoteCount: updated.upvoteCount });
+  } catch (error) {
+    console.error('Error voting on reply:', error);
+    res.status(500).json({ success: false, message: 'Error recording vote' });
+  }
+};
+router.post('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts/:postId/upvote', dayAccess, postVote(true));
+router.delete('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts/:postId/upvote', dayAccess, postVote(false));
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/accepted-answer:
+ *   put:
+ *     summary: Mark a reply as the accepted answer (thread author or admin)
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Reply to accept (null to clear the accepted answer)
+ *     responses:
+ *       200:
+ *         description: Accepted answer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 acceptedPostId:
+ *                   type: string
+ *                   nullable: true
+ *       403:
+ *         description: Not the thread author
+ *       404:
+ *         description: Thread or reply not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/modules/:moduleId/days/:dayNumber/threads/:threadId/accepted-answer', dayAccess, async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    if (!isAuthor(req.user, thread) && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the thread author can accept an answer' });
+    }
+
+    const { postId } = req.body;
+    if (postId) {
+      const accepted = mongoose.isValidObjectId(postId) && await DiscussionPost.exists({
+        _id: postId,
+        threadId: thread._id,
+        isDeleted: false,
+        isHidden: false
+      });
+      if (!accepted) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+      }
+    }
+
+    thread.acceptedPostId = postId || null;
+    await thread.save();
+
+    res.status(200).json({ success: true, acceptedPostId: thread.acceptedPostId });
+  } catch (error) {
+    console.error('Error accepting answer:', error);
+    res.status(500).json({ success: false, message: 'Error updating accepted answer' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/moderation:
+ *   patch:
+ *     summary: Hide or lock a thread (admin)
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isHidden:
+ *                 type: boolean
+ *               isLocked:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Thread moderated
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Thread not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/modules/:moduleId/days/:dayNumber/threads/:threadId/moderation', dayAccess, checkRole('admin'), async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    const { isHidden, isLocked, reason } = req.body;
+    const now = new Date();
+    if (isHidden !== undefined) {
+      thread.isHidden = isHidden === true;
+      thread.moderation.hiddenBy = thread.isHidden ? req.user._id : null;
+      thread.moderation.hiddenAt = thread.isHidden ? now : null;
+    }
+    if (isLocked !== undefined) {
+      thread.isLocked = isLocked === true;
+      thread.moderation.lockedBy = thread.isLocked ? req.user._id : null;
+      thread.moderation.lockedAt = thread.isLocked ? now : null;
+    }
+    if (reason !== undefined) {
+      thread.moderation.reason = reason || null;
+    }
+    await thread.save();
+
+    res.status(200).json({ success: true, thread: await threadResponse(thread, req) });
+  } catch (error) {
+    console.error('Error moderating thread:', error);
+    res.status(500).json({ success: false, message: 'Error moderating thread' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/discussions/modules/{moduleId}/days/{dayNumber}/threads/{threadId}/posts/{postId}/moderation:
+ *   patch:
+ *     summary: Hide or unhide a reply (admin)
+ *     description: Fields left out are unchanged (a reason-only update keeps the reply's visibility).
+ *     tags: [Discussions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DiscussionModuleId'
+ *       - $ref: '#/components/parameters/DiscussionDayNumber'
+ *       - $ref: '#/components/parameters/DiscussionThreadId'
+ *       - $ref: '#/components/parameters/DiscussionPostId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isHidden:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply moderated
+ *       400:
+ *         description: isHidden is not a boolean
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Reply not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/modules/:moduleId/days/:dayNumber/threads/:threadId/posts/:postId/moderation', dayAccess, checkRole('admin'), async (req, res) => {
+  try {
+    const thread = await findThread(req, res);
+    if (!thread) return;
+    const post = await findPost(req, res, thread);
+    if (!post) return;
+
+    const { isHidden, reason } = req.body;
+    if (isHidden !== undefined && typeof isHidden !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isHidden must be a boolean' });
+    }
+    if (isHidden !== undefined) {
+      // replyCount counts visible replies: only a change of visibility moves it
+      const { modifiedCount } = await DiscussionPost.updateOne(
+        { _id: post._id, isHidden: !isHidden },
+        { $set: { isHidden } }
+      );
+      if (modifiedCount > 0) {
+        await DiscussionThread.updateOne({ _id: thread._id }, { $inc: { replyCount: isHidden ? -1 : 1 } }, { timestamps: false });
+      }
+
+      post.isHidden = isHidden;
+      post.moderation.hiddenBy = isHidden ? req.user._id : null;
+      post.moderation.hiddenAt = isHidden ? new Date() : null;
+    }
+    if (reason !== undefined) {
+      post.moderation.reason = reason || null;
+    }
+    await post.save();
+
+    if (post.isHidden && thread.acceptedPostId && thread.acceptedPostId.toString() === post._id.toString()) {
+      thread.acceptedPostId = null;
+      await thread.save();
+    }
+
+    await post.populate('authorId', AUTHOR_FIELDS);
+    const [serialized] = buildPostTree([post.toObject()], thread, req.user, { showSpoilers: true });
+    res.status(200).json({ success: true, post: serialized });
+  } catch (error) {
+    console.error('Error moderating reply:', error);
+    res.status(500).json({ success: false, message: 'Error moderating reply' });
+  }
+});
+
+module.exports = router;
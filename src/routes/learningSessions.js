@@ -0,0 +1,232 @@
+// routes/learningSessions.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const LearningSession = require('../models/LearningSession');
+const verifyToken = require('../middleware/verifyToken');
+const { checkModuleAccess } = require('../middleware/moduleAccess');
+const { checkContentTarget } = require('../middleware/contentTarget');
+const {
+  HEARTBEAT_INTERVAL_SECONDS,
+  IDLE_TIMEOUT_SECONDS,
+  expireIdleSessions,
+  recordHeartbeat,
+  startSession
+} = require('../utils/timeTracking');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Learning Sessions
+ *   description: Time-on-task tracking. The client starts a session when a module, day or exercise is opened, sends a heartbeat every heartbeatIntervalSeconds and ends it when the learner leaves. Sessions without a heartbeat for idleTimeoutSeconds are closed and must be started again.
+ */
+
+// Active session of the current user, or an error response
+const findActiveSession = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.sessionId)) {
+    res.status(400).json({ success: false, message: 'Invalid session ID' });
+    return null;
+  }
+
+  await expireIdleSessions(req.user._id);
+  const session = await LearningSession.findOne({ _id: req.params.sessionId, userId: req.user._id });
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Learning session not found' });
+    return null;
+  }
+  if (session.status !== 'active') {
+    res.status(410).json({
+      success: false,
+      message: 'Learning session has ended; start a new one',
+      endReason: session.endReason
+    });
+    return null;
+  }
+  return session;
+};
+
+/**
+ * @swagger
+ * /api/learning-sessions:
+ *   post:
+ *     summary: Start a learning session
+ *     description: A session started with the clientId of a tab ends the previous active session of that tab.
+ *     tags: [Learning Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [moduleId]
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               dayNumber:
+ *                 type: integer
+ *               exerciseId:
+ *                 type: string
+ *                 description: Requires dayNumber
+ *               clientId:
+ *                 type: string
+ *                 description: Identifier of the browser tab
+ *     responses:
+ *       201:
+ *         description: Session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessionId:
+ *                   type: string
+ *                 heartbeatIntervalSeconds:
+ *                   type: number
+ *                 idleTimeoutSeconds:
+ *                   type: number
+ *                   description: Heartbeats further apart than this credit no time
+ *       400:
+ *         description: Invalid day or exercise
+ *       403:
+ *         description: Module or day not accessible to this user
+ *       404:
+ *         description: Module, day or exercise not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', verifyToken, checkModuleAccess(), checkContentTarget, async (req, res) => {
+  try {
+    const { clientId } = req.body;
+
+    const session = await startSession(req.user, {
+      ...req.contentTarget,
+      clientId: clientId ? String(clientId).slice(0, 100) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      sessionId: session._id,
+      heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS,
+      idleTimeoutSeconds: IDLE_TIMEOUT_SECONDS
+    });
+  } catch (error) {
+    console.error('Error starting learning session:', error);
+    res.status(500).json({ success: false, message: 'Error starting learning session' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-sessions/{sessionId}/heartbeat:
+ *   post:
+ *     summary: Keep a learning session alive and credit the time since the last heartbeat
+ *     tags: [Learning Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idle:
+ *                 type: boolean
+ *                 description: No learner activity (input, visible tab) since the last heartbeat
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 creditedSeconds:
+ *                   type: number
+ *                   description: Time credited by this heartbeat (0 when idle or already counted by another tab)
+ *                 idle:
+ *                   type: boolean
+ *                 activeSeconds:
+ *                   type: number
+ *       404:
+ *         description: Session not found
+ *       410:
+ *         description: Session has ended (endReason timed-out when no heartbeat came within the idle timeout)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/heartbeat', verifyToken, async (req, res) => {
+  try {
+    const session = await findActiveSession(req, res);
+    if (!session) return;
+
+    const { creditedSeconds, idle } = await recordHeartbeat(session, { idle: req.body && req.body.idle === true });
+
+    res.status(200).json({ success: true, creditedSeconds, idle, activeSeconds: session.activeSeconds });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({ success: false, message: 'Error recording heartbeat' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/learning-sessions/{sessionId}/end:
+ *   post:
+ *     summary: End a learning session, crediting the time since the last heartbeat
+ *     tags: [Learning Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idle:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: Session not found
+ *       410:
+ *         description: Session had already ended (endReason timed-out when no heartbeat came within the idle timeout)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/end', verifyToken, async (req, res) => {
+  try {
+    const session = await findActiveSession(req, res);
+    if (!session) return;
+
+    const { creditedSeconds } = await recordHeartbeat(session, {
+      idle: req.body && req.body.idle === true,
+      end: true
+    });
+
+    res.status(200).json({ success: true, creditedSeconds, activeSeconds: session.activeSeconds });
+  } catch (error) {
+    console.error('Error ending learning session:', error);
+    res.status(500).json({ success: false, message: 'Error ending learning session' });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,89 @@
 const express = require('express');
 const router = express.Router();
 
+const mongoose = require('mongoose');
+
 // Import models and middleware
-const Module = require('../models/Module');
-const ModuleDay = require('../models/ModuleDay');
-const { ModuleTest, TestSubmission } = require('../models/ModuleTest');
+const TestAttempt = require('../models/TestAttempt');
+const TestSubmission = require('../models/TestSubmission');
 const verifyToken = require('../middleware/verifyToken');
-const { betaContentRestriction } = require('../middleware/betaContentRestriction');
+const { checkModuleAccess } = require('../middleware/moduleAccess');
+const { checkDayRelease } = require('../middleware/dayRelease');
+const {
+  findPublishedModules,
+  findPublishedModuleById,
+  findPublishedModuleBySlug,
+  findPublishedDays,
+  findPublishedDay,
+  findPublishedTest,
+  findPublishedTests
+} = require('../utils/publishedContent');
+const {
+  SUBMISSION_GRACE_MS,
+  loadAttemptTest,
+  startAttempt,
+  serveAttempt,
+  finalizeAttempt,
+  finalizeExpiredAttempts
+} = require('../utils/testAttempts');
+const { countDrawnQuestions } = require('../utils/questionPools');
+const { runTestCases, visibleTestCases } = require('../utils/autograder');
+const { getRevealDecision, buildReview } = require('../utils/testReview');
+const { getRetakePolicy, getCountedScore, getAttemptAllowance } = require('../utils/testPolicy');
+const { evaluateModulesAccess, evaluateDayAccess } = require('../utils/accessPolicy');
+const { getPrerequisites, computeDepths } = require('../utils/curriculumGraph');
+const { getModuleReleaseResolver } = require('../utils/releaseSchedule');
+const { refreshNotionMastery } = require('../utils/notionMastery');
+const { recordProgressEvent } = require('../utils/achievements');
+const { findExerciseProgress, toLearnerHints } = require('../utils/exerciseHints');
+const {
+  resolveLocale,
+  localizeModule,
+  localizeDay,
+  localizeExercise,
+  localizeTest
+} = require('../utils/localization');
+
+// Learners only ever see the published version of content; archived
+// exercises and questions stay in it for existing progress but are hidden
+const activeExercises = (day) => day.exercises.filter(e => !e.isArchived);
+
+const isAutograded = (exercise) => !!(exercise.testCases && exercise.testCases.length > 0);
+
+const isDayCompleted = (user, moduleId, dayNumber) => {
+  const moduleProgress = user.getModuleProgress(moduleId);
+  return !!(moduleProgress && moduleProgress.days.some(d => d.dayNumber === dayNumber && d.completed));
+};
+
+// Hidden autograder test cases never leave the server, nor do the hints the user has not revealed
+const withActiveExercises = (day, user) => ({
+  ...day,
+  exercises: activeExercises(day).map(exercise => ({
+    ...exercise,
+    testCases: visibleTestCases(exercise.testCases),
+    isAutograded: isAutograded(exercise),
+    ...toLearnerHints(exercise, findExerciseProgress(user, day.moduleId, day.dayNumber, exercise._id))
+  }))
+});
+
+// Locale content is served in for this request, announced in Content-Language
+const contentLocale = (req, res) => {
+  const locale = resolveLocale(req);
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  return locale;
+};
+
+// Stub for a day the user cannot open yet (day limit or release schedule)
+const lockedDay = (day, lockReason, availableAt = null) => ({
+  _id: day._id,
+  moduleId: day.moduleId,
+  dayNumber: day.dayNumber,
+  title: day.title,
+  isLocked: true,
+  lockReason,
+  availableAt
+});
 
 /**
  * @swagger
@@ -16,6 +93,38 @@ const { betaContentRestriction } = require('../middleware/betaContentRestriction
  *   description: Module management and progression endpoints
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ContentLanguage:
+ *       in: header
+ *       name: Accept-Language
+ *       required: false
+ *       description: Language of the content (fr or en) when the user has no locale preference; untranslated text falls back to its original language. The response's Content-Language header gives the locale used.
+ *       schema:
+ *         type: string
+ *         example: "fr-FR,fr;q=0.9,en;q=0.8"
+ *   schemas:
+ *     ModuleAccessDecision:
+ *       type: object
+ *       properties:
+ *         allowed:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [unlocked, partial, locked, requires-payment, requires-entitlement, requires-prerequisite]
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [ADMIN, FREE_MODULE, ROLE_NOT_ALLOWED, MISSING_ENTITLEMENT, ENTITLEMENTS_WAIVED, PREREQUISITE_NOT_MET, DAY_LIMIT]
+ *         maxDay:
+ *           type: integer
+ *           nullable: true
+ *           description: Last day the user can open (null when unlimited)
+ */
+
 /**
  * @swagger
  * /api/modules:
@@ -24,15 +133,22 @@ const { betaContentRestriction } = require('../middleware/betaContentRestriction
  *     tags: [Modules]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentLanguage'
  *     responses:
  *       200:
- *         description: An array of modules.
+ *         description: An array of modules, each with the user's access decision.
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Module'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Module'
+ *                   - type: object
+ *                     properties:
+ *                       access:
+ *                         $ref: '#/components/schemas/ModuleAccessDecision'
  *       401:
  *         description: Unauthorized access.
  *       500:
@@ -40,8 +156,135 @@ const { betaContentRestriction } = require('../middleware/betaContentRestriction
  */
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const modules = await Module.find().sort({ order: 1 });
-    res.status(200).json(modules);
+    const modules = await findPublishedModules();
+    const decisions = await evaluateModulesAccess(req.user, modules);
+    const locale = contentLocale(req, res);
+    res.status(200).json(modules.map(module => {
+      const { allowed, status, reasons, maxDay } = decisions.get(module._id.toString());
+      return { ...localizeModule(module, locale), access: { allowed, status, reasons, maxDay } };
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/graph:
+ *   get:
+ *     summary: Curriculum graph of published modules and their prerequisites
+ *     description: Nodes are modules with the current user's access decision and progress; edges go from a prerequisite to the module that requires it.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: The curriculum graph.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       order:
+ *                         type: number
+ *                       depth:
+ *                         type: number
+ *                         description: 0 for modules without prerequisites, otherwise one more than the deepest prerequisite
+ *                       locked:
+ *                         type: boolean
+ *                       access:
+ *                         $ref: '#/components/schemas/ModuleAccessDecision'
+ *                       started:
+ *                         type: boolean
+ *                       completed:
+ *                         type: boolean
+ *                       testScore:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Best or latest score, per the test's retake policy
+ *                       testPassed:
+ *                         type: boolean
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         description: Prerequisite module ID
+ *                       to:
+ *                         type: string
+ *                         description: ID of the module that requires it
+ *                       minScore:
+ *                         type: number
+ *                       met:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized access.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/graph', verifyToken, async (req, res) => {
+  try {
+    const [modules, tests] = await Promise.all([findPublishedModules(), findPublishedTests()]);
+    const decisions = await evaluateModulesAccess(req.user, modules, { tests });
+    const testByModuleId = new Map(tests.map(t => [t.moduleId.toString(), t]));
+    const publishedIds = new Set(modules.map(m => m._id.toString()));
+
+    // Edges to modules that are not published are left out
+    const edges = [];
+    const prerequisitesById = new Map();
+    for (const module of modules) {
+      const to = module._id.toString();
+      const decision = decisions.get(to);
+      const prerequisites = getPrerequisites(module).filter(p => publishedIds.has(p.moduleId.toString()));
+      prerequisitesById.set(to, prerequisites.map(p => p.moduleId.toString()));
+      for (const { moduleId, minScore } of prerequisites) {
+        const from = moduleId.toString();
+        const evaluated = decision.prerequisites.find(p => p.moduleId.toString() === from);
+        edges.push({ from, to, minScore, met: evaluated ? evaluated.met : true });
+      }
+    }
+
+    const depths = computeDepths(prerequisitesById);
+    const locale = contentLocale(req, res);
+    const nodes = modules.map(module => {
+      const id = module._id.toString();
+      const { allowed, status, reasons, maxDay } = decisions.get(id);
+      const moduleTest = testByModuleId.get(id) || null;
+      const progress = req.user.getModuleProgress(module._id);
+      const testScore = req.user.progress.testScores.find(t => t.moduleId && t.moduleId.toString() === id);
+      const countedScore = testScore ? getCountedScore(testScore, moduleTest) : null;
+
+      return {
+        id,
+        name: localizeModule(module, locale).name,
+        slug: module.slug,
+        order: module.order,
+        depth: Math.max(depths.get(id) || 0, 0),
+        locked: !allowed,
+        access: { allowed, status, reasons, maxDay },
+        started: !!(progress && progress.started),
+        completed: !!(progress && progress.completed),
+        testScore: countedScore,
+        testPassed: countedScore !== null && countedScore >= (moduleTest ? moduleTest.passingScore : 60)
+      };
+    });
+
+    res.status(200).json({ nodes, edges });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -62,6 +305,7 @@ router.get('/', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
  *     responses:
  *       200:
  *         description: Module data.
@@ -77,11 +321,11 @@ router.get('/', verifyToken, async (req, res) => {
 router.get('/:id', verifyToken, async (req, res) => {
   try {
     const moduleId = req.params.id;
-    const moduleData = await Module.findById(moduleId);
+    const moduleData = await findPublishedModuleById(moduleId);
     if (!moduleData) {
       return res.status(404).json({ message: 'Module not found' });
     }
-    res.status(200).json(moduleData);
+    res.status(200).json(localizeModule(moduleData, contentLocale(req, res)));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -102,28 +346,43 @@ router.get('/:id', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
  *     responses:
  *       200:
- *         description: An array of module days.
+ *         description: An array of module days with their availableAt. Days past the user's day limit or not released yet only include dayNumber, title, lockReason (DAY_LIMIT, NOT_RELEASED or MODULE_NOT_STARTED) and availableAt, with isLocked set.
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/ModuleDay'
+ *       403:
+ *         description: Module not accessible to this user.
  *       404:
  *         description: Module days not found.
  *       500:
  *         description: Server error.
  */
-router.get('/:moduleId/days', verifyToken, async (req, res) => {
+router.get('/:moduleId/days', verifyToken, checkModuleAccess(), async (req, res) => {
   try {
     const moduleId = req.params.moduleId;
-    const days = await ModuleDay.find({ moduleId }).sort({ dayNumber: 1 });
+    const days = await findPublishedDays(moduleId);
     if (!days || days.length === 0) {
       return res.status(404).json({ message: 'No days found for this module' });
     }
-    res.status(200).json(days);
+    // Days past the user's day limit or not released yet are listed without their content
+    const resolveRelease = await getModuleReleaseResolver(req.user, req.publishedModule);
+    const locale = contentLocale(req, res);
+    res.status(200).json(days.map(publishedDay => {
+      const day = localizeDay(publishedDay, locale);
+      if (!evaluateDayAccess(req.moduleAccess, day.dayNumber).allowed) {
+        return lockedDay(day, 'DAY_LIMIT');
+      }
+      const release = resolveRelease(day);
+      return release.available
+        ? { ...withActiveExercises(day, req.user), availableAt: release.availableAt }
+        : lockedDay(day, release.reason, release.availableAt);
+    }));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -150,24 +409,29 @@ router.get('/:moduleId/days', verifyToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/ContentLanguage'
  *     responses:
  *       200:
- *         description: Data for the specified module day.
+ *         description: Data for the specified module day, with availableAt (null when the day is not drip-released).
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ModuleDay'
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet (reason NOT_RELEASED or MODULE_NOT_STARTED, with availableAt).
  *       404:
  *         description: Module day not found.
  *       500:
  *         description: Server error.
  */
-router.get('/:moduleId/days/:dayNumber', verifyToken, betaContentRestriction, async (req, res) => {
+router.get('/:moduleId/days/:dayNumber', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
   try {
-    const { moduleId, dayNumber } = req.params;
-    const day = await ModuleDay.findOne({ moduleId, dayNumber: parseInt(dayNumber) });
+    const day = req.publishedDay;
     if (!day) return res.status(404).json({ message: 'Module day not found' });
-    res.status(200).json(day);
+    res.status(200).json({
+      ...withActiveExercises(localizeDay(day, contentLocale(req, res)), req.user),
+      availableAt: req.dayRelease.availableAt
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -175,166 +439,1452 @@ router.get('/:moduleId/days/:dayNumber', verifyToken, betaContentRestriction, as
 
 /**
  * @swagger
- * /api/modules/{moduleSlug}/test:
- *   get:
- *     summary: Retrieve the test associated with a module.
+ * components:
+ *   schemas:
+ *     ModuleProgressResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         moduleProgress:
+ *           $ref: '#/components/schemas/ModuleProgress'
+ *         achievementsEarned:
+ *           type: array
+ *           description: Badges earned by this action (not returned when starting a module)
+ *           items:
+ *             $ref: '#/components/schemas/Achievement'
+ */
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/start:
+ *   post:
+ *     summary: Start a module for the current user.
  *     tags: [Modules]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: moduleSlug
- *         description: The slug identifier for the module.
+ *         name: moduleId
+ *         description: The module ID.
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: The test questions (with sanitized answer options).
+ *         description: Module progress after starting the module.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ModuleTest'
+ *               $ref: '#/components/schemas/ModuleProgressResponse'
  *       403:
- *         description: Test not accessible because prerequisites have not been met.
+ *         description: Module not accessible to this user.
  *       404:
- *         description: Test not found.
+ *         description: Module not found.
  *       500:
  *         description: Server error.
  */
-router.get('/:moduleSlug/test', verifyToken, async (req, res) => {
+router.post('/:moduleId/start', verifyToken, checkModuleAccess(), async (req, res) => {
   try {
-    const moduleSlug = req.params.moduleSlug;
-    // Find the module based on its slug
-    const moduleData = await Module.findOne({ slug: moduleSlug });
-    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
-    
-    // Retrieve the associated test
-    const moduleTest = await ModuleTest.findOne({ moduleId: moduleData._id });
-    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
-    
-    // Remove correct answer flags before sending data to client
-    const sanitizedQuestions = moduleTest.questions.map(q => ({
-      _id: q._id,
-      question: q.question,
-      options: q.options.map(o => ({
-        _id: o._id,
-        text: o.text
-      })),
-      type: q.type,
-      points: q.points
-    }));
-    
-    const sanitizedTest = {
-      _id: moduleTest._id,
-      moduleId: moduleTest.moduleId,
-      title: moduleTest.title,
-      description: moduleTest.description,
-      timeLimit: moduleTest.timeLimit,
-      passingScore: moduleTest.passingScore,
-      questions: sanitizedQuestions,
-      createdAt: moduleTest.createdAt,
-      updatedAt: moduleTest.updatedAt
-    };
-    
-    res.status(200).json(sanitizedTest);
+    const { moduleId } = req.params;
+    const moduleData = await findPublishedModuleById(moduleId);
+    if (!moduleData) return res.status(404).json({ success: false, message: 'Module not found' });
+
+    await req.user.addModuleProgress(moduleData._id, moduleData.contentVersion);
+
+    res.status(200).json({
+      success: true,
+      moduleProgress: req.user.getModuleProgress(moduleData._id)
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/modules/{moduleSlug}/test/submit:
+ * /api/modules/{moduleId}/days/{dayNumber}/start:
  *   post:
- *     summary: Submit test answers for a module and receive a score.
+ *     summary: Start a day within a module (starts the module if needed).
  *     tags: [Modules]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: moduleSlug
- *         description: The slug identifier for the module test.
+ *         name: moduleId
+ *         description: The module ID.
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dayNumber
+ *         description: The day number within the module.
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Module progress after starting the day.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModuleProgressResponse'
+ *       400:
+ *         description: Invalid day number.
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet.
+ *       404:
+ *         description: Module day not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleId/days/:dayNumber/start', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const dayNumber = parseInt(req.params.dayNumber);
+    if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid day number' });
+    }
+
+    const day = await findPublishedDay(moduleId, dayNumber);
+    if (!day) return res.status(404).json({ success: false, message: 'Module day not found' });
+
+    const moduleData = await findPublishedModuleById(day.moduleId);
+    await req.user.startDayInModule(
+      day.moduleId,
+      dayNumber,
+      day.contentVersion,
+      moduleData ? moduleData.contentVersion : null
+    );
+    const achievementsEarned = await recordProgressEvent(req.user, 'day-started');
+
+    res.status(200).json({
+      success: true,
+      moduleProgress: req.user.getModuleProgress(day.moduleId),
+      achievementsEarned
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/days/{dayNumber}/complete:
+ *   post:
+ *     summary: Complete a day within a module.
+ *     description: All exercises of the day must be completed first. The module is marked completed once every one of its days is done.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         description: The module ID.
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dayNumber
+ *         description: The day number within the module.
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Module progress after completing the day.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModuleProgressResponse'
+ *       400:
+ *         description: Invalid day number, module not started or exercises still pending.
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet.
+ *       404:
+ *         description: Module day not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleId/days/:dayNumber/complete', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const dayNumber = parseInt(req.params.dayNumber);
+    if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid day number' });
+    }
+
+    const day = await findPublishedDay(moduleId, dayNumber);
+    if (!day) return res.status(404).json({ success: false, message: 'Module day not found' });
+
+    const moduleProgress = req.user.getModuleProgress(day.moduleId);
+    if (!moduleProgress) {
+      return res.status(400).json({ success: false, message: 'Module has not been started' });
+    }
+
+    // Every exercise of the day has to be completed before the day itself
+    const dayProgress = moduleProgress.days.find(d => d.dayNumber === dayNumber);
+    const pendingExercises = activeExercises(day)
+      .filter(exercise => !dayProgress || !dayProgress.exercises.some(
+        e => e.completed && e.exerciseId.toString() === exercise._id.toString()
+      ))
+      .map(exercise => exercise._id);
+
+    if (pendingExercises.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'All exercises must be completed before completing the day',
+        pendingExercises
+      });
+    }
+
+    await req.user.completeDayInModule(day.moduleId, dayNumber, day.contentVersion);
+
+    const moduleDays = await findPublishedDays(day.moduleId);
+    await req.user.refreshModuleCompletion(day.moduleId, moduleDays.map(d => d.dayNumber));
+    await refreshNotionMastery(req.user);
+    const achievementsEarned = await recordProgressEvent(req.user, 'day-completed');
+
+    res.status(200).json({
+      success: true,
+      moduleProgress: req.user.getModuleProgress(day.moduleId),
+      achievementsEarned
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/days/{dayNumber}/exercises/{exerciseId}/complete:
+ *   post:
+ *     summary: Mark an exercise of a module day as completed.
+ *     description: The day is completed automatically once all of its exercises are done, and the module once all of its days are.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         description: The module ID.
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dayNumber
+ *         description: The day number within the module.
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: exerciseId
+ *         description: The exercise ID within the day.
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Module progress after completing the exercise.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModuleProgressResponse'
+ *       400:
+ *         description: Invalid day number, day not started, or the exercise is autograded.
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet.
+ *       404:
+ *         description: Module day or exercise not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleId/days/:dayNumber/exercises/:exerciseId/complete', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
+  try {
+    const { moduleId, exerciseId } = req.params;
+    const dayNumber = parseInt(req.params.dayNumber);
+    if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid day number' });
+    }
+
+    const day = await findPublishedDay(moduleId, dayNumber);
+    if (!day) return res.status(404).json({ success: false, message: 'Module day not found' });
+
+    const exercise = activeExercises(day).find(e => e._id.toString() === exerciseId);
+    if (!exercise) return res.status(404).json({ success: false, message: 'Exercise not found in this day' });
+
+    if (isAutograded(exercise)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exercise is autograded; submit a solution that passes its test cases'
+      });
+    }
+
+    const moduleProgress = req.user.getModuleProgress(day.moduleId);
+    if (!moduleProgress || !moduleProgress.days.some(d => d.dayNumber === dayNumber)) {
+      return res.status(400).json({ success: false, message: 'Day has not been started' });
+    }
+
+    const dayWasCompleted = isDayCompleted(req.user, day.moduleId, dayNumber);
+    await req.user.completeExerciseInDay(
+      day.moduleId,
+      dayNumber,
+      exercise._id,
+      activeExercises(day).map(e => e._id),
+      day.contentVersion
+    );
+
+    const moduleDays = await findPublishedDays(day.moduleId);
+    await req.user.refreshModuleCompletion(day.moduleId, moduleDays.map(d => d.dayNumber));
+    // Completing the last exercise completes the day, which notion mastery counts
+    if (!dayWasCompleted && isDayCompleted(req.user, day.moduleId, dayNumber)) {
+      await refreshNotionMastery(req.user);
+    }
+    const achievementsEarned = await recordProgressEvent(req.user, 'exercise-completed');
+
+    res.status(200).json({
+      success: true,
+      moduleProgress: req.user.getModuleProgress(day.moduleId),
+      achievementsEarned
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/days/{dayNumber}/exercises/{exerciseId}/submit:
+ *   post:
+ *     summary: Submit a solution to an autograded exercise.
+ *     description: The solution is run in a sandbox (CPU, memory and time limits) against the exercise's test cases. The exercise is completed when every case passes. Hidden cases only report pass/fail; visible ones include the stdout diff.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dayNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: exerciseId
  *         required: true
  *         schema:
  *           type: string
  *     requestBody:
- *       description: Submit answers as an array of objects.
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             required:
- *               - answers
+ *               - source
  *             properties:
- *               answers:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     questionId:
- *                       type: string
- *                     selectedOptionId:
- *                       type: string
- *                     codingAnswer:
- *                       type: string
+ *               source:
+ *                 type: string
+ *                 description: Code or shell script
  *     responses:
  *       200:
- *         description: Test submitted with computed score and pass/fail status.
+ *         description: Autograder results, and module progress when the exercise was completed.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 score:
- *                   type: number
- *                 passed:
+ *                 success:
  *                   type: boolean
- *       400:
- *         description: Invalid submission data.
+ *                 completed:
+ *                   type: boolean
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [passed, failed, compile-error]
+ *                     passedCases:
+ *                       type: number
+ *                     totalCases:
+ *                       type: number
+ *                     compileOutput:
+ *                       type: string
+ *                     cases:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: number
+ *                           name:
+ *                             type: string
+ *                           hidden:
+ *                             type: boolean
+ *                           passed:
+ *                             type: boolean
+ *                           timedOut:
+ *                             type: boolean
+ *                           limitExceeded:
+ *                             type: string
+ *                             enum: [time, output, cpu-or-memory]
+ *                           exitCode:
+ *                             type: number
+ *                           durationMs:
+ *                             type: number
+ *                           stdoutDiff:
+ *                             type: array
+ *                             description: Visible cases only
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 line:
+ *                                   type: number
+ *                                 expected:
+ *                                   type: string
+ *                                 actual:
+ *                                   type: string
+ *                           stderr:
+ *                             type: string
+ *                             description: Visible cases only
+ *                 moduleProgress:
+ *                   $ref: '#/components/schemas/ModuleProgress'
+ *                 achievementsEarned:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Achievement'
+ *       400:
+ *         description: Invalid day number or source, day not started, or the exercise is not autograded.
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet.
+ *       404:
+ *         description: Module day or exercise not found.
  *       500:
  *         description: Server error.
  */
-router.post('/:moduleSlug/test/submit', verifyToken, async (req, res) => {
+router.post('/:moduleId/days/:dayNumber/exercises/:exerciseId/submit', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
+  try {
+    const { moduleId, exerciseId } = req.params;
+    const { source } = req.body;
+    const dayNumber = parseInt(req.params.dayNumber);
+    if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid day number' });
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+      return res.status(400).json({ success: false, message: 'source is required' });
+    }
+
+    const day = await findPublishedDay(moduleId, dayNumber);
+    if (!day) return res.status(404).json({ success: false, message: 'Module day not found' });
+
+    const exercise = activeExercises(day).find(e => e._id.toString() === exerciseId);
+    if (!exercise) return res.status(404).json({ success: false, message: 'Exercise not found in this day' });
+
+    if (!isAutograded(exercise)) {
+      return res.status(400).json({ success: false, message: 'This exercise is not autograded' });
+    }
+
+    const moduleProgress = req.user.getModuleProgress(day.moduleId);
+    if (!moduleProgress || !moduleProgress.days.some(d => d.dayNumber === dayNumber)) {
+      return res.status(400).json({ success: false, message: 'Day has not been started' });
+    }
+
+    const result = await runTestCases({
+      language: exercise.language,
+      source,
+      testCases: exercise.testCases
+    });
+
+    const completed = result.status === 'passed';
+    let achievementsEarned = [];
+    if (completed) {
+      const dayWasCompleted = isDayCompleted(req.user, day.moduleId, dayNumber);
+      await req.user.completeExerciseInDay(
+        day.moduleId,
+        dayNumber,
+        exercise._id,
+        activeExercises(day).map(e => e._id),
+        day.contentVersion
+      );
+
+      const moduleDays = await findPublishedDays(day.moduleId);
+      await req.user.refreshModuleCompletion(day.moduleId, moduleDays.map(d => d.dayNumber));
+      if (!dayWasCompleted && isDayCompleted(req.user, day.moduleId, dayNumber)) {
+        await refreshNotionMastery(req.user);
+      }
+      achievementsEarned = await recordProgressEvent(req.user, 'exercise-completed');
+    }
+
+    res.status(200).json({
+      success: true,
+      completed,
+      result,
+      moduleProgress: req.user.getModuleProgress(day.moduleId),
+      achievementsEarned
+    });
+  } catch (err) {
+    console.error('Error submitting exercise solution:', err);
+    res.status(500).json({ success: false, message: 'Error submitting exercise solution' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleId}/days/{dayNumber}/exercises/{exerciseId}/hints/reveal:
+ *   post:
+ *     summary: Reveal the next hint of an exercise.
+ *     description: Hints are revealed one at a time, in order, and recorded in the learner's exercise progress. Hints revealed before completing the exercise may reduce its notion mastery credit (see the exercise's hintPenalty).
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: dayNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: exerciseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: The revealed hint, with every hint revealed so far.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 hint:
+ *                   type: object
+ *                   properties:
+ *                     index:
+ *                       type: number
+ *                     content:
+ *                       type: string
+ *                 hintCount:
+ *                   type: number
+ *                 hintsRevealed:
+ *                   type: number
+ *                 hints:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: number
+ *                       content:
+ *                         type: string
+ *                 hintPenalty:
+ *                   type: number
+ *                   description: Share of the mastery credit each hint revealed before completion costs
+ *       400:
+ *         description: Invalid day number, day not started, or no hint left to reveal.
+ *       403:
+ *         description: Module or day not accessible to this user, or day not released yet.
+ *       404:
+ *         description: Module day or exercise not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleId/days/:dayNumber/exercises/:exerciseId/hints/reveal', verifyToken, checkModuleAccess(), checkDayRelease, async (req, res) => {
+  try {
+    const { moduleId, exerciseId } = req.params;
+    const dayNumber = parseInt(req.params.dayNumber);
+    if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ success: false, message: 'Invalid day number' });
+    }
+
+    const day = await findPublishedDay(moduleId, dayNumber);
+    if (!day) return res.status(404).json({ success: false, message: 'Module day not found' });
+
+    const publishedExercise = activeExercises(day).find(e => e._id.toString() === exerciseId);
+    if (!publishedExercise) return res.status(404).json({ success: false, message: 'Exercise not found in this day' });
+
+    const moduleProgress = req.user.getModuleProgress(day.moduleId);
+    if (!moduleProgress || !moduleProgress.days.some(d => d.dayNumber === dayNumber)) {
+      return res.status(400).json({ success: false, message: 'Day has not been started' });
+    }
+
+    const exercise = localizeExercise(publishedExercise, contentLocale(req, res));
+
+    const hintCount = (exercise.hints || []).length;
+    const before = toLearnerHints(exercise, findExerciseProgress(req.user, day.moduleId, dayNumber, exercise._id));
+    if (before.hintsRevealed >= hintCount) {
+      return res.status(400).json({
+        success: false,
+        message: hintCount === 0 ? 'This exercise has no hints' : 'All hints have already been revealed'
+      });
+    }
+
+    await req.user.revealExerciseHint(day.moduleId, dayNumber, exercise._id, hintCount);
+    const hints = toLearnerHints(exercise, findExerciseProgress(req.user, day.moduleId, dayNumber, exercise._id));
+
+    res.status(200).json({
+      success: true,
+      hint: hints.hints[hints.hints.length - 1],
+      ...hints,
+      hintPenalty: exercise.hintPenalty || 0
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test:
+ *   get:
+ *     summary: Retrieve the test associated with a module.
+ *     description: Returns the test metadata only. Questions are served through a test attempt so the time limit can be enforced server-side.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         description: The slug identifier for the module.
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: The test metadata and the learner's running attempt, if any.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 moduleId:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                 timeLimit:
+ *                   type: number
+ *                   description: Time limit in minutes (0 for untimed tests)
+ *                 passingScore:
+ *                   type: number
+ *                 questionCount:
+ *                   type: number
+ *                   description: Number of questions drawn for each attempt
+ *                 contentVersion:
+ *                   type: number
+ *                 publishedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 activeAttemptId:
+ *                   type: string
+ *                   description: ID of the learner's in-progress attempt (null if none)
+ *                 retakePolicy:
+ *                   type: object
+ *                   properties:
+ *                     maxAttempts:
+ *                       type: number
+ *                     cooldownMinutes:
+ *                       type: number
+ *                     scoreToKeep:
+ *                       type: string
+ *                       enum: [best, latest]
+ *                 attempts:
+ *                   type: object
+ *                   description: Whether the learner can start a new attempt
+ *                   properties:
+ *                     allowed:
+ *                       type: boolean
+ *                     reason:
+ *                       type: string
+ *                       enum: [OK, MAX_ATTEMPTS_REACHED, COOLDOWN]
+ *                     attemptsUsed:
+ *                       type: number
+ *                     maxAttempts:
+ *                       type: number
+ *                       description: Including extra attempts granted by an admin (null for unlimited)
+ *                     attemptsRemaining:
+ *                       type: number
+ *                     nextAttemptAt:
+ *                       type: string
+ *                       format: date-time
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Test not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:moduleSlug/test', verifyToken, checkModuleAccess(), async (req, res) => {
   try {
     const moduleSlug = req.params.moduleSlug;
-    const { answers } = req.body;
+    // Find the module based on its slug
+    const moduleData = await findPublishedModuleBySlug(moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
     
-    // Find module based on slug.
-    const moduleData = await Module.findOne({ slug: moduleSlug });
+    // Retrieve the associated test
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    await finalizeExpiredAttempts(req.user, moduleTest._id);
+    const [activeAttempt, allowance] = await Promise.all([
+      TestAttempt.findOne({
+        userId: req.user._id,
+        moduleTestId: moduleTest._id,
+        status: 'in-progress'
+      }),
+      getAttemptAllowance(req.user, moduleTest)
+    ]);
+    
+    const localizedTest = localizeTest(moduleTest, contentLocale(req, res));
+    res.status(200).json({
+      _id: moduleTest._id,
+      moduleId: moduleTest.moduleId,
+      title: localizedTest.title,
+      description: localizedTest.description,
+      timeLimit: moduleTest.timeLimit,
+      passingScore: moduleTest.passingScore,
+      questionCount: countDrawnQuestions(moduleTest),
+      contentVersion: moduleTest.contentVersion,
+      publishedAt: moduleTest.publishedAt,
+      activeAttemptId: activeAttempt ? activeAttempt._id : null,
+      retakePolicy: getRetakePolicy(moduleTest),
+      attempts: allowance
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestAttemptSession:
+ *       type: object
+ *       description: Learner-facing view of a test attempt, with questions in the order they were served
+ *       properties:
+ *         attemptId:
+ *           type: string
+ *         attemptNumber:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [in-progress, submitted, expired]
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         timeLimit:
+ *           type: number
+ *         passingScore:
+ *           type: number
+ *         contentVersion:
+ *           type: number
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         deadline:
+ *           type: string
+ *           format: date-time
+ *           description: Submission deadline (null for untimed tests)
+ *         remainingSeconds:
+ *           type: number
+ *           description: Seconds left before the deadline (null for untimed tests)
+ *         questions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               question:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *               type:
+ *                 type: string
+ *               points:
+ *                 type: number
+ *               blankCount:
+ *                 type: number
+ *                 description: Number of blanks (fill-in-the-blank questions only)
+ *         answers:
+ *           type: array
+ *           description: Answers saved so far
+ *           items:
+ *             type: object
+ *     TestSubmissionResult:
+ *       type: object
+ *       properties:
+ *         score:
+ *           type: number
+ *         passed:
+ *           type: boolean
+ *         submissionId:
+ *           type: string
+ *         attemptId:
+ *           type: string
+ *         attemptNumber:
+ *           type: number
+ *         contentVersion:
+ *           type: number
+ *         autoSubmitted:
+ *           type: boolean
+ *         bestScore:
+ *           type: number
+ *         countedScore:
+ *           type: number
+ *           description: Score that counts toward prerequisites (best or latest, per the test's retake policy)
+ */
+
+// Find one of the current user's attempts on a test (null for unknown or foreign IDs)
+const findUserAttempt = (user, moduleTest, attemptId) => {
+  if (!mongoose.isValidObjectId(attemptId)) return null;
+  return TestAttempt.findOne({ _id: attemptId, userId: user._id, moduleTestId: moduleTest._id });
+};
+
+const submissionResult = (submission, user, moduleTest) => {
+  const testScore = user.progress.testScores.find(
+    ts => ts.moduleId.toString() === submission.moduleId.toString()
+  );
+  
+  return {
+    score: submission.score,
+    passed: submission.passed,
+    submissionId: submission._id,
+    attemptId: submission.attemptId,
+    attemptNumber: submission.attemptNumber,
+    contentVersion: submission.contentVersion,
+    autoSubmitted: submission.autoSubmitted,
+    bestScore: testScore ? testScore.score : submission.score,
+    countedScore: testScore ? getCountedScore(testScore, moduleTest) : submission.score
+  };
+};
+
+// Grade an attempt whose deadline has passed with the answers saved so far
+const expireAttempt = async (attempt, user, moduleTest, res) => {
+  const submission = await finalizeAttempt(attempt, user, attempt.answers, { autoSubmitted: true });
+  const saved = submission || await TestSubmission.findOne({ attemptId: attempt._id });
+  
+  return res.status(410).json({
+    message: 'Time limit exceeded; the attempt was graded with the answers saved before the deadline',
+    result: saved ? submissionResult(saved, user, moduleTest) : null
+  });
+};
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/attempts:
+ *   post:
+ *     summary: Start a test attempt.
+ *     description: Creates a server-side attempt with a deadline derived from the test's time limit. Questions are drawn from the test's pools and shuffled with a seed stored on the attempt, so the same draw is kept for grading and review. If the learner already has a running attempt, it is resumed instead. New attempts follow the test's retake policy (maximum attempts and cooldown).
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         description: The slug identifier for the module.
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: Running attempt resumed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestAttemptSession'
+ *       201:
+ *         description: Attempt started.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestAttemptSession'
+ *       403:
+ *         description: Module not accessible to this user, or maximum number of attempts reached (reason MAX_ATTEMPTS_REACHED, with attemptsUsed and maxAttempts).
+ *       429:
+ *         description: Cooldown between attempts not over yet (reason COOLDOWN, with nextAttemptAt).
+ *       404:
+ *         description: Module or test not found.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleSlug/test/attempts', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const moduleData = await findPublishedModuleBySlug(req.params.moduleSlug);
     if (!moduleData) return res.status(404).json({ message: 'Module not found' });
     
-    const moduleTest = await ModuleTest.findOne({ moduleId: moduleData._id });
+    const moduleTest = await findPublishedTest(moduleData._id);
     if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
     
-    // Calculate the test score.
-    let totalPoints = 0, earnedPoints = 0;
-    moduleTest.questions.forEach(question => {
-      totalPoints += question.points;
-      const userAnswer = answers.find(ans => ans.questionId === question._id.toString());
-      if (userAnswer) {
-        const correctOption = question.options.find(opt => opt.isCorrect);
-        if (userAnswer.selectedOptionId === correctOption?._id.toString()) {
-          earnedPoints += question.points;
-        }
+    await finalizeExpiredAttempts(req.user, moduleTest._id);
+    const { attempt, resumed, allowance } = await startAttempt(req.user, moduleData, moduleTest);
+    if (!attempt) {
+      const message = allowance.reason === 'COOLDOWN'
+        ? 'Please wait before starting another attempt'
+        : 'Maximum number of attempts reached for this test';
+      return res.status(allowance.reason === 'COOLDOWN' ? 429 : 403).json({ message, ...allowance });
+    }
+    
+    const servedTest = await loadAttemptTest(attempt);
+    if (!servedTest) return res.status(404).json({ message: 'Test version for this attempt not found' });
+    
+    res.status(resumed ? 200 : 201).json(serveAttempt(attempt, localizeTest(servedTest, contentLocale(req, res))));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/attempts/{attemptId}:
+ *   get:
+ *     summary: Resume a test attempt.
+ *     description: Returns the attempt with its questions in the order they were originally served and the time remaining.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: The attempt.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestAttemptSession'
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Module, test or attempt not found.
+ *       410:
+ *         description: The deadline has passed; the attempt was graded with its saved answers.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:moduleSlug/test/attempts/:attemptId', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const moduleData = await findPublishedModuleBySlug(req.params.moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
+    
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    const attempt = await findUserAttempt(req.user, moduleTest, req.params.attemptId);
+    if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+    
+    if (attempt.status === 'in-progress' && attempt.isExpired(SUBMISSION_GRACE_MS)) {
+      return expireAttempt(attempt, req.user, moduleTest, res);
+    }
+    
+    const servedTest = await loadAttemptTest(attempt);
+    if (!servedTest) return res.status(404).json({ message: 'Test version for this attempt not found' });
+    
+    res.status(200).json(serveAttempt(attempt, localizeTest(servedTest, contentLocale(req, res))));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/attempts/{attemptId}/review:
+ *   get:
+ *     summary: Review a finalized test attempt.
+ *     description: Returns the learner's answers for each question. Correct answers, per-question grading and explanations are included only when the test's review policy allows it (e.g. after passing or after a number of attempts).
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: The attempt review.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attemptId:
+ *                   type: string
+ *                 attemptNumber:
+ *                   type: number
+ *                 contentVersion:
+ *                   type: number
+ *                 score:
+ *                   type: number
+ *                 passed:
+ *                   type: boolean
+ *                 earnedPoints:
+ *                   type: number
+ *                 totalPoints:
+ *                   type: number
+ *                 autoSubmitted:
+ *                   type: boolean
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 answersRevealed:
+ *                   type: boolean
+ *                 revealReason:
+ *                   type: string
+ *                   enum: [ALWAYS, NEVER, PASSED, NOT_PASSED, MIN_ATTEMPTS_REACHED, MIN_ATTEMPTS_NOT_REACHED]
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       questionId:
+ *                         type: string
+ *                       question:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       points:
+ *                         type: number
+ *                       options:
+ *                         type: array
+ *                         description: isCorrect and explanation only when answers are revealed
+ *                         items:
+ *                           type: object
+ *                       learnerAnswer:
+ *                         type: object
+ *                       isCorrect:
+ *                         type: boolean
+ *                       pointsEarned:
+ *                         type: number
+ *                       feedback:
+ *                         type: object
+ *                       correctAnswer:
+ *                         type: object
+ *                         description: Type-specific correct answer
+ *                       explanation:
+ *                         type: string
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Module, test or attempt not found.
+ *       409:
+ *         description: The attempt is still in progress.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:moduleSlug/test/attempts/:attemptId/review', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const moduleData = await findPublishedModuleBySlug(req.params.moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
+    
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    let attempt = await findUserAttempt(req.user, moduleTest, req.params.attemptId);
+    if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+    
+    if (attempt.status === 'in-progress') {
+      if (!attempt.isExpired(SUBMISSION_GRACE_MS)) {
+        return res.status(409).json({ message: 'Attempt is still in progress' });
       }
+      await finalizeAttempt(attempt, req.user, attempt.answers, { autoSubmitted: true });
+      attempt = await TestAttempt.findById(attempt._id);
+    }
+    
+    const [servedTest, submission] = await Promise.all([
+      loadAttemptTest(attempt),
+      TestSubmission.findOne({ attemptId: attempt._id })
+    ]);
+    if (!servedTest || !submission) {
+      return res.status(404).json({ message: 'Attempt results not found' });
+    }
+    
+    const decision = await getRevealDecision(servedTest, req.user._id);
+    
+    res.status(200).json({
+      attemptId: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      contentVersion: attempt.contentVersion,
+      score: submission.score,
+      passed: submission.passed,
+      earnedPoints: submission.earnedPoints,
+      totalPoints: submission.totalPoints,
+      autoSubmitted: submission.autoSubmitted,
+      completedAt: submission.completedAt,
+      answersRevealed: decision.revealed,
+      revealReason: decision.reason,
+      questions: buildReview(localizeTest(servedTest, contentLocale(req, res)), attempt, submission, decision.revealed)
     });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/attempts/{attemptId}/answers:
+ *   put:
+ *     summary: Save answers for a running test attempt.
+ *     description: Saved answers are graded automatically if the attempt expires before it is submitted.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Answers saved.
+ *       400:
+ *         description: Invalid answers.
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Module, test or attempt not found.
+ *       409:
+ *         description: The attempt has already been submitted.
+ *       410:
+ *         description: The deadline has passed; the attempt was graded with its saved answers.
+ *       500:
+ *         description: Server error.
+ */
+router.put('/:moduleSlug/test/attempts/:attemptId/answers', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const { answers } = req.body;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ message: 'answers must be an array' });
+    }
+    
+    const moduleData = await findPublishedModuleBySlug(req.params.moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
+    
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    const attempt = await findUserAttempt(req.user, moduleTest, req.params.attemptId);
+    if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+    
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: 'Attempt has already been submitted', submissionId: attempt.submissionId });
+    }
+    if (attempt.isExpired(SUBMISSION_GRACE_MS)) {
+      return expireAttempt(attempt, req.user, moduleTest, res);
+    }
     
-    const scorePercentage = Math.round((earnedPoints / totalPoints) * 100);
-    const passed = scorePercentage >= moduleTest.passingScore;
+    const saved = await TestAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in-progress' },
+      { answers },
+      { new: true }
+    );
+    if (!saved) {
+      return res.status(409).json({ message: 'Attempt has already been submitted' });
+    }
+    
+    res.status(200).json({ success: true, answers: saved.answers });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/submit:
+ *   post:
+ *     summary: Submit a test attempt and receive a score.
+ *     description: The submission must reference an attempt started with POST /test/attempts. It is graded against the test version and questions that were served for that attempt. Submissions after the deadline (plus a short grace period) are rejected and the attempt is graded with the answers saved before the deadline.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         description: The slug identifier for the module test.
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       description: Submit answers as an array of objects.
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - attemptId
+ *               - answers
+ *             properties:
+ *               attemptId:
+ *                 type: string
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   description: Fields depend on the question type
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     selectedOptionId:
+ *                       type: string
+ *                       description: multiple-choice and true-false
+ *                     selectedOptionIds:
+ *                       type: array
+ *                       description: multi-select
+ *                       items:
+ *                         type: string
+ *                     textAnswer:
+ *                       type: string
+ *                       description: short-answer
+ *                     blankAnswers:
+ *                       type: array
+ *                       description: fill-in-the-blank, one entry per blank
+ *                       items:
+ *                         type: string
+ *                     orderedOptionIds:
+ *                       type: array
+ *                       description: ordering
+ *                       items:
+ *                         type: string
+ *                     codingAnswer:
+ *                       type: string
+ *                       description: coding
+ *     responses:
+ *       200:
+ *         description: Test submitted with computed score and pass/fail status. The learner's test score (attempts and best score) is updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestSubmissionResult'
+ *       400:
+ *         description: Invalid submission data.
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Module, test or attempt not found.
+ *       409:
+ *         description: The attempt has already been submitted.
+ *       410:
+ *         description: The deadline has passed; the attempt was graded with its saved answers.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/:moduleSlug/test/submit', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const moduleSlug = req.params.moduleSlug;
+    const { attemptId, answers } = req.body;
     
-    // Record test submission (this can be enhanced to update user progress as needed)
-    await TestSubmission.create({
+    if (!attemptId) {
+      return res.status(400).json({ message: 'attemptId is required; start an attempt first' });
+    }
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ message: 'answers must be an array' });
+    }
+    
+    // Find module based on slug.
+    const moduleData = await findPublishedModuleBySlug(moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
+    
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    const attempt = await findUserAttempt(req.user, moduleTest, attemptId);
+    if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+    
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ message: 'Attempt has already been submitted', submissionId: attempt.submissionId });
+    }
+    if (attempt.isExpired(SUBMISSION_GRACE_MS)) {
+      return expireAttempt(attempt, req.user, moduleTest, res);
+    }
+    
+    // Grades against the version served for this attempt and updates the learner's best score
+    const submission = await finalizeAttempt(attempt, req.user, answers);
+    if (!submission) {
+      return res.status(409).json({ message: 'Attempt has already been submitted' });
+    }
+    
+    res.status(200).json(submissionResult(submission, req.user, moduleTest));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/modules/{moduleSlug}/test/attempts:
+ *   get:
+ *     summary: List the current user's past attempts at a module test.
+ *     tags: [Modules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleSlug
+ *         description: The slug identifier for the module.
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attempts, most recent first, with the learner's own answers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attempts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       attemptNumber:
+ *                         type: number
+ *                       autoSubmitted:
+ *                         type: boolean
+ *                       score:
+ *                         type: number
+ *                       passed:
+ *                         type: boolean
+ *                       earnedPoints:
+ *                         type: number
+ *                       totalPoints:
+ *                         type: number
+ *                       completedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       answers:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             questionId:
+ *                               type: string
+ *                             selectedOptionId:
+ *                               type: string
+ *                             codingAnswer:
+ *                               type: string
+ *                 bestScore:
+ *                   type: number
+ *                 countedScore:
+ *                   type: number
+ *                   description: Score that counts toward prerequisites (best or latest, per the test's retake policy)
+ *                 totalAttempts:
+ *                   type: number
+ *       403:
+ *         description: Module not accessible to this user.
+ *       404:
+ *         description: Module or test not found.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/:moduleSlug/test/attempts', verifyToken, checkModuleAccess(), async (req, res) => {
+  try {
+    const moduleData = await findPublishedModuleBySlug(req.params.moduleSlug);
+    if (!moduleData) return res.status(404).json({ message: 'Module not found' });
+    
+    const moduleTest = await findPublishedTest(moduleData._id);
+    if (!moduleTest) return res.status(404).json({ message: 'Test not found for this module' });
+    
+    await finalizeExpiredAttempts(req.user, moduleTest._id);
+    const submissions = await TestSubmission.find({
       userId: req.user._id,
-      moduleTestId: moduleTest._id,
-      answers,
-      score: scorePercentage,
-      passed,
-      completedAt: new Date()
-    });
+      moduleTestId: moduleTest._id
+    }).sort({ completedAt: -1 });
     
-    res.status(200).json({ score: scorePercentage, passed });
+    // Correctness is not exposed here so attempts cannot be used as an answer key
+    const attempts = submissions.map(submission => ({
+      _id: submission._id,
+      attemptNumber: submission.attemptNumber,
+      contentVersion: submission.contentVersion,
+      autoSubmitted: submission.autoSubmitted,
+      score: submission.score,
+      passed: submission.passed,
+      earnedPoints: submission.earnedPoints,
+      totalPoints: submission.totalPoints,
+      completedAt: submission.completedAt,
+      answers: submission.answers.map(a => ({
+        questionId: a.questionId,
+        selectedOptionId: a.selectedOptionId,
+        selectedOptionIds: a.selectedOptionIds,
+        textAnswer: a.textAnswer,
+        blankAnswers: a.blankAnswers,
+        orderedOptionIds: a.orderedOptionIds,
+        codingAnswer: a.codingAnswer
+      }))
+    }));
+    
+    const testScore = req.user.progress.testScores.find(
+      ts => ts.moduleId.toString() === moduleData._id.toString()
+    );
+    
+    res.status(200).json({
+      attempts,
+      bestScore: attempts.length > 0 ? Math.max(...attempts.map(a => a.score)) : null,
+      countedScore: getCountedScore(testScore, moduleTest),
+      totalAttempts: attempts.length
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
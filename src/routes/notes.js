@@ -0,0 +1,513 @@
+// routes/notes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const verifyToken = require('../middleware/verifyToken');
+const { checkModuleAccess } = require('../middleware/moduleAccess');
+const { checkContentTarget } = require('../middleware/contentTarget');
+const { findPublishedModuleById, findPublishedDays } = require('../utils/publishedContent');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notes
+ *   description: Private markdown notes of the current learner, attached to a module, day or exercise
+ */
+
+// Learner's own note, or an error response
+const findOwnNote = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.noteId)) {
+    res.status(400).json({ success: false, message: 'Invalid note ID' });
+    return null;
+  }
+
+  const note = await Note.findOne({ _id: req.params.noteId, userId: req.user._id });
+  if (!note) {
+    res.status(404).json({ success: false, message: 'Note not found' });
+    return null;
+  }
+  return note;
+};
+
+// Text around the first occurrence of a search term
+const excerpt = (content, terms, length = 160) => {
+  const lower = content.toLowerCase();
+  const index = terms
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(i => i >= 0)
+    .sort((a, b) => a - b)[0] || 0;
+  const start = Math.max(0, index - Math.floor(length / 4));
+  const text = content.slice(start, start + length).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${text}${start + length < content.length ? '…' : ''}`;
+};
+
+/**
+ * @swagger
+ * /api/notes:
+ *   get:
+ *     summary: List the current user's notes
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dayNumber
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: exerciseId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notes, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 notes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Note'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { moduleId, dayNumber, exerciseId } = req.query;
+    const query = { userId: req.user._id };
+
+    if (moduleId) {
+      if (!mongoose.isValidObjectId(moduleId)) {
+        return res.status(400).json({ success: false, message: 'Invalid module ID' });
+      }
+      query.moduleId = moduleId;
+    }
+    if (dayNumber !== undefined) {
+      query.dayNumber = parseInt(dayNumber);
+      if (!Number.isInteger(query.dayNumber)) {
+        return res.status(400).json({ success: false, message: 'Invalid day number' });
+      }
+    }
+    if (exerciseId) {
+      if (!mongoose.isValidObjectId(exerciseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid exercise ID' });
+      }
+      query.exerciseId = exerciseId;
+    }
+
+    const notes = await Note.find(query).select('-userId').sort({ updatedAt: -1 }).lean();
+    res.status(200).json({ success: true, notes });
+  } catch (error) {
+    console.error('Error listing notes:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving notes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notes/search:
+ *   get:
+ *     summary: Full-text search in the current user's notes
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Words to search for ("quoted phrases" and -excluded words are supported)
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching notes, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Note'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Text relevance
+ *                           excerpt:
+ *                             type: string
+ *       400:
+ *         description: Missing search terms or invalid module ID
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', verifyToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ success: false, message: 'Search terms (q) are required' });
+    }
+
+    const query = { userId: req.user._id, $text: { $search: q } };
+    if (req.query.moduleId) {
+      if (!mongoose.isValidObjectId(req.query.moduleId)) {
+        return res.status(400).json({ success: false, message: 'Invalid module ID' });
+      }
+      query.moduleId = req.query.moduleId;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const notes = await Note.find(query, { score: { $meta: 'textScore' } })
+      .select('-userId')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+
+    const terms = q.replace(/"/g, ' ').split(/\s+/).filter(t => t && !t.startsWith('-'));
+    res.status(200).json({
+      success: true,
+      results: notes.map(note => ({ ...note, excerpt: excerpt(note.content, terms) }))
+    });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    res.status(500).json({ success: false, message: 'Error searching notes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notes/export/{moduleId}:
+ *   get:
+ *     summary: Export all of the current user's notes of a module
+ *     description: Markdown export is a single document ordered by day and exercise, with day and exercise titles.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, json]
+ *           default: markdown
+ *     responses:
+ *       200:
+ *         description: Notes file
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 module:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 notes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Note'
+ *       400:
+ *         description: Invalid module ID or format
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/export/:moduleId', verifyToken, async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const format = req.query.format || 'markdown';
+    if (!mongoose.isValidObjectId(moduleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid module ID' });
+    }
+    if (!['markdown', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be markdown or json' });
+    }
+
+    const [notes, module, days] = await Promise.all([
+      Note.find({ userId: req.user._id, moduleId }).select('-userId').sort({ createdAt: 1 }).lean(),
+      findPublishedModuleById(moduleId),
+      findPublishedDays(moduleId)
+    ]);
+    const moduleName = module ? module.name : 'Module';
+    const filename = `notes-${module ? module.slug : moduleId}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.status(200).json({
+        module: { id: moduleId, name: moduleName },
+        exportedAt: new Date(),
+        notes
+      });
+    }
+
+    // Module-level notes first, then by day and exercise
+    const daysByNumber = new Map(days.map(d => [d.dayNumber, d]));
+    const exerciseTitle = (note) => {
+      const day = daysByNumber.get(note.dayNumber);
+      const exercise = day && day.exercises.find(e => e._id.toString() === note.exerciseId.toString());
+      return exercise ? exercise.title : 'Exercise';
+    };
+    const sorted = [...notes].sort((a, b) =>
+      (a.dayNumber || 0) - (b.dayNumber || 0) ||
+      (a.exerciseId ? 1 : 0) - (b.exerciseId ? 1 : 0) ||
+      String(a.exerciseId).localeCompare(String(b.exerciseId)));
+
+    const lines = [`# ${moduleName} — notes`, ''];
+    let section = null;
+    for (const note of sorted) {
+      const noteSection = note.dayNumber
+        ? `Day ${note.dayNumber}${daysByNumber.has(note.dayNumber) ? `: ${daysByNumber.get(note.dayNumber).title}` : ''}`
+        : 'Module';
+      if (noteSection !== section) {
+        lines.push(`## ${noteSection}`, '');
+        section = noteSection;
+      }
+      const heading = [note.exerciseId ? exerciseTitle(note) : null, note.title].filter(Boolean).join(' — ');
+      if (heading) {
+        lines.push(`### ${heading}`, '');
+      }
+      lines.push(note.content.trim(), '', `_Updated ${new Date(note.updatedAt).toISOString()}_`, '');
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+    res.status(200).type('text/markdown').send(lines.join('\n'));
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    res.status(500).json({ success: false, message: 'Error exporting notes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notes:
+ *   post:
+ *     summary: Create a note
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [moduleId, content]
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               dayNumber:
+ *                 type: integer
+ *               exerciseId:
+ *                 type: string
+ *                 description: Requires dayNumber
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: Markdown
+ *     responses:
+ *       201:
+ *         description: Note created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 note:
+ *                   $ref: '#/components/schemas/Note'
+ *       400:
+ *         description: Invalid note, day or exercise
+ *       403:
+ *         description: Module or day not accessible to this user
+ *       404:
+ *         description: Module, day or exercise not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', verifyToken, checkModuleAccess(), checkContentTarget, async (req, res) => {
+  try {
+    const { title, content } = req.body;
+
+    const note = await Note.create({
+      userId: req.user._id,
+      ...req.contentTarget,
+      title,
+      content
+    });
+
+    const { userId, ...fields } = note.toObject();
+    res.status(201).json({ success: true, note: fields });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating note:', error);
+    res.status(500).json({ success: false, message: 'Error creating note' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notes/{noteId}:
+ *   get:
+ *     summary: Get a note
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The note
+ *       404:
+ *         description: Note not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update a note's title or content
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Note updated
+ *       400:
+ *         description: Invalid note
+ *       404:
+ *         description: Note not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a note
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Note deleted
+ *       404:
+ *         description: Note not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:noteId', verifyToken, async (req, res) => {
+  try {
+    const note = await findOwnNote(req, res);
+    if (!note) return;
+
+    const { userId, ...fields } = note.toObject();
+    res.status(200).json({ success: true, note: fields });
+  } catch (error) {
+    console.error('Error getting note:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving note' });
+  }
+});
+
+router.put('/:noteId', verifyToken, async (req, res) => {
+  try {
+    const note = await findOwnNote(req, res);
+    if (!note) return;
+
+    const { title, content } = req.body;
+    if (title !== undefined) note.title = title;
+    if (content !== undefined) note.content = content;
+    await note.save();
+
+    const { userId, ...fields } = note.toObject();
+    res.status(200).json({ success: true, note: fields });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating note:', error);
+    res.status(500).json({ success: false, message: 'Error updating note' });
+  }
+});
+
+router.delete('/:noteId', verifyToken, async (req, res) => {
+  try {
+    const note = await findOwnNote(req, res);
+    if (!note) return;
+
+    await note.deleteOne();
+    res.status(200).json({ success: true, message: 'Note deleted' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ success: false, message: 'Error deleting note' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+// routes/profile.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Certificate = require('../models/Certificate');
+const verifyToken = require('../middleware/verifyToken');
+const { getStreak, listAchievements } = require('../utils/achievements');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Profile
+ *   description: Learner profile, badges, streaks and preferences
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Achievement:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           enum: [first-day, module-completed, perfect-score, streak-3, streak-7, streak-30]
+ *         title:
+ *           type: string
+ *           example: "First Steps"
+ *         description:
+ *           type: string
+ *         moduleId:
+ *           type: string
+ *           nullable: true
+ *           description: Module the badge was earned in (module-completed, perfect-score)
+ *         earnedAt:
+ *           type: string
+ *           format: date-time
+ *     Streak:
+ *       type: object
+ *       description: Consecutive days with progress, in the learner's time zone
+ *       properties:
+ *         current:
+ *           type: number
+ *           description: 0 once a whole day has passed without activity
+ *         longest:
+ *           type: number
+ *         lastActiveDate:
+ *           type: string
+ *           example: "2025-05-30"
+ *         activeToday:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/profile:
+ *   get:
+ *     summary: Get the current user's learner profile
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile with badges, streak and learning stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 profile:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     username:
+ *                       type: string
+ *                     githubProfile:
+ *                       $ref: '#/components/schemas/GitHubProfile'
+ *                     memberSince:
+ *                       type: string
+ *                       format: date-time
+ *                     preferences:
+ *                       type: object
+ *                       properties:
+ *                         timezone:
+ *                           type: string
+ *                     streak:
+ *                       $ref: '#/components/schemas/Streak'
+ *                     achievements:
+ *                       type: object
+ *                       properties:
+ *                         earned:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Achievement'
+ *                         available:
+ *                           type: array
+ *                           description: Badges still to earn (per-module badges are always listed)
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                               perModule:
+ *                                 type: boolean
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         modulesCompleted:
+ *                           type: number
+ *                         daysCompleted:
+ *                           type: number
+ *                         exercisesCompleted:
+ *                           type: number
+ *                         testsPassed:
+ *                           type: number
+ *                         certificates:
+ *                           type: number
+ *                         totalHoursSpent:
+ *                           type: number
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const certificates = await Certificate.countDocuments({ userId: user._id });
+    const days = user.progress.modules.flatMap(m => m.days);
+
+    res.status(200).json({
+      success: true,
+      profile: {
+        id: user._id,
+        username: user.username,
+        githubProfile: user.githubProfile,
+        memberSince: user.createdAt,
+        preferences: {
+          timezone: user.preferences.timezone
+        },
+        streak: getStreak(user),
+        achievements: listAchievements(user),
+        stats: {
+          modulesCompleted: user.progress.modules.filter(m => m.completed).length,
+          daysCompleted: days.filter(d => d.completed).length,
+          exercisesCompleted: days.reduce((total, d) => total + d.exercises.filter(e => e.completed).length, 0),
+          testsPassed: user.progress.testScores.filter(t => t.passedAt).length,
+          certificates,
+          totalHoursSpent: user.calculateTotalHoursSpent()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting profile:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving profile' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profile/preferences:
+ *   patch:
+ *     summary: Update the current user's preferences
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone; decides when a learning day starts for streaks
+ *                 example: "Europe/Paris"
+ *               locale:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [fr, en]
+ *                 description: Language curriculum content is served in (null to follow the browser's Accept-Language)
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preferences:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                     locale:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid preference value
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.patch('/preferences', verifyToken, async (req, res) => {
+  try {
+    const { timezone, locale } = req.body;
+
+    if (timezone !== undefined) {
+      req.user.preferences.timezone = timezone;
+    }
+    if (locale !== undefined) {
+      req.user.preferences.locale = locale;
+    }
+
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      preferences: {
+        timezone: req.user.preferences.timezone,
+        locale: req.user.preferences.locale
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating preferences:', error);
+    res.status(500).json({ success: false, message: 'Error updating preferences' });
+  }
+});
+
+module.exports = router;
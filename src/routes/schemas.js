@@ -23,12 +23,24 @@
  *         isPaid:
  *           type: boolean
  *           description: Whether the module requires payment to access
+ *         prerequisites:
+ *           type: array
+ *           description: Modules whose test must be passed before accessing this one
+ *           items:
+ *             type: object
+ *             properties:
+ *               moduleId:
+ *                 type: string
+ *               minScore:
+ *                 type: integer
  *         prerequisiteModule:
  *           type: string
- *           description: ID of the module that must be completed before accessing this one
+ *           deprecated: true
+ *           description: Single prerequisite module (use prerequisites)
  *         prerequisiteScore:
  *           type: integer
- *           description: Minimum score required on prerequisite module test
+ *           deprecated: true
+ *           description: Minimum score for prerequisiteModule
  *         notions:
  *           type: array
  *           items:
@@ -260,7 +272,7 @@
  *           type: string
  *         accessStatus:
  *           type: string
- *           enum: [unlocked, locked, requires-prerequisite, requires-payment, partial-beta]
+ *           enum: [unlocked, partial, locked, requires-prerequisite, requires-payment, requires-entitlement]
  *         progress:
  *           type: object
  *           properties:
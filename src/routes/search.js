@@ -0,0 +1,186 @@
+// routes/search.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const verifyToken = require('../middleware/verifyToken');
+const { MAX_QUERY_LENGTH, MAX_QUERY_TERMS, parseQuery, searchCurriculum } = require('../utils/curriculumSearch');
+const { resolveLocale } = require('../utils/localization');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search of the curriculum the current user can access
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TextHighlight:
+ *       type: object
+ *       description: Matched characters of a text, from start (included) to end (excluded)
+ *       properties:
+ *         start:
+ *           type: integer
+ *         end:
+ *           type: integer
+ *     CurriculumSearchResult:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [module, day, exercise]
+ *         score:
+ *           type: number
+ *           description: Relevance; results are sorted by it, then in curriculum order
+ *         title:
+ *           type: string
+ *           description: Module name, day title or exercise title
+ *         titleHighlights:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TextHighlight'
+ *         snippet:
+ *           type: object
+ *           description: Excerpt of the best matching field (whitespace collapsed, … where it is cut)
+ *           properties:
+ *             field:
+ *               type: string
+ *               enum: [name, notions, title, description, content]
+ *             text:
+ *               type: string
+ *             highlights:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TextHighlight'
+ *         matchedFields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         moduleId:
+ *           type: string
+ *         moduleSlug:
+ *           type: string
+ *         moduleName:
+ *           type: string
+ *         dayNumber:
+ *           type: integer
+ *           nullable: true
+ *         dayTitle:
+ *           type: string
+ *           nullable: true
+ *         exerciseId:
+ *           type: string
+ *           nullable: true
+ *         link:
+ *           type: string
+ *           description: Path of the content in the app (exercises are anchored as #exercise-<id>)
+ *           example: "/modules/git-basics/days/3#exercise-665f1c2e8b3a4d0012345678"
+ *         apiPath:
+ *           type: string
+ *           description: API route serving the module or day
+ *           example: "/api/modules/665f1c2e8b3a4d0012345670/days/3"
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search the curriculum
+ *     description: >
+ *       Searches module names and notions, day titles, descriptions and notions, and exercise
+ *       titles, descriptions and content of the published curriculum, in the user's locale.
+ *       Matching ignores case and accents and every word must appear; modules the user cannot
+ *       open and days past their day limit or not released to them yet are left out.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Words to search for ("quoted phrases" and -excluded words are supported), at most 10 words and phrases
+ *         example: git rebase
+ *       - in: query
+ *         name: moduleId
+ *         schema:
+ *           type: string
+ *         description: Only search this module
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - $ref: '#/components/parameters/ContentLanguage'
+ *     responses:
+ *       200:
+ *         description: Matching modules, days and exercises, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 query:
+ *                   type: string
+ *                 locale:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matches before limit is applied
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CurriculumSearchResult'
+ *       400:
+ *         description: Missing search terms (or only excluded words), query too long or with too many terms, or invalid module ID
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ success: false, message: 'Search terms (q) are required' });
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ success: false, message: `Search terms must be at most ${MAX_QUERY_LENGTH} characters long` });
+    }
+    const query = parseQuery(q);
+    if (query.terms.length === 0) {
+      return res.status(400).json({ success: false, message: 'Search terms must include a word to look for' });
+    }
+    if (query.terms.length + query.excluded.length > MAX_QUERY_TERMS) {
+      return res.status(400).json({ success: false, message: `Search terms can include at most ${MAX_QUERY_TERMS} words or phrases` });
+    }
+    if (req.query.moduleId && !mongoose.isValidObjectId(req.query.moduleId)) {
+      return res.status(400).json({ success: false, message: 'Invalid module ID' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const locale = resolveLocale(req);
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+
+    const { total, results } = await searchCurriculum(req.user, q, {
+      locale,
+      moduleId: req.query.moduleId || null,
+      limit
+    });
+
+    res.status(200).json({ success: true, query: q, locale, total, results });
+  } catch (error) {
+    console.error('Error searching the curriculum:', error);
+    res.status(500).json({ success: false, message: 'Error searching the curriculum' });
+  }
+});
+
+module.exports = router;
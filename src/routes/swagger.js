@@ -50,12 +50,33 @@ const swaggerOptions = {
     './src/routes/modules.js',
     './src/routes/beta.js',
     './src/routes/dashboard.js',
+    './src/routes/learningSessions.js',
+    './src/routes/certificates.js',
+    './src/routes/profile.js',
+    './src/routes/notes.js',
+    './src/routes/bookmarks.js',
+    './src/routes/discussions.js',
+    './src/routes/search.js',
     './src/routes/security.js',
     'src/routes/prospectConversions.js',
     'src/models/ProspectConversion.js',
     'src/routes/debugLogs.js',
     'src/models/EmailEvents.js',
     'src/routes/emailNotifications.js',
+    'src/routes/adminContent.js',
+    'src/models/TestSubmission.js',
+    'src/models/Cohort.js',
+    'src/models/LearningSession.js',
+    'src/models/Certificate.js',
+    'src/models/Note.js',
+    'src/models/Bookmark.js',
+    'src/models/DiscussionThread.js',
+    'src/models/DiscussionPost.js',
+    'src/models/TestAttempt.js',
+    'src/models/TestAttemptGrant.js',
+    'src/models/testCaseSchema.js',
+    'src/models/translationSchema.js',
+    'src/models/ContentVersion.js',
   ],
 };
 
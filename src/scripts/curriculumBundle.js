@@ -0,0 +1,133 @@
+// src/scripts/curriculumBundle.js
+require('dotenv').config(); // Load environment variables
+const mongoose = require('mongoose');
+
+const { readBundle, writeBundle, exportCurriculum, importCurriculum } = require('../utils/curriculumBundle');
+
+/**
+ * Curriculum bundles from the command line (see utils/curriculumBundle.js
+ * for the format):
+ *
+ *   npm run curriculum:export -- <directory|file.zip> [--module <slug>]...
+ *   npm run curriculum:import -- <directory|file.zip> [--dry-run] [--publish]
+ *
+ * Export writes the admin working copies of the modules (all of them by
+ * default). Import is idempotent and prints the changes it makes; with
+ * --dry-run nothing is written, with --publish the imported content is
+ * published to learners.
+ */
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+const ACTION_COLORS = {
+  create: colors.green,
+  update: colors.yellow,
+  restore: colors.green,
+  archive: colors.red
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+async function connectToDatabase() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
+  await mongoose.connect(mongoUri);
+  log(colors.green, '✅ Connected to MongoDB');
+  log(colors.cyan, `📡 Database: ${mongoose.connection.name}`);
+}
+
+function parseArgs(argv) {
+  const [command, location, ...rest] = argv;
+  const options = { command, location, slugs: [], dryRun: false, publish: false };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--module') {
+      options.slugs.push(rest[++i]);
+    } else if (rest[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (rest[i] === '--publish') {
+      options.publish = true;
+    } else {
+      throw new Error(`Unknown option ${rest[i]}`);
+    }
+  }
+  if (!['export', 'import'].includes(command) || !location || options.slugs.some(slug => !slug)) {
+    throw new Error('Usage: curriculumBundle.js export <directory|file.zip> [--module <slug>]...\n' +
+      '       curriculumBundle.js import <directory|file.zip> [--dry-run] [--publish]');
+  }
+  return options;
+}
+
+async function runExport({ location, slugs }) {
+  const { files, modules, missing } = await exportCurriculum({ slugs });
+  if (missing.length > 0) {
+    throw new Error(`Modules not found: ${missing.join(', ')}`);
+  }
+
+  writeBundle(location, files);
+  log(colors.green, `\n✅ Exported ${modules.length} modules (${files.size} files) to ${location}`);
+}
+
+async function runImport({ location, dryRun, publish }) {
+  const report = await importCurriculum(readBundle(location), { dryRun, publish });
+
+  for (const change of report.changes.filter(c => c.action !== 'unchanged')) {
+    const target = [change.contentType, change.module, change.dayNumber && `day ${change.dayNumber}`]
+      .filter(Boolean)
+      .join(' ');
+    log(ACTION_COLORS[change.action], `   ${change.action.padEnd(8)} ${target}`);
+    for (const { path, change: kind, from, to } of change.changes) {
+      console.log(`            ${kind} ${path}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+
+  const { create, update, restore, archive, unchanged } = report.summary;
+  log(colors.cyan, `\n📋 ${create} to create, ${update} to update, ${restore} to restore, ${archive} to archive, ${unchanged} unchanged`);
+
+  if (report.errors.length > 0) {
+    report.errors.forEach(error => log(colors.red, `   ❌ ${error}`));
+    throw new Error('The bundle is invalid; nothing was imported');
+  }
+  if (dryRun) {
+    log(colors.yellow, '\n🔍 Dry run: nothing was written');
+  } else {
+    log(colors.green, `\n✅ Import complete${report.published ? ' and published' : ' (changes are drafts until published)'}`);
+  }
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    log(colors.bright, '='.repeat(60));
+    log(colors.bright, `📦 CURRICULUM ${options.command.toUpperCase()}`);
+    log(colors.bright, '='.repeat(60));
+
+    await connectToDatabase();
+    if (options.command === 'export') {
+      await runExport(options);
+    } else {
+      await runImport(options);
+    }
+  } catch (error) {
+    log(colors.red, `\n❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
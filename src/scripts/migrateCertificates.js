@@ -0,0 +1,103 @@
+// src/scripts/migrateCertificates.js
+require('dotenv').config(); // Load environment variables
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Certificate = require('../models/Certificate');
+const TestSubmission = require('../models/TestSubmission');
+const ModuleTest = require('../models/ModuleTest');
+const { issueCertificate } = require('../utils/certificates');
+
+/**
+ * Migration Script: Certificates
+ *
+ * Certificates are issued when a test attempt passes. This script issues them
+ * for learners who passed a module test before certificates existed, from
+ * their first passing submission. Learners who already have a certificate for
+ * a module are left alone, so the script can be run again safely.
+ */
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+async function connectToDatabase() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
+  await mongoose.connect(mongoUri);
+  log(colors.green, '✅ Connected to MongoDB');
+  log(colors.cyan, `📡 Database: ${mongoose.connection.name}`);
+}
+
+async function main() {
+  const startTime = Date.now();
+
+  try {
+    log(colors.bright, '='.repeat(60));
+    log(colors.bright, '🎓 CERTIFICATE MIGRATION');
+    log(colors.bright, '='.repeat(60));
+
+    await connectToDatabase();
+
+    const firstPasses = await TestSubmission.aggregate([
+      { $match: { passed: true } },
+      { $sort: { completedAt: 1 } },
+      { $group: { _id: { userId: '$userId', moduleId: '$moduleId' }, submissionId: { $first: '$_id' } } }
+    ]);
+    log(colors.yellow, `\n🔧 ${firstPasses.length} passed module tests found\n`);
+
+    let issued = 0;
+    for (const { _id: { userId, moduleId }, submissionId } of firstPasses) {
+      try {
+        if (await Certificate.exists({ userId, moduleId })) {
+          continue;
+        }
+
+        const [user, submission] = await Promise.all([
+          User.findById(userId),
+          TestSubmission.findById(submissionId)
+        ]);
+        if (!user) {
+          log(colors.yellow, `   ⚠️  User ${userId} not found, skipped`);
+          continue;
+        }
+
+        // Submissions do not store the passing score; use the test's current one
+        const test = await ModuleTest.findById(submission.moduleTestId).select('passingScore').lean();
+        const certificate = await issueCertificate(user, submission, {
+          passingScore: test ? test.passingScore : submission.score
+        });
+        log(colors.green, `   ✅ ${user.username}: ${certificate.moduleName} (${certificate.verificationId})`);
+        issued++;
+      } catch (error) {
+        log(colors.red, `   ❌ Failed to issue certificate for user ${userId}: ${error.message}`);
+      }
+    }
+
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    log(colors.green, `\n✅ Issued ${issued} certificates in ${duration} seconds`);
+  } catch (error) {
+    log(colors.red, `\n❌ MIGRATION FAILED: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    log(colors.cyan, '📡 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,89 @@
+// src/scripts/migrateContentVersions.js
+require('dotenv').config(); // Load environment variables
+const mongoose = require('mongoose');
+
+const Module = require('../models/Module');
+const ModuleDay = require('../models/ModuleDay');
+const ModuleTest = require('../models/ModuleTest');
+const { publishContent } = require('../utils/contentVersioning');
+
+/**
+ * Migration Script: Publish Existing Content
+ *
+ * Learners only see published content versions. This script publishes
+ * version 1 of every module, day and test that has never been published,
+ * e.g. content created before versioning existed or by seedModules.js.
+ */
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+async function connectToDatabase() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
+  await mongoose.connect(mongoUri);
+  log(colors.green, '✅ Connected to MongoDB');
+  log(colors.cyan, `📡 Database: ${mongoose.connection.name}`);
+}
+
+async function publishUnversioned(model, contentType) {
+  const docs = await model.find({ publishedVersion: null });
+  let published = 0;
+
+  for (const doc of docs) {
+    try {
+      await publishContent(doc, contentType, { note: 'Initial version (migration)' });
+      published++;
+    } catch (error) {
+      log(colors.red, `   ❌ Failed to publish ${contentType} ${doc._id}: ${error.message}`);
+    }
+  }
+
+  log(colors.green, `   ✅ ${contentType}: ${published}/${docs.length} published`);
+  return published;
+}
+
+async function main() {
+  const startTime = Date.now();
+
+  try {
+    log(colors.bright, '='.repeat(60));
+    log(colors.bright, '📚 CONTENT VERSION MIGRATION');
+    log(colors.bright, '='.repeat(60));
+
+    await connectToDatabase();
+
+    log(colors.yellow, '\n🔧 Publishing unversioned content...\n');
+    const total =
+      await publishUnversioned(Module, 'module') +
+      await publishUnversioned(ModuleDay, 'day') +
+      await publishUnversioned(ModuleTest, 'test');
+
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    log(colors.green, `\n✅ Published ${total} documents in ${duration} seconds`);
+  } catch (error) {
+    log(colors.red, `\n❌ MIGRATION FAILED: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    log(colors.cyan, '📡 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  main();
+}
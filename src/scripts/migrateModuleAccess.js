@@ -0,0 +1,109 @@
+// src/scripts/migrateModuleAccess.js
+require('dotenv').config(); // Load environment variables
+const mongoose = require('mongoose');
+
+const Module = require('../models/Module');
+const { publishContent } = require('../utils/contentVersioning');
+
+/**
+ * Migration Script: Module Access Policies
+ *
+ * Access rules used to be hard-coded by slug (GitHub free for everyone,
+ * Shell limited to Day 1 for beta testers). They now live on the module and
+ * are evaluated by utils/accessPolicy.js. This script writes the equivalent
+ * fields on existing modules and republishes them so learners get the rules.
+ * Modules that already have the fields set are left alone.
+ */
+
+const ACCESS_RULES = {
+  github: { accessLevel: 'free' },
+  shell: { roleAccess: [{ role: 'beta', maxDay: 1, waiveEntitlements: false }] }
+};
+
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+async function connectToDatabase() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI environment variable is not set');
+  }
+
+  await mongoose.connect(mongoUri);
+  log(colors.green, '✅ Connected to MongoDB');
+  log(colors.cyan, `📡 Database: ${mongoose.connection.name}`);
+}
+
+async function applyRules(slug, rules) {
+  const module = await Module.findOne({ slug });
+  if (!module) {
+    log(colors.yellow, `   ⚠️  Module "${slug}" not found, skipped`);
+    return false;
+  }
+
+  const alreadySet = (rules.accessLevel === undefined || module.accessLevel === rules.accessLevel) &&
+    (rules.roleAccess === undefined || module.roleAccess.length > 0);
+  if (alreadySet) {
+    log(colors.cyan, `   ℹ️  Module "${slug}" already migrated`);
+    return false;
+  }
+
+  module.set(rules);
+  await module.save();
+
+  // Only republish modules learners could already see
+  if (module.publishedVersion) {
+    await publishContent(module, 'module', { note: 'Access policy fields (migration)' });
+  }
+
+  log(colors.green, `   ✅ Module "${slug}" migrated`);
+  return true;
+}
+
+async function main() {
+  const startTime = Date.now();
+
+  try {
+    log(colors.bright, '='.repeat(60));
+    log(colors.bright, '🔐 MODULE ACCESS POLICY MIGRATION');
+    log(colors.bright, '='.repeat(60));
+
+    await connectToDatabase();
+
+    log(colors.yellow, '\n🔧 Writing access rules...\n');
+    let migrated = 0;
+    for (const [slug, rules] of Object.entries(ACCESS_RULES)) {
+      try {
+        if (await applyRules(slug, rules)) {
+          migrated++;
+        }
+      } catch (error) {
+        log(colors.red, `   ❌ Failed to migrate module "${slug}": ${error.message}`);
+      }
+    }
+
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    log(colors.green, `\n✅ Migrated ${migrated} modules in ${duration} seconds`);
+  } catch (error) {
+    log(colors.red, `\n❌ MIGRATION FAILED: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    log(colors.cyan, '📡 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  main();
+}
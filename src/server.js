@@ -105,9 +105,17 @@ app.use('/api/admin/analytics', require('./routes/analytics'));
 app.use('/api/modules', require('./routes/modules'));
 app.use('/api/beta', require('./routes/beta'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/learning-sessions', require('./routes/learningSessions'));
+app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/profile', require('./routes/profile'));
+app.use('/api/notes', require('./routes/notes'));
+app.use('/api/bookmarks', require('./routes/bookmarks'));
+app.use('/api/discussions', require('./routes/discussions'));
+app.use('/api/search', require('./routes/search'));
 app.use('/api/security', require('./routes/security'));
 app.use('/api/admin/prospect-conversions', prospectConversionRoutes);
 app.use('/api/admin/debug-logs', require('./routes/debugLogs'));
+app.use('/api/admin/content', require('./routes/adminContent'));
 app.use('/api/email', require('./routes/emailNotifications'));
 
 // ---------------------------------------------------
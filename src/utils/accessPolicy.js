@@ -0,0 +1,185 @@
+// utils/accessPolicy.js
+const { findPublishedTest, findPublishedTests } = require('./publishedContent');
+const { meetsScore } = require('./testPolicy');
+const { getPrerequisites } = require('./curriculumGraph');
+
+/**
+ * Module access policy engine. Every access check (routes, middleware,
+ * dashboard) goes through evaluateModuleAccess so the rules live in one
+ * place and are driven by the module's fields:
+ * - accessLevel: free | standard | restricted
+ * - requiredEntitlements (and isPaid, which implies paid-access)
+ * - roleAccess: per-role day limits and entitlement waivers
+ * - prerequisites, each with its own minimum score
+ *
+ * Reason codes:
+ * ADMIN, FREE_MODULE, ROLE_NOT_ALLOWED, MISSING_ENTITLEMENT,
+ * ENTITLEMENTS_WAIVED, PREREQUISITE_NOT_MET, DAY_LIMIT
+ */
+
+const PAID_ACCESS = 'paid-access';
+
+// Entitlements a user holds
+function getUserEntitlements(user) {
+  const entitlements = new Set();
+  if (user.payment && user.payment.hasPaidAccess) {
+    entitlements.add(PAID_ACCESS);
+  }
+  return entitlements;
+}
+
+// Entitlements a module requires
+function getRequiredEntitlements(module) {
+  const required = new Set(module.requiredEntitlements || []);
+  if (module.isPaid) {
+    required.add(PAID_ACCESS);
+  }
+  return [...required];
+}
+
+/**
+ * Decide whether a user can access a module
+ * @param {Object} user - User document
+ * @param {Object} module - Published module
+ * @param {Object} options
+ * @param {boolean} options.checkPrerequisites - Whether prerequisites apply (default true)
+ * @param {Map} options.testsByModuleId - Published tests by module ID, to avoid a query per module
+ * @returns {Promise<Object>} { allowed, status, reasons, maxDay, missingEntitlements, prerequisites }
+ */
+async function evaluateModuleAccess(user, module, options = {}) {
+  const { checkPrerequisites = true, testsByModuleId = null } = options;
+
+  if (user.role === 'admin') {
+    return { allowed: true, status: 'unlocked', reasons: ['ADMIN'], maxDay: null, missingEntitlements: [], prerequisites: [] };
+  }
+
+  const roleRule = (module.roleAccess || []).find(rule => rule.role === user.role) || null;
+  const maxDay = roleRule && roleRule.maxDay ? roleRule.maxDay : null;
+  const reasons = [];
+  let status = null;
+  let missingEntitlements = [];
+  let prerequisites = [];
+
+  const deny = (reason, deniedStatus) => {
+    reasons.push(reason);
+    // The first failing rule decides the status
+    status = status || deniedStatus;
+  };
+
+  if (module.accessLevel === 'restricted' && !roleRule) {
+    deny('ROLE_NOT_ALLOWED', 'locked');
+  }
+
+  if (module.accessLevel === 'free') {
+    reasons.push('FREE_MODULE');
+  } else {
+    // Entitlements
+    const userEntitlements = getUserEntitlements(user);
+    const missing = getRequiredEntitlements(module).filter(e => !userEntitlements.has(e));
+    if (missing.length > 0) {
+      if (roleRule && roleRule.waiveEntitlements) {
+        reasons.push('ENTITLEMENTS_WAIVED');
+      } else {
+        missingEntitlements = missing;
+        deny('MISSING_ENTITLEMENT', missing.includes(PAID_ACCESS) ? 'requires-payment' : 'requires-entitlement');
+      }
+    }
+
+    // Prerequisites: every edge must be met
+    if (checkPrerequisites) {
+      for (const { moduleId, minScore } of getPrerequisites(module)) {
+        const prerequisiteTest = testsByModuleId
+          ? testsByModuleId.get(moduleId.toString()) || null
+          : await findPublishedTest(moduleId);
+        prerequisites.push({ moduleId, minScore, met: meetsScore(user, moduleId, minScore, prerequisiteTest) });
+      }
+      if (prerequisites.some(p => !p.met)) {
+        deny('PREREQUISITE_NOT_MET', 'requires-prerequisite');
+      }
+    }
+  }
+
+  const allowed = status === null;
+  if (allowed && maxDay) {
+    reasons.push('DAY_LIMIT');
+  }
+
+  return {
+    allowed,
+    status: allowed ? (maxDay ? 'partial' : 'unlocked') : status,
+    reasons,
+    maxDay,
+    missingEntitlements,
+    prerequisites
+  };
+}
+
+/**
+ * Access decisions for several modules, sharing one query for the tests
+ * @param {Object} user - User document
+ * @param {Array} modules - Published modules
+ * @param {Object} options - See evaluateModuleAccess
+ * @returns {Promise<Map>} Decisions by module ID
+ */
+async function evaluateModulesAccess(user, modules, options = {}) {
+  const tests = options.tests || await findPublishedTests();
+  const testsByModuleId = new Map(tests.map(t => [t.moduleId.toString(), t]));
+
+  const decisions = new Map();
+  for (const module of modules) {
+    decisions.set(module._id.toString(), await evaluateModuleAccess(user, module, { ...options, testsByModuleId }));
+  }
+  return decisions;
+}
+
+/**
+ * Whether a module decision lets the user open a given day
+ * @param {Object} decision - Result of evaluateModuleAccess
+ * @param {number} dayNumber - Day number
+ * @returns {Object} { allowed, reason }
+ */
+function evaluateDayAccess(decision, dayNumber) {
+  if (!decision.allowed) {
+    return { allowed: false, reason: decision.reasons[0] };
+  }
+  if (decision.maxDay && dayNumber > decision.maxDay) {
+    return { allowed: false, reason: 'DAY_LIMIT' };
+  }
+  return { allowed: true, reason: null };
+}
+
+// Human-readable message for a denied decision
+function describeDecision(decision, module) {
+  switch (decision.status) {
+    case 'locked':
+      return 'This module is not available for your account';
+    case 'requires-payment':
+      return 'This module requires payment';
+    case 'requires-entitlement':
+      return `This module requires: ${decision.missingEntitlements.join(', ')}`;
+    case 'requires-prerequisite': {
+      const unmet = decision.prerequisites.filter(p => !p.met);
+      return unmet.length === 1
+        ? `You must complete the prerequisite module test with a score of at least ${unmet[0].minScore}% first`
+        : `You must complete ${unmet.length} prerequisite module tests first (minimum scores: ${unmet.map(p => `${p.minScore}%`).join(', ')})`;
+    }
+    default: {
+      if (!decision.maxDay) {
+        return null;
+      }
+      const name = module ? module.name : 'this module';
+      return decision.maxDay === 1
+        ? `Only Day 1 of ${name} is available for your account`
+        : `Only days 1 to ${decision.maxDay} of ${name} are available for your account`;
+    }
+  }
+}
+
+module.exports = {
+  PAID_ACCESS,
+  getUserEntitlements,
+  evaluateModuleAccess,
+  evaluateModulesAccess,
+  evaluateDayAccess,
+  describeDecision
+};
@@ -0,0 +1,184 @@
+// utils/achievements.js
+
+/**
+ * Achievements: badges earned by rules evaluated after progress events.
+ * Rules only read the learner's stored progress, so re-evaluating them is
+ * harmless and a badge is awarded once (per module for per-module badges).
+ *
+ * Every progress event also counts as activity for the daily streak. Days are
+ * calendar days in the learner's time zone (preferences.timezone).
+ *
+ * Events: day-started, exercise-completed, day-completed, test-submitted
+ */
+
+const PROGRESS_EVENTS = ['day-started', 'exercise-completed', 'day-completed', 'test-submitted'];
+
+const streakRule = (days, title) => ({
+  key: `streak-${days}`,
+  title,
+  description: `Make progress ${days} days in a row`,
+  events: PROGRESS_EVENTS,
+  perModule: false,
+  earned: (user) => (user.progress.streak.current >= days ? [null] : [])
+});
+
+// earned(user) lists the scopes where the badge is earned: module IDs for
+// per-module badges, [null] for global ones
+const ACHIEVEMENTS = [
+  {
+    key: 'first-day',
+    title: 'First Steps',
+    description: 'Complete your first day',
+    events: ['exercise-completed', 'day-completed'],
+    perModule: false,
+    earned: (user) => (user.progress.modules.some(m => m.days.some(d => d.completed)) ? [null] : [])
+  },
+  {
+    key: 'module-completed',
+    title: 'Module Finisher',
+    description: 'Complete every day of a module',
+    events: ['exercise-completed', 'day-completed'],
+    perModule: true,
+    earned: (user) => user.progress.modules.filter(m => m.completed).map(m => m.moduleId)
+  },
+  {
+    key: 'perfect-score',
+    title: 'Perfectionist',
+    description: 'Score 100% on a module test',
+    events: ['test-submitted'],
+    perModule: true,
+    earned: (user) => user.progress.testScores.filter(t => t.score >= 100).map(t => t.moduleId)
+  },
+  streakRule(3, 'On a Roll'),
+  streakRule(7, 'Week Warrior'),
+  streakRule(30, 'Unstoppable')
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (UTC when invalid)
+ * @returns {string} YYYY-MM-DD
+ */
+function localDateKey(date, timeZone = 'UTC') {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  } catch (error) {
+    formatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Whole days between two YYYY-MM-DD dates
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+const timeZoneOf = (user) => (user.preferences && user.preferences.timezone) || 'UTC';
+
+/**
+ * Streak as of a given instant: a streak whose last activity is older than
+ * yesterday is broken, even though the stored value is only reset at the next activity
+ * @param {Object} user - User document
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} { current, longest, lastActiveDate, activeToday }
+ */
+function getStreak(user, now = new Date()) {
+  const { current = 0, longest = 0, lastActiveDate = null } = user.progress.streak || {};
+  const gap = lastActiveDate ? daysBetween(lastActiveDate, localDateKey(now, timeZoneOf(user))) : null;
+
+  return {
+    current: gap !== null && gap <= 1 ? current : 0,
+    longest,
+    lastActiveDate,
+    activeToday: gap === 0
+  };
+}
+
+// Count the day of an activity in the streak (in memory)
+function applyActivity(user, now) {
+  const streak = user.progress.streak;
+  const today = localDateKey(now, timeZoneOf(user));
+  const gap = streak.lastActiveDate ? daysBetween(streak.lastActiveDate, today) : null;
+
+  // Same day, or a date before the last one (time zone changed westward)
+  if (gap !== null && gap <= 0) {
+    return;
+  }
+  streak.current = gap === 1 ? streak.current + 1 : 1;
+  streak.longest = Math.max(streak.longest, streak.current);
+  streak.lastActiveDate = today;
+}
+
+/**
+ * Update the streak and award the badges an event may have earned
+ * @param {Object} user - User document (saved)
+ * @param {string} event - One of PROGRESS_EVENTS
+ * @param {Date} now - Time of the event (defaults to now)
+ * @returns {Promise<Array>} Badges earned by this event, described (see describeAchievement)
+ */
+async function recordProgressEvent(user, event, now = new Date()) {
+  applyActivity(user, now);
+
+  const owned = new Set(user.progress.achievements.map(a => `${a.key}:${a.moduleId || ''}`));
+  const earned = [];
+  for (const rule of ACHIEVEMENTS.filter(r => r.events.includes(event))) {
+    for (const moduleId of rule.earned(user)) {
+      const scope = rule.perModule ? moduleId : null;
+      if (!owned.has(`${rule.key}:${scope || ''}`)) {
+        owned.add(`${rule.key}:${scope || ''}`);
+        user.progress.achievements.push({ key: rule.key, moduleId: scope, earnedAt: now });
+        earned.push(user.progress.achievements[user.progress.achievements.length - 1]);
+      }
+    }
+  }
+
+  await user.save();
+  return earned.map(describeAchievement);
+}
+
+/**
+ * Badge with its title and description
+ * @param {Object} achievement - Entry of user.progress.achievements
+ * @returns {Object} { key, title, description, moduleId, earnedAt }
+ */
+function describeAchievement(achievement) {
+  const rule = ACHIEVEMENTS.find(r => r.key === achievement.key);
+  return {
+    key: achievement.key,
+    title: rule ? rule.title : achievement.key,
+    description: rule ? rule.description : null,
+    moduleId: achievement.moduleId || null,
+    earnedAt: achievement.earnedAt
+  };
+}
+
+/**
+ * Every badge of the catalogue for a learner, earned ones with their dates
+ * @param {Object} user - User document
+ * @returns {Object} { earned, available } where available lists badges not earned yet
+ */
+function listAchievements(user) {
+  const earned = user.progress.achievements
+    .map(describeAchievement)
+    .sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt));
+  const earnedKeys = new Set(earned.map(a => a.key));
+
+  const available = ACHIEVEMENTS
+    .filter(rule => rule.perModule || !earnedKeys.has(rule.key))
+    .map(({ key, title, description, perModule }) => ({ key, title, description, perModule }));
+
+  return { earned, available };
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  PROGRESS_EVENTS,
+  localDateKey,
+  getStreak,
+  recordProgressEvent,
+  describeAchievement,
+  listAchievements
+};
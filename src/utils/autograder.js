@@ -0,0 +1,175 @@
+// utils/autograder.js
+const fs = require('fs/promises');
+const path = require('path');
+const { withWorkspace, runInSandbox } = require('./sandbox');
+
+const MAX_SOURCE_BYTES = 64 * 1024;
+const MAX_DIFF_LINES = 20;
+const COMPILE_LIMITS = { timeMs: 15000, cpuSeconds: 10, memoryMb: 512 };
+
+// How each supported language is built and run inside a workspace
+const LANGUAGES = {
+  bash: {
+    fileName: 'solution.sh',
+    run: (dir) => ['bash', path.join(dir, 'solution.sh')]
+  },
+  c: {
+    fileName: 'solution.c',
+    compile: ['cc', '-std=c11', '-O1', '-o', 'solution', 'solution.c', '-lm'],
+    run: (dir) => [path.join(dir, 'solution')]
+  }
+};
+
+// Ignore trailing whitespace on each line and trailing blank lines
+const outputLines = (text) => {
+  const lines = String(text || '').split('\n').map(line => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+/**
+ * Line-by-line differences between expected and actual output
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {Array} [{ line, expected, actual }] (null when the line is missing)
+ */
+function diffOutput(expected, actual) {
+  const expectedLines = outputLines(expected);
+  const actualLines = outputLines(actual);
+  const diff = [];
+
+  for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+    const want = i < expectedLines.length ? expectedLines[i] : null;
+    const got = i < actualLines.length ? actualLines[i] : null;
+    if (want !== got) {
+      diff.push({ line: i + 1, expected: want, actual: got });
+      if (diff.length >= MAX_DIFF_LINES) break;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Test cases that may be shown to learners (hidden ones are left out)
+ * @param {Array} testCases
+ * @returns {Array} [{ _id, name, stdin, args, expectedOutput, expectedExitCode }]
+ */
+function visibleTestCases(testCases) {
+  return (testCases || [])
+    .filter(testCase => testCase.isHidden === false)
+    .map(({ _id, name, stdin, args, expectedOutput, expectedExitCode }) => ({
+      _id, name, stdin, args, expectedOutput, expectedExitCode
+    }));
+}
+
+/**
+ * Check that an exercise or question can be autograded
+ * @param {Object} item - { language, testCases }
+ * @returns {string|null} Error message
+ */
+function validateAutograding(item) {
+  if (!item.testCases || item.testCases.length === 0) {
+    return null;
+  }
+  if (!LANGUAGES[item.language]) {
+    return `Autograded content needs a supported language (${Object.keys(LANGUAGES).join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Compile (if needed) and run a submission against test cases in the sandbox.
+ * Hidden test cases only report pass/fail and limits; visible ones also
+ * include the stdout diff and stderr.
+ * @param {Object} options
+ * @param {string} options.language - Key of LANGUAGES
+ * @param {string} options.source - Submitted code or script
+ * @param {Array} options.testCases - [{ name, stdin, args, expectedOutput, expectedExitCode, isHidden }]
+ * @returns {Promise<Object>} { status, passedCases, totalCases, compileOutput, cases }
+ */
+async function runTestCases({ language, source, testCases }) {
+  const definition = LANGUAGES[language];
+  if (!definition) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+  if (typeof source !== 'string' || !source.trim()) {
+    return { status: 'failed', passedCases: 0, totalCases: testCases.length, compileOutput: null, cases: [], message: 'Empty submission' };
+  }
+  if (Buffer.byteLength(source) > MAX_SOURCE_BYTES) {
+    return { status: 'failed', passedCases: 0, totalCases: testCases.length, compileOutput: null, cases: [], message: 'Submission is too large' };
+  }
+
+  return withWorkspace(async (dir) => {
+    await fs.writeFile(path.join(dir, definition.fileName), source);
+
+    if (definition.compile) {
+      const build = await runInSandbox({ command: definition.compile, cwd: dir, limits: COMPILE_LIMITS });
+      if (build.exitCode !== 0) {
+        return {
+          status: 'compile-error',
+          passedCases: 0,
+          totalCases: testCases.length,
+          compileOutput: (build.stderr || build.stdout).slice(0, 4000),
+          cases: []
+        };
+      }
+    }
+
+    const cases = [];
+    for (const [index, testCase] of testCases.entries()) {
+      // Each case runs in a fresh workspace, with the build mounted read-only,
+      // so a case can neither alter the submission nor leave files for the next ones
+      const run = await withWorkspace(caseDir => runInSandbox({
+        command: [...definition.run(dir), ...(testCase.args || [])],
+        cwd: caseDir,
+        inputDir: dir,
+        stdin: testCase.stdin || ''
+      }));
+
+      const stdoutDiff = diffOutput(testCase.expectedOutput, run.stdout);
+      const exitCodeMatches = testCase.expectedExitCode === null || testCase.expectedExitCode === undefined ||
+        run.exitCode === testCase.expectedExitCode;
+      const passed = !run.timedOut && !run.outputTruncated && !run.signal && exitCodeMatches && stdoutDiff.length === 0;
+
+      const result = {
+        index: index + 1,
+        name: testCase.name || `Test ${index + 1}`,
+        hidden: testCase.isHidden !== false,
+        passed,
+        timedOut: run.timedOut,
+        outputTruncated: run.outputTruncated,
+        limitExceeded: run.timedOut ? 'time'
+          : run.outputTruncated ? 'output'
+          : ['SIGXCPU', 'SIGKILL'].includes(run.signal) ? 'cpu-or-memory'
+          : null,
+        exitCode: run.exitCode,
+        signal: run.signal,
+        durationMs: run.durationMs
+      };
+      if (!result.hidden) {
+        result.stdoutDiff = stdoutDiff;
+        result.stderr = run.stderr.slice(0, 4000);
+      }
+      cases.push(result);
+    }
+
+    const passedCases = cases.filter(c => c.passed).length;
+    return {
+      status: passedCases === cases.length ? 'passed' : 'failed',
+      passedCases,
+      totalCases: cases.length,
+      compileOutput: null,
+      cases
+    };
+  });
+}
+
+module.exports = {
+  LANGUAGES: Object.keys(LANGUAGES),
+  diffOutput,
+  visibleTestCases,
+  validateAutograding,
+  runTestCases
+};
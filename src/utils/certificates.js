@@ -0,0 +1,156 @@
+// utils/certificates.js
+const Certificate = require('../models/Certificate');
+const Module = require('../models/Module');
+const { findPublishedModuleById } = require('./publishedContent');
+
+/**
+ * Completion certificates, issued the first time a learner passes a module
+ * test and rendered locally (no third-party service) as SVG or PDF.
+ */
+
+const ISSUER = process.env.CERTIFICATE_ISSUER || 'LeBainCode';
+
+const recipientNameOf = (user) => user.githubProfile && user.githubProfile.username
+  ? user.githubProfile.username
+  : user.username;
+
+/**
+ * Issue the learner's certificate for a module after a passing submission;
+ * a learner who already has one keeps it
+ * @param {Object} user - User document
+ * @param {Object} submission - Passing TestSubmission
+ * @param {Object} test - Test version the submission was graded against
+ * @returns {Promise<Object>} The certificate
+ */
+async function issueCertificate(user, submission, test) {
+  const module = await findPublishedModuleById(submission.moduleId) ||
+    await Module.findById(submission.moduleId).select('name slug').lean();
+
+  return Certificate.findOneAndUpdate(
+    { userId: user._id, moduleId: submission.moduleId },
+    {
+      $setOnInsert: {
+        moduleName: module ? module.name : 'Module',
+        moduleSlug: module ? module.slug : null,
+        recipientName: recipientNameOf(user),
+        score: submission.score,
+        passingScore: test.passingScore,
+        moduleTestId: submission.moduleTestId,
+        submissionId: submission._id,
+        contentVersion: submission.contentVersion,
+        issuedAt: submission.completedAt || new Date()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Public view of a certificate: nothing about the learner beyond the printed name
+const toPublicCertificate = (certificate) => ({
+  verificationId: certificate.verificationId,
+  recipientName: certificate.recipientName,
+  moduleName: certificate.moduleName,
+  moduleSlug: certificate.moduleSlug,
+  score: certificate.score,
+  issuedAt: certificate.issuedAt,
+  issuer: ISSUER
+});
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Lines printed on the certificate, from top to bottom
+const certificateLines = (certificate) => [
+  { text: 'Certificate of Completion', size: 34, y: 150 },
+  { text: 'This certifies that', size: 16, y: 215 },
+  { text: certificate.recipientName, size: 30, y: 265 },
+  { text: 'has successfully completed the module', size: 16, y: 315 },
+  { text: certificate.moduleName, size: 26, y: 360 },
+  { text: `with a score of ${certificate.score}% on ${formatDate(certificate.issuedAt)}`, size: 16, y: 405 },
+  { text: ISSUER, size: 18, y: 480 },
+  { text: `Verification ID: ${certificate.verificationId}`, size: 11, y: 530 }
+];
+
+const WIDTH = 842;
+const HEIGHT = 595;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Certificate as an A4 landscape SVG document
+ * @param {Object} certificate - Certificate
+ * @returns {string}
+ */
+function renderCertificateSvg(certificate) {
+  const lines = certificateLines(certificate).map(({ text, size, y }) =>
+    `  <text x="${WIDTH / 2}" y="${y}" font-size="${size}" text-anchor="middle">${escapeXml(text)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Helvetica, Arial, sans-serif" fill="#1f2933">`,
+    `  <rect width="${WIDTH}" height="${HEIGHT}" fill="#ffffff"/>`,
+    `  <rect x="20" y="20" width="${WIDTH - 40}" height="${HEIGHT - 40}" fill="none" stroke="#1f2933" stroke-width="3"/>`,
+    `  <rect x="30" y="30" width="${WIDTH - 60}" height="${HEIGHT - 60}" fill="none" stroke="#1f2933" stroke-width="1"/>`,
+    ...lines,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+// PDF string literal in the Latin-1 (WinAnsi) range of the standard fonts
+const pdfString = (text) => '(' + String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1') + ')';
+
+// Helvetica is about half an em wide on average; good enough to center a line
+const approximateWidth = (text, size) => String(text).length * size * 0.5;
+
+/**
+ * Certificate as a single-page A4 landscape PDF, written by hand with the
+ * built-in Helvetica font
+ * @param {Object} certificate - Certificate
+ * @returns {Buffer}
+ */
+function renderCertificatePdf(certificate) {
+  const content = [
+    '3 w 20 20 802 555 re S',
+    '1 w 30 30 782 535 re S',
+    ...certificateLines(certificate).map(({ text, size, y }) => {
+      const x = Math.max(40, (WIDTH - approximateWidth(text, size)) / 2).toFixed(1);
+      return `BT /F1 ${size} Tf ${x} ${HEIGHT - y} Td ${pdfString(text)} Tj ET`;
+    })
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${WIDTH} ${HEIGHT}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  issueCertificate,
+  toPublicCertificate,
+  renderCertificateSvg,
+  renderCertificatePdf
+};
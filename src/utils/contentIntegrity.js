@@ -0,0 +1,97 @@
+// utils/contentIntegrity.js
+const Module = require('../models/Module');
+const User = require('../models/User');
+const TestSubmission = require('../models/TestSubmission');
+const { getPrerequisites, findPath } = require('./curriculumGraph');
+
+/**
+ * Check whether giving a module these prerequisites would create a cycle,
+ * i.e. whether one of them already depends (directly or not) on the module
+ * @param {string} moduleId - Module being edited (null when creating)
+ * @param {Array} prerequisiteIds - Proposed prerequisite module IDs
+ * @returns {Promise<Array|null>} Module IDs forming the cycle, or null if none
+ */
+async function findPrerequisiteCycle(moduleId, prerequisiteIds) {
+  if (!moduleId || !prerequisiteIds || prerequisiteIds.length === 0) {
+    return null;
+  }
+
+  const modules = await Module.find().select('prerequisites prerequisiteModule').lean();
+  const prerequisitesById = new Map(modules.map(m => [
+    m._id.toString(),
+    getPrerequisites(m).map(p => p.moduleId.toString())
+  ]));
+  prerequisitesById.set(moduleId.toString(), prerequisiteIds.map(id => id.toString()));
+
+  for (const prerequisiteId of prerequisiteIds) {
+    const path = findPath(prerequisitesById, prerequisiteId.toString(), moduleId.toString());
+    if (path) {
+      return [moduleId.toString(), ...path];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether any learner has progress or a test score on a module
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<boolean>}
+ */
+async function hasModuleProgress(moduleId) {
+  const user = await User.exists({
+    $or: [
+      { 'progress.modules.moduleId': moduleId },
+      { 'progress.testScores.moduleId': moduleId }
+    ]
+  });
+  return !!user;
+}
+
+/**
+ * Check whether any learner has progress on a specific day of a module
+ * @param {string} moduleId - Module ID
+ * @param {number} dayNumber - Day number within the module
+ * @returns {Promise<boolean>}
+ */
+async function hasDayProgress(moduleId, dayNumber) {
+  const user = await User.exists({
+    'progress.modules': {
+      $elemMatch: { moduleId, 'days.dayNumber': dayNumber }
+    }
+  });
+  return !!user;
+}
+
+/**
+ * Check whether any learner has recorded progress on an exercise
+ * @param {string} exerciseId - Exercise subdocument ID
+ * @returns {Promise<boolean>}
+ */
+async function hasExerciseProgress(exerciseId) {
+  const user = await User.exists({
+    'progress.modules.days.exercises.exerciseId': exerciseId
+  });
+  return !!user;
+}
+
+/**
+ * Check whether a test, or a single question of it, has learner submissions
+ * @param {string} moduleTestId - Module test ID
+ * @param {string} [questionId] - Restrict the check to one question
+ * @returns {Promise<boolean>}
+ */
+async function hasTestSubmissions(moduleTestId, questionId = null) {
+  const query = { moduleTestId };
+  if (questionId) {
+    query['answers.questionId'] = questionId;
+  }
+  return !!(await TestSubmission.exists(query));
+}
+
+module.exports = {
+  findPrerequisiteCycle,
+  hasModuleProgress,
+  hasDayProgress,
+  hasExerciseProgress,
+  hasTestSubmissions
+};
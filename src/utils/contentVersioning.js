@@ -0,0 +1,162 @@
+// utils/contentVersioning.js
+const ContentVersion = require('../models/ContentVersion');
+
+// Lifecycle fields that are not part of the published content
+const VERSION_META_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'status',
+  'version',
+  'publishedVersion',
+  'publishedAt',
+  'isArchived',
+  'archivedAt'
+];
+
+/**
+ * Take the learner-facing snapshot of a Module, ModuleDay or ModuleTest document
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} Plain object without lifecycle fields
+ */
+function takeSnapshot(doc) {
+  const snapshot = doc.toObject({ depopulate: true, virtuals: false });
+  VERSION_META_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+}
+
+/**
+ * Whether a save is an edit to the content itself (as opposed to publishing or archiving)
+ * @param {Object} doc - Mongoose document being saved
+ * @returns {boolean}
+ */
+function isContentEdit(doc) {
+  if (doc.isNew || (doc.$locals && doc.$locals.publishing)) {
+    return false;
+  }
+  return doc.modifiedPaths().some(path => !VERSION_META_FIELDS.includes(path.split('.')[0]));
+}
+
+/**
+ * Publish the working copy of a content document as a new immutable version
+ * @param {Object} doc - Module, ModuleDay or ModuleTest document
+ * @param {string} contentType - 'module', 'day' or 'test'
+ * @param {Object} options
+ * @param {string} options.publishedBy - ID of the publishing admin
+ * @param {string} options.note - Optional publish note
+ * @param {number} options.rolledBackFrom - Version being restored, for rollbacks
+ * @returns {Promise<Object>} The created ContentVersion
+ */
+async function publishContent(doc, contentType, options = {}) {
+  await doc.validate();
+
+  const latest = await ContentVersion.findOne({ contentType, contentId: doc._id })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+  const version = latest ? latest.version + 1 : 1;
+
+  // The version is written first: an unreferenced version is harmless,
+  // a document pointing at a missing version would hide it from learners
+  const contentVersion = await ContentVersion.create({
+    contentType,
+    contentId: doc._id,
+    moduleId: contentType === 'module' ? doc._id : doc.moduleId,
+    version,
+    snapshot: takeSnapshot(doc),
+    note: options.note,
+    rolledBackFrom: options.rolledBackFrom || null,
+    publishedBy: options.publishedBy
+  });
+
+  doc.version = version;
+  doc.publishedVersion = version;
+  doc.publishedAt = contentVersion.publishedAt;
+  doc.status = 'published';
+  doc.$locals.publishing = true;
+  try {
+    await doc.save();
+  } finally {
+    doc.$locals.publishing = false;
+  }
+
+  return contentVersion;
+}
+
+/**
+ * Restore the working copy to a previous version and publish it as a new version
+ * @param {Object} doc - Module, ModuleDay or ModuleTest document
+ * @param {string} contentType - 'module', 'day' or 'test'
+ * @param {number} targetVersion - Version to restore
+ * @param {Object} options - Same as publishContent
+ * @returns {Promise<Object|null>} The created ContentVersion, or null if the target does not exist
+ */
+async function rollbackContent(doc, contentType, targetVersion, options = {}) {
+  const target = await ContentVersion.findOne({
+    contentType,
+    contentId: doc._id,
+    version: targetVersion
+  }).lean();
+
+  if (!target) {
+    return null;
+  }
+
+  doc.set(target.snapshot);
+
+  return publishContent(doc, contentType, {
+    ...options,
+    note: options.note || `Rollback to version ${targetVersion}`,
+    rolledBackFrom: targetVersion
+  });
+}
+
+// Flatten a snapshot into dotted paths; ObjectIds and dates become strings
+function flatten(value, prefix = '', result = {}) {
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (entries.length === 0) {
+      result[prefix] = Array.isArray(value) ? [] : {};
+    }
+    entries.forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : String(key), result));
+  } else {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+/**
+ * Compute a field-level diff between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array<Object>} Changes as { path, change, from, to }
+ */
+function diffSnapshots(from, to) {
+  const before = flatten(JSON.parse(JSON.stringify(from || {})));
+  const after = flatten(JSON.parse(JSON.stringify(to || {})));
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return paths.reduce((changes, path) => {
+    const inBefore = Object.prototype.hasOwnProperty.call(before, path);
+    const inAfter = Object.prototype.hasOwnProperty.call(after, path);
+
+    if (!inBefore) {
+      changes.push({ path, change: 'added', from: null, to: after[path] });
+    } else if (!inAfter) {
+      changes.push({ path, change: 'removed', from: before[path], to: null });
+    } else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+      changes.push({ path, change: 'changed', from: before[path], to: after[path] });
+    }
+    return changes;
+  }, []);
+}
+
+module.exports = {
+  VERSION_META_FIELDS,
+  takeSnapshot,
+  isContentEdit,
+  publishContent,
+  rollbackContent,
+  diffSnapshots
+};
@@ -0,0 +1,883 @@
+// utils/curriculumBundle.js
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const yaml = require('js-yaml');
+const Module = require('../models/Module');
+const ModuleDay = require('../models/ModuleDay');
+const ModuleTest = require('../models/ModuleTest');
+const { diffSnapshots, publishContent } = require('./contentVersioning');
+const { getPrerequisites, findPath } = require('./curriculumGraph');
+const { validateQuestion } = require('./graders');
+const { validatePools } = require('./questionPools');
+const { createZip, readZip } = require('./zipArchive');
+const { SUPPORTED_LOCALES, LOCALIZED_FIELDS } = require('./localization');
+
+/**
+ * Curriculum bundles: a portable, file-based copy of modules with their days,
+ * exercises and tests, to review content like code and move it between
+ * environments.
+ *
+ *   bundle.yaml                              format, formatVersion, module slugs in order
+ *   modules/<slug>/module.yaml               module settings, prerequisites by slug
+ *   modules/<slug>/test.yaml                 test settings and questions (optional)
+ *   modules/<slug>/days/<NN>/day.yaml        day settings and exercises
+ *   modules/<slug>/days/<NN>/<MM>-<title>.md exercise content (contentFile in day.yaml)
+ *   modules/<slug>/days/<NN>/<MM>-<title>.<locale>.md  translated exercise content
+ *
+ * Translations (see utils/localization.js) sit next to the text they
+ * translate, under translations.<locale>, and are left out when empty.
+ *
+ * Bundles hold the admin working copies, without archived content. Exercises,
+ * questions and options keep their IDs, which learner progress and test
+ * submissions refer to; bundles written by hand may leave them out, and they
+ * are then matched by title (question text, option text).
+ *
+ * Import matches modules by slug, days by day number and tests by module, so
+ * importing a bundle twice changes nothing the second time. Days, exercises
+ * and questions missing from a bundled module are archived, never deleted;
+ * modules and tests missing from the bundle are left alone. Imported changes
+ * are drafts until they are published, which import can do as well.
+ */
+
+const BUNDLE_FORMAT = 'lebaincode-curriculum';
+const BUNDLE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'bundle.yaml';
+
+const YAML_OPTIONS = { lineWidth: -1, noRefs: true };
+
+const idOf = (value) => (value ? value.toString() : null);
+const pad = (number) => String(number).padStart(2, '0');
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40) || 'exercise';
+
+// ===========================================
+// SERIALIZATION (documents -> bundle entries)
+// ===========================================
+
+const serializeTestCases = (testCases = []) => testCases.map(testCase => ({
+  name: testCase.name || null,
+  stdin: testCase.stdin,
+  args: [...(testCase.args || [])],
+  expectedOutput: testCase.expectedOutput,
+  expectedExitCode: testCase.expectedExitCode,
+  isHidden: testCase.isHidden
+}));
+
+const serializeAcceptedAnswers = (answers = []) => answers.map(answer => ({
+  value: answer.value,
+  matchType: answer.matchType,
+  caseSensitive: answer.caseSensitive
+}));
+
+// Non-blank translations of a piece of content, or null when it has none
+function compactTranslations(translations, kind) {
+  const compact = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    const variants = translations && translations[locale];
+    const fields = LOCALIZED_FIELDS[kind].filter(field => variants &&
+      typeof variants[field] === 'string' && variants[field].trim() !== '');
+    if (fields.length > 0) {
+      compact[locale] = Object.fromEntries(fields.map(field => [field, variants[field]]));
+    }
+  }
+  return Object.keys(compact).length > 0 ? compact : null;
+}
+
+// translations entry of a serialized document (YAML cannot hold undefined values)
+const serializeTranslations = (doc, kind) => {
+  const translations = compactTranslations(doc.translations, kind);
+  return translations ? { translations } : {};
+};
+
+function serializeModule(module, slugById) {
+  return {
+    slug: module.slug,
+    name: module.name,
+    description: module.description,
+    ...serializeTranslations(module, 'module'),
+    order: module.order,
+    isPaid: module.isPaid,
+    accessLevel: module.accessLevel,
+    requiredEntitlements: [...(module.requiredEntitlements || [])],
+    roleAccess: (module.roleAccess || []).map(rule => ({
+      role: rule.role,
+      maxDay: rule.maxDay ?? null,
+      waiveEntitlements: rule.waiveEntitlements
+    })),
+    prerequisites: getPrerequisites(module).map(p => ({
+      module: slugById.get(idOf(p.moduleId)) || idOf(p.moduleId),
+      minScore: p.minScore
+    })),
+    notions: [...(module.notions || [])],
+    releaseSchedule: {
+      mode: module.releaseSchedule.mode,
+      intervalDays: module.releaseSchedule.intervalDays
+    }
+  };
+}
+
+function serializeDay(day) {
+  return {
+    dayNumber: day.dayNumber,
+    title: day.title,
+    description: day.description,
+    ...serializeTranslations(day, 'day'),
+    notions: [...(day.notions || [])],
+    releaseOffsetDays: day.releaseOffsetDays ?? null,
+    exercises: day.exercises
+      .filter(e => !e.isArchived)
+      .sort((a, b) => a.order - b.order)
+      .map(exercise => ({
+        id: idOf(exercise._id),
+        title: exercise.title,
+        description: exercise.description,
+        order: exercise.order,
+        content: exercise.content,
+        ...serializeTranslations(exercise, 'exercise'),
+        language: exercise.language || null,
+        testCases: serializeTestCases(exercise.testCases),
+        // Hints without translations are plain strings
+        hints: (exercise.hints || []).map(hint => (compactTranslations(hint.translations, 'hint')
+          ? { content: hint.content, ...serializeTranslations(hint, 'hint') }
+          : hint.content)),
+        hintPenalty: exercise.hintPenalty || 0
+      }))
+  };
+}
+
+function serializeTest(test) {
+  return {
+    title: test.title,
+    description: test.description,
+    ...serializeTranslations(test, 'test'),
+    timeLimit: test.timeLimit,
+    passingScore: test.passingScore,
+    shuffleQuestions: test.shuffleQuestions,
+    shuffleOptions: test.shuffleOptions,
+    retakePolicy: {
+      maxAttempts: test.retakePolicy.maxAttempts ?? null,
+      cooldownMinutes: test.retakePolicy.cooldownMinutes,
+      scoreToKeep: test.retakePolicy.scoreToKeep
+    },
+    reviewPolicy: {
+      revealAnswers: test.reviewPolicy.revealAnswers,
+      minAttempts: test.reviewPolicy.minAttempts
+    },
+    pools: (test.pools || []).map(pool => ({
+      name: pool.name,
+      tags: [...pool.tags],
+      drawCount: pool.drawCount
+    })),
+    questions: test.questions.filter(q => !q.isArchived).map(question => ({
+      id: idOf(question._id),
+      type: question.type,
+      question: question.question,
+      points: question.points,
+      explanation: question.explanation ?? null,
+      ...serializeTranslations(question, 'question'),
+      tags: [...(question.tags || [])],
+      notions: [...(question.notions || [])],
+      partialCredit: question.partialCredit,
+      options: (question.options || []).map(option => ({
+        id: idOf(option._id),
+        text: option.text,
+        isCorrect: option.isCorrect,
+        explanation: option.explanation ?? null,
+        ...serializeTranslations(option, 'option')
+      })),
+      acceptedAnswers: serializeAcceptedAnswers(question.acceptedAnswers),
+      blanks: (question.blanks || []).map(blank => ({
+        acceptedAnswers: serializeAcceptedAnswers(blank.acceptedAnswers)
+      })),
+      language: question.language || null,
+      testCases: serializeTestCases(question.testCases)
+    }))
+  };
+}
+
+// ===========================================
+// FILES (bundle entries <-> file map)
+// ===========================================
+
+// Markdown files end with a newline, which is not part of the content
+const toMarkdown = (content) => `${content}\n`;
+const fromMarkdown = (text) => text.replace(/\r\n/g, '\n').replace(/\n$/, '');
+
+/**
+ * Lay bundle entries out as files
+ * @param {Array} entries - [{ module, days, test }] in bundle form
+ * @param {Date} exportedAt - Export date recorded in the manifest
+ * @returns {Map} Path -> file content
+ */
+function toBundleFiles(entries, exportedAt = new Date()) {
+  const files = new Map();
+  files.set(MANIFEST_FILE, yaml.dump({
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    modules: entries.map(entry => entry.module.slug)
+  }, YAML_OPTIONS));
+
+  for (const { module, days, test } of entries) {
+    const moduleDir = `modules/${module.slug}`;
+    files.set(`${moduleDir}/module.yaml`, yaml.dump(module, YAML_OPTIONS));
+
+    for (const day of days) {
+      const dayDir = `${moduleDir}/days/${pad(day.dayNumber)}`;
+      const exercises = day.exercises.map(({ content, ...exercise }, index) => {
+        const baseName = `${pad(index + 1)}-${slugify(exercise.title)}`;
+        const contentFile = `${baseName}.md`;
+        files.set(`${dayDir}/${contentFile}`, toMarkdown(content));
+
+        // Translated content gets a Markdown file of its own as well
+        if (exercise.translations) {
+          exercise.translations = Object.fromEntries(Object.entries(exercise.translations).map(([locale, variants]) => {
+            if (variants.content === undefined) {
+              return [locale, variants];
+            }
+            const { content: translated, ...rest } = variants;
+            const translatedFile = `${baseName}.${locale}.md`;
+            files.set(`${dayDir}/${translatedFile}`, toMarkdown(translated));
+            return [locale, { ...rest, contentFile: translatedFile }];
+          }));
+        }
+        return { ...exercise, contentFile };
+      });
+      files.set(`${dayDir}/day.yaml`, yaml.dump({ ...day, exercises }, YAML_OPTIONS));
+    }
+
+    if (test) {
+      files.set(`${moduleDir}/test.yaml`, yaml.dump(test, YAML_OPTIONS));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read bundle files back into entries
+ * @param {Map} files - Path -> content (string or Buffer)
+ * @returns {Object} { entries: [{ module, days, test }], errors: [string] }
+ */
+function parseBundleFiles(files) {
+  const errors = [];
+  const texts = new Map([...files.entries()].map(([file, content]) => [
+    file.replace(/\\/g, '/').replace(/^\.\//, ''),
+    Buffer.isBuffer(content) ? content.toString('utf8') : String(content)
+  ]));
+
+  // Archives of the bundle folder itself have every path under that folder
+  let root = '';
+  if (!texts.has(MANIFEST_FILE)) {
+    const manifests = [...texts.keys()].filter(file => /^[^/]+\/bundle\.yaml$/.test(file));
+    if (manifests.length === 1) {
+      root = manifests[0].slice(0, -MANIFEST_FILE.length);
+    }
+  }
+  const read = (file) => texts.get(root + file);
+  const list = (prefix) => [...texts.keys()]
+    .filter(file => file.startsWith(root + prefix))
+    .map(file => file.slice(root.length));
+
+  const load = (file) => {
+    const text = read(file);
+    if (text === undefined) {
+      return undefined;
+    }
+    try {
+      return yaml.load(text) || {};
+    } catch (error) {
+      errors.push(`${file}: ${error.reason || error.message}`);
+      return null;
+    }
+  };
+
+  const manifest = load(MANIFEST_FILE);
+  if (manifest === undefined) {
+    return { entries: [], errors: [`${MANIFEST_FILE} not found`] };
+  }
+  if (!manifest) {
+    return { entries: [], errors };
+  }
+  if (manifest.format !== BUNDLE_FORMAT) {
+    return { entries: [], errors: [`${MANIFEST_FILE}: format must be ${BUNDLE_FORMAT}`] };
+  }
+  if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > BUNDLE_FORMAT_VERSION) {
+    return {
+      entries: [],
+      errors: [`${MANIFEST_FILE}: unsupported format version ${manifest.formatVersion} (this server reads up to ${BUNDLE_FORMAT_VERSION})`]
+    };
+  }
+  if (!Array.isArray(manifest.modules) || manifest.modules.length === 0) {
+    return { entries: [], errors: [`${MANIFEST_FILE}: modules must list the module slugs of the bundle`] };
+  }
+
+  const entries = [];
+  for (const slug of manifest.modules) {
+    const moduleDir = `modules/${slug}`;
+    const module = load(`${moduleDir}/module.yaml`);
+    if (module === undefined) {
+      errors.push(`${moduleDir}/module.yaml not found`);
+      continue;
+    }
+    if (!module) {
+      continue;
+    }
+    if (module.slug !== undefined && module.slug !== slug) {
+      errors.push(`${moduleDir}/module.yaml: slug ${module.slug} does not match its folder`);
+      continue;
+    }
+
+    const days = [];
+    const dayFiles = list(`${moduleDir}/days/`).filter(file => file.endsWith('/day.yaml')).sort();
+    for (const dayFile of dayFiles) {
+      const day = load(dayFile);
+      if (!day) {
+        continue;
+      }
+      const dayDir = path.posix.dirname(dayFile);
+      if (day.dayNumber === undefined) {
+        day.dayNumber = parseInt(path.posix.basename(dayDir));
+      }
+
+      const readContent = (contentFile) => {
+        const content = read(`${dayDir}/${contentFile}`);
+        if (content === undefined) {
+          errors.push(`${dayDir}/${contentFile} not found`);
+        }
+        return content === undefined ? '' : fromMarkdown(content);
+      };
+
+      day.exercises = (day.exercises || []).map(({ contentFile, ...exercise }) => {
+        if (exercise.content === undefined && contentFile) {
+          exercise.content = readContent(contentFile);
+        }
+        if (exercise.translations && typeof exercise.translations === 'object') {
+          exercise.translations = Object.fromEntries(Object.entries(exercise.translations).map(([locale, variants]) => {
+            if (!variants || typeof variants !== 'object' || !variants.contentFile) {
+              return [locale, variants];
+            }
+            const { contentFile: translatedFile, ...rest } = variants;
+            return [locale, rest.content === undefined ? { ...rest, content: readContent(translatedFile) } : rest];
+          }));
+        }
+        return exercise;
+      });
+      days.push(day);
+    }
+
+    const test = load(`${moduleDir}/test.yaml`);
+    entries.push({ module: { ...module, slug }, days, test: test || null });
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Read a bundle from a directory
+ * @param {string} directory - Bundle directory
+ * @returns {Map} Path -> Buffer (hidden files and folders are skipped)
+ */
+function readBundleDirectory(directory) {
+  const files = new Map();
+  const walk = (dir, prefix) => {
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (item.name.startsWith('.')) {
+        continue;
+      }
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        walk(fullPath, `${prefix}${item.name}/`);
+      } else if (item.isFile()) {
+        files.set(`${prefix}${item.name}`, fs.readFileSync(fullPath));
+      }
+    }
+  };
+  walk(directory, '');
+  return files;
+}
+
+/**
+ * Write a bundle to a directory, replacing the bundle already there
+ * @param {string} directory - Bundle directory (created if needed)
+ * @param {Map} files - Path -> content
+ * @throws {Error} When the directory holds other files than a bundle
+ */
+function writeBundleDirectory(directory, files) {
+  if (fs.existsSync(directory)) {
+    const existing = fs.readdirSync(directory).filter(name => !name.startsWith('.'));
+    if (existing.length > 0 && !existing.includes(MANIFEST_FILE)) {
+      throw new Error(`${directory} is not empty and does not hold a curriculum bundle`);
+    }
+    // Files of days or modules removed since the last export must not linger
+    fs.rmSync(path.join(directory, 'modules'), { recursive: true, force: true });
+  }
+
+  for (const [file, content] of files) {
+    const fullPath = path.join(directory, ...file.split('/'));
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+}
+
+/**
+ * Read a bundle from a directory or a .zip file
+ * @param {string} location - Path of the directory or archive
+ * @returns {Map} Path -> Buffer
+ */
+function readBundle(location) {
+  return fs.statSync(location).isDirectory()
+    ? readBundleDirectory(location)
+    : readZip(fs.readFileSync(location));
+}
+
+/**
+ * Write a bundle to a directory, or to a .zip file when the path ends with .zip
+ * @param {string} location - Path of the directory or archive
+ * @param {Map} files - Path -> content
+ */
+function writeBundle(location, files) {
+  if (location.toLowerCase().endsWith('.zip')) {
+    fs.mkdirSync(path.dirname(path.resolve(location)), { recursive: true });
+    fs.writeFileSync(location, createZip(files));
+  } else {
+    writeBundleDirectory(location, files);
+  }
+}
+
+// ===========================================
+// EXPORT
+// ===========================================
+
+/**
+ * Export the curriculum (admin working copies) as bundle files
+ * @param {Object} options
+ * @param {Array} options.slugs - Modules to export (all non-archived modules when empty)
+ * @returns {Promise<Object>} { files: Map, modules: [slug], missing: [slug] }
+ */
+async function exportCurriculum({ slugs = [] } = {}) {
+  const filter = { isArchived: { $ne: true } };
+  if (slugs.length > 0) {
+    filter.slug = { $in: slugs };
+  }
+
+  const [modules, allModules] = await Promise.all([
+    Module.find(filter).sort({ order: 1 }),
+    Module.find().select('slug').lean()
+  ]);
+  const slugById = new Map(allModules.map(m => [m._id.toString(), m.slug]));
+  const moduleIds = modules.map(m => m._id);
+
+  const [days, tests] = await Promise.all([
+    ModuleDay.find({ moduleId: { $in: moduleIds }, isArchived: { $ne: true } }).sort({ dayNumber: 1 }),
+    ModuleTest.find({ moduleId: { $in: moduleIds }, isArchived: { $ne: true } })
+  ]);
+
+  const entries = modules.map(module => {
+    const id = module._id.toString();
+    const test = tests.find(t => t.moduleId.toString() === id);
+    return {
+      module: serializeModule(module, slugById),
+      days: days.filter(d => d.moduleId.toString() === id).map(serializeDay),
+      test: test ? serializeTest(test) : null
+    };
+  });
+
+  return {
+    files: toBundleFiles(entries),
+    modules: modules.map(m => m.slug),
+    missing: slugs.filter(slug => !modules.some(m => m.slug === slug))
+  };
+}
+
+// ===========================================
+// IMPORT
+// ===========================================
+
+// Bundle values for the listed fields, schema defaults for the ones left out
+function withDefaults(Model, values, fields) {
+  const defaults = new Model().toObject();
+  return fields.reduce((data, field) => {
+    const value = values[field];
+    if (value === undefined || value === null) {
+      data[field] = defaults[field] === undefined ? null : defaults[field];
+    } else if (defaults[field] && typeof defaults[field] === 'object' && !Array.isArray(defaults[field]) &&
+        typeof value === 'object' && !Array.isArray(value)) {
+      data[field] = { ...defaults[field], ...value };
+    } else {
+      data[field] = value;
+    }
+    return data;
+  }, {});
+}
+
+// Pair incoming items with existing subdocuments, by ID then by a natural key;
+// unmatched existing subdocuments are returned as leftovers
+function matchSubdocuments(existing, incoming, naturalKey) {
+  const unmatched = [...existing];
+  const take = (predicate) => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  const pairs = incoming.map(item => [
+    item,
+    (item.id && take(doc => doc._id.toString() === String(item.id))) ||
+      take(doc => naturalKey(doc) === naturalKey(item))
+  ]);
+  // IDs are kept from the bundle so another environment ends up with the same ones
+  const idFor = (item, match) => {
+    if (match) {
+      return match._id;
+    }
+    return item.id && mongoose.isValidObjectId(item.id)
+      ? new mongoose.Types.ObjectId(String(item.id))
+      : new mongoose.Types.ObjectId();
+  };
+
+  return { pairs, leftovers: unmatched, idFor };
+}
+
+// Existing subdocuments left out of the bundle are archived, never deleted
+const archivedLeftovers = (leftovers, now) => leftovers.map(doc => ({
+  ...doc.toObject(),
+  isArchived: true,
+  archivedAt: doc.isArchived ? doc.archivedAt : now
+}));
+
+const hintContent = (hint) => (hint && typeof hint === 'object' ? hint.content : hint);
+
+// Bundle translations as stored: known fields with text only
+const importTranslations = (translations, kind) => compactTranslations(translations, kind) || {};
+
+function buildExercises(day, incoming, now) {
+  const { pairs, leftovers, idFor } = matchSubdocuments(day.exercises, incoming, e => e.title);
+  return [
+    ...pairs.map(([exercise, match], index) => ({
+      _id: idFor(exercise, match),
+      title: exercise.title,
+      description: exercise.description,
+      content: exercise.content,
+      translations: importTranslations(exercise.translations, 'exercise'),
+      order: exercise.order ?? index + 1,
+      language: exercise.language ?? null,
+      testCases: exercise.testCases || [],
+      hints: (exercise.hints || []).map(hint => ({
+        content: hintContent(hint),
+        translations: importTranslations(hint && hint.translations, 'hint')
+      })),
+      hintPenalty: exercise.hintPenalty ?? 0,
+      isArchived: false,
+      archivedAt: null
+    })),
+    ...archivedLeftovers(leftovers, now)
+  ];
+}
+
+function buildQuestions(test, incoming, now) {
+  const { pairs, leftovers, idFor } = matchSubdocuments(test.questions, incoming, q => q.question);
+  return [
+    ...pairs.map(([question, match]) => {
+      const options = matchSubdocuments(match ? match.options : [], question.options || [], o => o.text);
+      return {
+        _id: idFor(question, match),
+        question: question.question,
+        type: question.type || 'multiple-choice',
+        points: question.points ?? 1,
+        explanation: question.explanation ?? null,
+        translations: importTranslations(question.translations, 'question'),
+        tags: question.tags || [],
+        notions: question.notions || [],
+        partialCredit: question.partialCredit ?? true,
+        options: options.pairs.map(([option, optionMatch]) => ({
+          _id: options.idFor(option, optionMatch),
+          text: option.text,
+          isCorrect: !!option.isCorrect,
+          explanation: option.explanation ?? null,
+          translations: importTranslations(option.translations, 'option')
+        })),
+        acceptedAnswers: question.acceptedAnswers || [],
+        blanks: question.blanks || [],
+        language: question.language ?? null,
+        testCases: question.testCases || [],
+        isArchived: false,
+        archivedAt: null
+      };
+    }),
+    ...archivedLeftovers(leftovers, now)
+  ];
+}
+
+const MODULE_FIELDS = ['name', 'description', 'order', 'isPaid', 'accessLevel', 'requiredEntitlements', 'roleAccess', 'notions', 'releaseSchedule'];
+const DAY_FIELDS = ['title', 'description', 'notions', 'releaseOffsetDays'];
+const TEST_FIELDS = ['title', 'description', 'timeLimit', 'passingScore', 'shuffleQuestions', 'shuffleOptions', 'retakePolicy', 'reviewPolicy', 'pools'];
+
+const restore = (doc) => {
+  const wasArchived = doc.isArchived;
+  doc.isArchived = false;
+  doc.archivedAt = null;
+  return wasArchived;
+};
+
+// Compare a document before and after the bundle is applied to it
+function describeChange(item, before, after, { isNew, restored }) {
+  const changes = diffSnapshots(before, after);
+  let action = 'unchanged';
+  if (isNew) {
+    action = 'create';
+  } else if (restored) {
+    action = 'restore';
+  } else if (changes.length > 0) {
+    action = 'update';
+  }
+  return { ...item, action, changes: isNew ? [] : changes };
+}
+
+const validationMessage = (error) => (error.errors
+  ? Object.values(error.errors).map(e => e.message).join(', ')
+  : error.message);
+
+/**
+ * Apply bundle entries to in-memory documents and describe the changes
+ * @param {Array} entries - Parsed bundle entries
+ * @param {Object} options - { publish }
+ * @returns {Promise<Object>} { items: [{ contentType, module, dayNumber, action, changes, doc }], errors }
+ */
+async function planImport(entries, { publish = false } = {}) {
+  const now = new Date();
+  const errors = [];
+  const items = [];
+
+  const existingModules = await Module.find();
+  const modulesBySlug = new Map(existingModules.map(m => [m.slug, m]));
+
+  // Every module of the bundle gets its ID first so prerequisites can point at new modules
+  const targets = entries.map(entry => {
+    const existing = modulesBySlug.get(entry.module.slug);
+    return { entry, doc: existing || new Module({ slug: entry.module.slug }), isNew: !existing };
+  });
+  const idBySlug = new Map(existingModules.map(m => [m.slug, m._id]));
+  targets.forEach(({ entry, doc }) => idBySlug.set(entry.module.slug, doc._id));
+  const slugById = new Map([...idBySlug.entries()].map(([slug, id]) => [id.toString(), slug]));
+
+  const bundledNames = new Map();
+  for (const { entry, doc, isNew } of targets) {
+    const slug = entry.module.slug;
+    const before = isNew ? null : serializeModule(doc, slugById);
+
+    const prerequisites = [];
+    for (const prerequisite of entry.module.prerequisites || []) {
+      const prerequisiteId = idBySlug.get(prerequisite.module);
+      if (!prerequisiteId) {
+        errors.push(`module ${slug}: unknown prerequisite module ${prerequisite.module}`);
+      } else if (prerequisite.module === slug) {
+        errors.push(`module ${slug}: a module cannot be its own prerequisite`);
+      } else {
+        prerequisites.push({ moduleId: prerequisiteId, minScore: prerequisite.minScore ?? 60 });
+      }
+    }
+
+    doc.set({
+      ...withDefaults(Module, entry.module, MODULE_FIELDS),
+      translations: importTranslations(entry.module.translations, 'module'),
+      prerequisites,
+      prerequisiteModule: null
+    });
+    const restored = !isNew && restore(doc);
+
+    const nameOwner = existingModules.find(m => m.name === doc.name && m.slug !== slug);
+    if (nameOwner && !entries.some(e => e.module.slug === nameOwner.slug && e.module.name !== doc.name)) {
+      errors.push(`module ${slug}: name "${doc.name}" is already used by module ${nameOwner.slug}`);
+    }
+    if (bundledNames.has(doc.name)) {
+      errors.push(`module ${slug}: name "${doc.name}" is also used by module ${bundledNames.get(doc.name)}`);
+    }
+    bundledNames.set(doc.name, slug);
+
+    try {
+      await doc.validate();
+    } catch (error) {
+      errors.push(`module ${slug}: ${validationMessage(error)}`);
+    }
+
+    items.push({
+      ...describeChange({ contentType: 'module', module: slug, dayNumber: null },
+        before, serializeModule(doc, slugById), { isNew, restored }),
+      doc
+    });
+  }
+
+  // Prerequisites of the bundle must not close a cycle with the rest of the curriculum
+  const prerequisitesById = new Map(existingModules.map(m => [
+    m._id.toString(),
+    getPrerequisites(m).map(p => p.moduleId.toString())
+  ]));
+  targets.forEach(({ doc }) => prerequisitesById.set(doc._id.toString(), getPrerequisites(doc).map(p => p.moduleId.toString())));
+  for (const { entry, doc } of targets) {
+    for (const prerequisiteId of prerequisitesById.get(doc._id.toString())) {
+      const cycle = findPath(prerequisitesById, prerequisiteId, doc._id.toString());
+      if (cycle) {
+        errors.push(`module ${entry.module.slug}: prerequisites create a cycle: ${[doc._id.toString(), ...cycle].map(id => slugById.get(id) || id).join(' -> ')}`);
+        break;
+      }
+    }
+  }
+
+  for (const { entry, doc: module, isNew } of targets) {
+    const slug = entry.module.slug;
+    const existingDays = isNew ? [] : await ModuleDay.find({ moduleId: module._id });
+    const daysByNumber = new Map(existingDays.map(d => [d.dayNumber, d]));
+    const bundledNumbers = new Set();
+
+    for (const dayEntry of entry.days) {
+      const dayNumber = dayEntry.dayNumber;
+      if (!Number.isInteger(dayNumber) || dayNumber < 1) {
+        errors.push(`module ${slug}: invalid day number ${dayNumber}`);
+        continue;
+      }
+      if (bundledNumbers.has(dayNumber)) {
+        errors.push(`module ${slug}: day ${dayNumber} is defined twice`);
+        continue;
+      }
+      bundledNumbers.add(dayNumber);
+
+      const existing = daysByNumber.get(dayNumber);
+      const doc = existing || new ModuleDay({ moduleId: module._id, dayNumber });
+      const before = existing ? serializeDay(existing) : null;
+
+      doc.set({
+        ...withDefaults(ModuleDay, dayEntry, DAY_FIELDS),
+        translations: importTranslations(dayEntry.translations, 'day'),
+        exercises: buildExercises(doc, dayEntry.exercises || [], now)
+      });
+      const restored = !!existing && restore(doc);
+
+      try {
+        await doc.validate();
+      } catch (error) {
+        errors.push(`module ${slug} day ${dayNumber}: ${validationMessage(error)}`);
+      }
+
+      items.push({
+        ...describeChange({ contentType: 'day', module: slug, dayNumber },
+          before, serializeDay(doc), { isNew: !existing, restored }),
+        doc
+      });
+    }
+
+    for (const day of existingDays.filter(d => !d.isArchived && !bundledNumbers.has(d.dayNumber))) {
+      day.isArchived = true;
+      day.archivedAt = now;
+      items.push({
+        contentType: 'day',
+        module: slug,
+        dayNumber: day.dayNumber,
+        action: 'archive',
+        changes: [],
+        doc: day
+      });
+    }
+
+    if (entry.test) {
+      const existing = isNew ? null : await ModuleTest.findOne({ moduleId: module._id });
+      const doc = existing || new ModuleTest({ moduleId: module._id });
+      const before = existing ? serializeTest(existing) : null;
+
+      doc.set({
+        ...withDefaults(ModuleTest, entry.test, TEST_FIELDS),
+        translations: importTranslations(entry.test.translations, 'test'),
+        questions: buildQuestions(doc, entry.test.questions || [], now)
+      });
+      const restored = !!existing && restore(doc);
+
+      doc.questions.filter(q => !q.isArchived).forEach((question, index) => {
+        const questionError = validateQuestion(question);
+        if (questionError) {
+          errors.push(`module ${slug} test question ${index + 1}: ${questionError}`);
+        }
+      });
+      const poolError = publish ? validatePools(doc) : null;
+      if (poolError) {
+        errors.push(`module ${slug} test: ${poolError}`);
+      }
+      try {
+        await doc.validate();
+      } catch (error) {
+        errors.push(`module ${slug} test: ${validationMessage(error)}`);
+      }
+
+      items.push({
+        ...describeChange({ contentType: 'test', module: slug, dayNumber: null },
+          before, serializeTest(doc), { isNew: !existing, restored }),
+        doc
+      });
+    }
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Import bundle files into the curriculum. Nothing is written when the
+ * bundle has errors or on a dry run; the report lists the changes either way.
+ * @param {Map} files - Path -> content
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report the changes
+ * @param {boolean} options.publish - Publish the created, updated and restored content
+ * @param {string} options.publishedBy - ID of the publishing admin
+ * @returns {Promise<Object>} { dryRun, applied, published, errors, summary, changes }
+ */
+async function importCurriculum(files, { dryRun = false, publish = false, publishedBy = null } = {}) {
+  const { entries, errors: parseErrors } = parseBundleFiles(files);
+  const { items, errors } = parseErrors.length > 0
+    ? { items: [], errors: parseErrors }
+    : await planImport(entries, { publish });
+
+  const applied = !dryRun && errors.length === 0;
+  if (applied) {
+    // Modules first: days and tests point at them
+    const order = ['module', 'day', 'test'];
+    const pending = items
+      .filter(item => item.action !== 'unchanged')
+      .sort((a, b) => order.indexOf(a.contentType) - order.indexOf(b.contentType));
+
+    for (const item of pending) {
+      await item.doc.save();
+      if (publish && item.action !== 'archive') {
+        await publishContent(item.doc, item.contentType, {
+          publishedBy,
+          note: 'Imported from a curriculum bundle'
+        });
+      }
+    }
+  }
+
+  const summary = { create: 0, update: 0, restore: 0, archive: 0, unchanged: 0 };
+  items.forEach(item => { summary[item.action]++; });
+
+  return {
+    dryRun,
+    applied,
+    published: applied && publish,
+    errors,
+    summary,
+    changes: items.map(({ doc, ...item }) => item)
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  toBundleFiles,
+  parseBundleFiles,
+  readBundle,
+  writeBundle,
+  exportCurriculum,
+  importCurriculum
+};
@@ -0,0 +1,89 @@
+// utils/curriculumGraph.js
+
+/**
+ * Prerequisites of a module as a list of edges. Modules from before
+ * multiple prerequisites existed only have prerequisiteModule set; it is
+ * merged in unless the list already covers that module.
+ * @param {Object} module - Module document or published snapshot
+ * @returns {Array} [{ moduleId, minScore }]
+ */
+function getPrerequisites(module) {
+  const prerequisites = (module.prerequisites || [])
+    .filter(p => p && p.moduleId)
+    .map(p => ({ moduleId: p.moduleId, minScore: p.minScore ?? 60 }));
+
+  if (module.prerequisiteModule &&
+      !prerequisites.some(p => p.moduleId.toString() === module.prerequisiteModule.toString())) {
+    prerequisites.push({ moduleId: module.prerequisiteModule, minScore: module.prerequisiteScore ?? 60 });
+  }
+  return prerequisites;
+}
+
+/**
+ * Search the prerequisite graph for a path from one module to another
+ * @param {Map} prerequisitesById - Module ID -> array of prerequisite module IDs
+ * @param {string} fromId - Start module ID
+ * @param {string} toId - Module ID to reach
+ * @returns {Array|null} Module IDs along the path, or null if unreachable
+ */
+function findPath(prerequisitesById, fromId, toId) {
+  const visited = new Set();
+
+  const visit = (id, path) => {
+    if (id === toId) {
+      return [...path, id];
+    }
+    if (visited.has(id)) {
+      return null;
+    }
+    visited.add(id);
+    for (const next of prerequisitesById.get(id) || []) {
+      const found = visit(next, [...path, id]);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+
+  return visit(fromId, []);
+}
+
+/**
+ * Depth of every module in the graph: 0 for modules without prerequisites,
+ * otherwise one more than their deepest prerequisite. Modules caught in a
+ * cycle (which validation prevents, but mixed published versions could
+ * still produce) are given the depth reached when the cycle is detected.
+ * @param {Map} prerequisitesById - Module ID -> array of prerequisite module IDs
+ * @returns {Map} Module ID -> depth
+ */
+function computeDepths(prerequisitesById) {
+  const depths = new Map();
+  const inProgress = new Set();
+
+  const depthOf = (id) => {
+    if (depths.has(id)) {
+      return depths.get(id);
+    }
+    if (inProgress.has(id) || !prerequisitesById.has(id)) {
+      return -1;
+    }
+    inProgress.add(id);
+    const parents = prerequisitesById.get(id);
+    const depth = parents.length === 0 ? 0 : Math.max(...parents.map(depthOf)) + 1;
+    inProgress.delete(id);
+    depths.set(id, depth);
+    return depth;
+  };
+
+  for (const id of prerequisitesById.keys()) {
+    depthOf(id);
+  }
+  return depths;
+}
+
+module.exports = {
+  getPrerequisites,
+  findPath,
+  computeDepths
+};
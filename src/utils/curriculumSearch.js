@@ -0,0 +1,351 @@
+// utils/curriculumSearch.js
+const { findPublishedModules, findPublishedDaysByModule } = require('./publishedContent');
+const { evaluateModulesAccess, evaluateDayAccess } = require('./accessPolicy');
+const { getScheduleMode, getDayRelease, findUserCohorts } = require('./releaseSchedule');
+const { localizeModule, localizeDay } = require('./localization');
+
+/**
+ * Full-text search of the published curriculum, as one learner can see it:
+ * modules they cannot open, days past their day limit and days not released
+ * to them yet are never searched. Text is searched in the learner's locale.
+ *
+ * Searched documents and fields:
+ * - module: name, notions
+ * - day: title, description, notions
+ * - exercise: title, description, content
+ *
+ * Matching ignores case and accents, and words match at the start of a word
+ * ("commit" finds "commits", not "recommit"). Every word and "quoted phrase"
+ * of the query must appear in the document; -words exclude it. A document
+ * scores the weight of each field a term appears in, times its occurrences
+ * (up to MAX_COUNTED_OCCURRENCES), with a bonus where the whole query
+ * appears as a phrase.
+ */
+
+const FIELD_WEIGHTS = {
+  module: { name: 8, notions: 4 },
+  day: { title: 6, notions: 5, description: 3 },
+  exercise: { title: 5, description: 2, content: 1 }
+};
+
+// Field used as the title of each kind of result
+const TITLE_FIELDS = { module: 'name', day: 'title', exercise: 'title' };
+
+const MAX_COUNTED_OCCURRENCES = 3;
+const PHRASE_BONUS = 2;
+const SNIPPET_LENGTH = 160;
+
+// Every term is matched against every searched field: keep queries small
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lower-case, accent-free copy of a text, with the position in the original
+ * text of each of its characters (plus the end of the text)
+ * @param {string} text - Original text
+ * @returns {Object} { normalized, positions }
+ */
+function normalizeText(text) {
+  let normalized = '';
+  const positions = [];
+  let index = 0;
+  for (const char of text) {
+    const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let i = 0; i < folded.length; i++) {
+      positions.push(index);
+    }
+    normalized += folded;
+    index += char.length;
+  }
+  positions.push(index);
+  return { normalized, positions };
+}
+
+const normalizeTerm = (term) => normalizeText(term.trim()).normalized.replace(/\s+/g, ' ');
+
+// Terms match at the start of a word; phrases allow any whitespace between words
+const termPattern = (term) => {
+  const boundary = /^[\p{L}\p{N}_]/u.test(term) ? '(?<![\\p{L}\\p{N}_])' : '';
+  return new RegExp(boundary + term.split(' ').map(escapeRegex).join('\\s+'), 'gu');
+};
+
+/**
+ * Parse a search query
+ * @param {string} q - Words, "quoted phrases" and -excluded words
+ * @returns {Object} { terms, excluded, phrase } - phrase joins the unquoted words when there are several
+ */
+function parseQuery(q) {
+  const terms = [];
+  const words = [];
+  const excluded = [];
+  const rest = String(q).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (normalizeTerm(phrase)) {
+      terms.push(normalizeTerm(phrase));
+    }
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith('-') && word.length > 1) {
+      excluded.push(normalizeTerm(word.slice(1)));
+    } else if (normalizeTerm(word)) {
+      words.push(normalizeTerm(word));
+    }
+  }
+
+  return {
+    terms: [...new Set([...terms, ...words])],
+    excluded: [...new Set(excluded)],
+    phrase: words.length > 1 ? words.join(' ') : null
+  };
+}
+
+// Ranges ([start, end) in the original text) where a term appears
+function findTerm(field, term) {
+  return [...field.normalized.matchAll(termPattern(term))].map(match => [
+    field.positions[match.index],
+    field.positions[match.index + match[0].length]
+  ]);
+}
+
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+/**
+ * Match a document against a parsed query
+ * @param {Object} texts - Field -> text
+ * @param {Object} weights - Field -> weight
+ * @param {Object} query - Result of parseQuery
+ * @returns {Object|null} { score, ranges: field -> [[start, end]] } or null when it does not match
+ */
+function matchDocument(texts, weights, query) {
+  const fields = Object.entries(texts)
+    .filter(([, text]) => text)
+    .map(([name, text]) => ({ name, text, ...normalizeText(text) }));
+
+  if (query.excluded.some(term => fields.some(field => findTerm(field, term).length > 0))) {
+    return null;
+  }
+
+  let score = 0;
+  const ranges = {};
+  for (const term of query.terms) {
+    let found = false;
+    for (const field of fields) {
+      const termRanges = findTerm(field, term);
+      if (termRanges.length > 0) {
+        found = true;
+        score += weights[field.name] * Math.min(termRanges.length, MAX_COUNTED_OCCURRENCES);
+        ranges[field.name] = (ranges[field.name] || []).concat(termRanges);
+      }
+    }
+    if (!found) {
+      return null;
+    }
+  }
+
+  if (query.phrase) {
+    for (const field of fields) {
+      if (findTerm(field, query.phrase).length > 0) {
+        score += weights[field.name] * PHRASE_BONUS;
+      }
+    }
+  }
+
+  for (const name of Object.keys(ranges)) {
+    ranges[name] = mergeRanges(ranges[name]);
+  }
+  return { score, ranges };
+}
+
+/**
+ * Excerpt of a text around its first match, whitespace collapsed, with the
+ * position of the matches in the excerpt
+ * @param {string} text - Original text
+ * @param {Array} ranges - Matches ([start, end) in the text), sorted
+ * @param {number} length - Excerpt length (Infinity for the whole text)
+ * @returns {Object} { text, highlights: [{ start, end }] }
+ */
+function buildSnippet(text, ranges = [], length = SNIPPET_LENGTH) {
+  const first = ranges.length > 0 ? ranges[0][0] : 0;
+  const start = Math.max(0, first - Math.floor(length / 4));
+  const end = Math.min(text.length, start + length);
+
+  // Position in the excerpt of each character of the window
+  let excerpt = '';
+  const positions = [];
+  for (let i = start; i < end; i++) {
+    positions.push(excerpt.length);
+    if (/\s/.test(text[i])) {
+      if (excerpt && !excerpt.endsWith(' ')) {
+        excerpt += ' ';
+      }
+    } else {
+      excerpt += text[i];
+    }
+  }
+  positions.push(excerpt.length);
+  excerpt = excerpt.trimEnd();
+
+  const prefix = start > 0 ? '…' : '';
+  const highlights = ranges
+    .filter(([from, to]) => to > start && from < end)
+    .map(([from, to]) => ({
+      start: prefix.length + positions[Math.max(from, start) - start],
+      end: prefix.length + Math.min(positions[Math.min(to, end) - start], excerpt.length)
+    }))
+    .filter(h => h.end > h.start);
+
+  return { text: `${prefix}${excerpt}${end < text.length ? '…' : ''}`, highlights };
+}
+
+// Search result for a matched document
+function toResult(type, texts, match, context) {
+  const titleField = TITLE_FIELDS[type];
+  // The snippet shows the best matching field other than the title, if any
+  const snippetField = Object.keys(match.ranges)
+    .filter(field => field !== titleField)
+    .sort((a, b) => FIELD_WEIGHTS[type][b] * match.ranges[b].length - FIELD_WEIGHTS[type][a] * match.ranges[a].length)[0] ||
+    titleField;
+  const title = buildSnippet(texts[titleField], match.ranges[titleField], Infinity);
+
+  return {
+    type,
+    score: match.score,
+    title: title.text,
+    titleHighlights: title.highlights,
+    snippet: { field: snippetField, ...buildSnippet(texts[snippetField], match.ranges[snippetField]) },
+    matchedFields: Object.keys(match.ranges),
+    ...context
+  };
+}
+
+const notionsText = (notions) => (notions || []).join(', ');
+
+/**
+ * Search the published curriculum a learner can access
+ * @param {Object} user - User document
+ * @param {string} q - Search query (see parseQuery)
+ * @param {Object} options
+ * @param {string} options.locale - Locale the content is searched and returned in
+ * @param {string} options.moduleId - Only search this module
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Object>} { total, results } - best match first; each result has a
+ *   deep link to the app (link) and to the API route serving the content (apiPath)
+ */
+async function searchCurriculum(user, q, { locale, moduleId = null, limit = 20 } = {}) {
+  const query = parseQuery(q);
+  if (query.terms.length === 0) {
+    return { total: 0, results: [] };
+  }
+
+  const modules = (await findPublishedModules())
+    .filter(m => !moduleId || m._id.toString() === moduleId.toString());
+  const decisions = await evaluateModulesAccess(user, modules);
+  const accessible = modules.filter(m => decisions.get(m._id.toString()).allowed);
+
+  const cohortPaced = accessible.filter(m => getScheduleMode(m) === 'cohort').map(m => m._id);
+  const [daysByModule, cohorts] = await Promise.all([
+    findPublishedDaysByModule(accessible.map(m => m._id)),
+    cohortPaced.length > 0 && user.role !== 'admin' ? findUserCohorts(user._id, cohortPaced) : new Map()
+  ]);
+  const now = new Date();
+
+  const results = [];
+  for (const publishedModule of accessible) {
+    const id = publishedModule._id.toString();
+    const module = localizeModule(publishedModule, locale);
+    const moduleContext = { moduleId: module._id, moduleSlug: module.slug, moduleName: module.name };
+    const order = [module.order];
+
+    const moduleTexts = { name: module.name, notions: notionsText(module.notions) };
+    const moduleMatch = matchDocument(moduleTexts, FIELD_WEIGHTS.module, query);
+    if (moduleMatch) {
+      results.push({
+        order,
+        result: toResult('module', moduleTexts, moduleMatch, {
+          ...moduleContext,
+          dayNumber: null,
+          dayTitle: null,
+          exerciseId: null,
+          link: `/modules/${module.slug}`,
+          apiPath: `/api/modules/${id}`
+        })
+      });
+    }
+
+    const cohort = cohorts.get(id) || null;
+    for (const publishedDay of daysByModule.get(id) || []) {
+      // Same rule as the day list: days past the day limit or not released are locked
+      if (!evaluateDayAccess(decisions.get(id), publishedDay.dayNumber).allowed ||
+          !getDayRelease(publishedModule, publishedDay, { user, cohort, now }).available) {
+        continue;
+      }
+      const day = localizeDay(publishedDay, locale);
+      const dayContext = {
+        ...moduleContext,
+        dayNumber: day.dayNumber,
+        dayTitle: day.title,
+        link: `/modules/${module.slug}/days/${day.dayNumber}`,
+        apiPath: `/api/modules/${id}/days/${day.dayNumber}`
+      };
+
+      const dayTexts = { title: day.title, description: day.description, notions: notionsText(day.notions) };
+      const dayMatch = matchDocument(dayTexts, FIELD_WEIGHTS.day, query);
+      if (dayMatch) {
+        results.push({
+          order: [...order, day.dayNumber, 0],
+          result: toResult('day', dayTexts, dayMatch, { ...dayContext, exerciseId: null })
+        });
+      }
+
+      for (const exercise of day.exercises.filter(e => !e.isArchived)) {
+        const exerciseTexts = { title: exercise.title, description: exercise.description, content: exercise.content };
+        const exerciseMatch = matchDocument(exerciseTexts, FIELD_WEIGHTS.exercise, query);
+        if (exerciseMatch) {
+          results.push({
+            order: [...order, day.dayNumber, exercise.order],
+            result: toResult('exercise', exerciseTexts, exerciseMatch, {
+              ...dayContext,
+              exerciseId: exercise._id,
+              link: `${dayContext.link}#exercise-${exercise._id}`
+            })
+          });
+        }
+      }
+    }
+  }
+
+  // Best score first, then curriculum order
+  const compareOrder = (a, b) => {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const difference = (a[i] ?? -1) - (b[i] ?? -1);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return 0;
+  };
+  results.sort((a, b) => b.result.score - a.result.score || compareOrder(a.order, b.order));
+
+  return { total: results.length, results: results.slice(0, limit).map(r => r.result) };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  MAX_QUERY_TERMS,
+  parseQuery,
+  buildSnippet,
+  searchCurriculum
+};
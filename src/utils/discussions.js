@@ -0,0 +1,177 @@
+// utils/discussions.js
+
+/**
+ * Serialization rules of discussion threads and replies:
+ * - hidden content is only shown to admins; other learners see a placeholder
+ *   reply (so the replies to it keep their place) and no hidden thread at all
+ * - deleted replies keep their place without a body
+ * - spoilers are shown once the viewer completed the exercise (or the day, for
+ *   day threads), or when they ask for them explicitly
+ */
+
+const AUTHOR_FIELDS = 'username role githubProfile.avatarUrl';
+
+const isAdmin = (user) => user.role === 'admin';
+
+const isAuthor = (user, doc) => doc.authorId && (doc.authorId._id || doc.authorId).toString() === user._id.toString();
+
+/**
+ * Whether a learner completed what a thread is about (which unlocks its spoilers)
+ * @param {Object} user - User document
+ * @param {Object} thread - DiscussionThread
+ * @returns {boolean}
+ */
+function hasCompletedTarget(user, thread) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const moduleProgress = user.getModuleProgress(thread.moduleId);
+  const dayProgress = moduleProgress && moduleProgress.days.find(d => d.dayNumber === thread.dayNumber);
+  if (!dayProgress) {
+    return false;
+  }
+  if (!thread.exerciseId) {
+    return dayProgress.completed;
+  }
+  return dayProgress.completed || dayProgress.exercises.some(
+    e => e.completed && e.exerciseId.toString() === thread.exerciseId.toString()
+  );
+}
+
+const serializeAuthor = (author) => (author && author._id ? {
+  id: author._id,
+  username: author.username,
+  avatarUrl: author.githubProfile ? author.githubProfile.avatarUrl || null : null,
+  isAdmin: author.role === 'admin'
+} : null);
+
+// Body as the viewer may see it, with the flags explaining a missing one
+function visibleBody(doc, viewer, { showSpoilers }) {
+  if (doc.isDeleted) {
+    return { body: null, spoilerHidden: false };
+  }
+  if (doc.isHidden && !isAdmin(viewer)) {
+    return { body: null, spoilerHidden: false };
+  }
+  if (doc.isSpoiler && !showSpoilers && !isAuthor(viewer, doc)) {
+    return { body: null, spoilerHidden: true };
+  }
+  return { body: doc.body, spoilerHidden: false };
+}
+
+const hasUpvoted = (doc, viewer) => (doc.upvotes || []).some(id => id.toString() === viewer._id.toString());
+
+/**
+ * Thread as returned to a viewer
+ * @param {Object} thread - DiscussionThread (lean, author populated)
+ * @param {Object} viewer - User document
+ * @param {Object} options
+ * @param {boolean} options.showSpoilers - Show spoiler bodies
+ * @param {boolean} options.withBody - Include the body (thread lists only show titles)
+ * @returns {Object}
+ */
+function serializeThread(thread, viewer, { showSpoilers = false, withBody = true } = {}) {
+  const serialized = {
+    _id: thread._id,
+    moduleId: thread.moduleId,
+    dayNumber: thread.dayNumber,
+    exerciseId: thread.exerciseId,
+    author: serializeAuthor(thread.authorId),
+    title: thread.title,
+    isSpoiler: thread.isSpoiler,
+    isLocked: thread.isLocked,
+    isHidden: thread.isHidden,
+    acceptedPostId: thread.acceptedPostId,
+    upvoteCount: thread.upvoteCount,
+    upvoted: hasUpvoted(thread, viewer),
+    replyCount: thread.replyCount,
+    lastActivityAt: thread.lastActivityAt,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt
+  };
+  if (withBody) {
+    Object.assign(serialized, visibleBody(thread, viewer, { showSpoilers }));
+  }
+  if (isAdmin(viewer)) {
+    serialized.moderation = thread.moderation;
+  }
+  return serialized;
+}
+
+/**
+ * Replies of a thread as a tree, oldest first at each level, with the
+ * accepted answer first among the top-level replies
+ * @param {Array} posts - DiscussionPosts of the thread (lean, authors populated)
+ * @param {Object} thread - DiscussionThread
+ * @param {Object} viewer - User document
+ * @param {Object} options - { showSpoilers }
+ * @returns {Array}
+ */
+function buildPostTree(posts, thread, viewer, { showSpoilers = false } = {}) {
+  const acceptedId = thread.acceptedPostId ? thread.acceptedPostId.toString() : null;
+  const nodes = new Map(posts.map(post => [post._id.toString(), {
+    _id: post._id,
+    threadId: post.threadId,
+    parentId: post.parentId,
+    author: post.isDeleted ? null : serializeAuthor(post.authorId),
+    isSpoiler: post.isSpoiler,
+    isHidden: post.isHidden,
+    isDeleted: post.isDeleted,
+    isAccepted: post._id.toString() === acceptedId,
+    upvoteCount: post.upvoteCount,
+    upvoted: hasUpvoted(post, viewer),
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt,
+    ...visibleBody(post, viewer, { showSpoilers }),
+    ...(isAdmin(viewer) ? { moderation: post.moderation } : {}),
+    replies: []
+  }]));
+
+  const roots = [];
+  for (const post of posts) {
+    const node = nodes.get(post._id.toString());
+    const parent = post.parentId && nodes.get(post.parentId.toString());
+    (parent ? parent.replies : roots).push(node);
+  }
+
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  const sortTree = (list) => {
+    list.sort(byDate);
+    list.forEach(node => sortTree(node.replies));
+  };
+  sortTree(roots);
+
+  return [...roots.filter(n => n.isAccepted), ...roots.filter(n => !n.isAccepted)];
+}
+
+/**
+ * Add or remove a user's upvote, atomically
+ * @param {Object} Model - DiscussionThread or DiscussionPost
+ * @param {Object} filter - Selects the document
+ * @param {string} userId - Voter
+ * @param {boolean} upvote - Add (true) or remove (false) the vote
+ * @returns {Promise<Object|null>} Updated document, or null when the vote was already in that state
+ */
+function setUpvote(Model, filter, userId, upvote) {
+  return upvote
+    ? Model.findOneAndUpdate(
+      { ...filter, upvotes: { $ne: userId } },
+      { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } },
+      { new: true, timestamps: false }
+    )
+    : Model.findOneAndUpdate(
+      { ...filter, upvotes: userId },
+      { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+      { new: true, timestamps: false }
+    );
+}
+
+module.exports = {
+  AUTHOR_FIELDS,
+  isAdmin,
+  isAuthor,
+  hasCompletedTarget,
+  serializeThread,
+  buildPostTree,
+  setUpvote
+};
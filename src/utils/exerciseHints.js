@@ -0,0 +1,162 @@
+// utils/exerciseHints.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Exercise hints are revealed one at a time, in order. A learner's usage is
+ * the list of reveal dates on their exercise progress (hintsRevealedAt), so
+ * the n-th hint is revealed once that list has n entries.
+ *
+ * Hints revealed before the exercise was completed cost hintPenalty each of
+ * the exercise's notion mastery credit (capped at the whole credit); hints
+ * read afterwards are free.
+ */
+
+/**
+ * Progress of a learner on one exercise
+ * @param {Object} user - User document
+ * @param {string} moduleId - Module ID
+ * @param {number} dayNumber - Day number
+ * @param {string} exerciseId - Exercise ID
+ * @returns {Object|null} Exercise progress entry
+ */
+function findExerciseProgress(user, moduleId, dayNumber, exerciseId) {
+  const moduleProgress = user.getModuleProgress(moduleId);
+  const dayProgress = moduleProgress && moduleProgress.days.find(d => d.dayNumber === dayNumber);
+  return (dayProgress && dayProgress.exercises.find(
+    e => e.exerciseId.toString() === exerciseId.toString()
+  )) || null;
+}
+
+const countRevealed = (exerciseProgress) => (exerciseProgress && exerciseProgress.hintsRevealedAt
+  ? exerciseProgress.hintsRevealedAt.length
+  : 0);
+
+/**
+ * Hints of an exercise as a learner sees them: only the revealed ones
+ * @param {Object} exercise - Published exercise
+ * @param {Object} exerciseProgress - Learner's progress on it (or null)
+ * @returns {Object} { hintCount, hintsRevealed, hints: [{ index, content }] }
+ */
+function toLearnerHints(exercise, exerciseProgress) {
+  const hints = exercise.hints || [];
+  const revealed = Math.min(countRevealed(exerciseProgress), hints.length);
+  return {
+    hintCount: hints.length,
+    hintsRevealed: revealed,
+    hints: hints.slice(0, revealed).map((hint, index) => ({ index, content: hint.content }))
+  };
+}
+
+/**
+ * Number of hints revealed before the exercise was completed (all of them while it is not)
+ * @param {Object} exerciseProgress - Learner's progress on the exercise (or null)
+ * @returns {number}
+ */
+function countHintsBeforeCompletion(exerciseProgress) {
+  if (!exerciseProgress || !exerciseProgress.hintsRevealedAt) {
+    return 0;
+  }
+  if (!exerciseProgress.completed || !exerciseProgress.completedAt) {
+    return exerciseProgress.hintsRevealedAt.length;
+  }
+  const completedAt = new Date(exerciseProgress.completedAt);
+  return exerciseProgress.hintsRevealedAt.filter(date => new Date(date) <= completedAt).length;
+}
+
+/**
+ * Mastery credit (0-1) a learner keeps on a day once the hint penalties of
+ * its exercises are applied; 1 for days without exercises or penalties
+ * @param {Object} user - User document
+ * @param {Object} day - Published day
+ * @returns {number}
+ */
+function getDayHintCredit(user, day) {
+  const exercises = day.exercises.filter(e => !e.isArchived);
+  if (exercises.length === 0) {
+    return 1;
+  }
+
+  const credit = exercises.reduce((sum, exercise) => {
+    const penalty = exercise.hintPenalty || 0;
+    if (penalty === 0) {
+      return sum + 1;
+    }
+    const used = countHintsBeforeCompletion(findExerciseProgress(user, day.moduleId, day.dayNumber, exercise._id));
+    return sum + Math.max(0, 1 - penalty * used);
+  }, 0);
+  return credit / exercises.length;
+}
+
+/**
+ * Hint usage of every exercise of a module, across learners
+ * @param {Object} module - Module (its _id is used)
+ * @param {Array} days - Days of the module (working copies, with their hints)
+ * @returns {Promise<Array>} Per exercise: { dayNumber, exerciseId, title, hintCount,
+ *   hintPenalty, learners, learnersUsingHints, hintsRevealed, averageHintsRevealed,
+ *   completed, completedWithHints, revealsByHint }
+ */
+async function computeHintUsage(module, days) {
+  const moduleId = new mongoose.Types.ObjectId(module._id.toString());
+  const rows = await User.aggregate([
+    { $match: { 'progress.modules.moduleId': moduleId } },
+    { $unwind: '$progress.modules' },
+    { $match: { 'progress.modules.moduleId': moduleId } },
+    { $unwind: '$progress.modules.days' },
+    { $unwind: '$progress.modules.days.exercises' },
+    {
+      $project: {
+        dayNumber: '$progress.modules.days.dayNumber',
+        exerciseId: '$progress.modules.days.exercises.exerciseId',
+        completed: '$progress.modules.days.exercises.completed',
+        revealed: { $size: { $ifNull: ['$progress.modules.days.exercises.hintsRevealedAt', []] } }
+      }
+    },
+    {
+      $group: {
+        _id: { dayNumber: '$dayNumber', exerciseId: '$exerciseId' },
+        learners: { $sum: 1 },
+        completed: { $sum: { $cond: ['$completed', 1, 0] } },
+        completedWithHints: { $sum: { $cond: [{ $and: ['$completed', { $gt: ['$revealed', 0] }] }, 1, 0] } },
+        reveals: { $push: '$revealed' }
+      }
+    }
+  ]);
+
+  const rowsByExercise = new Map(rows.map(row => [`${row._id.dayNumber}:${row._id.exerciseId}`, row]));
+
+  return days.flatMap(day => day.exercises.map(exercise => {
+    const hintCount = (exercise.hints || []).length;
+    const row = rowsByExercise.get(`${day.dayNumber}:${exercise._id}`) ||
+      { learners: 0, completed: 0, completedWithHints: 0, reveals: [] };
+    const hintsRevealed = row.reveals.reduce((sum, count) => sum + count, 0);
+    const learnersUsingHints = row.reveals.filter(count => count > 0).length;
+
+    return {
+      dayNumber: day.dayNumber,
+      exerciseId: exercise._id,
+      title: exercise.title,
+      isArchived: !!exercise.isArchived,
+      hintCount,
+      hintPenalty: exercise.hintPenalty || 0,
+      learners: row.learners,
+      learnersUsingHints,
+      hintsRevealed,
+      averageHintsRevealed: row.learners > 0 ? Math.round((hintsRevealed / row.learners) * 100) / 100 : 0,
+      completed: row.completed,
+      completedWithHints: row.completedWithHints,
+      revealsByHint: Array.from({ length: hintCount }, (_, index) => ({
+        index,
+        learners: row.reveals.filter(count => count > index).length
+      }))
+    };
+  }));
+}
+
+module.exports = {
+  findExerciseProgress,
+  toLearnerHints,
+  countHintsBeforeCompletion,
+  getDayHintCredit,
+  computeHintUsage
+};
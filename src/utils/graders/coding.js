@@ -0,0 +1,51 @@
+// utils/graders/coding.js
+// Code is run against the question's test cases in the sandbox; without
+// test cases, or when the sandbox cannot run it, it is recorded for review
+// and earns no points automatically
+const { runTestCases, validateAutograding, visibleTestCases } = require('../autograder');
+
+module.exports = {
+  validate(question) {
+    return validateAutograding(question);
+  },
+
+  // Hidden test cases stay hidden even in review
+  reveal(question) {
+    return { testCases: visibleTestCases(question.testCases) };
+  },
+
+  async grade(question, answer) {
+    const codingAnswer = typeof answer.codingAnswer === 'string' ? answer.codingAnswer : null;
+    const pendingReview = {
+      credit: 0,
+      response: { codingAnswer },
+      feedback: { answered: !!codingAnswer, pendingReview: true }
+    };
+
+    if (!question.testCases || question.testCases.length === 0) {
+      return pendingReview;
+    }
+
+    let result;
+    try {
+      result = await runTestCases({
+        language: question.language,
+        source: codingAnswer,
+        testCases: question.testCases
+      });
+    } catch (error) {
+      // A sandbox failure must not fail the whole test submission
+      console.error('Error autograding coding answer:', error);
+      return pendingReview;
+    }
+    const credit = question.partialCredit === false
+      ? (result.status === 'passed' ? 1 : 0)
+      : result.passedCases / result.totalCases;
+
+    return {
+      credit,
+      response: { codingAnswer },
+      feedback: { answered: !!codingAnswer, autograder: result }
+    };
+  }
+};
@@ -0,0 +1,40 @@
+// utils/graders/fillInTheBlank.js
+// Each blank has its own accepted answers; credit is shared between blanks
+const { matchesAcceptedAnswer, validateAcceptedAnswers } = require('./textMatching');
+
+module.exports = {
+  validate(question) {
+    const blanks = question.blanks || [];
+    if (blanks.length === 0) {
+      return 'Fill-in-the-blank questions need at least one blank';
+    }
+    for (const blank of blanks) {
+      const error = validateAcceptedAnswers(blank.acceptedAnswers);
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  },
+
+  reveal(question) {
+    return {
+      blanks: question.blanks.map(blank => blank.acceptedAnswers.map(a => ({ value: a.value, matchType: a.matchType })))
+    };
+  },
+
+  grade(question, answer) {
+    const given = Array.isArray(answer.blankAnswers) ? answer.blankAnswers : [];
+    const blankAnswers = question.blanks.map((blank, i) => (typeof given[i] === 'string' ? given[i] : null));
+    const blanks = question.blanks.map((blank, i) => matchesAcceptedAnswer(blankAnswers[i], blank.acceptedAnswers));
+    const correctBlanks = blanks.filter(Boolean).length;
+
+    return {
+      credit: question.partialCredit === false
+        ? (correctBlanks === blanks.length ? 1 : 0)
+        : correctBlanks / blanks.length,
+      response: { blankAnswers },
+      feedback: { blanks }
+    };
+  }
+};
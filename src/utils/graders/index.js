@@ -0,0 +1,79 @@
+// utils/graders/index.js
+/**
+ * Question graders by type. A grader exposes:
+ * - validate(question): error message for an invalid question, or null
+ * - grade(question, answer): { credit (0 to 1), response, feedback }, or a promise of it
+ * - reveal(question): the correct answer, shown to learners in test review
+ */
+const graders = {};
+
+function registerGrader(type, grader) {
+  graders[type] = grader;
+}
+
+function getGrader(type) {
+  return graders[type || 'multiple-choice'] || null;
+}
+
+registerGrader('multiple-choice', require('./singleChoice'));
+registerGrader('true-false', require('./singleChoice'));
+registerGrader('multi-select', require('./multiSelect'));
+registerGrader('short-answer', require('./shortAnswer'));
+registerGrader('fill-in-the-blank', require('./fillInTheBlank'));
+registerGrader('ordering', require('./ordering'));
+registerGrader('coding', require('./coding'));
+
+/**
+ * Validate a question against its type
+ * @param {Object} question
+ * @returns {string|null} Error message
+ */
+function validateQuestion(question) {
+  const grader = getGrader(question.type);
+  if (!grader) {
+    return `Unsupported question type: ${question.type}`;
+  }
+  return grader.validate(question);
+}
+
+/**
+ * Grade one answer
+ * @param {Object} question - Question from a published test snapshot
+ * @param {Object} answer - Learner answer (empty object when unanswered)
+ * @returns {Promise<Object>} { isCorrect, pointsEarned, pointsPossible, response, feedback }
+ */
+async function gradeQuestion(question, answer) {
+  const grader = getGrader(question.type);
+  if (!grader) {
+    throw new Error(`No grader for question type: ${question.type}`);
+  }
+
+  const { credit, response, feedback } = await grader.grade(question, answer || {});
+  const pointsEarned = Math.round(credit * question.points * 100) / 100;
+
+  return {
+    isCorrect: credit === 1,
+    pointsEarned,
+    pointsPossible: question.points,
+    response,
+    feedback
+  };
+}
+
+/**
+ * Correct answer for a question, for review once answers may be revealed
+ * @param {Object} question - Question from a published test snapshot
+ * @returns {Object} Type-specific correct answer
+ */
+function revealAnswer(question) {
+  const grader = getGrader(question.type);
+  return grader && grader.reveal ? grader.reveal(question) : null;
+}
+
+module.exports = {
+  registerGrader,
+  getGrader,
+  validateQuestion,
+  gradeQuestion,
+  revealAnswer
+};
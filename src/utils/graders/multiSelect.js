@@ -0,0 +1,43 @@
+// utils/graders/multiSelect.js
+// Several correct options; with partial credit each correct pick earns a
+// share and each wrong pick cancels one, never below zero
+
+module.exports = {
+  validate(question) {
+    const options = question.options || [];
+    if (options.length < 2) {
+      return 'Questions need at least two options';
+    }
+    if (options.filter(o => o.isCorrect).length < 1) {
+      return 'Multi-select questions need at least one correct option';
+    }
+    return null;
+  },
+
+  reveal(question) {
+    return { correctOptionIds: question.options.filter(o => o.isCorrect).map(o => o._id) };
+  },
+
+  grade(question, answer) {
+    const selectedIds = new Set((Array.isArray(answer.selectedOptionIds) ? answer.selectedOptionIds : []).map(String));
+    const selected = question.options.filter(o => selectedIds.has(o._id.toString()));
+    const correctCount = question.options.filter(o => o.isCorrect).length;
+    const correctSelected = selected.filter(o => o.isCorrect).length;
+    const incorrectSelected = selected.length - correctSelected;
+
+    const isExact = correctSelected === correctCount && incorrectSelected === 0;
+    const credit = question.partialCredit === false
+      ? (isExact ? 1 : 0)
+      : Math.max(0, correctSelected - incorrectSelected) / correctCount;
+
+    return {
+      credit,
+      response: { selectedOptionIds: selected.map(o => o._id) },
+      feedback: {
+        correctSelected,
+        incorrectSelected,
+        missed: correctCount - correctSelected
+      }
+    };
+  }
+};
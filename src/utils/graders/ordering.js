@@ -0,0 +1,35 @@
+// utils/graders/ordering.js
+// The options as authored are the correct order; with partial credit each
+// option in its correct position earns a share
+
+module.exports = {
+  validate(question) {
+    if ((question.options || []).length < 2) {
+      return 'Ordering questions need at least two options';
+    }
+    return null;
+  },
+
+  reveal(question) {
+    return { orderedOptionIds: question.options.map(o => o._id) };
+  },
+
+  grade(question, answer) {
+    const expected = question.options.map(o => o._id.toString());
+    const given = (Array.isArray(answer.orderedOptionIds) ? answer.orderedOptionIds : []).map(String);
+    const isPermutation = given.length === expected.length && expected.every(id => given.includes(id));
+
+    const correctPositions = isPermutation ? expected.filter((id, i) => given[i] === id).length : 0;
+    const credit = question.partialCredit === false
+      ? (correctPositions === expected.length ? 1 : 0)
+      : correctPositions / expected.length;
+
+    return {
+      credit,
+      response: {
+        orderedOptionIds: isPermutation ? given.map(id => question.options.find(o => o._id.toString() === id)._id) : []
+      },
+      feedback: { correctPositions, total: expected.length }
+    };
+  }
+};
@@ -0,0 +1,23 @@
+// utils/graders/shortAnswer.js
+const { matchesAcceptedAnswer, validateAcceptedAnswers } = require('./textMatching');
+
+module.exports = {
+  validate(question) {
+    return validateAcceptedAnswers(question.acceptedAnswers);
+  },
+
+  reveal(question) {
+    return { acceptedAnswers: question.acceptedAnswers.map(a => ({ value: a.value, matchType: a.matchType })) };
+  },
+
+  grade(question, answer) {
+    const textAnswer = typeof answer.textAnswer === 'string' ? answer.textAnswer : null;
+    const matched = matchesAcceptedAnswer(textAnswer, question.acceptedAnswers);
+
+    return {
+      credit: matched ? 1 : 0,
+      response: { textAnswer },
+      feedback: { answered: !!textAnswer, matched }
+    };
+  }
+};
@@ -0,0 +1,30 @@
+// utils/graders/singleChoice.js
+// multiple-choice and true-false: one option is correct
+
+module.exports = {
+  validate(question) {
+    const options = question.options || [];
+    if (options.length < 2) {
+      return 'Questions need at least two options';
+    }
+    if (options.filter(o => o.isCorrect).length !== 1) {
+      return 'Questions need exactly one correct option';
+    }
+    return null;
+  },
+
+  reveal(question) {
+    return { correctOptionIds: question.options.filter(o => o.isCorrect).map(o => o._id) };
+  },
+
+  grade(question, answer) {
+    const selected = question.options.find(o => o._id.toString() === String(answer.selectedOptionId));
+    const isCorrect = !!(selected && selected.isCorrect);
+
+    return {
+      credit: isCorrect ? 1 : 0,
+      response: { selectedOptionId: selected ? selected._id : null },
+      feedback: { answered: !!selected }
+    };
+  }
+};
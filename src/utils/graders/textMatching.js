@@ -0,0 +1,163 @@
+// utils/graders/textMatching.js
+
+// Learner text longer than this is never matched (keeps admin regexes cheap)
+const MAX_ANSWER_LENGTH = 1000;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_CACHED_PATTERNS = 500;
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+// Strip accents, collapse whitespace and lowercase (unless case matters)
+const normalizeText = (value, caseSensitive = false) => {
+  const text = String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Compare case-insensitively unless the accepted answer is case sensitive
+const foldCase = (value, caseSensitive) => (caseSensitive ? value : value.toLowerCase());
+
+/**
+ * Why a regex accepted answer could backtrack catastrophically on learner
+ * input: backreferences, lookbehinds, or a repeated group that itself holds a
+ * quantifier or (when unbounded) an alternation, as in (a+)+ or (a|ab)*
+ * @param {string} pattern
+ * @returns {string|null} Error message
+ */
+function unsafePatternReason(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Accepted answer patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  const groups = [{ hasQuantifier: false, hasAlternation: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'Accepted answer patterns cannot use backreferences';
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, where quantifiers and parentheses are literal
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      if (pattern.startsWith('(?<=', i) || pattern.startsWith('(?<!', i)) {
+        return 'Accepted answer patterns cannot use lookbehinds';
+      }
+      groups.push({ hasQuantifier: false, hasAlternation: false });
+      // Skip the group prefix ((?:, (?=, (?!, (?<name>) so its ? is not taken for a quantifier
+      if (pattern[i + 1] === '?') {
+        i = pattern[i + 2] === '<' ? Math.max(pattern.indexOf('>', i), i + 2) : i + 2;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const quantifier = (pattern.slice(i + 1).match(QUANTIFIER) || [null])[0];
+      if (quantifier && quantifier !== '?' && group.hasQuantifier) {
+        return 'Accepted answer patterns cannot nest quantifiers';
+      }
+      if (quantifier && /^[*+]|,\}$/.test(quantifier) && group.hasAlternation) {
+        return 'Accepted answer patterns cannot repeat alternations without a bound';
+      }
+      groups[groups.length - 1].hasQuantifier = groups[groups.length - 1].hasQuantifier ||
+        group.hasQuantifier || !!quantifier;
+    } else if (char === '|') {
+      groups[groups.length - 1].hasAlternation = true;
+    } else if (QUANTIFIER.test(pattern.slice(i))) {
+      groups[groups.length - 1].hasQuantifier = true;
+    }
+  }
+  return null;
+}
+
+// Compiled patterns by flags and source, so a question is compiled once rather than on every grade
+const compiledPatterns = new Map();
+
+// Anchored regex for an accepted answer, or null when it is invalid or unsafe
+function compilePattern(pattern, caseSensitive) {
+  const key = `${caseSensitive ? '' : 'i'}/${pattern}`;
+  if (compiledPatterns.has(key)) {
+    return compiledPatterns.get(key);
+  }
+
+  let regex = null;
+  if (!unsafePatternReason(pattern)) {
+    try {
+      regex = new RegExp(`^(?:${pattern})$`, caseSensitive ? '' : 'i');
+    } catch (error) {
+      // Stored before patterns were validated: never matches
+    }
+  }
+  if (compiledPatterns.size >= MAX_CACHED_PATTERNS) {
+    compiledPatterns.delete(compiledPatterns.keys().next().value);
+  }
+  compiledPatterns.set(key, regex);
+  return regex;
+}
+
+/**
+ * Whether a learner's text matches one of the accepted answers. Every match
+ * type ignores case unless the accepted answer sets caseSensitive.
+ * @param {string} input - Learner answer
+ * @param {Array} acceptedAnswers - [{ value, matchType, caseSensitive }]
+ * @returns {boolean}
+ */
+function matchesAcceptedAnswer(input, acceptedAnswers) {
+  if (typeof input !== 'string' || input.length > MAX_ANSWER_LENGTH) {
+    return false;
+  }
+
+  return (acceptedAnswers || []).some(accepted => {
+    const caseSensitive = !!accepted.caseSensitive;
+    switch (accepted.matchType) {
+      case 'exact':
+        return foldCase(input.trim(), caseSensitive) === foldCase(accepted.value.trim(), caseSensitive);
+      case 'regex': {
+        const regex = compilePattern(accepted.value, caseSensitive);
+        return !!regex && regex.test(input.trim());
+      }
+      default:
+        return normalizeText(input, caseSensitive) === normalizeText(accepted.value, caseSensitive);
+    }
+  });
+}
+
+/**
+ * Check a list of accepted answers (regexes must compile and be safe to run
+ * on learner input)
+ * @param {Array} acceptedAnswers
+ * @returns {string|null} Error message
+ */
+function validateAcceptedAnswers(acceptedAnswers) {
+  if (!Array.isArray(acceptedAnswers) || acceptedAnswers.length === 0) {
+    return 'At least one accepted answer is required';
+  }
+  for (const accepted of acceptedAnswers) {
+    if (!accepted || typeof accepted.value !== 'string' || !accepted.value.trim()) {
+      return 'Accepted answers need a value';
+    }
+    if (accepted.matchType === 'regex') {
+      try {
+        new RegExp(accepted.value);
+      } catch (error) {
+        return `Invalid accepted answer pattern: ${error.message}`;
+      }
+      const reason = unsafePatternReason(accepted.value);
+      if (reason) {
+        return reason;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_ANSWER_LENGTH,
+  normalizeText,
+  matchesAcceptedAnswer,
+  validateAcceptedAnswers
+};
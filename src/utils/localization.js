@@ -0,0 +1,224 @@
+// utils/localization.js
+
+/**
+ * Localized curriculum content. Learner-facing text fields keep their
+ * original text, written in BASE_LOCALE, and may carry a variant per
+ * supported locale in a translations object:
+ *
+ *   { title: 'Variables', translations: { fr: { title: 'Les variables' } } }
+ *
+ * Fallback: a field is served in the requested locale when it has a
+ * non-blank variant for it, otherwise in its original text, so partially
+ * translated content stays usable.
+ *
+ * The locale of a request is the learner's preference (preferences.locale),
+ * then the best supported match of the Accept-Language header, then
+ * DEFAULT_LOCALE.
+ */
+
+const SUPPORTED_LOCALES = ['fr', 'en'];
+
+// Language the original (untranslated) fields are written in
+const BASE_LOCALE = 'en';
+
+// Served when neither the learner nor their browser asks for a supported locale
+const DEFAULT_LOCALE = 'fr';
+
+// Learner-facing text fields of each kind of content
+const LOCALIZED_FIELDS = {
+  module: ['name', 'description'],
+  day: ['title', 'description'],
+  exercise: ['title', 'description', 'content'],
+  hint: ['content'],
+  test: ['title', 'description'],
+  question: ['question', 'explanation'],
+  option: ['text', 'explanation']
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Supported locale matching a language tag ('fr-CA' -> 'fr')
+ * @param {string} tag - Language tag
+ * @returns {string|null} Supported locale, or null
+ */
+function normalizeLocale(tag) {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Locale content is served in for a request
+ * @param {Object} req - Express request (req.user is the signed-in user, if any)
+ * @returns {string} Supported locale
+ */
+function resolveLocale(req) {
+  const preferred = req.user && req.user.preferences && normalizeLocale(req.user.preferences.locale);
+  if (preferred) {
+    return preferred;
+  }
+  if (req.headers['accept-language']) {
+    const accepted = req.acceptsLanguages(...SUPPORTED_LOCALES);
+    if (accepted) {
+      return normalizeLocale(accepted);
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Text of a field in a locale, falling back to the original text
+ * @param {Object} doc - Content with the field and its translations
+ * @param {string} field - Field name
+ * @param {string} locale - Supported locale
+ * @returns {*} Localized text
+ */
+function localizeField(doc, field, locale) {
+  const variants = doc.translations && doc.translations[locale];
+  return variants && !isBlank(variants[field]) ? variants[field] : doc[field];
+}
+
+// Copy of a piece of content with its text fields localized and its translations dropped
+function localizeFields(doc, kind, locale) {
+  const { translations, ...localized } = doc;
+  for (const field of LOCALIZED_FIELDS[kind]) {
+    if (field in doc) {
+      localized[field] = localizeField(doc, field, locale);
+    }
+  }
+  return localized;
+}
+
+/**
+ * Module as served in a locale
+ * @param {Object} module - Published module
+ * @param {string} locale - Supported locale
+ * @returns {Object}
+ */
+function localizeModule(module, locale) {
+  return localizeFields(module, 'module', locale);
+}
+
+/**
+ * Day as served in a locale, with its exercises and their hints
+ * @param {Object} day - Published day
+ * @param {string} locale - Supported locale
+ * @returns {Object}
+ */
+function localizeDay(day, locale) {
+  return {
+    ...localizeFields(day, 'day', locale),
+    exercises: (day.exercises || []).map(exercise => localizeExercise(exercise, locale))
+  };
+}
+
+/**
+ * Exercise as served in a locale, with its hints
+ * @param {Object} exercise - Published exercise
+ * @param {string} locale - Supported locale
+ * @returns {Object}
+ */
+function localizeExercise(exercise, locale) {
+  return {
+    ...localizeFields(exercise, 'exercise', locale),
+    hints: (exercise.hints || []).map(hint => localizeFields(hint, 'hint', locale))
+  };
+}
+
+/**
+ * Test as served in a locale, with its questions and their options
+ * @param {Object} test - Published test
+ * @param {string} locale - Supported locale
+ * @returns {Object}
+ */
+function localizeTest(test, locale) {
+  return {
+    ...localizeFields(test, 'test', locale),
+    questions: (test.questions || []).map(question => ({
+      ...localizeFields(question, 'question', locale),
+      options: (question.options || []).map(option => localizeFields(option, 'option', locale))
+    }))
+  };
+}
+
+// Every non-blank learner-facing text of a module's content, with where it is
+function listLocalizedTexts(module, days, test) {
+  const texts = [];
+  const add = (doc, kind, location) => {
+    for (const field of LOCALIZED_FIELDS[kind]) {
+      if (!isBlank(doc[field])) {
+        texts.push({ doc, field, location: { contentType: kind, ...location, field } });
+      }
+    }
+  };
+
+  add(module, 'module', {});
+  for (const day of days.filter(d => !d.isArchived)) {
+    add(day, 'day', { dayNumber: day.dayNumber });
+    for (const exercise of day.exercises.filter(e => !e.isArchived)) {
+      const location = { dayNumber: day.dayNumber, exerciseId: exercise._id };
+      add(exercise, 'exercise', location);
+      (exercise.hints || []).forEach((hint, hintIndex) => add(hint, 'hint', { ...location, hintIndex }));
+    }
+  }
+  if (test && !test.isArchived) {
+    add(test, 'test', {});
+    for (const question of test.questions.filter(q => !q.isArchived)) {
+      const location = { questionId: question._id };
+      add(question, 'question', location);
+      for (const option of question.options || []) {
+        add(option, 'option', { ...location, optionId: option._id });
+      }
+    }
+  }
+  return texts;
+}
+
+/**
+ * Translation completeness of a module's content for each locale other than
+ * BASE_LOCALE. Archived content is left out; blank fields need no translation.
+ * @param {Object} module - Module
+ * @param {Array} days - Days of the module
+ * @param {Object|null} test - Test of the module
+ * @returns {Array} Per locale: { locale, total, translated, missing, completeness, missingFields }
+ */
+function computeTranslationCompleteness(module, days, test) {
+  const texts = listLocalizedTexts(module, days, test);
+
+  return SUPPORTED_LOCALES.filter(locale => locale !== BASE_LOCALE).map(locale => {
+    const missingFields = texts
+      .filter(({ doc, field }) => {
+        const variants = doc.translations && doc.translations[locale];
+        return !variants || isBlank(variants[field]);
+      })
+      .map(({ location }) => location);
+    const translated = texts.length - missingFields.length;
+
+    return {
+      locale,
+      total: texts.length,
+      translated,
+      missing: missingFields.length,
+      completeness: texts.length > 0 ? Math.round((translated / texts.length) * 100) : 100,
+      missingFields
+    };
+  });
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  BASE_LOCALE,
+  DEFAULT_LOCALE,
+  LOCALIZED_FIELDS,
+  normalizeLocale,
+  resolveLocale,
+  localizeField,
+  localizeModule,
+  localizeDay,
+  localizeExercise,
+  localizeTest,
+  computeTranslationCompleteness
+};
@@ -0,0 +1,293 @@
+// utils/moduleProgress.js
+const { findPublishedModules, findPublishedDaysByModule, findPublishedTests } = require('./publishedContent');
+const { evaluateModulesAccess, evaluateDayAccess } = require('./accessPolicy');
+const { getScheduleMode, getDayRelease, findUserCohorts } = require('./releaseSchedule');
+const { meetsScore } = require('./testPolicy');
+
+/**
+ * Learner progress measured against the published days of a module: days and
+ * exercises are counted from the content itself (archived exercises excluded),
+ * progress entries only say which of them are done.
+ *
+ * Next step actions: locked, wait-release, start-day, exercise, complete-day,
+ * take-test, done
+ */
+
+const activeExercises = (day) => (day.exercises || []).filter(e => !e.isArchived);
+
+const isExerciseCompleted = (dayProgress, exerciseId) => !!(dayProgress && dayProgress.exercises.some(
+  e => e.completed && e.exerciseId && e.exerciseId.toString() === exerciseId.toString()
+));
+
+/**
+ * Per-day progress of a learner in a module
+ * @param {Object} user - User document
+ * @param {Object} module - Published module
+ * @param {Array} days - Published days of the module, sorted by day number
+ * @param {Object} options
+ * @param {Object} options.access - Access decision for the module (days beyond maxDay are locked)
+ * @param {Function} options.release - (day) => { available, availableAt, reason } (all released when omitted)
+ * @returns {Array} [{ dayNumber, title, started, completed, locked, lockReason, availableAt, exercises, exercisesCompleted, exercisesTotal }]
+ */
+function buildDayProgress(user, module, days, { access = null, release = null } = {}) {
+  const moduleProgress = user.getModuleProgress(module._id);
+
+  return days.map(day => {
+    const dayProgress = moduleProgress && moduleProgress.days.find(d => d.dayNumber === day.dayNumber);
+    const exercises = activeExercises(day).map(exercise => {
+      const exerciseProgress = dayProgress && dayProgress.exercises.find(
+        e => e.exerciseId && e.exerciseId.toString() === exercise._id.toString()
+      );
+      return {
+        exerciseId: exercise._id,
+        title: exercise.title,
+        completed: isExerciseCompleted(dayProgress, exercise._id),
+        completedAt: exerciseProgress && exerciseProgress.completed ? exerciseProgress.completedAt : null
+      };
+    });
+
+    const dayAccess = access ? evaluateDayAccess(access, day.dayNumber) : { allowed: true, reason: null };
+    const dayRelease = release ? release(day) : { available: true, availableAt: null, reason: null };
+    let lockReason = null;
+    if (!dayAccess.allowed) {
+      lockReason = dayAccess.reason;
+    } else if (!dayRelease.available) {
+      lockReason = dayRelease.reason;
+    }
+
+    return {
+      dayNumber: day.dayNumber,
+      title: day.title || `Day ${day.dayNumber}`,
+      started: !!(dayProgress && dayProgress.started),
+      completed: !!(dayProgress && dayProgress.completed),
+      locked: lockReason !== null,
+      lockReason,
+      availableAt: dayRelease.availableAt || null,
+      exercises,
+      exercisesCompleted: exercises.filter(e => e.completed).length,
+      exercisesTotal: exercises.length
+    };
+  });
+}
+
+/**
+ * Next thing the learner should do in a module: the first day not completed,
+ * then the module test
+ * @param {Object} user - User document
+ * @param {Object} module - Published module
+ * @param {Array} dayProgress - Result of buildDayProgress
+ * @param {Object} options
+ * @param {Object} options.access - Access decision for the module
+ * @param {Object} options.test - Published test of the module (null if none)
+ * @returns {Object} { action, reason, moduleId, dayNumber, exerciseId, testId, availableAt }
+ */
+function findNextStep(user, module, dayProgress, { access = null, test = null } = {}) {
+  const step = (action, reason, fields = {}) => ({
+    action,
+    reason,
+    moduleId: module._id,
+    dayNumber: null,
+    exerciseId: null,
+    testId: null,
+    availableAt: null,
+    ...fields
+  });
+
+  if (access && !access.allowed) {
+    return step('locked', access.status);
+  }
+
+  const day = dayProgress.find(d => !d.completed);
+  if (day) {
+    const fields = { dayNumber: day.dayNumber };
+    if (day.locked) {
+      return day.availableAt
+        ? step('wait-release', day.lockReason, { ...fields, availableAt: day.availableAt })
+        : step('locked', day.lockReason, fields);
+    }
+    if (!day.started) {
+      return step('start-day', 'DAY_NOT_STARTED', fields);
+    }
+    const exercise = day.exercises.find(e => !e.completed);
+    return exercise
+      ? step('exercise', 'EXERCISE_PENDING', { ...fields, exerciseId: exercise.exerciseId })
+      : step('complete-day', 'DAY_READY_TO_COMPLETE', fields);
+  }
+
+  if (test && !meetsScore(user, module._id, test.passingScore, test)) {
+    return step('take-test', 'TEST_PENDING', { testId: test._id });
+  }
+
+  return step('done', 'MODULE_COMPLETED');
+}
+
+/**
+ * Progress of a learner in a module, from its published days
+ * @param {Object} user - User document
+ * @param {Object} module - Published module
+ * @param {Array} days - Published days of the module, sorted by day number
+ * @param {Object} options - { access, release, test } (see buildDayProgress and findNextStep)
+ * @returns {Object} { started, completed, percentage, daysCompleted, totalDays, exercisesCompleted, totalExercises, days, nextStep }
+ */
+function summarizeModuleProgress(user, module, days, options = {}) {
+  const moduleProgress = user.getModuleProgress(module._id);
+  const dayProgress = buildDayProgress(user, module, days, options);
+
+  const daysCompleted = dayProgress.filter(d => d.completed).length;
+  const exercisesCompleted = dayProgress.reduce((sum, d) => sum + d.exercisesCompleted, 0);
+  const totalExercises = dayProgress.reduce((sum, d) => sum + d.exercisesTotal, 0);
+
+  return {
+    started: !!(moduleProgress && moduleProgress.started),
+    completed: !!(moduleProgress && moduleProgress.completed),
+    // Each day has equal weight
+    percentage: dayProgress.length > 0 ? Math.round((daysCompleted / dayProgress.length) * 100) : 0,
+    daysCompleted,
+    totalDays: dayProgress.length,
+    exercisesCompleted,
+    totalExercises,
+    days: dayProgress,
+    nextStep: findNextStep(user, module, dayProgress, options)
+  };
+}
+
+/**
+ * Progress of a learner across the published curriculum, in a fixed number
+ * of queries whatever the number of modules
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { modules, tests, testByModuleId, accessByModuleId, summaries }
+ *   where summaries maps module IDs to summarizeModuleProgress results
+ */
+async function loadCurriculumProgress(user) {
+  const [modules, tests] = await Promise.all([findPublishedModules(), findPublishedTests()]);
+  const cohortModuleIds = modules.filter(m => getScheduleMode(m) === 'cohort').map(m => m._id);
+  const [daysByModule, cohorts, accessByModuleId] = await Promise.all([
+    findPublishedDaysByModule(modules.map(m => m._id)),
+    cohortModuleIds.length > 0 ? findUserCohorts(user._id, cohortModuleIds) : new Map(),
+    evaluateModulesAccess(user, modules, { tests })
+  ]);
+  const testByModuleId = new Map(tests.map(t => [t.moduleId.toString(), t]));
+  const now = new Date();
+
+  const summaries = new Map(modules.map(module => {
+    const id = module._id.toString();
+    const cohort = cohorts.get(id) || null;
+    return [id, summarizeModuleProgress(user, module, daysByModule.get(id), {
+      access: accessByModuleId.get(id),
+      test: testByModuleId.get(id) || null,
+      release: (day) => getDayRelease(module, day, { user, cohort, now })
+    })];
+  }));
+
+  return { modules, tests, testByModuleId, accessByModuleId, summaries };
+}
+
+// Latest activity in a module; progress saved before lastAccessedAt existed
+// falls back on its start and completion dates
+function getLastActivityAt(moduleProgress) {
+  if (moduleProgress.lastAccessedAt) {
+    return new Date(moduleProgress.lastAccessedAt);
+  }
+  const dates = [moduleProgress.startedAt];
+  for (const day of moduleProgress.days) {
+    dates.push(day.startedAt, day.completedAt, ...day.exercises.map(e => e.completedAt));
+  }
+  return new Date(Math.max(0, ...dates.filter(Boolean).map(d => new Date(d).getTime())));
+}
+
+const ACTIONABLE = ['start-day', 'exercise', 'complete-day', 'take-test'];
+
+// Step with the names and titles the client needs to display and route to it
+function describeStep(step, module, summary) {
+  const day = step.dayNumber ? summary.days.find(d => d.dayNumber === step.dayNumber) : null;
+  const exercise = day && step.exerciseId
+    ? day.exercises.find(e => e.exerciseId.toString() === step.exerciseId.toString())
+    : null;
+  return {
+    ...step,
+    moduleSlug: module.slug,
+    moduleName: module.name,
+    dayTitle: day ? day.title : null,
+    exerciseTitle: exercise ? exercise.title : null
+  };
+}
+
+/**
+ * Next steps for a learner, best first:
+ * 1. RESUME_LAST_DAY: the last-accessed day of the most recently active module,
+ *    when it is still open and not completed
+ * 2. CONTINUE_MODULE: the next step of modules in progress (most recent first),
+ *    including their pending test once every day is done
+ * 3. NEXT_MODULE: the first accessible module not started yet
+ * 4. UNLOCK_MODULE: the first locked module not completed, with what unlocks it
+ * 5. WAIT_RELEASE: modules in progress whose next day is not released yet
+ * @param {Object} user - User document
+ * @param {Object} curriculum - Result of loadCurriculumProgress
+ * @returns {Array} Steps (see findNextStep) with their origin, module slug and name, day and exercise titles
+ */
+function recommendNextSteps(user, { modules, accessByModuleId, summaries }) {
+  const byActivity = modules
+    .filter(m => user.getModuleProgress(m._id))
+    .map(m => ({ module: m, at: getLastActivityAt(user.getModuleProgress(m._id)) }))
+    .sort((a, b) => b.at - a.at)
+    .map(({ module }) => module);
+
+  const steps = [];
+  const add = (origin, step, module) => {
+    const summary = summaries.get(module._id.toString());
+    steps.push({ origin, ...describeStep(step, module, summary) });
+  };
+
+  const [lastModule] = byActivity;
+  if (lastModule) {
+    const summary = summaries.get(lastModule._id.toString());
+    const { lastAccessedDay } = user.getModuleProgress(lastModule._id);
+    const day = summary.days.find(d => d.dayNumber === lastAccessedDay);
+    if (day && day.started && !day.completed && !day.locked &&
+        accessByModuleId.get(lastModule._id.toString()).allowed) {
+      add('RESUME_LAST_DAY', findNextStep(user, lastModule, [day]), lastModule);
+    }
+  }
+
+  const waiting = [];
+  for (const module of byActivity) {
+    const { nextStep } = summaries.get(module._id.toString());
+    if (ACTIONABLE.includes(nextStep.action)) {
+      add('CONTINUE_MODULE', nextStep, module);
+    } else if (nextStep.action === 'wait-release') {
+      waiting.push(module);
+    }
+  }
+
+  const notStarted = modules.filter(m => !user.getModuleProgress(m._id));
+  const nextModule = notStarted.find(m => accessByModuleId.get(m._id.toString()).allowed);
+  if (nextModule) {
+    add('NEXT_MODULE', summaries.get(nextModule._id.toString()).nextStep, nextModule);
+  }
+
+  const lockedModule = modules.find(m => !accessByModuleId.get(m._id.toString()).allowed &&
+    !summaries.get(m._id.toString()).completed);
+  if (lockedModule) {
+    add('UNLOCK_MODULE', summaries.get(lockedModule._id.toString()).nextStep, lockedModule);
+  }
+
+  for (const module of waiting) {
+    add('WAIT_RELEASE', summaries.get(module._id.toString()).nextStep, module);
+  }
+
+  // The resumed day is also the next step of its module
+  return steps.filter((step, index) => index === 0 || !steps.slice(0, index).some(other =>
+    other.moduleId.toString() === step.moduleId.toString() &&
+    other.dayNumber === step.dayNumber &&
+    String(other.exerciseId) === String(step.exerciseId) &&
+    other.action === step.action
+  ));
+}
+
+module.exports = {
+  buildDayProgress,
+  findNextStep,
+  summarizeModuleProgress,
+  loadCurriculumProgress,
+  recommendNextSteps
+};
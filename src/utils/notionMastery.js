@@ -0,0 +1,186 @@
+// utils/notionMastery.js
+const TestSubmission = require('../models/TestSubmission');
+const {
+  findPublishedModules,
+  findPublishedDaysByModule,
+  findPublishedTests
+} = require('./publishedContent');
+const { getDayHintCredit } = require('./exerciseHints');
+
+/**
+ * Notion mastery, derived from content tagged with notions:
+ * - days (ModuleDay.notions): share of tagged days the learner completed,
+ *   each completed day counting for less when its exercises have a hint
+ *   penalty and the learner revealed hints before completing them
+ * - test questions (question.notions): average credit of the learner's
+ *   latest answer to each tagged question they were served
+ * The score (0-100) averages the sources the notion has; a notion with
+ * tagged questions cannot be mastered before one of them is answered.
+ * Notions only listed in Module.notions are mastered by completing the module.
+ */
+
+const MASTERY_LEVELS = [
+  { level: 'mastered', minScore: 80 },
+  { level: 'practicing', minScore: 50 },
+  { level: 'introduced', minScore: 1 },
+  { level: 'none', minScore: 0 }
+];
+
+const normalizeNotion = (notion) => String(notion).trim().toLowerCase();
+
+// Notions of the published curriculum with the content tagged with them
+function buildNotionCatalog(modules, daysByModule, tests) {
+  const catalog = new Map();
+  const entry = (notion) => {
+    const key = normalizeNotion(notion);
+    if (!catalog.has(key)) {
+      catalog.set(key, { notion: key, modules: [], days: [], questions: [] });
+    }
+    return catalog.get(key);
+  };
+  const modulesById = new Map(modules.map(m => [m._id.toString(), m]));
+
+  for (const module of modules) {
+    for (const notion of module.notions || []) {
+      entry(notion).modules.push(module);
+    }
+    for (const day of daysByModule.get(module._id.toString()) || []) {
+      for (const notion of new Set((day.notions || []).map(normalizeNotion))) {
+        entry(notion).days.push({ module, day });
+      }
+    }
+  }
+
+  for (const test of tests) {
+    const module = modulesById.get(test.moduleId.toString());
+    if (!module) {
+      continue;
+    }
+    for (const question of test.questions.filter(q => !q.isArchived)) {
+      for (const notion of new Set((question.notions || []).map(normalizeNotion))) {
+        entry(notion).questions.push({ module, questionId: question._id.toString() });
+      }
+    }
+  }
+
+  return catalog;
+}
+
+// Credit (0-1) of the learner's latest answer to each question
+async function findLatestAnswerCredits(userId) {
+  const submissions = await TestSubmission.find({ userId })
+    .select('answers.questionId answers.isCorrect answers.pointsEarned answers.pointsPossible completedAt')
+    .sort({ completedAt: 1 })
+    .lean();
+
+  const credits = new Map();
+  for (const submission of submissions) {
+    for (const answer of submission.answers) {
+      credits.set(answer.questionId.toString(), answer.pointsPossible > 0
+        ? answer.pointsEarned / answer.pointsPossible
+        : (answer.isCorrect ? 1 : 0));
+    }
+  }
+  return credits;
+}
+
+const levelFor = (score) => MASTERY_LEVELS.find(l => score >= l.minScore).level;
+
+/**
+ * Mastery of every notion of the published curriculum for a learner
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} [{ notion, level, score, days, questions, content }] sorted by notion;
+ *   content lists the days (or, without tagged days, the modules) teaching the notion
+ */
+async function computeNotionMastery(user) {
+  const [modules, tests, credits] = await Promise.all([
+    findPublishedModules(),
+    findPublishedTests(),
+    findLatestAnswerCredits(user._id)
+  ]);
+  const daysByModule = await findPublishedDaysByModule(modules.map(m => m._id));
+  const catalog = buildNotionCatalog(modules, daysByModule, tests);
+
+  const isDayCompleted = (moduleId, dayNumber) => {
+    const moduleProgress = user.getModuleProgress(moduleId);
+    return !!(moduleProgress && moduleProgress.days.some(d => d.dayNumber === dayNumber && d.completed));
+  };
+
+  return [...catalog.values()].map(({ notion, modules: taggedModules, days, questions }) => {
+    const completed = days.filter(({ day }) => isDayCompleted(day.moduleId, day.dayNumber));
+    const dayCredit = completed.reduce((sum, { day }) => sum + getDayHintCredit(user, day), 0);
+    const answered = questions.filter(q => credits.has(q.questionId));
+    const credit = answered.reduce((sum, q) => sum + credits.get(q.questionId), 0);
+
+    const parts = [];
+    if (days.length > 0) {
+      parts.push(dayCredit / days.length);
+    }
+    if (questions.length > 0) {
+      parts.push(answered.length > 0 ? credit / answered.length : 0);
+    }
+    if (parts.length === 0 && taggedModules.length > 0) {
+      // Only listed on modules: completing one of them is the evidence
+      parts.push(taggedModules.some(m => (user.getModuleProgress(m._id) || {}).completed) ? 1 : 0);
+    }
+    const score = parts.length > 0 ? Math.round((parts.reduce((a, b) => a + b, 0) / parts.length) * 100) : 0;
+
+    let level = levelFor(score);
+    if (level === 'mastered' && questions.length > 0 && answered.length === 0) {
+      level = 'practicing';
+    }
+
+    const content = days.length > 0
+      ? days.map(({ module, day }) => ({
+        moduleId: module._id,
+        moduleSlug: module.slug,
+        moduleName: module.name,
+        dayNumber: day.dayNumber,
+        title: day.title,
+        completed: isDayCompleted(module._id, day.dayNumber)
+      }))
+      : taggedModules.map(module => ({
+        moduleId: module._id,
+        moduleSlug: module.slug,
+        moduleName: module.name,
+        dayNumber: null,
+        title: module.name,
+        completed: !!(user.getModuleProgress(module._id) || {}).completed
+      }));
+
+    return {
+      notion,
+      level,
+      score,
+      days: {
+        completed: completed.length,
+        total: days.length,
+        credit: Math.round(dayCredit * 100) / 100
+      },
+      questions: {
+        answered: answered.length,
+        total: questions.length,
+        credit: Math.round(credit * 100) / 100
+      },
+      content
+    };
+  }).sort((a, b) => a.notion.localeCompare(b.notion));
+}
+
+/**
+ * Recompute a learner's notion mastery and store it on their progress
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Result of computeNotionMastery
+ */
+async function refreshNotionMastery(user) {
+  const mastery = await computeNotionMastery(user);
+  await user.setNotionMastery(mastery);
+  return mastery;
+}
+
+module.exports = {
+  MASTERY_LEVELS,
+  normalizeNotion,
+  computeNotionMastery,
+  refreshNotionMastery
+};
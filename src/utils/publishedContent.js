@@ -0,0 +1,157 @@
+// utils/publishedContent.js
+const Module = require('../models/Module');
+const ModuleDay = require('../models/ModuleDay');
+const ModuleTest = require('../models/ModuleTest');
+const ContentVersion = require('../models/ContentVersion');
+
+// Only published, non-archived working copies have content visible to learners
+const PUBLISHED_FILTER = {
+  isArchived: { $ne: true },
+  publishedVersion: { $ne: null }
+};
+
+/**
+ * Replace working-copy documents with the snapshot of their published version
+ * @param {Array} docs - Module, ModuleDay or ModuleTest documents
+ * @param {string} contentType - 'module', 'day' or 'test'
+ * @returns {Promise<Array>} Plain objects with _id and contentVersion set
+ */
+async function loadPublished(docs, contentType) {
+  if (docs.length === 0) {
+    return [];
+  }
+
+  const versions = await ContentVersion.find({
+    contentType,
+    $or: docs.map(doc => ({ contentId: doc._id, version: doc.publishedVersion }))
+  }).lean();
+
+  const byContentId = new Map(versions.map(v => [v.contentId.toString(), v]));
+
+  return docs
+    .filter(doc => byContentId.has(doc._id.toString()))
+    .map(doc => {
+      const version = byContentId.get(doc._id.toString());
+      return {
+        ...version.snapshot,
+        _id: doc._id,
+        contentVersion: version.version,
+        publishedAt: version.publishedAt
+      };
+    });
+}
+
+/**
+ * Published modules, sorted by their published display order
+ * @returns {Promise<Array>}
+ */
+async function findPublishedModules() {
+  const docs = await Module.find(PUBLISHED_FILTER).select('publishedVersion').lean();
+  const modules = await loadPublished(docs, 'module');
+  return modules.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Published module by ID
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<Object|null>}
+ */
+async function findPublishedModuleById(moduleId) {
+  const doc = await Module.findOne({ _id: moduleId, ...PUBLISHED_FILTER }).select('publishedVersion').lean();
+  if (!doc) {
+    return null;
+  }
+  const [module] = await loadPublished([doc], 'module');
+  return module || null;
+}
+
+/**
+ * Published module by its published slug
+ * @param {string} slug - Module slug
+ * @returns {Promise<Object|null>}
+ */
+async function findPublishedModuleBySlug(slug) {
+  const modules = await findPublishedModules();
+  return modules.find(m => m.slug === slug) || null;
+}
+
+/**
+ * Published days of a module, sorted by day number
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<Array>}
+ */
+async function findPublishedDays(moduleId) {
+  const docs = await ModuleDay.find({ moduleId, ...PUBLISHED_FILTER }).select('publishedVersion').lean();
+  const days = await loadPublished(docs, 'day');
+  return days.sort((a, b) => a.dayNumber - b.dayNumber);
+}
+
+/**
+ * Published days of several modules, in one query
+ * @param {Array} moduleIds - Module IDs
+ * @returns {Promise<Map>} Module ID -> days sorted by day number
+ */
+async function findPublishedDaysByModule(moduleIds) {
+  const byModuleId = new Map(moduleIds.map(id => [id.toString(), []]));
+  if (moduleIds.length === 0) {
+    return byModuleId;
+  }
+
+  const docs = await ModuleDay.find({ moduleId: { $in: moduleIds }, ...PUBLISHED_FILTER })
+    .select('publishedVersion moduleId')
+    .lean();
+  const days = await loadPublished(docs, 'day');
+  for (const day of days) {
+    byModuleId.get(day.moduleId.toString()).push(day);
+  }
+  for (const moduleDays of byModuleId.values()) {
+    moduleDays.sort((a, b) => a.dayNumber - b.dayNumber);
+  }
+  return byModuleId;
+}
+
+/**
+ * Published day of a module by day number
+ * @param {string} moduleId - Module ID
+ * @param {number} dayNumber - Day number
+ * @returns {Promise<Object|null>}
+ */
+async function findPublishedDay(moduleId, dayNumber) {
+  const days = await findPublishedDays(moduleId);
+  return days.find(d => d.dayNumber === dayNumber) || null;
+}
+
+/**
+ * Published test of a module
+ * @param {string} moduleId - Module ID
+ * @returns {Promise<Object|null>}
+ */
+async function findPublishedTest(moduleId) {
+  const doc = await ModuleTest.findOne({ moduleId, ...PUBLISHED_FILTER }).select('publishedVersion').lean();
+  if (!doc) {
+    return null;
+  }
+  const [test] = await loadPublished([doc], 'test');
+  return test || null;
+}
+
+/**
+ * All published tests
+ * @returns {Promise<Array>}
+ */
+async function findPublishedTests() {
+  const docs = await ModuleTest.find(PUBLISHED_FILTER).select('publishedVersion').lean();
+  return loadPublished(docs, 'test');
+}
+
+module.exports = {
+  loadPublished,
+  findPublishedModules,
+  findPublishedModuleById,
+  findPublishedModuleBySlug,
+  findPublishedDays,
+  findPublishedDaysByModule,
+  findPublishedDay,
+  findPublishedTest,
+  findPublishedTests
+};
@@ -0,0 +1,107 @@
+// utils/questionPools.js
+const crypto = require('crypto');
+
+// New 32-bit seed for an attempt's draw
+const createSeed = () => crypto.randomInt(0, 2 ** 32);
+
+// Deterministic PRNG (mulberry32) so a draw can be reproduced from its seed
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle on a copy
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+const activeQuestions = (test) => (test.questions || []).filter(q => !q.isArchived);
+
+// Whether a question belongs to a pool (shares at least one tag)
+const inPool = (question, pool) =>
+  (question.tags || []).some(tag => (pool.tags || []).includes(tag));
+
+/**
+ * Draw the questions for one attempt. Without pools every active question is
+ * served; with pools, `drawCount` questions are drawn from each pool in order
+ * and a question is never drawn twice.
+ * @param {Object} test - Published test
+ * @param {number} seed - Attempt seed
+ * @returns {Array} [{ questionId, optionIds }] in served order
+ */
+function drawQuestions(test, seed) {
+  const random = seededRandom(seed);
+  const questions = activeQuestions(test);
+  let drawn;
+
+  if (test.pools && test.pools.length > 0) {
+    drawn = [];
+    const used = new Set();
+    for (const pool of test.pools) {
+      const candidates = questions.filter(q => !used.has(q._id.toString()) && inPool(q, pool));
+      const picked = shuffle(candidates, random).slice(0, pool.drawCount);
+      picked.forEach(q => used.add(q._id.toString()));
+      drawn.push(...picked);
+    }
+  } else {
+    drawn = questions;
+  }
+
+  if (test.shuffleQuestions !== false) {
+    drawn = shuffle(drawn, random);
+  }
+
+  return drawn.map(question => ({
+    questionId: question._id,
+    // Ordering questions are authored in the correct order, so they are always shuffled
+    optionIds: (test.shuffleOptions !== false || question.type === 'ordering'
+      ? shuffle(question.options, random)
+      : question.options
+    ).map(o => o._id)
+  }));
+}
+
+/**
+ * Number of questions an attempt will contain (can vary by one draw to the
+ * next when pools share questions)
+ * @param {Object} test - Published test
+ * @returns {number}
+ */
+function countDrawnQuestions(test) {
+  return drawQuestions({ ...test, shuffleQuestions: false, shuffleOptions: false }, 0).length;
+}
+
+/**
+ * Check that every pool can fill its draw from the active questions
+ * @param {Object} test - ModuleTest document or snapshot
+ * @returns {string|null} Error message
+ */
+function validatePools(test) {
+  const questions = activeQuestions(test);
+  for (const pool of test.pools || []) {
+    const available = questions.filter(q => inPool(q, pool)).length;
+    if (available < pool.drawCount) {
+      return `Pool "${pool.name}" draws ${pool.drawCount} questions but only ${available} active questions match its tags`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createSeed,
+  seededRandom,
+  drawQuestions,
+  countDrawnQuestions,
+  validatePools
+};
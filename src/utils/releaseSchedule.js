@@ -0,0 +1,159 @@
+// utils/releaseSchedule.js
+const Cohort = require('../models/Cohort');
+const { findPublishedDaysByModule } = require('./publishedContent');
+
+/**
+ * Drip release of module days. A module's releaseSchedule decides when each
+ * day becomes available to a learner:
+ * - immediate: every day as soon as the module unlocks
+ * - relative: day N unlocks (N - 1) x intervalDays after the learner started
+ *   the module (or releaseOffsetDays of the day, when set)
+ * - cohort: on the fixed dates of the learner's cohort, or relative to the
+ *   cohort's start date; learners outside any cohort fall back to relative
+ *
+ * Reason codes: IMMEDIATE, ADMIN, RELEASED, NOT_RELEASED, MODULE_NOT_STARTED
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getScheduleMode = (module) => (module.releaseSchedule && module.releaseSchedule.mode) || 'immediate';
+
+// Days after the start when a day unlocks
+function getReleaseOffsetDays(module, day) {
+  if (day.releaseOffsetDays !== undefined && day.releaseOffsetDays !== null) {
+    return day.releaseOffsetDays;
+  }
+  const intervalDays = module.releaseSchedule && module.releaseSchedule.intervalDays !== undefined
+    ? module.releaseSchedule.intervalDays
+    : 1;
+  return (day.dayNumber - 1) * intervalDays;
+}
+
+/**
+ * When a day becomes available to a learner
+ * @param {Object} module - Published module
+ * @param {Object} day - Published day
+ * @param {Object} context
+ * @param {Object} context.user - User document
+ * @param {Object} context.cohort - Learner's cohort for the module (null if none)
+ * @param {Date} context.now - Reference time (defaults to now)
+ * @returns {Object} { available, availableAt, reason }
+ */
+function getDayRelease(module, day, { user, cohort = null, now = new Date() }) {
+  const mode = getScheduleMode(module);
+
+  if (mode === 'immediate') {
+    return { available: true, availableAt: null, reason: 'IMMEDIATE' };
+  }
+  if (user.role === 'admin') {
+    return { available: true, availableAt: null, reason: 'ADMIN' };
+  }
+
+  const offsetDays = getReleaseOffsetDays(module, day);
+  let availableAt = null;
+
+  if (mode === 'cohort' && cohort) {
+    const fixed = (cohort.releaseDates || []).find(r => r.dayNumber === day.dayNumber);
+    availableAt = fixed
+      ? new Date(fixed.availableAt)
+      : new Date(new Date(cohort.startDate).getTime() + offsetDays * DAY_MS);
+  } else {
+    const moduleProgress = user.getModuleProgress(module._id);
+    if (!moduleProgress || !moduleProgress.startedAt) {
+      // Starting the module starts the clock, so days due at the start stay open
+      return offsetDays === 0
+        ? { available: true, availableAt: null, reason: 'RELEASED' }
+        : { available: false, availableAt: null, reason: 'MODULE_NOT_STARTED' };
+    }
+    availableAt = new Date(new Date(moduleProgress.startedAt).getTime() + offsetDays * DAY_MS);
+  }
+
+  return availableAt <= now
+    ? { available: true, availableAt, reason: 'RELEASED' }
+    : { available: false, availableAt, reason: 'NOT_RELEASED' };
+}
+
+/**
+ * Cohorts a learner belongs to, by module
+ * @param {string} userId - Learner ID
+ * @param {Array} moduleIds - Restrict to these modules (all when omitted)
+ * @returns {Promise<Map>} Module ID -> cohort (latest start date wins)
+ */
+async function findUserCohorts(userId, moduleIds = null) {
+  const query = { members: userId };
+  if (moduleIds) {
+    query.moduleId = { $in: moduleIds };
+  }
+
+  const cohorts = await Cohort.find(query).sort({ startDate: 1 }).lean();
+  return new Map(cohorts.map(c => [c.moduleId.toString(), c]));
+}
+
+/**
+ * Release resolver for one module: loads the learner's cohort only when the
+ * module is cohort-paced
+ * @param {Object} user - User document
+ * @param {Object} module - Published module
+ * @returns {Promise<Function>} (day) => { available, availableAt, reason }
+ */
+async function getModuleReleaseResolver(user, module) {
+  let cohort = null;
+  if (getScheduleMode(module) === 'cohort' && user.role !== 'admin') {
+    cohort = (await findUserCohorts(user._id, [module._id])).get(module._id.toString()) || null;
+  }
+  return (day) => getDayRelease(module, day, { user, cohort });
+}
+
+/**
+ * Days that will unlock for a learner later on, across the modules they
+ * started or are in a cohort for
+ * @param {Object} user - User document
+ * @param {Array} modules - Published modules
+ * @param {Map} accessByModuleId - Access decisions (modules and days the learner cannot open are skipped)
+ * @returns {Promise<Array>} [{ moduleId, moduleName, moduleSlug, dayNumber, title, availableAt }] soonest first
+ */
+async function findUpcomingReleases(user, modules, accessByModuleId) {
+  const scheduled = modules.filter(m => getScheduleMode(m) !== 'immediate' &&
+    accessByModuleId.get(m._id.toString()).allowed);
+  if (scheduled.length === 0 || user.role === 'admin') {
+    return [];
+  }
+
+  const cohorts = await findUserCohorts(user._id, scheduled.map(m => m._id));
+  const tracked = scheduled.filter(m => user.getModuleProgress(m._id) || cohorts.has(m._id.toString()));
+  const daysByModule = await findPublishedDaysByModule(tracked.map(m => m._id));
+  const now = new Date();
+
+  const upcoming = [];
+  for (const module of tracked) {
+    const { maxDay } = accessByModuleId.get(module._id.toString());
+    const cohort = getScheduleMode(module) === 'cohort' ? cohorts.get(module._id.toString()) || null : null;
+
+    for (const day of daysByModule.get(module._id.toString())) {
+      if (maxDay && day.dayNumber > maxDay) {
+        continue;
+      }
+      const release = getDayRelease(module, day, { user, cohort, now });
+      if (!release.available && release.availableAt) {
+        upcoming.push({
+          moduleId: module._id,
+          moduleName: module.name,
+          moduleSlug: module.slug,
+          dayNumber: day.dayNumber,
+          title: day.title,
+          availableAt: release.availableAt
+        });
+      }
+    }
+  }
+
+  return upcoming.sort((a, b) => a.availableAt - b.availableAt);
+}
+
+module.exports = {
+  getScheduleMode,
+  getDayRelease,
+  findUserCohorts,
+  getModuleReleaseResolver,
+  findUpcomingReleases
+};
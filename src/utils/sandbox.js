@@ -0,0 +1,318 @@
+// utils/sandbox.js
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Runs untrusted learner code as an unprivileged user (SANDBOX_UID and
+ * SANDBOX_GID, required) in its own network, mount, PID, IPC and UTS
+ * namespaces. The code sees a read-only root holding only the system
+ * directories (/usr, /bin, /lib...), its workspace, an empty /tmp and its own
+ * /proc: no network, no server files, no other processes. CPU time, memory,
+ * file size and process count are limited with rlimits.
+ *
+ * Creating the namespaces needs root (or CAP_SYS_ADMIN) and util-linux's
+ * unshare and setpriv. When the program exits or exceeds a limit, everything
+ * it left running is killed with its PID namespace.
+ */
+const DEFAULT_LIMITS = {
+  timeMs: parseInt(process.env.SANDBOX_TIME_LIMIT_MS) || 5000,
+  cpuSeconds: parseInt(process.env.SANDBOX_CPU_LIMIT_SECONDS) || 2,
+  memoryMb: parseInt(process.env.SANDBOX_MEMORY_LIMIT_MB) || 256,
+  fileSizeKb: 1024,
+  processes: 64,
+  outputBytes: 64 * 1024
+};
+
+const SANDBOX_UID = process.env.SANDBOX_UID ? parseInt(process.env.SANDBOX_UID) : undefined;
+const SANDBOX_GID = process.env.SANDBOX_GID ? parseInt(process.env.SANDBOX_GID) : undefined;
+const MAX_CONCURRENT_RUNS = parseInt(process.env.SANDBOX_MAX_CONCURRENT_RUNS) || 1;
+
+// Time left to the output pipes to drain once the program has exited
+const EXIT_GRACE_MS = 250;
+
+// Host paths visible (read-only) inside the sandbox; symlinks such as /bin -> usr/bin are copied
+const SYSTEM_DIRS = ['/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/usr', '/etc/alternatives'];
+const SYSTEM_FILES = ['/etc/ld.so.cache', '/etc/passwd', '/etc/group', '/etc/nsswitch.conf', '/etc/localtime'];
+
+/*
+ * Run as root, as PID 1 of the new namespaces: build the sandbox root on a
+ * tmpfs, then hand over to the init script.
+ * Arguments: root mount point, workspace, read-only workspace (or empty),
+ * working directory, node, init script, command...
+ */
+const SETUP_SCRIPT = `
+set -e
+root=$1 workspace=$2 input=$3 cwd=$4 node=$5 init=$6
+shift 6
+
+mount --make-rprivate /
+mount -t tmpfs -o mode=0755,size=16m sandbox "$root"
+
+bind_ro() {
+  mount --bind "$1" "$2"
+  mount -o remount,bind,ro,nosuid,nodev "$2"
+}
+
+for dir in ${SYSTEM_DIRS.join(' ')}; do
+  mkdir -p "$root$(dirname "$dir")"
+  if [ -L "$dir" ]; then
+    cp -P "$dir" "$root$dir"
+  elif [ -d "$dir" ]; then
+    mkdir "$root$dir"
+    bind_ro "$dir" "$root$dir"
+  fi
+done
+for file in ${SYSTEM_FILES.join(' ')}; do
+  if [ -e "$file" ]; then
+    cp -L "$file" "$root$file"
+  fi
+done
+
+mkdir "$root/dev" "$root/proc" "$root/tmp"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+ln -s /proc/self/fd "$root/dev/fd"
+ln -s /proc/self/fd/0 "$root/dev/stdin"
+ln -s /proc/self/fd/1 "$root/dev/stdout"
+ln -s /proc/self/fd/2 "$root/dev/stderr"
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -t tmpfs -o mode=1777,size=16m,nosuid,nodev tmpfs "$root/tmp"
+
+# Same path as on the host, so commands and working directory need no translation
+mkdir -p "$root$workspace"
+mount --bind "$workspace" "$root$workspace"
+mount -o remount,bind,nosuid,nodev "$root$workspace"
+if [ -n "$input" ]; then
+  mkdir -p "$root$input"
+  bind_ro "$input" "$root$input"
+fi
+mount -o remount,ro "$root"
+
+chroot=$(PATH=/usr/sbin:/usr/bin:/sbin:/bin command -v chroot)
+exec "$node" -e "$init" "$chroot" "$root" "$@"
+`;
+
+/*
+ * Stays PID 1 so the program gets normal signal handling, and reports how it
+ * ended on fd 3 (a shell could not tell exit code 137 from SIGKILL). When
+ * it exits, the kernel kills whatever the program left in the namespace.
+ */
+const INIT_SCRIPT = `
+const { spawn } = require('child_process');
+const fs = require('fs');
+const [command, ...args] = process.argv.slice(1);
+const child = spawn(command, args, { stdio: ['inherit', 'inherit', 'inherit', 'ignore'] });
+child.on('error', () => process.exit(1));
+child.on('exit', (exitCode, signal) => {
+  fs.writeSync(3, JSON.stringify({ exitCode, signal }));
+  process.exit(0);
+});
+`;
+
+// Simple semaphore so grading cannot saturate the server
+let activeRuns = 0;
+const waiting = [];
+
+async function acquireSlot() {
+  if (activeRuns < MAX_CONCURRENT_RUNS) {
+    activeRuns++;
+    return;
+  }
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activeRuns--;
+  }
+}
+
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    // Process group already gone
+  }
+}
+
+// Learner code never runs as root or without privileges being dropped
+function assertConfigured() {
+  const isUnprivilegedId = (id) => Number.isInteger(id) && id > 0;
+  if (!isUnprivilegedId(SANDBOX_UID) || !isUnprivilegedId(SANDBOX_GID)) {
+    throw new Error('Code sandbox is not configured: set SANDBOX_UID and SANDBOX_GID to an unprivileged user');
+  }
+}
+
+// Workspaces currently open, so a run can only mount one of them
+const workspaces = new Set();
+
+/**
+ * Create a temporary workspace, run fn in it and remove it afterwards
+ * @param {Function} fn - async (dir) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withWorkspace(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lbc-sandbox-'));
+  workspaces.add(dir);
+  try {
+    await fs.chmod(dir, 0o777);
+    return await fn(dir);
+  } finally {
+    workspaces.delete(dir);
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run a command inside the sandbox
+ * @param {Object} options
+ * @param {Array} options.command - Executable and arguments
+ * @param {string} options.cwd - Working directory (inside a workspace)
+ * @param {string} options.inputDir - Another workspace, mounted read-only (e.g. a build the command runs)
+ * @param {string} options.stdin - Data written to standard input
+ * @param {Object} options.limits - Overrides for DEFAULT_LIMITS
+ * @returns {Promise<Object>} { stdout, stderr, exitCode, signal, timedOut, outputTruncated, durationMs }
+ * @throws {Error} When the sandbox is not configured or cannot be set up
+ */
+async function runInSandbox({ command, cwd, inputDir = null, stdin = '', limits = {} }) {
+  assertConfigured();
+  const workspace = [...workspaces].find(dir => cwd === dir || cwd.startsWith(dir + path.sep));
+  if (!workspace) {
+    throw new Error('Sandboxed commands must run inside a workspace');
+  }
+  if (inputDir && (!workspaces.has(inputDir) || inputDir === workspace)) {
+    throw new Error('Sandbox input must be another workspace');
+  }
+  const { timeMs, cpuSeconds, memoryMb, fileSizeKb, processes, outputBytes } = { ...DEFAULT_LIMITS, ...limits };
+
+  // rlimits are applied by the shell right before exec'ing the command
+  const limitScript = [
+    'cd "$1"',
+    'shift',
+    `ulimit -t ${cpuSeconds}`,
+    `ulimit -v ${memoryMb * 1024}`,
+    `ulimit -f ${fileSizeKb}`,
+    `ulimit -u ${processes}`,
+    'exec "$@"'
+  ].join(' && ');
+
+  await acquireSlot();
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'lbc-sandbox-root-'));
+  const startedAt = Date.now();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const child = spawn('unshare', [
+        '--net', '--mount', '--pid', '--ipc', '--uts', '--fork', '--kill-child',
+        '/bin/bash', '-c', SETUP_SCRIPT, 'sandbox-setup',
+        root, workspace, inputDir || '', cwd, process.execPath, INIT_SCRIPT,
+        'setpriv', `--reuid=${SANDBOX_UID}`, `--regid=${SANDBOX_GID}`, '--clear-groups',
+        '--no-new-privs', '--inh-caps=-all', '--bounding-set=-all',
+        '/bin/bash', '-c', limitScript, 'sandbox', cwd, ...command
+      ], {
+        detached: true,
+        stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+        env: {
+          PATH: '/usr/local/bin:/usr/bin:/bin',
+          HOME: cwd,
+          TMPDIR: cwd,
+          LANG: 'C.UTF-8',
+          GIT_AUTHOR_NAME: 'Learner',
+          GIT_AUTHOR_EMAIL: 'learner@sandbox.local',
+          GIT_COMMITTER_NAME: 'Learner',
+          GIT_COMMITTER_EMAIL: 'learner@sandbox.local'
+        }
+      });
+
+      let stdout = '', stderr = '', status = '', outputSize = 0;
+      let timedOut = false, outputTruncated = false, settled = false;
+      let graceTimer = null;
+
+      const collect = (stream) => (chunk) => {
+        outputSize += chunk.length;
+        if (outputSize > outputBytes) {
+          outputTruncated = true;
+          killGroup(child);
+          return;
+        }
+        if (stream === 'stdout') {
+          stdout += chunk.toString();
+        } else {
+          stderr += chunk.toString();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup(child);
+      }, timeMs);
+
+      const settle = () => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(graceTimer);
+        child.stdio.forEach(stream => stream.destroy());
+
+        let exit = null;
+        try {
+          exit = status ? JSON.parse(status) : null;
+        } catch (error) {
+          // Init killed while reporting
+        }
+        if (!exit && !timedOut && !outputTruncated) {
+          return reject(new Error(`Sandbox failed to start: ${stderr.trim() || 'unknown error'}`));
+        }
+        resolve({
+          stdout,
+          stderr,
+          exitCode: exit ? exit.exitCode : null,
+          signal: exit ? exit.signal : 'SIGKILL',
+          timedOut,
+          outputTruncated,
+          durationMs: Date.now() - startedAt
+        });
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+      child.stdio[3].on('data', (chunk) => { status += chunk.toString(); });
+      // The program may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(stdin);
+
+      child.on('error', (error) => {
+        settled = true;
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      // Processes left in the background may keep the output pipes open:
+      // settle on exit instead of waiting for them to close
+      child.on('exit', () => {
+        killGroup(child);
+        graceTimer = setTimeout(settle, EXIT_GRACE_MS);
+      });
+      child.on('close', settle);
+    });
+  } finally {
+    releaseSlot();
+    // Empty on the host: the sandbox root was only mounted inside the namespace
+    await fs.rmdir(root);
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  withWorkspace,
+  runInSandbox
+};
@@ -0,0 +1,246 @@
+// utils/testAttempts.js
+const mongoose = require('mongoose');
+const ContentVersion = require('../models/ContentVersion');
+const TestAttempt = require('../models/TestAttempt');
+const TestSubmission = require('../models/TestSubmission');
+const { gradeTest } = require('./testGrading');
+const { createSeed, drawQuestions } = require('./questionPools');
+const { visibleTestCases } = require('./autograder');
+const { getAttemptAllowance } = require('./testPolicy');
+const { refreshNotionMastery } = require('./notionMastery');
+const { issueCertificate } = require('./certificates');
+const { recordProgressEvent } = require('./achievements');
+
+// Submissions arriving shortly after the deadline are still accepted (network latency)
+const SUBMISSION_GRACE_MS = 30 * 1000;
+
+/**
+ * Load the test snapshot an attempt was served from, so grading stays
+ * consistent even if a newer version was published mid-attempt
+ * @param {Object} attempt - TestAttempt document
+ * @returns {Promise<Object|null>} Test snapshot
+ */
+async function loadAttemptTest(attempt) {
+  const version = await ContentVersion.findOne({
+    contentType: 'test',
+    contentId: attempt.moduleTestId,
+    version: attempt.contentVersion
+  }).lean();
+
+  return version ? { ...version.snapshot, _id: attempt.moduleTestId, contentVersion: version.version } : null;
+}
+
+/**
+ * Start an attempt, or resume the learner's running one. New attempts are
+ * refused when the test's retake policy does not allow them.
+ * @param {Object} user - User document
+ * @param {Object} moduleData - Published module
+ * @param {Object} test - Published test
+ * @returns {Promise<Object>} { attempt, resumed, allowance } (attempt is null when refused)
+ */
+async function startAttempt(user, moduleData, test) {
+  const findRunning = () => TestAttempt.findOne({
+    userId: user._id,
+    moduleTestId: test._id,
+    status: 'in-progress'
+  });
+
+  const running = await findRunning();
+  if (running && !running.isExpired(SUBMISSION_GRACE_MS)) {
+    return { attempt: running, resumed: true, allowance: null };
+  }
+
+  const allowance = await getAttemptAllowance(user, test);
+  if (!allowance.allowed) {
+    return { attempt: null, resumed: false, allowance };
+  }
+
+  const startedAt = new Date();
+  const seed = createSeed();
+  const attemptCount = await TestAttempt.countDocuments({ userId: user._id, moduleTestId: test._id });
+
+  try {
+    const attempt = await TestAttempt.create({
+      userId: user._id,
+      moduleId: moduleData._id,
+      moduleTestId: test._id,
+      contentVersion: test.contentVersion,
+      attemptNumber: attemptCount + 1,
+      startedAt,
+      deadline: test.timeLimit > 0 ? new Date(startedAt.getTime() + test.timeLimit * 60 * 1000) : null,
+      seed,
+      questionOrder: drawQuestions(test, seed)
+    });
+
+    return { attempt, resumed: false, allowance };
+  } catch (error) {
+    // Another request started an attempt in the meantime (unique running attempt index)
+    if (error.code === 11000) {
+      const started = await findRunning();
+      if (started) {
+        return { attempt: started, resumed: true, allowance: null };
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Learner-facing view of an attempt: questions in served order, without answers
+ * @param {Object} attempt - TestAttempt document
+ * @param {Object} test - Test snapshot the attempt was served from
+ * @returns {Object}
+ */
+function serveAttempt(attempt, test) {
+  const questions = attempt.questionOrder.map(served => {
+    const question = test.questions.find(q => q._id.toString() === served.questionId.toString());
+    if (!question) {
+      return null;
+    }
+    return {
+      _id: question._id,
+      question: question.question,
+      options: served.optionIds
+        .map(id => question.options.find(o => o._id.toString() === id.toString()))
+        .filter(Boolean)
+        .map(o => ({ _id: o._id, text: o.text })),
+      type: question.type,
+      points: question.points,
+      ...(question.type === 'fill-in-the-blank' && { blankCount: question.blanks.length }),
+      ...(question.type === 'coding' && {
+        language: question.language,
+        testCases: visibleTestCases(question.testCases)
+      })
+    };
+  }).filter(Boolean);
+
+  return {
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    title: test.title,
+    description: test.description,
+    timeLimit: test.timeLimit,
+    passingScore: test.passingScore,
+    contentVersion: attempt.contentVersion,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    remainingSeconds: attempt.deadline
+      ? Math.max(0, Math.round((attempt.deadline.getTime() - Date.now()) / 1000))
+      : null,
+    questions,
+    answers: attempt.answers
+  };
+}
+
+/**
+ * Grade an attempt, record the submission, update the learner's test score
+ * and issue their certificate when the attempt passes.
+ * The attempt is graded before it is finalized, then finalized atomically
+ * with the ID of its submission, so it is never graded twice nor left
+ * finalized without a submission.
+ * @param {Object} attempt - TestAttempt document
+ * @param {Object} user - User document owning the attempt
+ * @param {Array} answers - Final answers
+ * @param {Object} options
+ * @param {boolean} options.autoSubmitted - Graded automatically at expiry
+ * @returns {Promise<Object|null>} TestSubmission, or null if already finalized
+ */
+async function finalizeAttempt(attempt, user, answers, options = {}) {
+  const test = await loadAttemptTest(attempt);
+  if (!test) {
+    throw new Error('Test version for this attempt no longer exists');
+  }
+
+  const finalAnswers = answers || [];
+  const questionIds = attempt.questionOrder.map(q => q.questionId);
+  const { results, earnedPoints, totalPoints, score } = await gradeTest(test, finalAnswers, questionIds);
+  const passed = score >= test.passingScore;
+
+  const submissionId = new mongoose.Types.ObjectId();
+  const finalized = await TestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in-progress' },
+    {
+      status: options.autoSubmitted ? 'expired' : 'submitted',
+      answers: finalAnswers,
+      finalizedAt: new Date(),
+      submissionId
+    },
+    { new: true }
+  );
+
+  if (!finalized) {
+    return null;
+  }
+
+  let submission;
+  try {
+    submission = await TestSubmission.create({
+      _id: submissionId,
+      userId: finalized.userId,
+      moduleId: finalized.moduleId,
+      moduleTestId: finalized.moduleTestId,
+      attemptId: finalized._id,
+      attemptNumber: finalized.attemptNumber,
+      contentVersion: finalized.contentVersion,
+      autoSubmitted: !!options.autoSubmitted,
+      answers: results,
+      earnedPoints,
+      totalPoints,
+      score,
+      passed,
+      completedAt: finalized.finalizedAt
+    });
+  } catch (error) {
+    // Reopen the attempt so it can be submitted again
+    await TestAttempt.updateOne(
+      { _id: finalized._id, submissionId },
+      { status: 'in-progress', finalizedAt: null, submissionId: null }
+    );
+    throw error;
+  }
+
+  await user.addTestScore(finalized.moduleId, score, 1, test.passingScore);
+  await refreshNotionMastery(user);
+  if (passed) {
+    await issueCertificate(user, submission, test);
+  }
+  // Attempts graded at expiry count on the day their time ran out
+  await recordProgressEvent(user, 'test-submitted',
+    options.autoSubmitted && finalized.deadline ? finalized.deadline : finalized.finalizedAt);
+
+  return submission;
+}
+
+/**
+ * Auto-grade the learner's attempts on a test whose deadline has passed
+ * @param {Object} user - User document
+ * @param {string} moduleTestId - Module test ID
+ * @returns {Promise<Array>} Submissions created
+ */
+async function finalizeExpiredAttempts(user, moduleTestId) {
+  const running = await TestAttempt.find({
+    userId: user._id,
+    moduleTestId,
+    status: 'in-progress',
+    deadline: { $ne: null, $lt: new Date(Date.now() - SUBMISSION_GRACE_MS) }
+  });
+
+  const submissions = [];
+  for (const attempt of running) {
+    const submission = await finalizeAttempt(attempt, user, attempt.answers, { autoSubmitted: true });
+    if (submission) {
+      submissions.push(submission);
+    }
+  }
+  return submissions;
+}
+
+module.exports = {
+  SUBMISSION_GRACE_MS,
+  loadAttemptTest,
+  startAttempt,
+  serveAttempt,
+  finalizeAttempt,
+  finalizeExpiredAttempts
+};
@@ -0,0 +1,43 @@
+// utils/testGrading.js
+const { gradeQuestion } = require('./graders');
+
+/**
+ * Grade answers against a published test
+ * @param {Object} test - Published ModuleTest snapshot
+ * @param {Array} answers - Learner answers ({ questionId, ...type-specific fields })
+ * @param {Array} questionIds - Questions served to the learner (defaults to every active question)
+ * @returns {Promise<Object>} { results, earnedPoints, totalPoints, score }
+ */
+async function gradeTest(test, answers, questionIds = null) {
+  const served = questionIds
+    ? questionIds.map(id => test.questions.find(q => q._id.toString() === id.toString())).filter(Boolean)
+    : test.questions.filter(q => !q.isArchived);
+
+  let totalPoints = 0, earnedPoints = 0;
+  const results = [];
+  // Sequential so autograded questions do not compete for the sandbox
+  for (const question of served) {
+    const userAnswer = (answers || []).find(ans => ans && String(ans.questionId) === question._id.toString());
+    const graded = await gradeQuestion(question, userAnswer);
+    totalPoints += graded.pointsPossible;
+    earnedPoints += graded.pointsEarned;
+
+    results.push({
+      questionId: question._id,
+      ...graded.response,
+      isCorrect: graded.isCorrect,
+      pointsEarned: graded.pointsEarned,
+      pointsPossible: graded.pointsPossible,
+      feedback: graded.feedback
+    });
+  }
+
+  return {
+    results,
+    earnedPoints,
+    totalPoints,
+    score: totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0
+  };
+}
+
+module.exports = { gradeTest };
@@ -0,0 +1,109 @@
+// utils/testPolicy.js
+const TestSubmission = require('../models/TestSubmission');
+const TestAttemptGrant = require('../models/TestAttemptGrant');
+
+const DEFAULT_RETAKE_POLICY = {
+  maxAttempts: null,
+  cooldownMinutes: 0,
+  scoreToKeep: 'best'
+};
+
+/**
+ * Retake policy of a test, with defaults for unset fields
+ * @param {Object} test - Test snapshot or document
+ * @returns {Object} { maxAttempts, cooldownMinutes, scoreToKeep }
+ */
+function getRetakePolicy(test) {
+  const policy = (test && test.retakePolicy) || {};
+  return {
+    maxAttempts: policy.maxAttempts ?? DEFAULT_RETAKE_POLICY.maxAttempts,
+    cooldownMinutes: policy.cooldownMinutes ?? DEFAULT_RETAKE_POLICY.cooldownMinutes,
+    scoreToKeep: policy.scoreToKeep || DEFAULT_RETAKE_POLICY.scoreToKeep
+  };
+}
+
+/**
+ * Score that counts for a learner's test entry: best or latest, per the test's policy
+ * @param {Object} testScore - Entry of user.progress.testScores
+ * @param {Object} test - Published test of the module (null if none)
+ * @returns {number|null}
+ */
+function getCountedScore(testScore, test) {
+  if (!testScore) {
+    return null;
+  }
+  if (getRetakePolicy(test).scoreToKeep === 'latest' && testScore.lastScore !== undefined && testScore.lastScore !== null) {
+    return testScore.lastScore;
+  }
+  return testScore.score;
+}
+
+/**
+ * Whether a learner's counted score on a module's test reaches a minimum
+ * @param {Object} user - User document
+ * @param {string} moduleId - Module whose test is checked
+ * @param {number} minScore - Minimum score (percentage)
+ * @param {Object} test - Published test of that module (null if none)
+ * @returns {boolean}
+ */
+function meetsScore(user, moduleId, minScore, test) {
+  const testScore = (user.progress?.testScores || []).find(
+    ts => ts.moduleId && ts.moduleId.toString() === moduleId.toString()
+  );
+  const counted = getCountedScore(testScore, test);
+  return counted !== null && counted >= minScore;
+}
+
+/**
+ * Whether a learner may start a new attempt at a test
+ * @param {Object} user - User document
+ * @param {Object} test - Published test
+ * @returns {Promise<Object>} { allowed, reason, attemptsUsed, maxAttempts, attemptsRemaining, nextAttemptAt }
+ */
+async function getAttemptAllowance(user, test) {
+  const policy = getRetakePolicy(test);
+  const filter = { userId: user._id, moduleTestId: test._id };
+
+  const [attemptsUsed, lastSubmission, grants] = await Promise.all([
+    TestSubmission.countDocuments(filter),
+    TestSubmission.findOne(filter).sort({ completedAt: -1 }).select('completedAt'),
+    policy.maxAttempts === null ? [] : TestAttemptGrant.find(filter).select('extraAttempts')
+  ]);
+
+  const maxAttempts = policy.maxAttempts === null
+    ? null
+    : policy.maxAttempts + grants.reduce((total, grant) => total + grant.extraAttempts, 0);
+  const attemptsRemaining = maxAttempts === null ? null : Math.max(0, maxAttempts - attemptsUsed);
+
+  let nextAttemptAt = null;
+  if (policy.cooldownMinutes > 0 && lastSubmission) {
+    const cooldownEnd = new Date(lastSubmission.completedAt.getTime() + policy.cooldownMinutes * 60 * 1000);
+    if (cooldownEnd > new Date()) {
+      nextAttemptAt = cooldownEnd;
+    }
+  }
+
+  let reason = 'OK';
+  if (attemptsRemaining === 0) {
+    reason = 'MAX_ATTEMPTS_REACHED';
+  } else if (nextAttemptAt) {
+    reason = 'COOLDOWN';
+  }
+
+  return {
+    allowed: reason === 'OK',
+    reason,
+    attemptsUsed,
+    maxAttempts,
+    attemptsRemaining,
+    nextAttemptAt
+  };
+}
+
+module.exports = {
+  DEFAULT_RETAKE_POLICY,
+  getRetakePolicy,
+  getCountedScore,
+  meetsScore,
+  getAttemptAllowance
+};
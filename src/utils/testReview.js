@@ -0,0 +1,97 @@
+// utils/testReview.js
+const TestSubmission = require('../models/TestSubmission');
+const { revealAnswer } = require('./graders');
+
+// Learner response fields stored on a submission answer
+const RESPONSE_FIELDS = ['selectedOptionId', 'selectedOptionIds', 'textAnswer', 'blankAnswers', 'orderedOptionIds', 'codingAnswer'];
+
+/**
+ * Whether correct answers and explanations may be shown to a learner,
+ * according to the test's review policy
+ * @param {Object} test - Test snapshot
+ * @param {string} userId - Learner ID
+ * @returns {Promise<Object>} { revealed, reason }
+ */
+async function getRevealDecision(test, userId) {
+  const policy = test.reviewPolicy || {};
+  const filter = { userId, moduleTestId: test._id };
+
+  switch (policy.revealAnswers || 'after-passing') {
+    case 'always':
+      return { revealed: true, reason: 'ALWAYS' };
+    case 'never':
+      return { revealed: false, reason: 'NEVER' };
+    case 'after-attempts': {
+      const minAttempts = policy.minAttempts || 1;
+      const attempts = await TestSubmission.countDocuments(filter);
+      return attempts >= minAttempts
+        ? { revealed: true, reason: 'MIN_ATTEMPTS_REACHED' }
+        : { revealed: false, reason: 'MIN_ATTEMPTS_NOT_REACHED', attempts, minAttempts };
+    }
+    default: {
+      const passed = await TestSubmission.exists({ ...filter, passed: true });
+      return passed
+        ? { revealed: true, reason: 'PASSED' }
+        : { revealed: false, reason: 'NOT_PASSED' };
+    }
+  }
+}
+
+/**
+ * Review of a finalized attempt: the learner's answers and, when revealed,
+ * the grading, correct answers and explanations
+ * @param {Object} test - Test snapshot the attempt was served from
+ * @param {Object} attempt - Finalized TestAttempt
+ * @param {Object} submission - TestSubmission for the attempt
+ * @param {boolean} revealed - Whether answers may be revealed
+ * @returns {Array} Questions in served order
+ */
+function buildReview(test, attempt, submission, revealed) {
+  return attempt.questionOrder.map(served => {
+    const question = test.questions.find(q => q._id.toString() === served.questionId.toString());
+    if (!question) {
+      return null;
+    }
+
+    const result = submission.answers.find(a => a.questionId.toString() === question._id.toString());
+    const learnerAnswer = RESPONSE_FIELDS.reduce((answer, field) => {
+      if (result && result[field] !== undefined && result[field] !== null) {
+        answer[field] = result[field];
+      }
+      return answer;
+    }, {});
+
+    const options = served.optionIds
+      .map(id => question.options.find(o => o._id.toString() === id.toString()))
+      .filter(Boolean)
+      .map(o => (revealed
+        ? { _id: o._id, text: o.text, isCorrect: o.isCorrect, explanation: o.explanation || null }
+        : { _id: o._id, text: o.text }));
+
+    const review = {
+      questionId: question._id,
+      question: question.question,
+      type: question.type,
+      points: question.points,
+      options,
+      learnerAnswer
+    };
+
+    if (revealed) {
+      Object.assign(review, {
+        isCorrect: result ? result.isCorrect : false,
+        pointsEarned: result ? result.pointsEarned : 0,
+        feedback: result ? result.feedback : null,
+        correctAnswer: revealAnswer(question),
+        explanation: question.explanation || null
+      });
+    }
+
+    return review;
+  }).filter(Boolean);
+}
+
+module.exports = {
+  getRevealDecision,
+  buildReview
+};
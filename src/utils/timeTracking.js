@@ -0,0 +1,152 @@
+// utils/timeTracking.js
+const User = require('../models/User');
+const LearningSession = require('../models/LearningSession');
+
+/**
+ * Time on task from learning-session heartbeats. Each heartbeat credits the
+ * time since the previous one, except:
+ * - when the client reports the learner idle (no input, hidden tab)
+ * - when the gap exceeds the idle timeout (the tab was asleep or closed)
+ * - for time another tab of the same learner already credited: the user's
+ *   lastCreditedAt watermark only moves forward, so parallel tabs count once
+ *
+ * Sessions with no heartbeat for longer than the idle timeout are closed
+ * (timed-out) the next time the learner starts a session or sends a heartbeat.
+ */
+
+const HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.LEARNING_HEARTBEAT_INTERVAL_SECONDS || '30');
+const IDLE_TIMEOUT_SECONDS = parseInt(process.env.LEARNING_IDLE_TIMEOUT_SECONDS || '120');
+
+/**
+ * Add active time to a learner's progress, on the session's most specific scope
+ * @param {string} userId - Learner ID
+ * @param {Object} scope - { moduleId, dayNumber, exerciseId }
+ * @param {number} seconds - Time to add
+ */
+async function creditTime(userId, { moduleId, dayNumber = null, exerciseId = null }, seconds) {
+  const key = { moduleId, dayNumber, exerciseId };
+  const now = new Date();
+
+  const incrementEntry = () => User.updateOne(
+    { _id: userId, 'progress.timeEntries': { $elemMatch: key } },
+    {
+      $inc: { 'progress.totalTimeSpentSeconds': seconds, 'progress.timeEntries.$[entry].seconds': seconds },
+      $set: { 'progress.timeEntries.$[entry].updatedAt': now }
+    },
+    { arrayFilters: [{ 'entry.moduleId': moduleId, 'entry.dayNumber': dayNumber, 'entry.exerciseId': exerciseId }] }
+  );
+
+  let result = await incrementEntry();
+  if (result.matchedCount === 0) {
+    result = await User.updateOne(
+      { _id: userId, 'progress.timeEntries': { $not: { $elemMatch: key } } },
+      {
+        $inc: { 'progress.totalTimeSpentSeconds': seconds },
+        $push: { 'progress.timeEntries': { ...key, seconds, updatedAt: now } }
+      }
+    );
+    // Another request created the entry in the meantime
+    if (result.matchedCount === 0) {
+      await incrementEntry();
+    }
+  }
+
+  await User.updateOne({ _id: userId }, [{
+    $set: { 'progress.totalHoursSpent': { $round: [{ $divide: ['$progress.totalTimeSpentSeconds', 3600] }, 1] } }
+  }]);
+}
+
+/**
+ * Close the learner's active sessions whose last heartbeat is older than the
+ * idle timeout; they end at their last heartbeat
+ * @param {string} userId - Learner ID
+ * @returns {Promise<number>} Number of sessions closed
+ */
+async function expireIdleSessions(userId) {
+  const result = await LearningSession.updateMany(
+    {
+      userId,
+      status: 'active',
+      lastHeartbeatAt: { $lt: new Date(Date.now() - IDLE_TIMEOUT_SECONDS * 1000) }
+    },
+    [{ $set: { status: 'ended', endReason: 'timed-out', endedAt: '$lastHeartbeatAt' } }]
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Record a heartbeat (or the end) of a session and credit the active time
+ * @param {Object} session - Active LearningSession
+ * @param {Object} options
+ * @param {boolean} options.idle - The client reports no learner activity since the last heartbeat
+ * @param {boolean} options.end - End the session after crediting
+ * @returns {Promise<Object>} { creditedSeconds, idle }
+ */
+async function recordHeartbeat(session, { idle = false, end = false } = {}) {
+  const now = new Date();
+  const gapSeconds = (now - session.lastHeartbeatAt) / 1000;
+  const timedOut = gapSeconds > IDLE_TIMEOUT_SECONDS;
+  let creditedSeconds = 0;
+
+  if (!idle && !timedOut && gapSeconds > 0) {
+    // Move the watermark to now; the previous value tells what is already counted
+    const before = await User.findOneAndUpdate(
+      {
+        _id: session.userId,
+        $or: [{ 'progress.lastCreditedAt': null }, { 'progress.lastCreditedAt': { $lt: now } }]
+      },
+      { $set: { 'progress.lastCreditedAt': now } },
+      { new: false, projection: { 'progress.lastCreditedAt': 1 } }
+    ).lean();
+
+    if (before) {
+      const watermark = before.progress && before.progress.lastCreditedAt;
+      const from = watermark && watermark > session.lastHeartbeatAt ? watermark : session.lastHeartbeatAt;
+      creditedSeconds = Math.max(0, Math.round((now - from) / 1000));
+    }
+  }
+
+  if (creditedSeconds > 0) {
+    await creditTime(session.userId, session, creditedSeconds);
+  }
+
+  session.lastHeartbeatAt = now;
+  session.heartbeats += 1;
+  session.activeSeconds += creditedSeconds;
+  if (end) {
+    session.status = 'ended';
+    session.endReason = 'ended';
+    session.endedAt = now;
+  }
+  await session.save();
+
+  return { creditedSeconds, idle: idle || timedOut };
+}
+
+/**
+ * Start a session, replacing the active sessions of the same tab and closing
+ * the learner's idle ones
+ * @param {Object} user - User document
+ * @param {Object} scope - { moduleId, dayNumber, exerciseId, clientId }
+ * @returns {Promise<Object>} The new LearningSession
+ */
+async function startSession(user, { moduleId, dayNumber = null, exerciseId = null, clientId = null }) {
+  await expireIdleSessions(user._id);
+  if (clientId) {
+    await LearningSession.updateMany(
+      { userId: user._id, clientId, status: 'active' },
+      { $set: { status: 'ended', endReason: 'superseded', endedAt: new Date() } }
+    );
+  }
+
+  return LearningSession.create({ userId: user._id, moduleId, dayNumber, exerciseId, clientId });
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL_SECONDS,
+  IDLE_TIMEOUT_SECONDS,
+  creditTime,
+  expireIdleSessions,
+  recordHeartbeat,
+  startSession
+};
@@ -0,0 +1,200 @@
+// utils/zipArchive.js
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP reader and writer for curriculum bundles: files only (folders
+ * are implied by the paths), stored or deflated, no encryption, no ZIP64.
+ * Paths always use forward slashes.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Limits of readZip, so a small archive cannot expand to exhaust memory (zip bomb)
+const MAX_ENTRIES = 5000;
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Map|Object} files - Path -> content (string or Buffer)
+ * @param {Date} modifiedAt - Modification date recorded for every file
+ * @returns {Buffer}
+ */
+function createZip(files, modifiedAt = new Date()) {
+  const entries = files instanceof Map ? [...files.entries()] : Object.entries(files);
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [path, content] of entries) {
+    const name = Buffer.from(path.replace(/\\/g, '/'), 'utf8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? DEFLATED : STORED;
+    const stored = method === DEFLATED ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, stored);
+    centralParts.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Read the files of a ZIP archive
+ * @param {Buffer} buffer - ZIP archive
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @param {number} options.maxUncompressedSize - Maximum total size of the extracted files, in bytes
+ * @returns {Map} Path -> Buffer (folder entries are skipped)
+ * @throws {Error} When the archive is malformed, uses an unsupported feature or exceeds a limit
+ */
+function readZip(buffer, { maxEntries = MAX_ENTRIES, maxUncompressedSize = MAX_UNCOMPRESSED_SIZE } = {}) {
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > maxEntries) {
+    throw new Error(`ZIP archive has too many entries (${count}, at most ${maxEntries})`);
+  }
+  let position = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+  let uncompressedSize = 0;
+  const tooLarge = () => new Error(`ZIP archive is too large once extracted (over ${maxUncompressedSize} bytes)`);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupted ZIP central directory');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+    }
+
+    // The declared size is checked first; inflating is capped too, as it may lie
+    const remaining = maxUncompressedSize - uncompressedSize;
+    if (size > remaining) {
+      throw tooLarge();
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === STORED) {
+      data = Buffer.from(stored);
+    } else if (method === DEFLATED) {
+      try {
+        data = zlib.inflateRawSync(stored, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (error) {
+        throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+    uncompressedSize += data.length;
+    if (uncompressedSize > maxUncompressedSize) {
+      throw tooLarge();
+    }
+    if (crc32(data) !== crc) {
+      throw new Error(`Corrupted ZIP entry ${name}`);
+    }
+
+    files.set(name.replace(/\\/g, '/'), data);
+  }
+
+  return files;
+}
+
+module.exports = {
+  createZip,
+  readZip
+};
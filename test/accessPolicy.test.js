@@ -0,0 +1,111 @@
+// test/accessPolicy.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ModuleTest = require('../src/models/ModuleTest');
+const {
+  PAID_ACCESS,
+  evaluateModuleAccess,
+  evaluateModulesAccess,
+  evaluateDayAccess,
+  describeDecision
+} = require('../src/utils/accessPolicy');
+
+const learner = (overrides = {}) => ({
+  role: 'user',
+  payment: { hasPaidAccess: false },
+  progress: { testScores: [] },
+  ...overrides
+});
+const noTests = { testsByModuleId: new Map() };
+
+describe('evaluateModuleAccess', () => {
+  it('lets admins into every module', async () => {
+    const decision = await evaluateModuleAccess({ role: 'admin' }, { accessLevel: 'restricted', isPaid: true });
+    assert.deepEqual([decision.allowed, decision.status, decision.reasons], [true, 'unlocked', ['ADMIN']]);
+  });
+
+  it('opens free modules without entitlements or prerequisites', async () => {
+    const decision = await evaluateModuleAccess(learner(), {
+      accessLevel: 'free', isPaid: true, prerequisites: [{ moduleId: 'm0', minScore: 60 }]
+    }, noTests);
+    assert.deepEqual([decision.allowed, decision.reasons, decision.prerequisites], [true, ['FREE_MODULE'], []]);
+  });
+
+  it('requires the module entitlements, paid access included', async () => {
+    const module = { accessLevel: 'standard', isPaid: true, requiredEntitlements: ['mentoring'] };
+    const denied = await evaluateModuleAccess(learner({ payment: { hasPaidAccess: true } }), module, noTests);
+    assert.deepEqual([denied.allowed, denied.status, denied.missingEntitlements], [false, 'requires-entitlement', ['mentoring']]);
+
+    const unpaid = await evaluateModuleAccess(learner(), module, noTests);
+    assert.equal(unpaid.status, 'requires-payment');
+    assert.deepEqual(unpaid.missingEntitlements, ['mentoring', PAID_ACCESS]);
+  });
+
+  it('applies role rules: day limits, waivers and restricted modules', async () => {
+    const module = {
+      accessLevel: 'restricted',
+      isPaid: true,
+      roleAccess: [{ role: 'beta', maxDay: 3, waiveEntitlements: true }]
+    };
+    const beta = await evaluateModuleAccess(learner({ role: 'beta' }), module, noTests);
+    assert.deepEqual([beta.allowed, beta.status, beta.maxDay], [true, 'partial', 3]);
+    assert.deepEqual(beta.reasons, ['ENTITLEMENTS_WAIVED', 'DAY_LIMIT']);
+
+    const other = await evaluateModuleAccess(learner(), module, noTests);
+    assert.deepEqual([other.allowed, other.status], [false, 'locked']);
+    assert.deepEqual(other.reasons, ['ROLE_NOT_ALLOWED', 'MISSING_ENTITLEMENT']);
+  });
+
+  it('requires every prerequisite score', async () => {
+    const module = {
+      accessLevel: 'standard',
+      prerequisites: [{ moduleId: 'm1', minScore: 60 }, { moduleId: 'm2', minScore: 80 }]
+    };
+    const user = learner({ progress: { testScores: [{ moduleId: 'm1', score: 70 }, { moduleId: 'm2', score: 75 }] } });
+    const decision = await evaluateModuleAccess(user, module, noTests);
+    assert.deepEqual([decision.allowed, decision.status], [false, 'requires-prerequisite']);
+    assert.deepEqual(decision.prerequisites.map(p => p.met), [true, false]);
+
+    const unchecked = await evaluateModuleAccess(user, module, { ...noTests, checkPrerequisites: false });
+    assert.equal(unchecked.allowed, true);
+  });
+
+  it('counts prerequisite scores per the prerequisite test retake policy', async () => {
+    const module = { accessLevel: 'standard', prerequisites: [{ moduleId: 'm1', minScore: 60 }] };
+    const user = learner({ progress: { testScores: [{ moduleId: 'm1', score: 90, lastScore: 50 }] } });
+    const decisions = await evaluateModulesAccess(user, [{ _id: 'm2', ...module }], {
+      tests: [{ moduleId: 'm1', retakePolicy: { scoreToKeep: 'latest' } }]
+    });
+    assert.equal(decisions.get('m2').allowed, false);
+  });
+
+  it('looks up the prerequisite test when none are given', async (t) => {
+    t.mock.method(ModuleTest, 'findOne', () => ({ select: () => ({ lean: async () => null }) }));
+    const user = learner({ progress: { testScores: [{ moduleId: 'm1', score: 60 }] } });
+    const decision = await evaluateModuleAccess(user, { accessLevel: 'standard', prerequisiteModule: 'm1' });
+    assert.equal(decision.allowed, true);
+    assert.equal(ModuleTest.findOne.mock.callCount(), 1);
+  });
+});
+
+describe('evaluateDayAccess', () => {
+  it('follows the module decision and its day limit', () => {
+    assert.deepEqual(evaluateDayAccess({ allowed: false, reasons: ['MISSING_ENTITLEMENT'] }, 1),
+      { allowed: false, reason: 'MISSING_ENTITLEMENT' });
+    assert.deepEqual(evaluateDayAccess({ allowed: true, maxDay: 2 }, 3), { allowed: false, reason: 'DAY_LIMIT' });
+    assert.deepEqual(evaluateDayAccess({ allowed: true, maxDay: 2 }, 2), { allowed: true, reason: null });
+    assert.deepEqual(evaluateDayAccess({ allowed: true, maxDay: null }, 40), { allowed: true, reason: null });
+  });
+});
+
+describe('describeDecision', () => {
+  it('explains denials and day limits', () => {
+    assert.equal(describeDecision({ status: 'requires-payment' }), 'This module requires payment');
+    assert.match(describeDecision({ status: 'requires-prerequisite', prerequisites: [{ minScore: 70, met: false }] }), /at least 70%/);
+    assert.match(describeDecision({ status: 'requires-prerequisite', prerequisites: [
+      { minScore: 60, met: false }, { minScore: 80, met: false }
+    ] }), /2 prerequisite module tests first \(minimum scores: 60%, 80%\)/);
+    assert.equal(describeDecision({ status: 'partial', maxDay: 1 }, { name: 'Git' }), 'Only Day 1 of Git is available for your account');
+    assert.equal(describeDecision({ status: 'unlocked', maxDay: null }), null);
+  });
+});
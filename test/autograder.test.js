@@ -0,0 +1,118 @@
+// test/autograder.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+
+// The sandbox reads its user at load time; runs are skipped where it cannot work
+process.env.SANDBOX_UID = process.env.SANDBOX_UID || '65534';
+process.env.SANDBOX_GID = process.env.SANDBOX_GID || '65534';
+const { diffOutput, visibleTestCases, validateAutograding, runTestCases } = require('../src/utils/autograder');
+
+const hasCommand = (command) => {
+  try {
+    execFileSync('sh', ['-c', `command -v ${command}`], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+const canSandbox = process.platform === 'linux' && process.getuid() === 0 && hasCommand('unshare') && hasCommand('setpriv');
+const skipSandbox = canSandbox ? false : 'needs root and util-linux unshare/setpriv';
+
+describe('diffOutput', () => {
+  it('ignores trailing whitespace and trailing blank lines', () => {
+    assert.deepEqual(diffOutput('a\nb\n', 'a  \nb\n\n\n'), []);
+    assert.deepEqual(diffOutput(null, ''), []);
+  });
+
+  it('reports differing and missing lines', () => {
+    assert.deepEqual(diffOutput('a\nb\nc', 'a\nB'), [
+      { line: 2, expected: 'b', actual: 'B' },
+      { line: 3, expected: 'c', actual: null }
+    ]);
+    assert.deepEqual(diffOutput('a', 'a\nextra'), [{ line: 2, expected: null, actual: 'extra' }]);
+  });
+
+  it('stops after 20 differences', () => {
+    const expected = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+    assert.equal(diffOutput(expected, '').length, 20);
+  });
+});
+
+describe('autograding setup', () => {
+  it('shows only test cases marked visible', () => {
+    const cases = visibleTestCases([
+      { _id: '1', name: 'shown', stdin: 'x', expectedOutput: 'y', isHidden: false },
+      { _id: '2', name: 'hidden', isHidden: true },
+      { _id: '3', name: 'hidden by default' }
+    ]);
+    assert.deepEqual(cases.map(c => c._id), ['1']);
+  });
+
+  it('requires a supported language only when there are test cases', () => {
+    assert.equal(validateAutograding({ language: 'cobol', testCases: [] }), null);
+    assert.equal(validateAutograding({ language: 'bash', testCases: [{}] }), null);
+    assert.match(validateAutograding({ language: 'cobol', testCases: [{}] }), /supported language/);
+  });
+});
+
+describe('runTestCases', () => {
+  const testCases = [{ stdin: 'Ada\n', expectedOutput: 'Hello Ada', isHidden: false }];
+
+  it('refuses unsupported languages', async () => {
+    await assert.rejects(runTestCases({ language: 'cobol', source: 'x', testCases }), /Unsupported language/);
+  });
+
+  it('fails empty and oversized submissions without running them', async () => {
+    const empty = await runTestCases({ language: 'bash', source: '  ', testCases });
+    assert.deepEqual([empty.status, empty.passedCases, empty.totalCases, empty.message], ['failed', 0, 1, 'Empty submission']);
+    const large = await runTestCases({ language: 'bash', source: 'x'.repeat(64 * 1024 + 1), testCases });
+    assert.equal(large.message, 'Submission is too large');
+  });
+
+  it('runs each case and reports failures', { skip: skipSandbox }, async () => {
+    const result = await runTestCases({
+      language: 'bash',
+      source: 'read name\necho "Hello $name"\n',
+      testCases: [
+        ...testCases,
+        { stdin: 'Bob\n', expectedOutput: 'Hello Alice', isHidden: false },
+        { stdin: 'Eve\n', expectedOutput: 'Hello Eve', expectedExitCode: 0 }
+      ]
+    });
+    assert.deepEqual([result.status, result.passedCases, result.totalCases], ['failed', 2, 3]);
+    assert.deepEqual(result.cases[1].stdoutDiff, [{ line: 1, expected: 'Hello Alice', actual: 'Hello Bob' }]);
+    // Hidden cases only report pass/fail
+    assert.equal(result.cases[2].hidden, true);
+    assert.equal(result.cases[2].stdoutDiff, undefined);
+  });
+
+  it('keeps cases from altering the submission or each other', { skip: skipSandbox }, async () => {
+    const result = await runTestCases({
+      language: 'bash',
+      source: [
+        'if [ -e marker ]; then echo dirty; exit 1; fi',
+        'touch marker',
+        'echo "exit 3" > "$0" 2>/dev/null',
+        'echo clean'
+      ].join('\n'),
+      testCases: [
+        { expectedOutput: 'clean', isHidden: false },
+        { expectedOutput: 'clean', isHidden: false }
+      ]
+    });
+    assert.equal(result.status, 'passed');
+  });
+
+  it('reports compile errors', { skip: skipSandbox || (hasCommand('cc') ? false : 'needs cc') }, async () => {
+    const result = await runTestCases({ language: 'c', source: 'int main( {', testCases });
+    assert.equal(result.status, 'compile-error');
+    assert.match(result.compileOutput, /error/);
+  });
+
+  it('reports time limits', { skip: skipSandbox }, async () => {
+    const result = await runTestCases({ language: 'bash', source: 'while :; do :; done', testCases });
+    assert.equal(result.cases[0].passed, false);
+    assert.ok(['time', 'cpu-or-memory'].includes(result.cases[0].limitExceeded));
+  });
+});
@@ -0,0 +1,140 @@
+// test/graders.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuestion, gradeQuestion, revealAnswer } = require('../src/utils/graders');
+const { matchesAcceptedAnswer, validateAcceptedAnswers, MAX_ANSWER_LENGTH } = require('../src/utils/graders/textMatching');
+
+const options = (...correct) => correct.map((isCorrect, i) => ({ _id: `o${i + 1}`, text: `Option ${i + 1}`, isCorrect }));
+
+describe('textMatching', () => {
+  const matches = (input, accepted) => matchesAcceptedAnswer(input, [accepted]);
+
+  it('ignores case, accents and extra whitespace by default', () => {
+    assert.equal(matches('  Éte   indien ', { value: 'ete indien' }), true);
+    assert.equal(matches('ete', { value: 'Été', caseSensitive: true }), false);
+    assert.equal(matches('Ete', { value: 'Été', caseSensitive: true }), true);
+  });
+
+  it('applies caseSensitive to exact matches', () => {
+    assert.equal(matches(' Paris ', { value: 'paris', matchType: 'exact' }), true);
+    assert.equal(matches('Paris', { value: 'paris', matchType: 'exact', caseSensitive: true }), false);
+    assert.equal(matches('Pâris', { value: 'Paris', matchType: 'exact' }), false);
+  });
+
+  it('matches regexes against the whole answer', () => {
+    const accepted = { value: 'colou?r', matchType: 'regex' };
+    assert.equal(matches('COLOR', accepted), true);
+    assert.equal(matches('my colour', accepted), false);
+    assert.equal(matches('COLOR', { ...accepted, caseSensitive: true }), false);
+    assert.equal(matches('cat', { value: 'cat|dog', matchType: 'regex' }), true);
+    assert.equal(matches('cats', { value: 'cat|dog', matchType: 'regex' }), false);
+  });
+
+  it('never matches unsafe patterns or overly long answers', () => {
+    assert.equal(matches('a'.repeat(40) + '!', { value: '(a+)+!?', matchType: 'regex' }), false);
+    assert.equal(matches('a'.repeat(MAX_ANSWER_LENGTH + 1), { value: 'a*', matchType: 'regex' }), false);
+    assert.equal(matchesAcceptedAnswer(null, [{ value: 'x' }]), false);
+  });
+
+  it('rejects invalid or unsafe accepted answers', () => {
+    const validate = (value) => validateAcceptedAnswers([{ value, matchType: 'regex' }]);
+    assert.match(validateAcceptedAnswers([]), /At least one/);
+    assert.match(validateAcceptedAnswers([{ value: ' ' }]), /need a value/);
+    assert.match(validate('(a'), /Invalid accepted answer pattern/);
+    assert.match(validate('(a+)+'), /nest quantifiers/);
+    assert.match(validate('(?:\\s*\\w+)*'), /nest quantifiers/);
+    assert.match(validate('(a|ab)*'), /alternations/);
+    assert.match(validate('(\\w)\\1'), /backreferences/);
+    assert.match(validate('(?<=a)b'), /lookbehinds/);
+    assert.match(validate('a'.repeat(201)), /limited to/);
+    assert.equal(validate('(?:cat|dog)s?'), null);
+    assert.equal(validate('\\d+(\\.\\d+)?'), null);
+    assert.equal(validate('[(+)]+'), null);
+  });
+});
+
+describe('graders', () => {
+  it('rejects unsupported question types', async () => {
+    assert.match(validateQuestion({ type: 'essay' }), /Unsupported question type/);
+    await assert.rejects(gradeQuestion({ type: 'essay', points: 1 }, {}), /No grader/);
+  });
+
+  it('grades single-choice questions', async () => {
+    const question = { type: 'multiple-choice', points: 2, options: options(false, true) };
+    assert.equal(validateQuestion(question), null);
+    assert.match(validateQuestion({ ...question, options: options(true, true) }), /exactly one correct/);
+
+    const right = await gradeQuestion(question, { selectedOptionId: 'o2' });
+    assert.deepEqual([right.isCorrect, right.pointsEarned, right.pointsPossible], [true, 2, 2]);
+    const unanswered = await gradeQuestion(question, null);
+    assert.deepEqual([unanswered.isCorrect, unanswered.pointsEarned], [false, 0]);
+    assert.equal(unanswered.feedback.answered, false);
+    assert.deepEqual(revealAnswer(question), { correctOptionIds: ['o2'] });
+  });
+
+  it('gives multi-select partial credit, never below zero', async () => {
+    const question = { type: 'multi-select', points: 3, options: options(true, true, false) };
+    assert.equal((await gradeQuestion(question, { selectedOptionIds: ['o1', 'o2'] })).pointsEarned, 3);
+    assert.equal((await gradeQuestion(question, { selectedOptionIds: ['o1'] })).pointsEarned, 1.5);
+    assert.equal((await gradeQuestion(question, { selectedOptionIds: ['o1', 'o3'] })).pointsEarned, 0);
+    assert.equal((await gradeQuestion(question, { selectedOptionIds: ['o3'] })).pointsEarned, 0);
+
+    const strict = { ...question, partialCredit: false };
+    assert.equal((await gradeQuestion(strict, { selectedOptionIds: ['o1'] })).pointsEarned, 0);
+  });
+
+  it('grades ordering by correct positions', async () => {
+    const question = { type: 'ordering', points: 4, options: options(false, false, false, false) };
+    assert.equal((await gradeQuestion(question, { orderedOptionIds: ['o1', 'o2', 'o3', 'o4'] })).isCorrect, true);
+    assert.equal((await gradeQuestion(question, { orderedOptionIds: ['o1', 'o2', 'o4', 'o3'] })).pointsEarned, 2);
+    // Not a permutation of the options
+    const partial = await gradeQuestion(question, { orderedOptionIds: ['o1', 'o2', 'o3'] });
+    assert.equal(partial.pointsEarned, 0);
+    assert.deepEqual(partial.response.orderedOptionIds, []);
+  });
+
+  it('grades short answers against accepted answers', async () => {
+    const question = { type: 'short-answer', points: 1, acceptedAnswers: [{ value: 'Paris', matchType: 'normalized' }] };
+    assert.equal(validateQuestion(question), null);
+    assert.equal((await gradeQuestion(question, { textAnswer: ' paris ' })).isCorrect, true);
+    assert.equal((await gradeQuestion(question, { textAnswer: 'Lyon' })).isCorrect, false);
+    assert.equal((await gradeQuestion(question, { textAnswer: 42 })).feedback.answered, false);
+    assert.deepEqual(revealAnswer(question), { acceptedAnswers: [{ value: 'Paris', matchType: 'normalized' }] });
+  });
+
+  it('shares fill-in-the-blank credit between blanks', async () => {
+    const question = {
+      type: 'fill-in-the-blank',
+      points: 2,
+      blanks: [
+        { acceptedAnswers: [{ value: 'const' }] },
+        { acceptedAnswers: [{ value: '\\d+', matchType: 'regex' }] }
+      ]
+    };
+    assert.equal(validateQuestion(question), null);
+    assert.match(validateQuestion({ ...question, blanks: [] }), /at least one blank/);
+
+    const half = await gradeQuestion(question, { blankAnswers: ['CONST', 'ten'] });
+    assert.equal(half.pointsEarned, 1);
+    assert.deepEqual(half.feedback.blanks, [true, false]);
+    assert.equal((await gradeQuestion(question, { blankAnswers: ['const', '10'] })).isCorrect, true);
+    assert.equal((await gradeQuestion({ ...question, partialCredit: false }, { blankAnswers: ['const'] })).pointsEarned, 0);
+  });
+
+  it('leaves coding answers for review when they cannot be autograded', async () => {
+    const question = { type: 'coding', points: 5, language: 'bash', testCases: [] };
+    const result = await gradeQuestion(question, { codingAnswer: 'echo hi' });
+    assert.equal(result.pointsEarned, 0);
+    assert.deepEqual(result.feedback, { answered: true, pendingReview: true });
+  });
+
+  it('leaves coding answers for review when the sandbox fails', { skip: !!process.env.SANDBOX_UID }, async (t) => {
+    // Without SANDBOX_UID every run throws
+    t.mock.method(console, 'error', () => {});
+    const question = { type: 'coding', points: 5, language: 'bash', testCases: [{ expectedOutput: 'hi' }] };
+    const result = await gradeQuestion(question, { codingAnswer: 'echo hi' });
+    assert.equal(result.pointsEarned, 0);
+    assert.deepEqual(result.feedback, { answered: true, pendingReview: true });
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,94 @@
+// test/testPolicy.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TestSubmission = require('../src/models/TestSubmission');
+const TestAttemptGrant = require('../src/models/TestAttemptGrant');
+const { getRetakePolicy, getCountedScore, meetsScore, getAttemptAllowance } = require('../src/utils/testPolicy');
+
+const MINUTE = 60 * 1000;
+
+// Queries resolve to the given values instead of reaching the database
+const query = (value) => ({
+  sort: () => query(value),
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('retake policy', () => {
+  it('fills unset fields with defaults', () => {
+    assert.deepEqual(getRetakePolicy(null), { maxAttempts: null, cooldownMinutes: 0, scoreToKeep: 'best' });
+    assert.deepEqual(getRetakePolicy({ retakePolicy: { maxAttempts: 0, scoreToKeep: 'latest' } }),
+      { maxAttempts: 0, cooldownMinutes: 0, scoreToKeep: 'latest' });
+  });
+
+  it('counts the best or the latest score', () => {
+    const testScore = { score: 90, lastScore: 40 };
+    assert.equal(getCountedScore(testScore, null), 90);
+    assert.equal(getCountedScore(testScore, { retakePolicy: { scoreToKeep: 'latest' } }), 40);
+    assert.equal(getCountedScore({ score: 70 }, { retakePolicy: { scoreToKeep: 'latest' } }), 70);
+    assert.equal(getCountedScore(undefined, null), null);
+  });
+
+  it('checks the counted score against a minimum', () => {
+    const user = { progress: { testScores: [{ moduleId: 'm1', score: 80, lastScore: 50 }] } };
+    assert.equal(meetsScore(user, 'm1', 60, null), true);
+    assert.equal(meetsScore(user, 'm1', 60, { retakePolicy: { scoreToKeep: 'latest' } }), false);
+    assert.equal(meetsScore(user, 'm2', 0, null), false);
+    assert.equal(meetsScore({}, 'm1', 0, null), false);
+  });
+});
+
+describe('getAttemptAllowance', () => {
+  const user = { _id: 'u1' };
+  let submissions, grants;
+
+  beforeEach(() => {
+    submissions = [];
+    grants = [];
+    mock.method(TestSubmission, 'countDocuments', () => query(submissions.length));
+    mock.method(TestSubmission, 'findOne', () => query(submissions[0] || null));
+    mock.method(TestAttemptGrant, 'find', () => query(grants));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('allows unlimited attempts by default', async () => {
+    submissions = [{ completedAt: new Date() }, { completedAt: new Date() }];
+    const allowance = await getAttemptAllowance(user, { _id: 't1' });
+    assert.deepEqual(allowance, {
+      allowed: true, reason: 'OK', attemptsUsed: 2, maxAttempts: null, attemptsRemaining: null, nextAttemptAt: null
+    });
+    assert.equal(TestAttemptGrant.find.mock.callCount(), 0);
+  });
+
+  it('stops at the maximum, extra attempts granted included', async () => {
+    const test = { _id: 't1', retakePolicy: { maxAttempts: 2 } };
+    submissions = [{ completedAt: new Date(Date.now() - 60 * MINUTE) }, { completedAt: new Date(Date.now() - 90 * MINUTE) }];
+
+    const reached = await getAttemptAllowance(user, test);
+    assert.deepEqual([reached.allowed, reached.reason, reached.attemptsRemaining], [false, 'MAX_ATTEMPTS_REACHED', 0]);
+
+    grants = [{ extraAttempts: 1 }, { extraAttempts: 2 }];
+    const granted = await getAttemptAllowance(user, test);
+    assert.deepEqual([granted.allowed, granted.maxAttempts, granted.attemptsRemaining], [true, 5, 3]);
+  });
+
+  it('waits for the cooldown after the last submission', async () => {
+    const test = { _id: 't1', retakePolicy: { cooldownMinutes: 30 } };
+    const completedAt = new Date(Date.now() - 10 * MINUTE);
+    submissions = [{ completedAt }];
+
+    const cooling = await getAttemptAllowance(user, test);
+    assert.deepEqual([cooling.allowed, cooling.reason], [false, 'COOLDOWN']);
+    assert.equal(cooling.nextAttemptAt.getTime(), completedAt.getTime() + 30 * MINUTE);
+
+    submissions = [{ completedAt: new Date(Date.now() - 31 * MINUTE) }];
+    assert.equal((await getAttemptAllowance(user, test)).allowed, true);
+  });
+
+  it('reports the attempt limit before the cooldown', async () => {
+    const test = { _id: 't1', retakePolicy: { maxAttempts: 1, cooldownMinutes: 30 } };
+    submissions = [{ completedAt: new Date() }];
+    assert.equal((await getAttemptAllowance(user, test)).reason, 'MAX_ATTEMPTS_REACHED');
+  });
+});
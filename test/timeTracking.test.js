@@ -0,0 +1,142 @@
+// test/timeTracking.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const LearningSession = require('../src/models/LearningSession');
+const {
+  IDLE_TIMEOUT_SECONDS,
+  creditTime,
+  expireIdleSessions,
+  recordHeartbeat,
+  startSession
+} = require('../src/utils/timeTracking');
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+
+// Active session as loaded from the database
+const activeSession = (lastHeartbeatAt) => ({
+  userId: 'u1',
+  moduleId: 'm1',
+  dayNumber: 2,
+  exerciseId: null,
+  status: 'active',
+  lastHeartbeatAt,
+  heartbeats: 3,
+  activeSeconds: 60,
+  save: mock.fn(async function() { return this; })
+});
+
+describe('recordHeartbeat', () => {
+  let watermark;
+
+  beforeEach(() => {
+    watermark = null;
+    // Resolves to the user before the update, or null when another tab already credited up to now
+    mock.method(User, 'findOneAndUpdate', () => ({
+      lean: async () => (watermark && watermark >= new Date() ? null : { progress: { lastCreditedAt: watermark } })
+    }));
+    mock.method(User, 'updateOne', async () => ({ matchedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('credits the time since the previous heartbeat', async () => {
+    const session = activeSession(secondsAgo(20));
+    const result = await recordHeartbeat(session);
+
+    assert.deepEqual(result, { creditedSeconds: 20, idle: false });
+    assert.deepEqual([session.activeSeconds, session.heartbeats, session.status], [80, 4, 'active']);
+    assert.equal(session.save.mock.callCount(), 1);
+    const [filter, update] = User.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter['progress.timeEntries'].$elemMatch, { moduleId: 'm1', dayNumber: 2, exerciseId: null });
+    assert.equal(update.$inc['progress.totalTimeSpentSeconds'], 20);
+  });
+
+  it('credits nothing while the learner is idle', async () => {
+    const session = activeSession(secondsAgo(20));
+    assert.deepEqual(await recordHeartbeat(session, { idle: true }), { creditedSeconds: 0, idle: true });
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(session.heartbeats, 4);
+  });
+
+  it('credits nothing after a gap longer than the idle timeout', async () => {
+    const session = activeSession(secondsAgo(IDLE_TIMEOUT_SECONDS + 10));
+    assert.deepEqual(await recordHeartbeat(session), { creditedSeconds: 0, idle: true });
+    assert.equal(User.updateOne.mock.callCount(), 0);
+  });
+
+  it('counts time already credited by another tab once', async () => {
+    watermark = secondsAgo(5);
+    assert.equal((await recordHeartbeat(activeSession(secondsAgo(20)))).creditedSeconds, 5);
+
+    watermark = new Date(Date.now() + 1000);
+    assert.equal((await recordHeartbeat(activeSession(secondsAgo(20)))).creditedSeconds, 0);
+  });
+
+  it('ends the session when asked', async () => {
+    const session = activeSession(secondsAgo(10));
+    await recordHeartbeat(session, { end: true });
+    assert.deepEqual([session.status, session.endReason], ['ended', 'ended']);
+    assert.ok(session.endedAt instanceof Date);
+  });
+});
+
+describe('creditTime', () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockUpdates = (...matchedCounts) => {
+    const results = [...matchedCounts];
+    mock.method(User, 'updateOne', async () => ({ matchedCount: results.length ? results.shift() : 1 }));
+  };
+  const updates = () => User.updateOne.mock.calls.map(call => call.arguments[1]);
+
+  it('adds to an existing entry, then refreshes the total hours', async () => {
+    mockUpdates(1);
+    await creditTime('u1', { moduleId: 'm1' }, 30);
+    assert.equal(updates().length, 2);
+    assert.equal(updates()[0].$inc['progress.timeEntries.$[entry].seconds'], 30);
+    assert.ok(Array.isArray(updates()[1]));
+  });
+
+  it('creates the entry when the learner has none for that scope', async () => {
+    mockUpdates(0, 1);
+    await creditTime('u1', { moduleId: 'm1', dayNumber: 1 }, 30);
+    assert.equal(updates()[1].$push['progress.timeEntries'].seconds, 30);
+    assert.equal(updates().length, 3);
+  });
+
+  it('adds to the entry another request created in the meantime', async () => {
+    mockUpdates(0, 0, 1);
+    await creditTime('u1', { moduleId: 'm1' }, 30);
+    assert.equal(updates().length, 4);
+    assert.equal(updates()[2].$inc['progress.timeEntries.$[entry].seconds'], 30);
+  });
+});
+
+describe('sessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('closes sessions idle for longer than the timeout at their last heartbeat', async () => {
+    mock.method(LearningSession, 'updateMany', async () => ({ modifiedCount: 2 }));
+    assert.equal(await expireIdleSessions('u1'), 2);
+
+    const [filter, pipeline] = LearningSession.updateMany.mock.calls[0].arguments;
+    const cutoff = filter.lastHeartbeatAt.$lt.getTime();
+    assert.ok(Math.abs(cutoff - (Date.now() - IDLE_TIMEOUT_SECONDS * 1000)) < 1000);
+    assert.deepEqual(pipeline, [{ $set: { status: 'ended', endReason: 'timed-out', endedAt: '$lastHeartbeatAt' } }]);
+  });
+
+  it('replaces the active sessions of the same tab', async () => {
+    mock.method(LearningSession, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(LearningSession, 'create', async (doc) => doc);
+
+    const session = await startSession({ _id: 'u1' }, { moduleId: 'm1', clientId: 'tab-1' });
+    assert.deepEqual(session, { userId: 'u1', moduleId: 'm1', dayNumber: null, exerciseId: null, clientId: 'tab-1' });
+    const [filter, update] = LearningSession.updateMany.mock.calls[1].arguments;
+    assert.deepEqual(filter, { userId: 'u1', clientId: 'tab-1', status: 'active' });
+    assert.equal(update.$set.endReason, 'superseded');
+
+    await startSession({ _id: 'u1' }, { moduleId: 'm1' });
+    assert.equal(LearningSession.updateMany.mock.callCount(), 3);
+  });
+});